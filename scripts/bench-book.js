@@ -0,0 +1,77 @@
+#!/usr/bin/env node
+'use strict'
+
+/**
+ * bench-book.js
+ * Compares BidHeap/AskHeap against BidLevels/AskLevels on a book of
+ * resting orders: insert, cancel by id, partial fill, match from the top,
+ * and a sorted dump.
+ *
+ * Usage: npm run bench [-- <orders> <operations>]
+ *   defaults: 100000 resting orders, 2000 of each operation
+ */
+
+const { BidHeap, AskHeap } = require('../src/core/Heap')
+const { BidLevels, AskLevels } = require('../src/core/PriceLevels')
+
+const ORDERS = parseInt(process.argv[2]) || 100000
+const OPS = parseInt(process.argv[3]) || 2000
+const PRICE_LEVELS = 1000
+
+// Same pseudo-random book for every structure (mulberry32)
+function seededRandom(seed) {
+    return () => {
+        seed = (seed + 0x6D2B79F5) | 0
+        let t = Math.imul(seed ^ (seed >>> 15), 1 | seed)
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+    }
+}
+
+function makeOrders(count) {
+    const random = seededRandom(42)
+    return Array.from({ length: count }, (_, i) => ({
+        id: `o${i}`,
+        price: 10000 + Math.floor(random() * PRICE_LEVELS),
+        quantity: 1 + Math.floor(random() * 10),
+        timestamp: i
+    }))
+}
+
+function time(fn) {
+    const start = process.hrtime.bigint()
+    fn()
+    return Number(process.hrtime.bigint() - start) / 1e6
+}
+
+/**
+ * @param {function} [sortDump] - Heaps hand back heap order, so they need a sort to match toArray() on levels
+ */
+function run(name, Side, sortDump) {
+    const orders = makeOrders(ORDERS)
+    const random = seededRandom(7)
+    const pick = () => orders[Math.floor(random() * orders.length)].id
+    const book = new Side()
+
+    const results = {
+        [`insert ${ORDERS}`]: time(() => orders.forEach(o => book.insert({ ...o }))),
+        [`cancel ${OPS}`]: time(() => { for (let i = 0; i < OPS; i++) book.removeById(pick()) }),
+        [`partial fill ${OPS}`]: time(() => { for (let i = 0; i < OPS; i++) book.updateQuantity(pick(), 0.5) }),
+        [`match top ${OPS}`]: time(() => { for (let i = 0; i < OPS; i++) book.extractTop() }),
+        'sorted dump': time(() => {
+            const all = book.toArray()
+            if (sortDump) all.sort(sortDump)
+        })
+    }
+
+    console.log(`\n${name}  (${book.size} left)`)
+    Object.entries(results).forEach(([op, ms]) => {
+        console.log(`  ${op.padEnd(20)} ${ms.toFixed(1).padStart(10)} ms`)
+    })
+}
+
+console.log(`📊 ${ORDERS} resting orders over ${PRICE_LEVELS} price levels`)
+run('BidHeap', BidHeap, (a, b) => b.price - a.price || a.timestamp - b.timestamp)
+run('BidLevels', BidLevels)
+run('AskHeap', AskHeap, (a, b) => a.price - b.price || a.timestamp - b.timestamp)
+run('AskLevels', AskLevels)
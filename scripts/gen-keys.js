@@ -0,0 +1,39 @@
+#!/usr/bin/env node
+'use strict'
+
+/**
+ * gen-keys.js
+ * Creates an Ed25519 keypair for every peer in config.peers that doesn't
+ * have one yet:
+ *   <auth.keyDir>/<peerId>.key   private key — stays on that peer's machine
+ *   <auth.keyDir>/<peerId>.pub   public key — what auth.allowlist points at
+ *
+ * Existing keys are never overwritten.
+ *
+ * Usage: npm run keys
+ */
+
+const fs = require('fs')
+const path = require('path')
+const config = require('../config/config.json')
+const { generateKeyPair } = require('../src/network/MessageAuth')
+
+const keyDir = path.resolve(__dirname, '..', config.auth.keyDir)
+fs.mkdirSync(keyDir, { recursive: true })
+
+config.peers.forEach(({ id }) => {
+    const privatePath = path.join(keyDir, `${id}.key`)
+    const publicPath = path.join(keyDir, `${id}.pub`)
+
+    if (fs.existsSync(privatePath)) {
+        console.log(`🔑 ${id}: already has a key, skipping`)
+        return
+    }
+
+    const { publicKey, privateKey } = generateKeyPair()
+    fs.writeFileSync(privatePath, privateKey, { mode: 0o600 })
+    fs.writeFileSync(publicPath, publicKey)
+    console.log(`🔑 ${id}: wrote ${path.relative(process.cwd(), privatePath)} and ${path.relative(process.cwd(), publicPath)}`)
+})
+
+console.log('\n✅ Done. Copy each .pub to every peer and list it in config.auth.allowlist.')
@@ -0,0 +1,296 @@
+'use strict'
+
+const { toUnits, fromUnits } = require('./decimal')
+const { CommandType } = require('./enums')
+
+/**
+ * Every balance is kept in BigInt units of 10^-18 of its asset, whatever
+ * the market precisions are — fine enough that a price × quantity with up
+ * to 18 decimals between them is always exact.
+ */
+const LEDGER_DECIMALS = 18
+
+/**
+ * Accounts — balances, reservations and settlement
+ *
+ * One ledger shared by every market on a peer (BTC/USDT and ETH/USDT both
+ * spend the same USDT). Each account holds, per asset:
+ *
+ *   total      what the account owns
+ *   reserved   the part locked by its open orders
+ *   available  total - reserved — what new orders and withdrawals may use
+ *
+ * An order reserves what it could spend the moment it is accepted; a trade
+ * pays out of that reservation; whatever is left is released when the
+ * order is done. The OrderBook drives this — it knows which orders are live.
+ *
+ * An account belongs to the peer that first deposited into it; no other
+ * peer may move its funds.
+ *
+ * Like the OrderBook this is deterministic and changed only by sequenced
+ * commands, so every peer's ledger stays identical.
+ */
+class Accounts {
+    #assets         // Set<asset> — what may be deposited
+    #accounts       // Map<accountId, { owner, balances: Map<asset, { total, reserved }> }>
+    #reservations   // Map<orderId, { accountId, asset, units }>
+
+    /**
+     * @param {object} opts
+     * @param {string[]} opts.assets - e.g. ['BTC', 'USDT', 'ETH']
+     */
+    constructor({ assets }) {
+        if (!assets || assets.length === 0) throw new Error('Accounts requires at least one asset')
+
+        this.#assets = new Set(assets)
+        this.#accounts = new Map()
+        this.#reservations = new Map()
+    }
+
+    // ─── Public API ───────────────────────────────────
+
+    get assets() { return [...this.#assets] }
+
+    /**
+     * Apply a sequenced DEPOSIT or WITHDRAW.
+     * @returns {object} the account's balances afterwards
+     */
+    applyCommand(command) {
+        switch (command.type) {
+            case CommandType.DEPOSIT:
+                return this.deposit(command.accountId, command.asset, command.amount, { peerId: command.peerId })
+            case CommandType.WITHDRAW:
+                return this.withdraw(command.accountId, command.asset, command.amount, { peerId: command.peerId })
+            default:
+                throw new Error(`Unknown command type: ${command.type}`)
+        }
+    }
+
+    /**
+     * @param {string} accountId
+     * @param {string} asset
+     * @param {number|string} amount
+     * @param {object} [opts]
+     * @param {string} [opts.peerId] - Becomes the owner of a new account; must be the owner of an existing one
+     * @returns {object} balances after the deposit
+     */
+    deposit(accountId, asset, amount, { peerId } = {}) {
+        const units = this.#amount(asset, amount)
+        if (!accountId) throw new Error('Deposit needs an accountId')
+        this.assertOwner(accountId, peerId)
+
+        if (!this.#accounts.has(accountId)) {
+            this.#accounts.set(accountId, { owner: peerId || null, balances: new Map() })
+        }
+        this.#balance(accountId, asset).total += units
+        return this.getBalances(accountId)
+    }
+
+    /**
+     * Take funds out. Reserved funds can't be withdrawn.
+     * @returns {object} balances after the withdrawal
+     */
+    withdraw(accountId, asset, amount, { peerId } = {}) {
+        const units = this.#amount(asset, amount)
+        this.assertOwner(accountId, peerId)
+
+        const available = this.available(accountId, asset)
+        if (available < units) {
+            throw new Error(`Insufficient ${asset}: ${this.#show(available)} available, ${amount} requested`)
+        }
+        this.#balance(accountId, asset).total -= units
+        return this.getBalances(accountId)
+    }
+
+    /**
+     * @param {string} accountId
+     * @returns {object} { asset: { total, reserved, available } } for every asset, as numbers
+     */
+    getBalances(accountId) {
+        const balances = {}
+        this.#assets.forEach(asset => {
+            const { total, reserved } = this.#accounts.get(accountId)?.balances.get(asset) ?? { total: 0n, reserved: 0n }
+            balances[asset] = { total: this.#show(total), reserved: this.#show(reserved), available: this.#show(total - reserved) }
+        })
+        return balances
+    }
+
+    /**
+     * Create an account owned by `peerId` ahead of any deposit — for
+     * accounts the system pays into, such as fee collection. An existing
+     * account keeps its owner (throws if that is someone else).
+     */
+    open(accountId, peerId) {
+        this.assertOwner(accountId, peerId)
+        if (!this.#accounts.has(accountId)) this.#accounts.set(accountId, { owner: peerId || null, balances: new Map() })
+        else if (!this.#accounts.get(accountId).owner) this.#accounts.get(accountId).owner = peerId || null
+    }
+
+    /** Throws unless `peerId` may move this account's funds (new accounts are anyone's to open) */
+    assertOwner(accountId, peerId) {
+        const owner = this.#accounts.get(accountId)?.owner
+        if (owner && peerId && owner !== peerId) throw new Error(`Account ${accountId} belongs to ${owner}, not ${peerId}`)
+    }
+
+    // ─── Reservations (driven by OrderBook) ───────────
+
+    /** What an account could still reserve, in ledger units */
+    available(accountId, asset) {
+        const balance = this.#accounts.get(accountId)?.balances.get(asset)
+        return balance ? balance.total - balance.reserved : 0n
+    }
+
+    /** Units still reserved for an order */
+    reservedFor(orderId) {
+        return this.#reservations.get(orderId)?.units ?? 0n
+    }
+
+    /**
+     * Set an order's reservation to exactly `units` — raising it needs the
+     * funds to be available, lowering it releases the difference, 0 drops it.
+     * @throws if the account can't cover an increase
+     */
+    reserve(orderId, accountId, asset, units) {
+        const current = this.#reservations.get(orderId)
+        if (!current && units === 0n) return
+        const held = current?.units ?? 0n
+        const extra = units - held
+
+        if (extra > 0n && this.available(accountId, asset) < extra) {
+            throw new Error(`Insufficient ${asset}: ${this.#show(this.available(accountId, asset))} available, ${this.#show(extra)} needed`)
+        }
+
+        this.#balance(accountId, asset).reserved += extra
+        if (units === 0n) this.#reservations.delete(orderId)
+        else this.#reservations.set(orderId, { accountId, asset, units })
+    }
+
+    /** Free whatever an order still has reserved */
+    release(orderId) {
+        const current = this.#reservations.get(orderId)
+        if (current) this.reserve(orderId, current.accountId, current.asset, 0n)
+    }
+
+    /**
+     * Settle one leg of a trade: pay `units` out of an order's reservation
+     * to another account (which may be the same one).
+     */
+    transfer(orderId, toAccountId, units) {
+        const reservation = this.#reservations.get(orderId)
+        if (!reservation || reservation.units < units) {
+            throw new Error(`Order ${orderId} has not reserved enough to pay ${this.#show(units)}`)
+        }
+
+        const from = this.#balance(reservation.accountId, reservation.asset)
+        from.reserved -= units
+        from.total -= units
+        reservation.units -= units
+        if (reservation.units === 0n) this.#reservations.delete(orderId)
+
+        this.#balance(toAccountId, reservation.asset).total += units
+    }
+
+    /**
+     * Move available funds between accounts — fees and rebates, paid after
+     * the trade that earned them has settled.
+     * @throws if `from` doesn't have `units` available
+     */
+    move(fromAccountId, toAccountId, asset, units) {
+        if (this.available(fromAccountId, asset) < units) {
+            throw new Error(`Insufficient ${asset} in ${fromAccountId} to pay ${this.#show(units)}`)
+        }
+        this.#balance(fromAccountId, asset).total -= units
+        this.#balance(toAccountId, asset).total += units
+    }
+
+    // ─── Snapshots ────────────────────────────────────
+
+    /** Plain, JSON-safe state — BigInts as strings */
+    getSnapshot() {
+        return {
+            accounts: [...this.#accounts].map(([accountId, { owner, balances }]) => ({
+                accountId,
+                owner,
+                balances: Object.fromEntries([...balances].map(([asset, b]) => [
+                    asset, { total: b.total.toString(), reserved: b.reserved.toString() }
+                ]))
+            })),
+            reservations: [...this.#reservations].map(([orderId, r]) => ({ orderId, ...r, units: r.units.toString() }))
+        }
+    }
+
+    loadSnapshot(snapshot) {
+        this.#accounts = new Map((snapshot.accounts || []).map(parseAccount))
+        this.#reservations = new Map((snapshot.reservations || []).map(parseReservation))
+    }
+
+    // ─── Repair ───────────────────────────────────────
+
+    /**
+     * Snapshot entries of just these accounts, with their reservations —
+     * what a peer whose ledger has diverged fetches (see digest.js).
+     */
+    getAccounts(accountIds) {
+        const ids = new Set(accountIds)
+        const { accounts, reservations } = this.getSnapshot()
+        return {
+            accounts: accounts.filter(a => ids.has(a.accountId)),
+            reservations: reservations.filter(r => ids.has(r.accountId))
+        }
+    }
+
+    /**
+     * Overwrite these accounts — owner, balances and every reservation —
+     * with another replica's copy (a getAccounts() result). An account the
+     * copy doesn't have is dropped.
+     */
+    repairAccounts(accountIds, { accounts = [], reservations = [] } = {}) {
+        const ids = new Set(accountIds)
+        ids.forEach(accountId => this.#accounts.delete(accountId))
+        this.#reservations.forEach((r, orderId) => {
+            if (ids.has(r.accountId)) this.#reservations.delete(orderId)
+        })
+
+        accounts.filter(a => ids.has(a.accountId)).map(parseAccount).forEach(([accountId, account]) => this.#accounts.set(accountId, account))
+        reservations.filter(r => ids.has(r.accountId)).map(parseReservation).forEach(([orderId, r]) => this.#reservations.set(orderId, r))
+    }
+
+    // ─── Private ──────────────────────────────────────
+
+    #balance(accountId, asset) {
+        if (!this.#accounts.has(accountId)) this.#accounts.set(accountId, { owner: null, balances: new Map() })
+        const { balances } = this.#accounts.get(accountId)
+        if (!balances.has(asset)) balances.set(asset, { total: 0n, reserved: 0n })
+        return balances.get(asset)
+    }
+
+    #amount(asset, amount) {
+        if (!this.#assets.has(asset)) throw new Error(`Unknown asset: ${asset}`)
+        if (!(Number(amount) > 0)) throw new Error('Amount must be positive')
+        return toUnits(amount, LEDGER_DECIMALS)
+    }
+
+    #show(units) { return fromUnits(units, LEDGER_DECIMALS) }
+}
+
+/** Snapshot account entry → [accountId, { owner, balances }] */
+function parseAccount({ accountId, owner, balances }) {
+    return [accountId, {
+        owner,
+        balances: new Map(Object.entries(balances).map(([asset, b]) => [
+            asset, { total: BigInt(b.total), reserved: BigInt(b.reserved) }
+        ]))
+    }]
+}
+
+/** Snapshot reservation entry → [orderId, { accountId, asset, units }] */
+function parseReservation({ orderId, units, ...r }) {
+    return [orderId, { ...r, units: BigInt(units) }]
+}
+
+/** Market units (`decimals` places) → ledger units */
+function toLedgerUnits(units, decimals) {
+    return units * 10n ** BigInt(LEDGER_DECIMALS - decimals)
+}
+
+module.exports = { Accounts, LEDGER_DECIMALS, toLedgerUnits }
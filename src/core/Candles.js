@@ -0,0 +1,231 @@
+'use strict'
+
+const { toUnits, fromUnits } = require('./decimal')
+const { CandleInterval } = require('./enums')
+
+const MINUTE = 60 * 1000
+const DAY = 24 * 60 * MINUTE
+
+/** Width of each CandleInterval in ms */
+const INTERVAL_MS = Object.freeze({
+    [CandleInterval.ONE_MINUTE]: MINUTE,
+    [CandleInterval.FIVE_MINUTES]: 5 * MINUTE,
+    [CandleInterval.ONE_HOUR]: 60 * MINUTE,
+    [CandleInterval.ONE_DAY]: DAY
+})
+
+/** Candles kept per interval unless configured otherwise — a day of 1m candles */
+const DEFAULT_LIMIT = DAY / MINUTE
+
+/** changePercent is given to this many decimals */
+const PERCENT_DECIMALS = 2
+
+/**
+ * Candles — OHLCV bars and 24h stats for one market
+ *
+ * Every trade is added to the bar it falls in at each CandleInterval,
+ * bucketed by the trade's own timestamp (never the local clock), so every
+ * peer builds the same bars. A bar only exists once something traded in it:
+ *
+ *   { interval, openTime, closeTime, open, high, low, close, volume, quoteVolume, trades }
+ *
+ * `closeTime` is exclusive, `volume` is in base, `quoteVolume` (price ×
+ * quantity) in quote. Sums are kept in BigInt units and are exact.
+ *
+ * Only the newest `limit` bars of each interval are kept. The 1m series
+ * always keeps at least a day, because the 24h ticker is added up from it —
+ * its window therefore starts on a minute boundary.
+ */
+class Candles {
+    #pricePrecision
+    #quantityPrecision
+    #limit   // bars kept per interval
+    #series  // Map<interval, Array<bar>> — oldest first; a bar's prices and sums are BigInt units
+
+    /**
+     * @param {object} [opts]
+     * @param {number} [opts.pricePrecision=2]
+     * @param {number} [opts.quantityPrecision=8]
+     * @param {number} [opts.limit=1440] - Bars kept per interval
+     */
+    constructor({ pricePrecision = 2, quantityPrecision = 8, limit = DEFAULT_LIMIT } = {}) {
+        if (!Number.isInteger(limit) || limit < 1) throw new Error('Candle limit must be a positive integer')
+
+        this.#pricePrecision = pricePrecision
+        this.#quantityPrecision = quantityPrecision
+        this.#limit = limit
+        this.#series = new Map(Object.keys(INTERVAL_MS).map(interval => [interval, []]))
+    }
+
+    // ─── Public API ───────────────────────────────────
+
+    /** Add a trade ({ price, quantity, timestamp }) to its bar at every interval */
+    record(trade) {
+        const price = toUnits(trade.price, this.#pricePrecision)
+        const quantity = toUnits(trade.quantity, this.#quantityPrecision)
+
+        this.#series.forEach((bars, interval) => {
+            const bar = this.#barAt(interval, trade.timestamp - trade.timestamp % INTERVAL_MS[interval])
+            if (!bar) return   // older than anything still kept
+
+            if (bar.trades === 0) {
+                bar.open = bar.high = bar.low = price
+            } else {
+                if (price > bar.high) bar.high = price
+                if (price < bar.low) bar.low = price
+            }
+            bar.close = price
+            bar.volume += quantity
+            bar.quoteVolume += price * quantity
+            bar.trades++
+        })
+    }
+
+    /**
+     * Bars of one interval, oldest first.
+     * @param {string} interval - CandleInterval.*
+     * @param {object} [opts]
+     * @param {number} [opts.from] - Earliest openTime, ms (inclusive)
+     * @param {number} [opts.to]   - Latest openTime, ms (inclusive)
+     * @param {number} [opts.limit] - At most this many — the newest of the range
+     * @returns {Array<object>}
+     */
+    getCandles(interval, { from = null, to = null, limit = null } = {}) {
+        if (!this.#series.has(interval)) throw new Error(`Candle interval must be one of: ${Object.keys(INTERVAL_MS).join(', ')}`)
+        if (from != null && !Number.isFinite(from)) throw new Error('Candle from must be a timestamp in ms')
+        if (to != null && !Number.isFinite(to)) throw new Error('Candle to must be a timestamp in ms')
+        if (limit != null && !(Number.isInteger(limit) && limit > 0)) throw new Error('Candle limit must be a positive integer')
+
+        const bars = this.#series.get(interval)
+            .filter(bar => (from == null || bar.openTime >= from) && (to == null || bar.openTime <= to))
+        return bars.slice(limit == null ? 0 : -limit).map(bar => this.#show(interval, bar))
+    }
+
+    /**
+     * The bar a timestamp falls in at every interval — what a trade at that
+     * time just changed.
+     * @returns {object} { '1m': candle, '5m': candle, ... } — only intervals that have one
+     */
+    getCandlesAt(timestamp) {
+        const candles = {}
+        this.#series.forEach((bars, interval) => {
+            const openTime = timestamp - timestamp % INTERVAL_MS[interval]
+            const bar = bars.findLast(bar => bar.openTime === openTime)
+            if (bar) candles[interval] = this.#show(interval, bar)
+        })
+        return candles
+    }
+
+    /**
+     * Stats over the 24h up to `now`: open, high, low, volume, VWAP and the
+     * change from the first trade to the last. `last` is the latest trade
+     * price even when nothing traded in the window; everything else is null
+     * (or '0') then.
+     * @param {number} now - ms
+     * @returns {object}
+     */
+    getTicker(now) {
+        const minutes = this.#series.get(CandleInterval.ONE_MINUTE)
+        const from = now - DAY
+        const bars = minutes.filter(bar => bar.openTime + MINUTE > from && bar.openTime <= now)
+
+        const last = minutes.length > 0 ? this.#price(minutes[minutes.length - 1].close) : null
+        const empty = { from, to: now, last, open: null, high: null, low: null, change: null, changePercent: null, volume: '0', quoteVolume: '0', vwap: null, trades: 0 }
+        if (bars.length === 0) return empty
+
+        const open = bars[0].open
+        const close = bars[bars.length - 1].close
+        const volume = bars.reduce((sum, bar) => sum + bar.volume, 0n)
+        const quoteVolume = bars.reduce((sum, bar) => sum + bar.quoteVolume, 0n)
+        return {
+            ...empty,
+            open: this.#price(open),
+            high: this.#price(bars.reduce((high, bar) => bar.high > high ? bar.high : high, bars[0].high)),
+            low: this.#price(bars.reduce((low, bar) => bar.low < low ? bar.low : low, bars[0].low)),
+            change: this.#price(close - open),
+            changePercent: fromUnits((close - open) * 100n * 10n ** BigInt(PERCENT_DECIMALS) / open, PERCENT_DECIMALS),
+            volume: fromUnits(volume, this.#quantityPrecision),
+            quoteVolume: fromUnits(quoteVolume, this.#pricePrecision + this.#quantityPrecision),
+            // quote units / base units = price units; rounded half up
+            vwap: this.#price((2n * quoteVolume + volume) / (2n * volume)),
+            trades: bars.reduce((sum, bar) => sum + bar.trades, 0)
+        }
+    }
+
+    getSnapshot() {
+        const series = {}
+        this.#series.forEach((bars, interval) => {
+            series[interval] = bars.map(bar => ({
+                openTime: bar.openTime,
+                open: bar.open.toString(),
+                high: bar.high.toString(),
+                low: bar.low.toString(),
+                close: bar.close.toString(),
+                volume: bar.volume.toString(),
+                quoteVolume: bar.quoteVolume.toString(),
+                trades: bar.trades
+            }))
+        })
+        return { series }
+    }
+
+    loadSnapshot(snapshot) {
+        this.#series.forEach((bars, interval) => {
+            const saved = snapshot.series?.[interval] || []
+            this.#series.set(interval, saved.slice(-this.#keep(interval)).map(bar => ({
+                openTime: bar.openTime,
+                open: BigInt(bar.open),
+                high: BigInt(bar.high),
+                low: BigInt(bar.low),
+                close: BigInt(bar.close),
+                volume: BigInt(bar.volume),
+                quoteVolume: BigInt(bar.quoteVolume),
+                trades: bar.trades
+            })))
+        })
+    }
+
+    // ─── Private ──────────────────────────────────────
+
+    /**
+     * The bar opening at `openTime`, made if it doesn't exist yet. Trades
+     * mostly arrive in time order, so it is looked for from the newest end.
+     * null if it would be older than every bar kept.
+     */
+    #barAt(interval, openTime) {
+        const bars = this.#series.get(interval)
+        let i = bars.length
+        while (i > 0 && bars[i - 1].openTime > openTime) i--
+        if (i > 0 && bars[i - 1].openTime === openTime) return bars[i - 1]
+        if (i === 0 && bars.length >= this.#keep(interval)) return null
+
+        const bar = { openTime, open: 0n, high: 0n, low: 0n, close: 0n, volume: 0n, quoteVolume: 0n, trades: 0 }
+        bars.splice(i, 0, bar)
+        if (bars.length > this.#keep(interval)) bars.shift()
+        return bar
+    }
+
+    /** The ticker adds up a day of 1m bars, so those are never cut shorter */
+    #keep(interval) {
+        return interval === CandleInterval.ONE_MINUTE ? Math.max(this.#limit, DEFAULT_LIMIT) : this.#limit
+    }
+
+    #show(interval, bar) {
+        return {
+            interval,
+            openTime: bar.openTime,
+            closeTime: bar.openTime + INTERVAL_MS[interval],
+            open: this.#price(bar.open),
+            high: this.#price(bar.high),
+            low: this.#price(bar.low),
+            close: this.#price(bar.close),
+            volume: fromUnits(bar.volume, this.#quantityPrecision),
+            quoteVolume: fromUnits(bar.quoteVolume, this.#pricePrecision + this.#quantityPrecision),
+            trades: bar.trades
+        }
+    }
+
+    #price(units) { return fromUnits(units, this.#pricePrecision) }
+}
+
+module.exports = { Candles, INTERVAL_MS }
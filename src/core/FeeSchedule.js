@@ -0,0 +1,160 @@
+'use strict'
+
+const { toUnits, fromUnits, compareDecimals } = require('./decimal')
+
+/** Rates are decimals with at most this many places (0.00015 = 1.5 bp) */
+const RATE_DECIMALS = 8
+
+/** Volume and revenue are tallied in units this fine — any trade amount fits exactly */
+const TALLY_DECIMALS = 18
+
+/**
+ * FeeSchedule — maker/taker fees with volume tiers
+ *
+ * The default fee engine for an OrderBook. Any object with the same four
+ * methods can stand in for it:
+ *
+ *   ratesFor(accountId)  → { maker, taker }  rates for the account's next trade
+ *   record(trade)        → void              a trade with its fees filled in
+ *   getSnapshot() / loadSnapshot(snapshot)   state that affects future rates
+ *
+ * Tiers are picked by the account's cumulative traded volume in this
+ * market, in quote (price × quantity, maker or taker side alike):
+ *
+ *   { minVolume: 0,       maker: 0.001,   taker: 0.002 }
+ *   { minVolume: 1000000, maker: -0.0001, taker: 0.001 }   ← negative maker = rebate
+ *
+ * A rebate is paid out of the taker fee on the same trade, and the two
+ * sides can be on different tiers: the lowest maker rate of any tier can't
+ * go below minus the lowest taker rate of any tier. Whoever trades with
+ * whom, the schedule never pays out more than it takes in.
+ */
+class FeeSchedule {
+    #tiers      // [{ minVolume, maker, taker }] by minVolume ascending
+    #account    // account fees are paid into (and rebates out of), or null
+    #volume     // Map<accountId, bigint> — cumulative quote volume, in TALLY units
+    #revenue    // Map<asset, { fees: bigint, rebates: bigint }> — in TALLY units
+
+    /**
+     * @param {object} opts
+     * @param {Array<{ minVolume: number, maker: number|string, taker: number|string }>} opts.tiers
+     * @param {string} [opts.account] - Ledger account that collects fees and pays rebates
+     */
+    constructor({ tiers, account = null } = {}) {
+        if (!tiers || tiers.length === 0) throw new Error('FeeSchedule requires at least one tier')
+
+        this.#tiers = tiers
+            .map(tier => this.#validateTier(tier))
+            .sort((a, b) => compareDecimals(a.minVolume, b.minVolume))
+        if (this.#tiers[0].minVolume !== '0') throw new Error('The first fee tier must start at minVolume 0')
+
+        // The maker's rate comes from the maker's tier and the taker's from the taker's
+        const lowest = side => this.#tiers.reduce((min, tier) => {
+            const units = toUnits(tier[side], RATE_DECIMALS)
+            return units < min ? units : min
+        }, toUnits(this.#tiers[0][side], RATE_DECIMALS))
+        if (lowest('maker') + lowest('taker') < 0n)
+            throw new Error('Fee tier maker rebate cannot exceed the taker fee of any tier')
+
+        this.#account = account
+        this.#volume = new Map()
+        this.#revenue = new Map()
+    }
+
+    // ─── Public API ───────────────────────────────────
+
+    /** Where fees go — null if they are only recorded */
+    get account() { return this.#account }
+
+    /** Tiers as configured, lowest volume first */
+    get tiers() { return this.#tiers.map(tier => ({ ...tier })) }
+
+    /** @returns {{ maker: number, taker: number }} */
+    ratesFor(accountId) {
+        const { maker, taker } = this.#tierFor(accountId)
+        return { maker, taker }
+    }
+
+    /**
+     * Count a trade towards both accounts' volume and its fees towards
+     * revenue. Expects trade.fees as OrderBook fills it in.
+     */
+    record(trade) {
+        const notional = toUnits(trade.price, TALLY_DECIMALS) * toUnits(trade.quantity, TALLY_DECIMALS) / 10n ** BigInt(TALLY_DECIMALS)
+        for (const { accountId } of [trade.fees.maker, trade.fees.taker]) {
+            if (accountId) this.#volume.set(accountId, (this.#volume.get(accountId) ?? 0n) + notional)
+        }
+
+        Object.values(trade.fees).forEach(({ asset, amount }) => {
+            const units = toUnits(amount, TALLY_DECIMALS)
+            const revenue = this.#revenue.get(asset) ?? { fees: 0n, rebates: 0n }
+            if (units >= 0n) revenue.fees += units
+            else revenue.rebates -= units
+            this.#revenue.set(asset, revenue)
+        })
+    }
+
+    /**
+     * Cumulative fee revenue per asset.
+     * @returns {object} { asset: { fees, rebates, net } }
+     */
+    getRevenue() {
+        const revenue = {}
+        this.#revenue.forEach(({ fees, rebates }, asset) => {
+            revenue[asset] = { fees: this.#show(fees), rebates: this.#show(rebates), net: this.#show(fees - rebates) }
+        })
+        return revenue
+    }
+
+    /** An account's volume so far and the tier it trades at */
+    getAccount(accountId) {
+        const tier = this.#tierFor(accountId)
+        return { accountId, volume: this.#show(this.#volume.get(accountId) ?? 0n), tier: this.#tiers.indexOf(tier), ...this.ratesFor(accountId) }
+    }
+
+    getSnapshot() {
+        return {
+            volume: Object.fromEntries([...this.#volume].map(([id, units]) => [id, units.toString()])),
+            revenue: Object.fromEntries([...this.#revenue].map(([asset, r]) => [asset, { fees: r.fees.toString(), rebates: r.rebates.toString() }]))
+        }
+    }
+
+    loadSnapshot(snapshot) {
+        this.#volume = new Map(Object.entries(snapshot.volume || {}).map(([id, units]) => [id, BigInt(units)]))
+        this.#revenue = new Map(Object.entries(snapshot.revenue || {}).map(([asset, r]) => [
+            asset, { fees: BigInt(r.fees), rebates: BigInt(r.rebates) }
+        ]))
+    }
+
+    // ─── Private ──────────────────────────────────────
+
+    #tierFor(accountId) {
+        const volume = this.#volume.get(accountId) ?? 0n
+        let current = this.#tiers[0]
+        for (const tier of this.#tiers) {
+            if (volume >= toUnits(tier.minVolume, TALLY_DECIMALS)) current = tier
+        }
+        return current
+    }
+
+    #validateTier({ minVolume = 0, maker, taker }) {
+        if (!(Number(minVolume) >= 0)) throw new Error('Fee tier minVolume must be zero or more')
+        minVolume = fromUnits(toUnits(minVolume, TALLY_DECIMALS), TALLY_DECIMALS)
+
+        const rate = (value, label) => {
+            try {
+                return fromUnits(toUnits(value, RATE_DECIMALS), RATE_DECIMALS)
+            } catch (err) {
+                throw new Error(`Fee tier ${label} rate ${value} must be a decimal with at most ${RATE_DECIMALS} places`)
+            }
+        }
+        const tier = { minVolume, maker: rate(maker, 'maker'), taker: rate(taker, 'taker') }
+
+        if (toUnits(tier.taker, RATE_DECIMALS) < 0n) throw new Error('Fee tier taker rate cannot be negative')
+        return tier
+    }
+
+    #show(units) { return fromUnits(units, TALLY_DECIMALS) }
+}
+
+module.exports = { FeeSchedule, RATE_DECIMALS }
@@ -74,6 +74,9 @@ class Heap {
         return removed
     }
 
+    /** O(n) — look up a specific item by id without removing it */
+    findById(id) { return this.#data.find(o => o.id === id) ?? null }
+
     /** Update quantity of an existing order in place — O(1) */
     updateQuantity(id, newQuantity) {
         const item = this.#data.find(o => o.id === id)
@@ -144,4 +147,4 @@ class AskHeap extends Heap {
     }
 }
 
-module.exports = { BidHeap, AskHeap }
\ No newline at end of file
+module.exports = { Heap, BidHeap, AskHeap }
\ No newline at end of file
@@ -0,0 +1,128 @@
+'use strict'
+
+const { OrderBook } = require('./OrderBook')
+const { FeeSchedule } = require('./FeeSchedule')
+const { CommandType } = require('./enums')
+
+/**
+ * MarketRegistry — one OrderBook per trading pair
+ *
+ * OrderBook is pair-agnostic; this is what lets one peer host several
+ * markets. Commands carry a `pair` and are routed to the matching book.
+ * Snapshots cover every market at once so the join protocol and the
+ * journal still deal with a single seq-stamped state.
+ *
+ * With an Accounts ledger, every book reserves and settles funds in it,
+ * and DEPOSIT / WITHDRAW commands (which have no pair) go to it directly.
+ */
+class MarketRegistry {
+    #books    // Map<pair, OrderBook>
+    #accounts // Accounts shared by every book, or null
+
+    /**
+     * @param {object} markets - { 'BTC/USDT': { pricePrecision, quantityPrecision, fees?, circuitBreaker?, ... }, ... } —
+     *                           OrderBook options per market; `fees` is FeeSchedule config ({ tiers, account, owner })
+     * @param {object} [options]
+     * @param {function} [options.clock]  - Passed through to every OrderBook
+     * @param {Accounts} [options.accounts] - Ledger shared by every OrderBook
+     * @param {function} [options.tradeStore] - pair => TradeStore for that market's history (default: OrderBook's own)
+     * @param {object}   [options.hooks]  - Same hooks as OrderBook, each also called with the pair
+     */
+    constructor(markets, options = {}) {
+        const pairs = Object.keys(markets || {})
+        if (pairs.length === 0) throw new Error('MarketRegistry requires at least one market')
+
+        this.#accounts = options.accounts || null
+        this.#books = new Map()
+        pairs.forEach(pair => {
+            // Same hook names as OrderBook, with the pair appended to every call
+            const hooks = Object.fromEntries(
+                Object.entries(options.hooks || {}).map(([name, hook]) => [name, data => hook(data, pair)])
+            )
+            this.#books.set(pair, new OrderBook(pair, {
+                ...markets[pair],
+                clock: options.clock,
+                accounts: this.#accounts,
+                fees: this.#feeSchedule(markets[pair].fees),
+                tradeStore: options.tradeStore?.(pair),
+                hooks
+            }))
+        })
+    }
+
+    /** FeeSchedule from market config; its collecting account is opened for its owner up front */
+    #feeSchedule(config) {
+        if (!config) return null
+        if (this.#accounts && config.account) this.#accounts.open(config.account, config.owner)
+        return new FeeSchedule(config)
+    }
+
+    // ─── Public API ───────────────────────────────────
+
+    /** All hosted pairs, in config order */
+    get pairs() { return [...this.#books.keys()] }
+
+    has(pair) { return this.#books.has(pair) }
+
+    /** The shared ledger, or null if funds aren't tracked */
+    get accounts() { return this.#accounts }
+
+    /**
+     * @param {string} pair
+     * @returns {OrderBook}
+     */
+    get(pair) {
+        const book = this.#books.get(pair)
+        if (!book) throw new Error(`Unknown market: ${pair}`)
+        return book
+    }
+
+    /** A peer's open orders across every market */
+    openOrderCount(peerId) {
+        let count = 0
+        this.#books.forEach(book => { count += book.openOrderCount(peerId) })
+        return count
+    }
+
+    /**
+     * Route a sequenced command to its market's book, or a DEPOSIT /
+     * WITHDRAW to the ledger.
+     * @param {object} command - Must carry a `pair`, unless it is a funds command
+     */
+    applyCommand(command) {
+        if (command.type === CommandType.DEPOSIT || command.type === CommandType.WITHDRAW) {
+            if (!this.#accounts) throw new Error('Accounts are not enabled')
+            return this.#accounts.applyCommand(command)
+        }
+        return this.get(command.pair).applyCommand(command)
+    }
+
+    /**
+     * Every market's book state.
+     * @param {object} [opts]
+     * @param {boolean} [opts.includeTrades=false] - Also export trade history (for disk snapshots)
+     * @returns {{ markets: object, accounts?: object }}
+     */
+    getSnapshot({ includeTrades = false } = {}) {
+        const markets = {}
+        this.#books.forEach((book, pair) => {
+            markets[pair] = includeTrades
+                ? { ...book.getSnapshot(), trades: book.getTrades() }
+                : book.getSnapshot()
+        })
+        return this.#accounts ? { markets, accounts: this.#accounts.getSnapshot() } : { markets }
+    }
+
+    /**
+     * Load a snapshot produced by getSnapshot(). Markets we don't host are
+     * ignored; markets the snapshot doesn't mention are left as they are.
+     */
+    loadSnapshot(snapshot) {
+        Object.entries(snapshot.markets || {}).forEach(([pair, marketSnapshot]) => {
+            if (this.#books.has(pair)) this.#books.get(pair).loadSnapshot(marketSnapshot)
+        })
+        if (this.#accounts && snapshot.accounts) this.#accounts.loadSnapshot(snapshot.accounts)
+    }
+}
+
+module.exports = { MarketRegistry }
@@ -1,13 +1,50 @@
 'use strict'
 
-const { BidHeap, AskHeap } = require('./Heap')
-const { OrderSide, OrderType, OrderStatus, OrderBookEvent } = require('./enums')
+const { BidLevels, AskLevels } = require('./PriceLevels')
+const { Heap } = require('./Heap')
+const { toUnits, fromUnits, compareDecimals, minUnits } = require('./decimal')
+const { LEDGER_DECIMALS, toLedgerUnits } = require('./Accounts')
+const { RATE_DECIMALS } = require('./FeeSchedule')
+const { uncrossingPrice } = require('./auction')
+const { createAllocator } = require('./allocation')
+const { Candles } = require('./Candles')
+const { TradeStore } = require('./TradeStore')
+const {
+    OrderSide, OrderType, TimeInForce, OrderStatus, SelfTradePrevention, AllocationStrategy, RemovalReason,
+    TradingPhase, HaltReason, AuctionType, CandleInterval, OrderBookEvent, CommandType
+} = require('./enums')
+
+/** Circuit breaker thresholds are fractions with at most this many places (0.05 = 5%) */
+const BREAKER_DECIMALS = 8
+
+/** Trading status of a market nobody has halted */
+const CONTINUOUS_TRADING = Object.freeze({
+    phase: TradingPhase.CONTINUOUS, since: null, reason: null, note: null, resumeAt: null, auction: null, uncrossAt: null
+})
+
+/** maxSlippageBps may have this many decimals (2.5 bps is fine) */
+const BPS_DECIMALS = 2
+
+/** How many early cancels we remember before forgetting the oldest */
+const MAX_TOMBSTONES = 10000
+
+/**
+ * An order as anyone but the book may see it: null if hidden, an iceberg
+ * shows only its current slice.
+ */
+function publicOrder(order) {
+    if (order.hidden) return null
+    const { reserve, displayQuantity, hidden, ...shown } = order
+    return { ...shown }
+}
 
 /**
  * OrderBook — Generic, plug-and-play order book
  *
  * Improvements over v1:
  *  ✅ MinHeap / MaxHeap instead of sorted arrays → O(log n) inserts
+ *  ✅ Price levels indexed by order id           → O(1) cancel / partial fill
+ *  ✅ Exact decimal math in BigInt units         → no float dust
  *  ✅ # private fields instead of _ convention   → truly private
  *  ✅ Enums instead of hardcoded strings          → typo-safe
  *  ✅ P2P ready: getSnapshot, loadSnapshot, applyRemoteOrder
@@ -20,20 +57,70 @@ class OrderBook {
     #pair
     #pricePrecision
     #quantityPrecision
-    #bids       // BidHeap  — MaxHeap, highest price on top
-    #asks       // AskHeap  — MinHeap, lowest price on top
-    #trades     // trade history array
+    #tick       // BigInt — price step, in units of pricePrecision
+    #lot        // BigInt — quantity step, in units of quantityPrecision
+    #bids       // BidLevels — highest price first, FIFO within a price
+    #asks       // AskLevels — lowest price first, FIFO within a price
+    #trades     // TradeStore — trade history, bounded and indexed
+    #candles    // Candles — OHLCV bars and 24h stats built from the trades
     #hooks      // event hooks map
+    #clock      // () => ms timestamp — injectable so replicas can be compared
+    #tombstones // Map<orderId, peerId|null> — cancelled before the order itself arrived, by whom
+    #uncrossCache // last #findUncross() and the side versions and last trade it was worked out for
+    #gtd        // Map<orderId, { id, expiresAt, seq }> — each GTD order's and GTD stop's entry in the expiry heap
+    #gtdExpiry  // Heap of GTD entries, earliest expiresAt on top — then earliest placed
+    #gtdSeq     // GTD entries made so far — an entry's seq is its place in that order
+    #stops      // Map<orderId, order> — trigger book: stop orders waiting for their price
+    #stopsByPeer // Map<peerId, number> — pending stops per peer, for openOrderCount
+    #stopEntries // Map<orderId, { id, stop, units, seq }> — each pending stop's entry in the trigger heaps
+    #buyStops    // Heap of entries, lowest stop price on top — the next a rising price crosses
+    #sellStops   // Heap of entries, highest stop price on top — the next a falling price crosses
+    #crossedStops // Heap of entries, earliest placed on top — stops the price has reached, in firing order
+    #stopSeq     // stops placed so far — an entry's seq is its place in that order
+    #stopChanges // Set<orderId> — stops put in or taken out since takeChanges, null until it is called
+    #lastTrade  // most recent trade — its price drives stop triggers
+    #selfTradePrevention // default SelfTradePrevention mode, or null to allow self-trades
+    #allocator  // { strategy, allocate } — how a taker is shared among the orders at the best price
+    #accounts   // Accounts — funds checked, reserved and settled per order; null = no funds checks
+    #base       // asset bought and sold, e.g. 'BTC' in BTC/USDT
+    #quote      // asset prices are in, e.g. 'USDT'
+    #fees       // fee engine (FeeSchedule or anything shaped like it), or null for no fees
+    #trading    // { phase, since, reason, note, resumeAt, uncrossAt } — see TradingPhase
+    #breaker    // { threshold (BREAKER_DECIMALS units), window, haltDuration }, or null for no breaker
+    #breakerWindow  // [{ timestamp, price }] — trades inside the breaker window, oldest first
+    #breakerLow     // [{ timestamp, price, units }] — window trades no later trade undercut: rising prices, lowest first
+    #breakerHigh    // ...and those no later trade topped: falling prices, highest first
+    #auctionDuration // ms a reopening auction collects orders before it uncrosses
+    #applying   // true once the command being applied has passed its checks and started changing the book
 
     /**
      * @param {string} pair       - e.g. 'BTC/USDT', 'GOLD/USD'
      * @param {object} [options]
      * @param {number} [options.pricePrecision=2]
      * @param {number} [options.quantityPrecision=8]
+     * @param {number|string} [options.tickSize] - Smallest price step (default: one unit of pricePrecision)
+     * @param {number|string} [options.lotSize]  - Smallest quantity step (default: one unit of quantityPrecision)
+     * @param {string}   [options.selfTradePrevention]  - Default SelfTradePrevention.* for orders that don't set one
+     * @param {string|object} [options.allocation]      - AllocationStrategy.* (default: FIFO), { strategy, minAllocation?, topOrderMax? },
+     *                                                    or a custom { allocate } — see allocation.js
+     * @param {Accounts} [options.accounts]            - Ledger to reserve and settle funds in (pair must be BASE/QUOTE)
+     * @param {FeeSchedule} [options.fees]              - Fee engine — sets each trade's maker/taker fees
+     * @param {TradeStore} [options.tradeStore]         - Trade history (default: the newest 10000 trades in memory)
+     * @param {object} [options.circuitBreaker]         - Halt when a trade would move the price too far too fast
+     * @param {number|string} options.circuitBreaker.threshold - Largest move allowed, as a fraction: 0.1 = 10%
+     * @param {number} options.circuitBreaker.window    - ms of trades the move is measured over
+     * @param {number} [options.circuitBreaker.haltDuration] - ms until the halt lifts by itself (default: only a RESUME lifts it)
+     * @param {number} [options.auctionDuration=0]      - ms a reopening auction collects orders (0 = uncross on resume)
+     * @param {object} [options.candles]                - { limit } — candles kept per interval (default: a day of 1m)
+     * @param {function} [options.clock=Date.now]      - Time source for snapshots / default timestamps
      * @param {object} [options.hooks]                  - Event hooks
      * @param {function} [options.hooks.onTrade]        - Called on every trade
      * @param {function} [options.hooks.onOrderAdded]   - Called when order added to book
      * @param {function} [options.hooks.onOrderRemoved] - Called when order removed
+     * @param {function} [options.hooks.onOrderAmended] - Called when a resting order is amended
+     * @param {function} [options.hooks.onStopTriggered] - Called when a stop order activates
+     * @param {function} [options.hooks.onTradingStatus] - Called when the market halts, goes to auction or reopens
+     * @param {function} [options.hooks.onIndicativeUncross] - Called during an auction whenever the book changes, with getIndicativeUncross()
      */
     constructor(pair, options = {}) {
         if (!pair) throw new Error('OrderBook requires a trading pair e.g. "BTC/USDT"')
@@ -41,15 +128,51 @@ class OrderBook {
         this.#pair = pair
         this.#pricePrecision = options.pricePrecision ?? 2
         this.#quantityPrecision = options.quantityPrecision ?? 8
-        this.#bids = new BidHeap()
-        this.#asks = new AskHeap()
-        this.#trades = []
+        this.#tick = this.#step(options.tickSize, this.#pricePrecision, 'Tick size')
+        this.#lot = this.#step(options.lotSize, this.#quantityPrecision, 'Lot size')
+        this.#bids = this.#newSide(BidLevels)
+        this.#asks = this.#newSide(AskLevels)
+        this.#trades = options.tradeStore || new TradeStore()
+        this.#candles = new Candles({ pricePrecision: this.#pricePrecision, quantityPrecision: this.#quantityPrecision, ...options.candles })
+        this.#tombstones = new Map()
+        this.#uncrossCache = null
+        this.#clearGtd()
+        this.#setStops([])
+        this.#lastTrade = null
+        this.#clock = options.clock || Date.now
+        this.#trading = { ...CONTINUOUS_TRADING }
+        this.#breaker = this.#breakerConfig(options.circuitBreaker)
+        this.#resetBreakerWindow([])
+        this.#auctionDuration = options.auctionDuration ?? 0
+        this.#applying = false
+        if (!(this.#auctionDuration >= 0)) throw new Error('Auction duration cannot be negative')
+
+        if (options.selfTradePrevention && !Object.values(SelfTradePrevention).includes(options.selfTradePrevention))
+            throw new Error(`Self-trade prevention must be one of: ${Object.values(SelfTradePrevention).join(', ')}`)
+        this.#selfTradePrevention = options.selfTradePrevention || null
+        this.#allocator = createAllocator(options.allocation ?? null, this.#quantityPrecision)
+
+        const [base, quote] = pair.split('/')
+        this.#base = base
+        this.#quote = quote
+        this.#accounts = options.accounts || null
+        this.#fees = options.fees || null
+        if (this.#accounts) {
+            if (!this.#accounts.assets.includes(this.#base) || !this.#accounts.assets.includes(this.#quote))
+                throw new Error(`Accounts do not hold both assets of ${pair}`)
+            if (this.#pricePrecision + this.#quantityPrecision > LEDGER_DECIMALS)
+                throw new Error(`pricePrecision + quantityPrecision cannot exceed ${LEDGER_DECIMALS} with accounts`)
+        }
 
         // Hooks — plug your Grenache P2P broadcast logic here
         this.#hooks = {
             [OrderBookEvent.TRADE]: options.hooks?.onTrade || null,
             [OrderBookEvent.ORDER_ADDED]: options.hooks?.onOrderAdded || null,
             [OrderBookEvent.ORDER_REMOVED]: options.hooks?.onOrderRemoved || null,
+            [OrderBookEvent.ORDER_AMENDED]: options.hooks?.onOrderAmended || null,
+            [OrderBookEvent.STOP_TRIGGERED]: options.hooks?.onStopTriggered || null,
+            [OrderBookEvent.TRADING_STATUS]: options.hooks?.onTradingStatus || null,
+            [OrderBookEvent.INDICATIVE_UNCROSS]: options.hooks?.onIndicativeUncross || null,
         }
     }
 
@@ -58,86 +181,239 @@ class OrderBook {
     /** Expose pair as read-only */
     get pair() { return this.#pair }
 
+    /** The fee engine, or null if this market charges none */
+    get fees() { return this.#fees }
+
+    /** Name of the allocation strategy — AllocationStrategy.*, or a custom strategy's own */
+    get allocation() { return this.#allocator.strategy }
+
     /**
      * Add a new order. Runs matching automatically.
      *
      * @param {object} order
      * @param {string}  order.id
      * @param {string}  order.side      - Use OrderSide.BUY or OrderSide.SELL
-     * @param {string}  [order.type]    - Use OrderType.LIMIT or OrderType.MARKET (default: LIMIT)
-     * @param {number}  order.price     - Not needed for MARKET orders
-     * @param {number}  order.quantity
+     * @param {string}  [order.type]    - Use OrderType.* (default: LIMIT)
+     * @param {number|string} order.price     - Not needed for MARKET / STOP_MARKET orders
+     * @param {number|string} [order.stopPrice] - Required for STOP_MARKET / STOP_LIMIT
+     * @param {number|string} order.quantity
      * @param {string}  [order.peerId]  - Which P2P peer submitted this
      * @param {number}  [order.timestamp]
+     * @param {string}  [order.timeInForce] - Use TimeInForce.* (default: GTC)
+     * @param {number}  [order.expiresAt]   - Required for GTD — ms timestamp
+     * @param {boolean} [order.postOnly]    - Limit only: reject instead of taking liquidity
+     * @param {string}  [order.accountId]   - Owner for self-trade prevention (falls back to peerId)
+     * @param {string}  [order.selfTradePrevention] - Use SelfTradePrevention.* (default: the book's)
+     * @param {number|string} [order.displayQuantity] - Iceberg: only this much shows at a time, the rest is a hidden reserve
+     * @param {boolean} [order.hidden]      - Matches like any limit order but never shows in depth or public snapshots
+     * @param {number}  [order.maxSlippageBps]  - Market only: stop sweeping this many bps past the best price at arrival
+     * @param {number|string} [order.protectionPrice] - Market only: stop sweeping past this price
+     *
+     * A market order that stops at its protection price finishes as
+     * SLIPPAGE_LIMITED, with the unfilled part as its remainder.
+     *
+     * While the market is HALTED every new order is refused (throws). During
+     * an AUCTION only GTC/GTD limit orders and stops are accepted, and they
+     * rest without matching until the uncross.
+     *
+     * With accounts, the order's account (accountId, or its peerId) must be
+     * able to cover it — quote for a buy at its limit price, base for a sell —
+     * or it is rejected with an "Insufficient ..." error.
      *
-     * @returns {{ trades: array, remainder: object|null, status: string }}
+     * @returns {{ trades: array, remainder: object|null, status: string, selfTradeCancels: array, triggered: array }}
+     *   selfTradeCancels — { orderId, side, quantity, mode } for every quantity self-trade prevention cancelled
+     *   triggered — stop orders this order's trades set off, each with its own result
      */
     addOrder(order) {
         this.#validateOrder(order)
+        this.#checkPhase(order)
+        if (this.#findResting(order.id)) throw new Error(`Order ${order.id} already exists`)
 
         const normalised = {
             id: order.id,
             side: order.side,
             type: order.type || OrderType.LIMIT,
-            price: order.type === OrderType.MARKET
+            price: this.#isMarketLike(order)
                 ? null
-                : this.#round(order.price, this.#pricePrecision),
-            quantity: this.#round(order.quantity, this.#quantityPrecision),
+                : this.#exactPrice(order.price),
+            quantity: this.#exactQuantity(order.quantity),
             peerId: order.peerId || null,
-            timestamp: order.timestamp || Date.now(),
+            accountId: order.accountId || null,
+            timestamp: order.timestamp || this.#clock(),
+            // Market orders never rest, so they are IOC unless they ask for FOK
+            timeInForce: order.timeInForce
+                || (this.#isMarketLike(order) ? TimeInForce.IOC : TimeInForce.GTC),
+            postOnly: !!order.postOnly,
+            expiresAt: order.expiresAt ?? null,
+            selfTradePrevention: order.selfTradePrevention || this.#selfTradePrevention,
+            displayQuantity: order.displayQuantity == null ? null : this.#exactQuantity(order.displayQuantity),
+            hidden: !!order.hidden,
+            maxSlippageBps: order.maxSlippageBps ?? null,
+            protectionPrice: order.protectionPrice == null ? null : this.#exactPrice(order.protectionPrice),
             status: OrderStatus.OPEN
         }
 
-        const { trades, remainder } = this.#match(normalised)
+        if (this.#isStop(normalised)) normalised.stopPrice = this.#exactPrice(order.stopPrice)
+        this.#checkFunds(normalised)
+        this.#applying = true
 
-        // ⚠️  Push trades to history FIRST before any hooks fire.
-        // Hooks trigger SSE which calls getTrades() — if we push after,
-        // the new trade is missing from the browser update. Bug fixed here.
-        this.#trades.push(...trades)
-
-        // Now emit TRADE hooks — trades are in this.#trades so getTrades() is up to date
-        trades.forEach(trade => this.#emit(OrderBookEvent.TRADE, trade))
-
-        // Determine final status
-        if (remainder && remainder.quantity > 0) {
-            remainder.status = trades.length > 0
-                ? OrderStatus.PARTIALLY_FILLED
-                : OrderStatus.OPEN
-
-            // Only limit orders sit in the book — market orders vanish
-            if (remainder.type === OrderType.LIMIT) {
-                this.#insertOrder(remainder)
-                this.#emit(OrderBookEvent.ORDER_ADDED, remainder)
-            }
+        // Its cancel won the race — the order is dead on arrival. Only an
+        // order that got this far uses the tombstone up: one refused above
+        // leaves it, so the cancel still catches the order if it comes again
+        if (this.#takeTombstone(normalised)) {
+            this.#release(normalised)
+            return { trades: [], remainder: null, status: OrderStatus.CANCELLED, selfTradeCancels: [], triggered: [] }
         }
 
+        if (this.#isStop(normalised)) return this.#addStop(normalised)
 
-        return {
-            trades,
-            remainder: remainder?.quantity > 0 ? remainder : null,
-            status: remainder?.quantity > 0
-                ? remainder.status
-                : OrderStatus.FILLED
-        }
+        const result = this.#execute(normalised)
+        return { ...result, triggered: this.#triggerStops() }
     }
 
     /**
      * Cancel an order by ID.
+     *
+     * Idempotent: cancelling an order that is already filled or cancelled
+     * returns null and changes nothing. Cancelling an id the book has never
+     * seen leaves a tombstone, so if the order shows up afterwards it is
+     * dropped instead of trading — as long as it is the cancelling peer's.
+     *
      * @param {string} orderId
+     * @param {object} [opts]
+     * @param {string} [opts.peerId] - If given, only the owning peer may cancel
      * @returns {object|null}
      */
-    cancelOrder(orderId) {
-        // Try bids first, then asks
+    cancelOrder(orderId, { peerId } = {}) {
+        const resting = this.#findResting(orderId)
+
+        if (!resting) {
+            this.#addTombstone(orderId, peerId)
+            return null
+        }
+
+        if (peerId && resting.peerId !== peerId) {
+            throw new Error(`Order ${orderId} belongs to ${resting.peerId}, not ${peerId}`)
+        }
+        this.#applying = true
+
+        // Try bids first, then asks, then the trigger book
         let cancelled = this.#bids.removeById(orderId)
             ?? this.#asks.removeById(orderId)
+        if (!cancelled && this.#dropStop(orderId)) cancelled = resting
 
         if (cancelled) {
             cancelled.status = OrderStatus.CANCELLED
+            this.#release(cancelled)
             this.#emit(OrderBookEvent.ORDER_REMOVED, cancelled)
+            this.#publishIndicative()
         }
         return cancelled
     }
 
+    /**
+     * Change the price and/or remaining quantity of a resting order.
+     *
+     * Priority rules:
+     *  - Same price, smaller quantity → amended in place, keeps its queue position
+     *  - New price or larger quantity → goes to the back of the queue at the
+     *    new price, and is matched again first (a new price may now cross)
+     *
+     * Like cancelOrder, amending an order that is no longer resting (filled,
+     * cancelled, still a pending stop) returns null.
+     *
+     * @param {string} orderId
+     * @param {object} changes
+     * @param {number|string} [changes.price]
+     * @param {number|string} [changes.quantity]  - New remaining quantity
+     * @param {object} [opts]
+     * @param {string} [opts.peerId]       - If given, only the owning peer may amend
+     * @param {number} [opts.timestamp]    - New queue time when priority is lost
+     * @returns {{ order: object, trades: array, remainder: object|null, status: string, triggered: array }|null}
+     */
+    amendOrder(orderId, { price, quantity } = {}, { peerId, timestamp } = {}) {
+        if (price == null && quantity == null)
+            throw new Error('Amendment must change price or quantity')
+        if (price != null && !(Number(price) > 0))
+            throw new Error('Amended price must be positive')
+        if (quantity != null && !(Number(quantity) > 0))
+            throw new Error('Amended quantity must be positive')
+        if (price != null) this.#checkTick(price, 'Price')
+        if (quantity != null) this.#checkLot(quantity)
+        if (this.#trading.phase === TradingPhase.HALTED) throw new Error(`${this.#pair} is halted — only cancels are accepted`)
+
+        const book = this.#bids.findById(orderId) ? this.#bids : this.#asks
+        const resting = book.findById(orderId)
+        if (!resting) return null
+
+        if (peerId && resting.peerId !== peerId) {
+            throw new Error(`Order ${orderId} belongs to ${resting.peerId}, not ${peerId}`)
+        }
+
+        // Quantities here are everything left, iceberg reserve included
+        const remaining = this.#remainingUnits(resting)
+        const newPrice = price == null ? resting.price : this.#exactPrice(price)
+        const newUnits = quantity == null ? remaining : this.#quantityUnits(quantity)
+
+        // Shrinking at the same price keeps time priority — update in place O(1)
+        if (newPrice === resting.price && newUnits <= remaining) {
+            this.#applying = true
+            const visible = minUnits(this.#quantityUnits(resting.quantity), newUnits)
+            if (resting.reserve != null) resting.reserve = this.#toQuantity(newUnits - visible)
+            book.updateQuantity(orderId, this.#toQuantity(visible))   // after the reserve, so the level's size counts both
+            this.#reserveFor(resting)
+
+            this.#emit(OrderBookEvent.ORDER_AMENDED, resting)
+            this.#publishIndicative()
+            return { order: resting, trades: [], remainder: resting, status: resting.status, selfTradeCancels: [], triggered: [] }
+        }
+
+        // Anything else loses priority: pull it out and run it through matching again
+        const { reserve, ...unsplit } = resting   // an iceberg is re-sliced when it rests again
+        const replacement = {
+            ...unsplit,
+            price: newPrice,
+            quantity: this.#toQuantity(newUnits),
+            timestamp: timestamp || this.#clock(),
+            status: OrderStatus.OPEN
+        }
+        this.#reserveFor(replacement)   // throws — leaving the order as it was — if the account can't cover it
+        this.#applying = true
+        book.removeById(orderId)
+
+        const result = this.#execute(replacement)
+        if (result.remainder) {
+            this.#emit(OrderBookEvent.ORDER_AMENDED, result.remainder)
+        } else if (result.status !== OrderStatus.CANCELLED) {   // a cancel has already gone out as ORDER_REMOVED
+            this.#emit(OrderBookEvent.ORDER_REMOVED, this.#amendedAway(replacement, result.status))
+        }
+
+        return { order: replacement, ...result, triggered: this.#triggerStops() }
+    }
+
+    /**
+     * Expire every resting GTD order and pending GTD stop whose expiresAt is
+     * at or before `now`.
+     * Only call this with a time every peer agrees on (a sequenced
+     * EXPIRE_ORDERS command), never the local clock.
+     *
+     * @param {number} now - ms timestamp
+     * @returns {object[]} the expired orders
+     */
+    expireOrders(now) {
+        this.#applying = true
+        return this.#expireUntil(now)
+    }
+
+    /**
+     * Earliest expiresAt among resting GTD orders and stops — lets the sequencer know
+     * when an EXPIRE_ORDERS tick is worth sending. O(1) but for stale heap entries.
+     * @returns {number|null}
+     */
+    nextExpiry() {
+        return this.#earliestGtd()?.expiresAt ?? null
+    }
+
     /**
      * Apply an order received from a remote peer via P2P.
      * Call this inside your Grenache RPC handler.
@@ -147,6 +423,53 @@ class OrderBook {
         return this.addOrder({ ...order, remote: true })
     }
 
+    /**
+     * Apply a sequenced command (see Sequencer). Every peer feeds the same
+     * commands through here in the same order, so every book ends up identical.
+     *
+     * A command checks everything that can reject it before it changes
+     * anything, so a rejected command leaves the book and the ledger as they
+     * were. An error after that point — a fee engine or allocation strategy
+     * breaking its contract, a hook throwing — is marked `applied`: the book
+     * has changed, and every peer applying the command fails the same way.
+     *
+     * @param {object} command
+     * @param {string} command.type  - Use CommandType.*
+     * @returns {object} result of the underlying book operation
+     */
+    applyCommand(command) {
+        if (command.pair && command.pair !== this.#pair) {
+            throw new Error(`Pair mismatch: expected ${this.#pair}, got ${command.pair}`)
+        }
+
+        this.#applying = false
+        try {
+            switch (command.type) {
+                case CommandType.NEW_ORDER:
+                    return this.addOrder(command.order)
+                case CommandType.CANCEL_ORDER:
+                    return this.cancelOrder(command.orderId, { peerId: command.peerId })
+                case CommandType.AMEND_ORDER:
+                    return this.amendOrder(command.orderId, command.changes, { peerId: command.peerId, timestamp: command.timestamp })
+                case CommandType.EXPIRE_ORDERS:
+                    return this.expireOrders(command.now)
+                case CommandType.HALT:
+                    return this.halt({ reason: HaltReason.MANUAL, note: command.note, duration: command.duration, timestamp: command.timestamp })
+                case CommandType.RESUME:
+                    return this.resume({ timestamp: command.timestamp })
+                case CommandType.START_AUCTION:
+                    return this.startAuction({ type: command.auction, duration: command.duration, timestamp: command.timestamp })
+                case CommandType.UNCROSS:
+                    return this.uncross({ timestamp: command.timestamp })
+                default:
+                    throw new Error(`Unknown command type: ${command.type}`)
+            }
+        } catch (err) {
+            if (this.#applying) err.applied = true
+            throw err
+        }
+    }
+
     /**
      * Export full book state as a plain object.
      * Use this to sync state to a new peer joining the network.
@@ -155,28 +478,376 @@ class OrderBook {
     getSnapshot() {
         return {
             pair: this.#pair,
-            timestamp: Date.now(),
+            timestamp: this.#clock(),
             bids: this.#bids.toArray().map(o => ({ ...o })),
             asks: this.#asks.toArray().map(o => ({ ...o })),
+            stops: [...this.#stops.values()].map(o => ({ ...o })),
+            lastTrade: this.#lastTrade ? { ...this.#lastTrade } : null,
             bestBid: this.bestBid(),
             bestAsk: this.bestAsk(),
-            spread: this.spread()
+            spread: this.spread(),
+            trading: this.getTradingStatus(),
+            breakerWindow: this.#breakerWindow.map(entry => ({ ...entry })),
+            tradeCount: this.#trades.total,   // keeps trade positions (history cursors) the same on every peer
+            candles: this.#candles.getSnapshot(),   // the trades they were built from don't travel with a peer snapshot
+            tombstones: [...this.#tombstones],   // [[orderId, peerId], ...] oldest first — cancels still waiting for their order
+            ...(this.#fees && { fees: this.#fees.getSnapshot() })   // volumes decide future fee tiers
+        }
+    }
+
+    /**
+     * What browsers get to see: hidden orders left out, icebergs showing only
+     * their visible slice. Never load this into a book — matching needs the
+     * full getSnapshot().
+     * @returns {object}
+     */
+    getPublicSnapshot() {
+        const visible = orders => orders.map(publicOrder).filter(Boolean)
+
+        const bids = visible(this.#bids.toArray())
+        const asks = visible(this.#asks.toArray())
+
+        return {
+            ...this.#publicFields(bids[0] ?? null, asks[0] ?? null),
+            bids,
+            asks,
+            stops: [...this.#stops.values()].map(o => ({ ...o }))
+        }
+    }
+
+    /**
+     * What changed in the book since the last call — what a caller keeping
+     * its own copy of the public view or depth current has to look at again,
+     * instead of rebuilding it on every event. Hidden orders never show up.
+     *
+     * @returns {{ bids: object|null, asks: object|null, stops: Set<string>|null }}
+     *   per side { ids, prices } — orders touched and the levels they were at —
+     *   and the stop ids put in or taken out. A part is null on the first call,
+     *   and after the book was reloaded: anything there may have changed.
+     */
+    takeChanges() {
+        const changes = { bids: this.#bids.takeChanges(), asks: this.#asks.takeChanges(), stops: this.#stopChanges }
+        this.#stopChanges = new Set()
+        return changes
+    }
+
+    /**
+     * The part of getPublicSnapshot() that `changes` (from takeChanges) touched,
+     * shaped like a diffView result: per list, the orders as they are now and
+     * the ids gone; every other field as it is now.
+     * @returns {object|null} null if the changes don't say what changed
+     */
+    getPublicChanges(changes) {
+        if (!changes.bids || !changes.asks || !changes.stops) return null
+        const touched = (ids, find) => {
+            const set = []
+            const removed = []
+            ids.forEach(id => {
+                const order = find(id)
+                if (order) set.push({ ...order })
+                else removed.push(id)
+            })
+            return { set, removed }
+        }
+
+        const shown = book => id => {
+            const order = book.findById(id)
+            return order && publicOrder(order)
+        }
+
+        return {
+            bids: touched(changes.bids.ids, shown(this.#bids)),
+            asks: touched(changes.asks.ids, shown(this.#asks)),
+            stops: touched(changes.stops, id => this.#stops.get(id)),
+            fields: this.#publicFields(this.#bestShown(this.#bids), this.#bestShown(this.#asks))
         }
     }
 
     /**
-     * Load a snapshot from another peer.
-     * @param {object} snapshot - Result of getSnapshot() from another peer
+     * Load a snapshot from another peer, or from disk.
+     * @param {object} snapshot - Result of getSnapshot(), optionally with a `trades` array
      */
     loadSnapshot(snapshot) {
         if (snapshot.pair !== this.#pair) {
             throw new Error(`Pair mismatch: expected ${this.#pair}, got ${snapshot.pair}`)
         }
-        // Rebuild heaps from snapshot arrays
-        this.#bids = new BidHeap()
-        this.#asks = new AskHeap()
-        snapshot.bids.forEach(o => this.#bids.insert(o))
-        snapshot.asks.forEach(o => this.#asks.insert(o))
+        // Rebuild both sides from snapshot arrays
+        this.#bids = this.#newSide(BidLevels)
+        this.#asks = this.#newSide(AskLevels)
+        this.#clearGtd()
+        snapshot.bids.forEach(o => this.#insertOrder(this.#canonicalOrder(o)))
+        snapshot.asks.forEach(o => this.#insertOrder(this.#canonicalOrder(o)))
+        this.#setStops((snapshot.stops || []).map(o => this.#canonicalOrder(o)))
+        this.#lastTrade = this.#canonicalTrade(snapshot.lastTrade)
+        this.#trading = { ...CONTINUOUS_TRADING, ...snapshot.trading }
+        this.#resetBreakerWindow(snapshot.breakerWindow || [])
+        this.#tombstones = new Map(snapshot.tombstones || [])
+        if (this.#fees && snapshot.fees) this.#fees.loadSnapshot(snapshot.fees)
+
+        // Snapshots persisted to disk also carry trade history; peer snapshots don't.
+        // Without saved candles (an older snapshot) they are rebuilt from the trades.
+        if (snapshot.trades) this.#trades.load(snapshot.trades.map(t => ({ ...t })), snapshot.tradeCount)
+        else if (snapshot.tradeCount != null) this.#trades.advanceTo(snapshot.tradeCount)
+        if (snapshot.candles) {
+            this.#candles.loadSnapshot(snapshot.candles)
+        } else if (snapshot.trades) {
+            this.#candles.loadSnapshot({})
+            snapshot.trades.forEach(trade => this.#candles.record(trade))
+        }
+    }
+
+    // ─── Trading phases ───────────────────────────────
+
+    /**
+     * Whether the market is trading and why not if it isn't.
+     * @returns {{ phase: string, since: number|null, reason: string|null, note: string|null, resumeAt: number|null, auction: string|null, uncrossAt: number|null }}
+     *   phase — TradingPhase.*; reason — HaltReason.* while halted; resumeAt — when a
+     *   timed halt is due to lift; auction — AuctionType.* during an auction;
+     *   uncrossAt — when the auction is due to end (null: when someone uncrosses it)
+     */
+    getTradingStatus() {
+        return { ...this.#trading }
+    }
+
+    /**
+     * Stop all trading. Resting orders stay put and can be cancelled, but
+     * nothing new is accepted until resume().
+     *
+     * @param {object} [options]
+     * @param {string} [options.reason]    - Use HaltReason.* (default: MANUAL)
+     * @param {string} [options.note]      - Free text shown with the status
+     * @param {number} [options.duration]  - ms until the halt is due to lift (default: until resumed)
+     * @param {number} [options.timestamp] - Sequenced time of the halt
+     * @returns {object} the new trading status
+     */
+    halt({ reason = HaltReason.MANUAL, note = null, duration = null, timestamp = this.#clock() } = {}) {
+        if (this.#trading.phase === TradingPhase.HALTED) throw new Error(`${this.#pair} is already halted`)
+        if (duration != null && !(duration > 0)) throw new Error('Halt duration must be positive')
+        this.#applying = true
+
+        this.#setPhase(TradingPhase.HALTED, timestamp, {
+            reason,
+            note: note ?? null,
+            resumeAt: duration != null ? timestamp + duration : null
+        })
+        return this.getTradingStatus()
+    }
+
+    /**
+     * End a halt. The market reopens with a call auction: limit orders
+     * collect without matching for auctionDuration ms and then all trade at
+     * one price (uncross). With no auctionDuration it uncrosses straight away.
+     * A market closed by a closing auction reopens with an OPENING auction,
+     * any other halt with a REOPENING one.
+     *
+     * @param {object} [options]
+     * @param {number} [options.timestamp] - Sequenced time of the resume
+     * @returns {{ trading: object, uncross: object|null }} the new status, and the uncross result if it ran
+     */
+    resume({ timestamp = this.#clock() } = {}) {
+        if (this.#trading.phase !== TradingPhase.HALTED) throw new Error(`${this.#pair} is not halted`)
+        this.#applying = true
+
+        const auction = this.#trading.reason === HaltReason.MARKET_CLOSED ? AuctionType.OPENING : AuctionType.REOPENING
+        this.#setPhase(TradingPhase.AUCTION, timestamp, { auction, uncrossAt: timestamp + this.#auctionDuration })
+        const uncross = this.#auctionDuration === 0 ? this.uncross({ timestamp }) : null
+        if (!uncross) this.#publishIndicative()
+        return { trading: this.getTradingStatus(), uncross }
+    }
+
+    /**
+     * Stop continuous trading and collect orders for a call auction — an
+     * opening or closing auction. Orders collect like in a reopening auction
+     * and uncross() ends it; after a CLOSING auction the market stays halted
+     * (MARKET_CLOSED) until resumed.
+     *
+     * @param {object} [options]
+     * @param {string} [options.type]      - Use AuctionType.OPENING or CLOSING (default: OPENING)
+     * @param {number} [options.duration]  - ms until the auction is due to uncross (default: until someone uncrosses it)
+     * @param {number} [options.timestamp] - Sequenced time the auction starts
+     * @returns {object} the new trading status
+     */
+    startAuction({ type = AuctionType.OPENING, duration = null, timestamp = this.#clock() } = {}) {
+        if (type !== AuctionType.OPENING && type !== AuctionType.CLOSING)
+            throw new Error(`Auction type must be one of: ${AuctionType.OPENING}, ${AuctionType.CLOSING}`)
+        if (duration != null && !(duration > 0)) throw new Error('Auction duration must be positive')
+        if (this.#trading.phase !== TradingPhase.CONTINUOUS)
+            throw new Error(`${this.#pair} is ${this.#trading.phase} — an auction can only start from continuous trading`)
+        this.#applying = true
+
+        this.#setPhase(TradingPhase.AUCTION, timestamp, { auction: type, uncrossAt: duration != null ? timestamp + duration : null })
+        this.#publishIndicative()
+        return this.getTradingStatus()
+    }
+
+    /**
+     * What the auction would do if it uncrossed now. Counts hidden and
+     * iceberg quantity, like the uncross itself.
+     *
+     * @returns {{ price: string|null, volume: string, imbalance: string, imbalanceSide: string|null }}
+     *   imbalance — quantity at the price that would be left over; imbalanceSide —
+     *   OrderSide.* of the surplus, null if both sides match exactly or nothing crosses
+     */
+    getIndicativeUncross() {
+        const found = this.#findUncross()
+        if (!found) return { price: null, volume: '0', imbalance: '0', imbalanceSide: null }
+
+        const surplus = found.demand - found.supply
+        return {
+            price: this.#toPrice(found.price),
+            volume: this.#toQuantity(found.volume),
+            imbalance: this.#toQuantity(surplus < 0n ? -surplus : surplus),
+            imbalanceSide: surplus > 0n ? OrderSide.BUY : surplus < 0n ? OrderSide.SELL : null
+        }
+    }
+
+    /**
+     * End an auction: every order that can trade at the uncrossing price
+     * (see auction.js) trades at that one price, in price-time priority, and
+     * the market goes back to continuous trading (or, after a closing
+     * auction, closes). The older order of each pair is the maker.
+     *
+     * @param {object} [options]
+     * @param {number} [options.timestamp] - Sequenced time of the uncross — every auction trade carries it
+     * @returns {{ price: string|null, volume: string, trades: array, selfTradeCancels: array, triggered: array }}
+     *   price is null if nothing crossed
+     */
+    uncross({ timestamp = this.#clock() } = {}) {
+        if (this.#trading.phase !== TradingPhase.AUCTION) throw new Error(`${this.#pair} is not in an auction`)
+        this.#applying = true
+
+        const found = this.#findUncross()
+        const price = found ? this.#toPrice(found.price) : null
+
+        const trades = []
+        const selfTradeCancels = []
+        while (price != null) {
+            const bid = this.#bids.peek()
+            const ask = this.#asks.peek()
+            if (!bid || !ask || this.#priceUnits(bid.price) < found.price || this.#priceUnits(ask.price) > found.price) break
+
+            const [maker, taker] = ask.timestamp < bid.timestamp ? [ask, bid] : [bid, ask]
+            if (this.#isSelfTrade(taker, maker)) {
+                // No one is the aggressor in an auction — the newer order gives way
+                selfTradeCancels.push({ orderId: taker.id, side: taker.side, quantity: this.#toQuantity(this.#remainingUnits(taker)), mode: taker.selfTradePrevention })
+                this.#removeSelfTrade(taker, taker.side === OrderSide.BUY ? this.#bids : this.#asks)
+                continue
+            }
+
+            const units = minUnits(this.#quantityUnits(bid.quantity), this.#quantityUnits(ask.quantity))
+            trades.push(this.#makeTrade({ id: `auction_${timestamp}_${trades.length}`, taker, maker, price, units, timestamp }))
+            this.#fillAtUncross(bid, units, timestamp)
+            this.#fillAtUncross(ask, units, timestamp)
+        }
+
+        trades.forEach(trade => {
+            this.#trades.record(trade)
+            this.#candles.record(trade)
+        })
+        if (trades.length > 0) this.#lastTrade = trades[trades.length - 1]
+        trades.forEach(trade => this.#emit(OrderBookEvent.TRADE, trade))
+
+        // The breaker measures from the reopening price, not from before the halt
+        this.#resetBreakerWindow(trades.length > 0 ? [{ timestamp, price }] : [])
+        if (this.#trading.auction === AuctionType.CLOSING) {
+            this.#setPhase(TradingPhase.HALTED, timestamp, { reason: HaltReason.MARKET_CLOSED })
+        } else {
+            this.#setPhase(TradingPhase.CONTINUOUS, timestamp)
+        }
+
+        const volume = trades.reduce((total, trade) => total + this.#quantityUnits(trade.quantity), 0n)
+        return { price, volume: this.#toQuantity(volume), trades, selfTradeCancels, triggered: this.#triggerStops() }
+    }
+
+    // ─── Reconciliation ───────────────────────────────
+
+    /**
+     * Copies of the orders resting at some price levels — what a peer with
+     * a diverged book fetches to repair itself (see digest.js).
+     *
+     * @param {object} opts
+     * @param {Array<number|string>} [opts.bids=[]]   - Bid prices
+     * @param {Array<number|string>} [opts.asks=[]]   - Ask prices
+     * @param {boolean}  [opts.stops=false] - Also the trigger book and last trade
+     * @returns {{ bids: Array<{ price, orders }>, asks: Array<{ price, orders }>, stops?: array, lastTrade?: object }}
+     *   a requested price we have nothing at comes back with no orders
+     */
+    getLevels({ bids = [], asks = [], stops = false } = {}) {
+        const copy = (side, prices) => prices.map(price => ({
+            price,
+            orders: side.ordersAt(price).map(o => ({ ...o }))
+        }))
+
+        const levels = { bids: copy(this.#bids, bids), asks: copy(this.#asks, asks) }
+        if (stops) {
+            levels.stops = [...this.#stops.values()].map(o => ({ ...o }))
+            levels.lastTrade = this.#lastTrade ? { ...this.#lastTrade } : null
+        }
+        return levels
+    }
+
+    /**
+     * Overwrite price levels with another replica's copy (a getLevels()
+     * result). Every level listed is emptied and refilled in the given
+     * queue order; levels not listed are left alone. No events fire — this
+     * is repair, not trading.
+     *
+     * With accounts, the orders taken out release their funds and the ones
+     * put in reserve theirs, in that order. An order its account can't cover
+     * here rests without a reservation: that account's ledger differs too,
+     * and has to be repaired from the same replica (see Accounts.repairAccounts).
+     *
+     * @param {object} levels - { bids, asks, stops?, lastTrade? } as returned by getLevels()
+     * @returns {{ unfunded: string[] }} ids of orders put in without their reservation
+     */
+    repairLevels({ bids = [], asks = [], stops, lastTrade } = {}) {
+        const incoming = []
+        const replace = (side, levels) => levels.forEach(({ price, orders }) => {
+            side.ordersAt(price).forEach(o => this.#dropForRepair(o))
+            incoming.push(...orders.map(o => this.#canonicalOrder(o)))
+        })
+        replace(this.#bids, bids)
+        replace(this.#asks, asks)
+
+        const incomingStops = stops ? stops.map(o => this.#canonicalOrder(o)) : []
+        if (stops) {
+            this.#stops.forEach(o => this.#release(o))
+            this.#setStops([])
+            this.#lastTrade = this.#canonicalTrade(lastTrade)
+        }
+
+        // It may still be resting at another price here
+        incoming.forEach(o => {
+            const stale = this.#bids.findById(o.id) ?? this.#asks.findById(o.id)
+            if (stale) this.#dropForRepair(stale)
+        })
+
+        // Everything taken out has released its funds — now the replacements reserve theirs
+        const unfunded = []
+        const reserve = order => {
+            try {
+                this.#reserveFor(order)
+            } catch (err) {
+                unfunded.push(order.id)
+            }
+        }
+        incoming.forEach(o => {
+            this.#insertOrder(o)
+            reserve(o)
+        })
+        incomingStops.forEach(o => {
+            this.#putStop(o)
+            reserve(o)
+        })
+        return { unfunded }
+    }
+
+    /** Take a resting order out for repair — it leaves the book and gives up its funds, silently */
+    #dropForRepair(order) {
+        const side = order.side === OrderSide.BUY ? this.#bids : this.#asks
+        side.removeById(order.id)
+        this.#forgetGtd(order.id)
+        this.#release(order)
     }
 
     // ─── Book Queries ─────────────────────────────────
@@ -187,96 +858,1341 @@ class OrderBook {
     /** Best ask — lowest sell price. O(1) */
     bestAsk() { return this.#asks.peek() }
 
+    /** Price of the most recent trade, or null before the first one */
+    lastPrice() { return this.#lastTrade?.price ?? null }
+
+    /** A resting order, or null if it isn't on the book. O(1) */
+    findOrder(orderId) {
+        return this.#bids.findById(orderId) ?? this.#asks.findById(orderId)
+    }
+
+    /** Orders a peer has resting or waiting as stops. O(1) */
+    openOrderCount(peerId) {
+        return this.#bids.countFor(peerId) + this.#asks.countFor(peerId) + (this.#stopsByPeer.get(peerId) ?? 0)
+    }
+
     /** Spread between best ask and best bid */
     spread() {
         if (!this.bestBid() || !this.bestAsk()) return null
-        return this.#round(this.bestAsk().price - this.bestBid().price, this.#pricePrecision)
+        return this.#spreadBetween(this.bestBid(), this.bestAsk())
+    }
+
+    /**
+     * Aggregated (L2) depth: one entry per price level, best price first.
+     *
+     * With `group`, prices are bucketed to multiples of that tick size —
+     * bids round down and asks round up, so a grouped level never looks
+     * better than the orders inside it.
+     *
+     * @param {object} [opts]
+     * @param {number} [opts.levels=10]  - Max levels per side
+     * @param {number} [opts.group]      - Bucket size, e.g. 0.5 or 10
+     * @returns {{ pair: string, bids: Array<{ price, quantity, orders }>, asks: Array<{ price, quantity, orders }> }}
+     */
+    getDepth({ levels = 10, group = null } = {}) {
+        if (!(levels > 0)) throw new Error('Depth levels must be positive')
+        if (group != null && !(Number(group) > 0)) throw new Error('Depth group must be positive')
+        const groupUnits = group == null ? null : this.#priceUnits(group)
+
+        return {
+            pair: this.#pair,
+            bids: this.#aggregateLevels(this.#bids, OrderSide.BUY, levels, groupUnits),
+            asks: this.#aggregateLevels(this.#asks, OrderSide.SELL, levels, groupUnits)
+        }
+    }
+
+    /**
+     * The getDepth({ group }) prices whose levels `changes` (from takeChanges)
+     * touched — no other level of that depth can differ from before them.
+     * @returns {{ bids: Set<string>|null, asks: Set<string>|null }} null for a side the changes don't cover
+     */
+    getDepthChanges(changes, { group = null } = {}) {
+        const groupUnits = group == null ? null : this.#priceUnits(group)
+        const prices = (touched, side) => touched && new Set(groupUnits
+            ? [...touched.prices].map(price => this.#bucket(price, side, groupUnits))
+            : touched.prices)
+        return { bids: prices(changes.bids, OrderSide.BUY), asks: prices(changes.asks, OrderSide.SELL) }
     }
 
     getBids() { return this.#bids.toArray() }
     getAsks() { return this.#asks.toArray() }
-    getTrades() { return [...this.#trades] }
+
+    /** Trade history still held in memory, oldest first — see queryTrades for the rest */
+    getTrades() { return this.#trades.all() }
+
+    /** The newest `count` trades, oldest first */
+    getRecentTrades(count = 20) { return this.#trades.recent(count) }
+
+    /**
+     * Page through trade history, oldest first, archived trades included.
+     * @param {object} [opts] - { since, until, orderId, peerId, limit, cursor } — see TradeStore.query
+     * @returns {{ trades: object[], cursor: string|null }}
+     */
+    queryTrades(opts = {}) {
+        return this.#trades.query(opts)
+    }
+
+    // ─── Candles & stats ──────────────────────────────
+
+    /**
+     * OHLCV candles of one interval, oldest first.
+     * @param {string} [interval=CandleInterval.ONE_MINUTE]
+     * @param {object} [opts] - { from, to, limit } — openTime range in ms, newest `limit` of it
+     * @returns {Array<object>} see Candles
+     */
+    getCandles(interval = CandleInterval.ONE_MINUTE, opts = {}) {
+        return this.#candles.getCandles(interval, opts)
+    }
+
+    /** The candle a trade at `timestamp` went into, at every interval */
+    getCandlesAt(timestamp) {
+        return this.#candles.getCandlesAt(timestamp)
+    }
+
+    /**
+     * 24h stats: last price, open, high, low, change, changePercent,
+     * volume, quoteVolume, VWAP and trade count.
+     * @param {number} [now] - End of the window, ms (default: the book's clock)
+     */
+    getTicker(now = this.#clock()) {
+        return { pair: this.#pair, ...this.#candles.getTicker(now) }
+    }
+
+    // ─── Depth (private) ──────────────────────────────
+
+    /**
+     * Walk the levels best first, adding up what each shows, until `levels`
+     * buckets are full — O(k log k) for the k levels read, not a sort of the
+     * whole side. Prices come best first, so their buckets do too.
+     */
+    #aggregateLevels(book, side, levels, group) {
+        const depth = []   // [{ price, units, orders }]
+
+        for (const level of book.bestFirst()) {
+            if (level.visible === 0) continue
+            const price = group ? this.#bucket(level.price, side, group) : level.price
+            let bucket = depth[depth.length - 1]
+            if (bucket?.price !== price) {
+                if (depth.length === levels) break
+                bucket = { price, units: 0n, orders: 0 }
+                depth.push(bucket)
+            }
+            bucket.units += level.shown
+            bucket.orders += level.visible
+        }
+
+        return depth.map(({ price, units, orders }) => ({ price, quantity: this.#toQuantity(units), orders }))
+    }
+
+    /** Bids round down to their bucket, asks round up — exact, in price units */
+    #bucket(price, side, group) {
+        const units = this.#priceUnits(price)
+        const floor = units / group * group
+        return this.#toPrice(side === OrderSide.BUY || floor === units ? floor : floor + group)
+    }
 
     // ─── Matching Engine (private) ────────────────────
 
     #match(order) {
         const trades = []
         const remainder = { ...order }
+        const selfTradeCancels = []
+        let takerCancelled = false
+        let breach = null
 
-        const opposingHeap = order.side === OrderSide.BUY
+        const opposing = order.side === OrderSide.BUY
             ? this.#asks   // buyer matches against sellers
             : this.#bids   // seller matches against buyers
 
-        while (remainder.quantity > 0 && !opposingHeap.isEmpty) {
-            const best = opposingHeap.peek()
-
-            const priceMatches = order.type === OrderType.MARKET
-                ? true
-                : order.side === OrderSide.BUY
-                    ? remainder.price >= best.price   // buyer pays >= seller asks
-                    : remainder.price <= best.price   // seller asks <= buyer pays
-
-            if (!priceMatches) break
-
-            const tradedQty = this.#round(Math.min(remainder.quantity, best.quantity), this.#quantityPrecision)
-            const tradePrice = best.price // always at resting order's price
-
-            const trade = {
-                id: `${remainder.id}_${best.id}_${Date.now()}`,
-                pair: this.#pair,
-                price: tradePrice,
-                quantity: tradedQty,
-                buyOrderId: order.side === OrderSide.BUY ? remainder.id : best.id,
-                sellOrderId: order.side === OrderSide.SELL ? remainder.id : best.id,
-                buyPeerId: order.side === OrderSide.BUY ? remainder.peerId : best.peerId,
-                sellPeerId: order.side === OrderSide.SELL ? remainder.peerId : best.peerId,
-                timestamp: Date.now()
+        while (this.#positive(remainder.quantity) && !opposing.isEmpty) {
+            const best = opposing.peek()
+
+            if (!this.#crosses(remainder, best)) break
+
+            if (this.#isSelfTrade(remainder, best)) {
+                takerCancelled = this.#preventSelfTrade(remainder, best, opposing, selfTradeCancels)
+                if (takerCancelled) break
+                continue
+            }
+
+            // Trading at this price would move it too far — stop before the trade, not after
+            const reference = this.#breakerReference(best.price, order.timestamp)
+            if (reference != null) {
+                breach = { price: best.price, reference }
+                break
             }
 
-            trades.push(trade)
+            if (this.#allocator.strategy !== AllocationStrategy.FIFO) {
+                const level = this.#allocateLevel(remainder, opposing, trades, selfTradeCancels)
+                takerCancelled = level.takerCancelled
+                if (takerCancelled || level.stalled) break
+                continue
+            }
+
+            const remainderUnits = this.#quantityUnits(remainder.quantity)
+            const bestUnits = this.#quantityUnits(best.quantity)
+            let tradedUnits = minUnits(remainderUnits, bestUnits)
+
+            // A market buy has no price to reserve at — it spends what it has and stops
+            const affordable = this.#affordableUnits(remainder, best.price)
+            if (affordable !== null) {
+                if (affordable === 0n) break
+                tradedUnits = minUnits(tradedUnits, affordable)
+            }
 
-            remainder.quantity = this.#round(remainder.quantity - tradedQty, this.#quantityPrecision)
-            best.quantity = this.#round(best.quantity - tradedQty, this.#quantityPrecision)
+            // Always at the resting order's price. Id and timestamp come from the
+            // orders themselves, never the local clock — replaying the same
+            // commands must yield the same trades
+            trades.push(this.#makeTrade({
+                id: `${remainder.id}_${best.id}_${trades.length}`,
+                taker: remainder,
+                maker: best,
+                price: best.price,
+                units: tradedUnits,
+                timestamp: order.timestamp
+            }))
 
-            if (best.quantity === 0) {
-                opposingHeap.extractTop()   // O(log n) — remove fulfilled order
+            remainder.quantity = this.#toQuantity(remainderUnits - tradedUnits)
+            best.quantity = this.#toQuantity(bestUnits - tradedUnits)
+
+            if (!this.#positive(best.quantity) && this.#positive(best.reserve)) {
+                // Iceberg slice used up — show the next one, at the back of the queue
+                opposing.extractTop()
+                this.#showNextSlice(best, order.timestamp)
+                opposing.insert(best)
+            } else if (!this.#positive(best.quantity)) {
+                opposing.extractTop()   // O(1) — remove fulfilled order
                 this.#emit(OrderBookEvent.ORDER_REMOVED, best)
             } else {
                 // Partially filled resting order — update in place O(1)
-                opposingHeap.updateQuantity(best.id, best.quantity)
+                opposing.updateQuantity(best.id, best.quantity)
             }
         }
 
-        return { trades, remainder }
+        return { trades, remainder, selfTradeCancels, takerCancelled, breach }
     }
 
-    // ─── Insert (private) ─────────────────────────────
+    /**
+     * Any strategy but FIFO: share what the taker can take among every
+     * order at the best price, as the allocator decides. Self-trades at the
+     * level are dealt with first, oldest first, just as FIFO would meet them.
+     * Icebergs share on their visible slice and refill afterwards.
+     *
+     * @returns {{ takerCancelled: boolean, stalled: boolean }} stalled — nothing more can trade
+     */
+    #allocateLevel(taker, opposing, trades, selfTradeCancels) {
+        const price = opposing.peek().price
 
-    #insertOrder(order) {
-        if (order.side === OrderSide.BUY) {
-            this.#bids.insert(order)   // O(log n)
-        } else {
-            this.#asks.insert(order)   // O(log n)
+        for (const resting of opposing.ordersAt(price)) {
+            if (!this.#isSelfTrade(taker, resting)) continue
+            if (this.#preventSelfTrade(taker, resting, opposing, selfTradeCancels)) return { takerCancelled: true, stalled: false }
         }
-    }
+        const level = opposing.ordersAt(price).filter(resting => !this.#isSelfTrade(taker, resting))
+        if (level.length === 0) return { takerCancelled: false, stalled: false }   // look at the next level
 
-    // ─── Validation (private) ─────────────────────────
+        // A market buy has no price to reserve at — it spends what it has and stops
+        let wanted = this.#quantityUnits(taker.quantity)
+        const affordable = this.#affordableUnits(taker, price)
+        if (affordable !== null) wanted = minUnits(wanted, affordable)
+        if (wanted === 0n) return { takerCancelled: false, stalled: true }
 
-    #validateOrder(order) {
-        if (!order.id)
-            throw new Error('Order must have an id')
+        const sizes = level.map(resting => this.#quantityUnits(resting.quantity))
+        const shares = this.#allocator.allocate(wanted, sizes, this.#lot)
+        this.#checkAllocation(shares, wanted, sizes)
 
-        if (!Object.values(OrderSide).includes(order.side))
-            throw new Error(`Order side must be one of: ${Object.values(OrderSide).join(', ')}`)
+        const refills = []
+        level.forEach((resting, i) => {
+            if (shares[i] === 0n) return
+            trades.push(this.#makeTrade({
+                id: `${taker.id}_${resting.id}_${trades.length}`,
+                taker,
+                maker: resting,
+                price,
+                units: shares[i],
+                timestamp: taker.timestamp
+            }))
+            taker.quantity = this.#toQuantity(this.#quantityUnits(taker.quantity) - shares[i])
+            resting.quantity = this.#toQuantity(sizes[i] - shares[i])
 
-        if (order.type && !Object.values(OrderType).includes(order.type))
-            throw new Error(`Order type must be one of: ${Object.values(OrderType).join(', ')}`)
+            if (!this.#positive(resting.quantity) && this.#positive(resting.reserve)) {
+                refills.push(resting)
+            } else if (!this.#positive(resting.quantity)) {
+                opposing.removeById(resting.id)
+                this.#emit(OrderBookEvent.ORDER_REMOVED, resting)
+            } else {
+                opposing.updateQuantity(resting.id, resting.quantity)
+            }
+        })
 
-        if (order.type !== OrderType.MARKET && (order.price == null || order.price <= 0))
-            throw new Error('Limit order must have a positive price')
+        // Refilled slices go to the back of the queue, in the order they ran out
+        refills.forEach(resting => {
+            opposing.removeById(resting.id)
+            this.#showNextSlice(resting, taker.timestamp)
+            opposing.insert(resting)
+        })
+        return { takerCancelled: false, stalled: false }
+    }
+
+    /** A strategy must share out exactly what can trade, in whole lots, never more than an order shows */
+    #checkAllocation(shares, wanted, sizes) {
+        const total = sizes.reduce((sum, size) => sum + size, 0n)
+        const expected = wanted < total ? wanted : total
+        const valid = Array.isArray(shares) && shares.length === sizes.length
+            && shares.every((share, i) => typeof share === 'bigint' && share >= 0n && share <= sizes[i] && share % this.#lot === 0n)
+            && shares.reduce((sum, share) => sum + share, 0n) === expected
+        if (!valid) throw new Error(`Allocation strategy ${this.#allocator.strategy} returned an invalid allocation`)
+    }
+
+    /**
+     * Build a trade between an order that took liquidity and one that made
+     * it, then settle it and charge its fees.
+     */
+    #makeTrade({ id, taker, maker, price, units, timestamp }) {
+        const [buy, sell] = taker.side === OrderSide.BUY ? [taker, maker] : [maker, taker]
+        const trade = {
+            id,
+            pair: this.#pair,
+            price,
+            quantity: this.#toQuantity(units),
+            buyOrderId: buy.id,
+            sellOrderId: sell.id,
+            buyPeerId: buy.peerId,
+            sellPeerId: sell.peerId,
+            makerOrderId: maker.id,
+            takerOrderId: taker.id,
+            takerSide: taker.side,
+            timestamp
+        }
+
+        const fees = this.#feesFor(trade, maker, taker)   // before anything moves — it throws on a bad rate
+        this.#settle(trade, [buy, sell])
+        if (fees) this.#chargeFees(trade, fees)
+        if (this.#breaker) this.#recordBreakerTrade(timestamp, price)
+        return trade
+    }
+
+    // ─── Self-trade prevention (private) ──────────────
+
+    /** Would these two orders trade with the same owner on both sides? */
+    #isSelfTrade(incoming, resting) {
+        if (!incoming.selfTradePrevention) return false
+        if (incoming.accountId && resting.accountId) return incoming.accountId === resting.accountId
+        return !!incoming.peerId && incoming.peerId === resting.peerId
+    }
+
+    /**
+     * Apply the incoming order's mode to a self-match — no trade is made.
+     * Resting orders it removes are emitted as ORDER_REMOVED with a reason,
+     * and ones it only shrinks as ORDER_AMENDED with the same reason.
+     *
+     * @returns {boolean} true if the rest of the incoming order is cancelled
+     */
+    #preventSelfTrade(incoming, resting, opposing, cancels) {
+        const mode = incoming.selfTradePrevention
+        const record = (order, quantity) => cancels.push({ orderId: order.id, side: order.side, quantity, mode })
+
+        if (mode === SelfTradePrevention.DECREMENT_AND_CANCEL) {
+            const incomingUnits = this.#quantityUnits(incoming.quantity)
+            const restingUnits = this.#quantityUnits(resting.quantity)
+            const overlap = minUnits(incomingUnits, restingUnits)
+
+            record(incoming, this.#toQuantity(overlap))
+            record(resting, this.#toQuantity(overlap))
+            incoming.quantity = this.#toQuantity(incomingUnits - overlap)
+
+            if (restingUnits === overlap && !this.#positive(resting.reserve)) {
+                this.#removeSelfTrade(resting, opposing)
+                return incomingUnits === overlap
+            }
+
+            if (restingUnits === overlap) {
+                opposing.removeById(resting.id)
+                this.#showNextSlice(resting, incoming.timestamp)
+                opposing.insert(resting)
+            } else {
+                opposing.updateQuantity(resting.id, this.#toQuantity(restingUnits - overlap))
+            }
+            this.#reserveFor(resting)
+            this.#emit(OrderBookEvent.ORDER_AMENDED, { ...resting, reason: RemovalReason.SELF_TRADE_PREVENTION })
+            return incomingUnits === overlap
+        }
+
+        if (mode === SelfTradePrevention.CANCEL_OLDEST || mode === SelfTradePrevention.CANCEL_BOTH) {
+            record(resting, this.#toQuantity(this.#remainingUnits(resting)))
+            this.#removeSelfTrade(resting, opposing)
+        }
+        if (mode === SelfTradePrevention.CANCEL_NEWEST || mode === SelfTradePrevention.CANCEL_BOTH) {
+            record(incoming, incoming.quantity)
+            return true
+        }
+        return false
+    }
+
+    #removeSelfTrade(resting, opposing) {
+        opposing.removeById(resting.id)
+        resting.status = OrderStatus.CANCELLED
+        resting.reason = RemovalReason.SELF_TRADE_PREVENTION
+        this.#release(resting)
+        this.#emit(OrderBookEvent.ORDER_REMOVED, resting)
+    }
+
+    // ─── Execution (private) ──────────────────────────
+
+    /** What ORDER_REMOVED reports for an amended order that no longer rests: filled, or refused before matching */
+    #amendedAway(order, status) {
+        if (status === OrderStatus.FILLED) return { ...order, quantity: '0', status }
+        if (status === OrderStatus.REJECTED && order.postOnly) return { ...order, status, reason: RemovalReason.POST_ONLY }
+        return { ...order, status }
+    }
+
+    /**
+     * Run one normalised, non-stop order through time-in-force checks and
+     * matching, record its trades and rest whatever is left.
+     */
+    #execute(order) {
+        // Time only moves with the orders themselves — the incoming order's
+        // timestamp is "now", so every peer expires the same GTD orders here
+        this.#expireUntil(order.timestamp)
+        this.#setProtectionPrice(order)
+
+        const rejection = this.#checkTimeInForce(order) ?? this.#reserveMarketBuy(order)
+        if (rejection) {
+            this.#release(order)
+            return { trades: [], remainder: null, status: rejection, selfTradeCancels: [] }
+        }
+
+        if (this.#trading.phase === TradingPhase.AUCTION) return this.#collect(order)
+
+        const { trades, remainder, selfTradeCancels, takerCancelled, breach } = this.#match(order)
+
+        // ⚠️  Push trades to history FIRST before any hooks fire.
+        // Hooks trigger SSE which calls getRecentTrades() — if we push after,
+        // the new trade is missing from the browser update. Bug fixed here.
+        trades.forEach(trade => {
+            this.#trades.record(trade)
+            this.#candles.record(trade)
+        })
+        if (trades.length > 0) this.#lastTrade = trades[trades.length - 1]
+
+        // Now emit TRADE hooks — trades are in this.#trades so getRecentTrades() is up to date
+        trades.forEach(trade => this.#emit(OrderBookEvent.TRADE, trade))
+
+        // The next trade would have tripped the breaker — the market halts and
+        // the rest of the incoming order goes, so nothing is left to trade on reopening
+        if (breach) {
+            this.#tripBreaker(breach, order.timestamp)
+            const cancelled = { ...remainder, status: OrderStatus.CANCELLED, reason: RemovalReason.CIRCUIT_BREAKER }
+            this.#release(order)
+            this.#emit(OrderBookEvent.ORDER_REMOVED, cancelled)
+            return { trades, remainder: null, status: OrderStatus.CANCELLED, selfTradeCancels }
+        }
+
+        // Self-trade prevention cancelled the rest of the incoming order
+        if (takerCancelled) {
+            const cancelled = { ...remainder, status: OrderStatus.CANCELLED, reason: RemovalReason.SELF_TRADE_PREVENTION }
+            this.#release(order)
+            this.#emit(OrderBookEvent.ORDER_REMOVED, cancelled)
+            return { trades, remainder: null, status: OrderStatus.CANCELLED, selfTradeCancels }
+        }
+
+        // Determine final status
+        if (remainder && this.#positive(remainder.quantity)) {
+            remainder.status = trades.length > 0
+                ? OrderStatus.PARTIALLY_FILLED
+                : OrderStatus.OPEN
+
+            // Only GTC/GTD limit orders sit in the book — the rest of a market,
+            // IOC or FOK order expires
+            if (remainder.type === OrderType.LIMIT && this.#rests(remainder)) {
+                if (remainder.displayQuantity) this.#splitIceberg(remainder)
+                this.#insertOrder(remainder)
+                this.#emit(OrderBookEvent.ORDER_ADDED, remainder)
+            } else {
+                remainder.status = this.#stoppedByProtection(remainder)
+                    ? OrderStatus.SLIPPAGE_LIMITED
+                    : OrderStatus.EXPIRED
+            }
+        }
+
+        // Resting: keep exactly what the rest still needs (a better fill price
+        // leaves some over). Done: give back whatever is left.
+        if (this.#findResting(order.id)) this.#reserveFor(remainder)
+        else this.#release(order)
+
+        return {
+            trades,
+            remainder: this.#positive(remainder?.quantity) ? remainder : null,
+            status: this.#positive(remainder?.quantity)
+                ? remainder.status
+                : OrderStatus.FILLED,
+            selfTradeCancels
+        }
+    }
+
+    // ─── Iceberg orders (private) ─────────────────────
+
+    /**
+     * Resting iceberg: `quantity` is the visible slice — the only part that
+     * matches before a refill — and `reserve` is what's still hidden.
+     */
+    #splitIceberg(order) {
+        const total = this.#remainingUnits(order)
+        const slice = minUnits(total, this.#quantityUnits(order.displayQuantity))
+        order.quantity = this.#toQuantity(slice)
+        order.reserve = this.#toQuantity(total - slice)
+    }
+
+    /** Refill the visible slice from the reserve; a refill is a new arrival, so it loses time priority */
+    #showNextSlice(order, timestamp) {
+        order.quantity = '0'
+        this.#splitIceberg(order)
+        order.timestamp = timestamp
+    }
+
+    /** An empty side whose level sizes are what its orders still have to trade, and shown sizes what they show */
+    #newSide(Side) {
+        return new Side(order => this.#remainingUnits(order), order => order.hidden ? null : this.#quantityUnits(order.quantity))
+    }
+
+    /** Everything an order still has to trade — visible slice plus any iceberg reserve */
+    #remainingUnits(order) {
+        return this.#quantityUnits(order.quantity) + this.#quantityUnits(order.reserve || 0)
+    }
+
+    // ─── Stop orders (private) ────────────────────────
+
+    #isStop(order) {
+        return order.type === OrderType.STOP_MARKET || order.type === OrderType.STOP_LIMIT
+    }
+
+    #isMarketLike(order) {
+        return order.type === OrderType.MARKET || order.type === OrderType.STOP_MARKET
+    }
+
+    /** Park a stop order in the trigger book — or fire it now if the last trade already crossed it */
+    #addStop(stop) {
+        if (this.#trading.phase === TradingPhase.CONTINUOUS && this.#isTriggered(stop)) {
+            const result = this.#activate(stop)
+            return { ...result, triggered: this.#triggerStops() }
+        }
+
+        stop.status = OrderStatus.PENDING
+        this.#putStop(stop)
+        return { trades: [], remainder: null, status: OrderStatus.PENDING, selfTradeCancels: [], triggered: [] }
+    }
+
+    // Every change to the trigger book goes through these three, so the per-peer
+    // counts, the trigger heaps and the GTD expiry index stay right
+
+    #setStops(stops) {
+        this.#stops?.forEach(stop => this.#forgetGtd(stop.id))
+        this.#stops = new Map()
+        this.#stopChanges = null
+        this.#stopsByPeer = new Map()
+        this.#stopEntries = new Map()
+        this.#stopSeq = 0
+        this.#clearStopHeaps()
+        stops.forEach(stop => this.#putStop(stop))
+    }
+
+    #putStop(stop) {
+        this.#stops.set(stop.id, stop)
+        this.#stopChanges?.add(stop.id)
+        this.#stopsByPeer.set(stop.peerId, (this.#stopsByPeer.get(stop.peerId) ?? 0) + 1)
+        if (stop.timeInForce === TimeInForce.GTD) this.#trackGtd(stop)
+
+        const entry = { id: stop.id, stop, units: this.#priceUnits(stop.stopPrice), seq: this.#stopSeq++ }
+        this.#stopEntries.set(stop.id, entry)
+        this.#waitingStops(entry).insert(entry)
+    }
+
+    /** @returns {object|null} the stop taken out, null if there was none */
+    #dropStop(orderId) {
+        const stop = this.#stops.get(orderId)
+        if (!stop) return null
+        this.#stops.delete(orderId)
+        this.#stopChanges?.add(orderId)
+        const count = this.#stopsByPeer.get(stop.peerId) - 1
+        if (count === 0) this.#stopsByPeer.delete(stop.peerId)
+        else this.#stopsByPeer.set(stop.peerId, count)
+        this.#forgetGtd(orderId)
+
+        // Its heap entry goes stale and is skipped when it reaches the top.
+        // Once stale entries outnumber live ones, the heaps are rebuilt.
+        this.#stopEntries.delete(orderId)
+        const entries = this.#buyStops.size + this.#sellStops.size + this.#crossedStops.size
+        if (entries > 2 * this.#stopEntries.size) {
+            this.#clearStopHeaps()
+            this.#stopEntries.forEach(entry => this.#waitingStops(entry).insert(entry))
+        }
+        return stop
+    }
+
+    #clearStopHeaps() {
+        this.#buyStops = new Heap((a, b) => a.units < b.units ? -1 : a.units > b.units ? 1 : a.seq - b.seq)
+        this.#sellStops = new Heap((a, b) => a.units > b.units ? -1 : a.units < b.units ? 1 : a.seq - b.seq)
+        this.#crossedStops = new Heap((a, b) => a.seq - b.seq)
+    }
+
+    /** The heap a stop waits in until the price reaches it */
+    #waitingStops(entry) {
+        return entry.stop.side === OrderSide.BUY ? this.#buyStops : this.#sellStops
+    }
+
+    #isPending(entry) {
+        return this.#stopEntries.get(entry.id) === entry
+    }
+
+    /**
+     * Buy stops fire when the last trade is at or above the stop price,
+     * sell stops when it is at or below.
+     */
+    #isTriggered(stop) {
+        if (!this.#lastTrade) return false
+        return stop.side === OrderSide.BUY
+            ? this.#priceUnits(this.#lastTrade.price) >= this.#priceUnits(stop.stopPrice)
+            : this.#priceUnits(this.#lastTrade.price) <= this.#priceUnits(stop.stopPrice)
+    }
+
+    /**
+     * Fire every stop the last trade price has crossed. Activated orders can
+     * trade and move the price further, so keep going until nothing fires.
+     * Stops fire in the order they were placed — the same on every peer.
+     * Nothing fires unless the market is trading continuously; a halt
+     * part-way through stops the chain.
+     *
+     * @returns {Array<object>} one entry per activated stop: { order, trades, remainder, status }
+     */
+    #triggerStops() {
+        const activated = []
+
+        let next
+        while (this.#trading.phase === TradingPhase.CONTINUOUS && (next = this.#nextTriggered())) {
+            this.#dropStop(next.id)
+            activated.push(this.#activate(next))
+        }
+
+        return activated
+    }
+
+    /**
+     * The earliest-placed stop the last trade has crossed, or null. Only the
+     * stops the price has reached come off the trigger heaps — O(log n) each —
+     * into the placement-ordered crossed heap. A stop there that the price has
+     * since moved back away from goes back to wait.
+     */
+    #nextTriggered() {
+        if (!this.#lastTrade) return null
+        const last = this.#priceUnits(this.#lastTrade.price)
+        this.#takeCrossed(this.#buyStops, units => last >= units)
+        this.#takeCrossed(this.#sellStops, units => last <= units)
+
+        while (!this.#crossedStops.isEmpty) {
+            const entry = this.#crossedStops.peek()
+            if (this.#isPending(entry) && this.#isTriggered(entry.stop)) return entry.stop
+
+            this.#crossedStops.extractTop()
+            if (this.#isPending(entry)) this.#waitingStops(entry).insert(entry)
+        }
+        return null
+    }
+
+    /** Move the entries off the top of a trigger heap while the price has reached them; stale ones are dropped */
+    #takeCrossed(heap, reached) {
+        while (!heap.isEmpty) {
+            const entry = heap.peek()
+            if (this.#isPending(entry) && !reached(entry.units)) return
+            heap.extractTop()
+            if (this.#isPending(entry)) this.#crossedStops.insert(entry)
+        }
+    }
+
+    /** Turn a stop into the market/limit order it stands for and execute it */
+    #activate(stop) {
+        const order = {
+            ...stop,
+            type: stop.type === OrderType.STOP_MARKET ? OrderType.MARKET : OrderType.LIMIT,
+            // Queue position starts at the trade that triggered it, not when the stop was placed
+            timestamp: this.#lastTrade.timestamp,
+            status: OrderStatus.OPEN
+        }
+
+        this.#emit(OrderBookEvent.STOP_TRIGGERED, order)
+        return { order, ...this.#execute(order) }
+    }
+
+    // ─── Market protection (private) ──────────────────
+
+    /**
+     * Turn maxSlippageBps into a protection price, off the best opposite
+     * price as the order arrives (a stop-market arrives when it fires).
+     * Rounded to the tick towards the best price, so the order never goes
+     * further than it asked. Without liquidity there is nothing to protect.
+     */
+    #setProtectionPrice(order) {
+        if (!this.#isMarketLike(order) || order.maxSlippageBps == null) return
+        const best = order.side === OrderSide.BUY ? this.bestAsk() : this.bestBid()
+        if (!best) return
+
+        const scale = 10000n * 10n ** BigInt(BPS_DECIMALS)
+        const bps = toUnits(order.maxSlippageBps, BPS_DECIMALS)
+        const bestUnits = this.#priceUnits(best.price)
+
+        let units
+        if (order.side === OrderSide.BUY) {
+            units = bestUnits * (scale + bps) / scale
+            units -= units % this.#tick
+        } else {
+            units = bestUnits * (scale - bps)
+            units = units <= 0n ? 0n : (units + scale - 1n) / scale
+            if (units % this.#tick !== 0n) units += this.#tick - units % this.#tick
+        }
+        // An explicit protectionPrice still applies if it is the tighter one
+        if (order.protectionPrice != null) {
+            const given = this.#priceUnits(order.protectionPrice)
+            if (order.side === OrderSide.BUY ? given < units : given > units) units = given
+        }
+        order.protectionPrice = this.#toPrice(units)
+    }
+
+    /** Did a market order stop because the next price is past its protection, rather than the book running dry? */
+    #stoppedByProtection(order) {
+        if (!this.#isMarketLike(order) || order.protectionPrice == null) return false
+        const best = order.side === OrderSide.BUY ? this.bestAsk() : this.bestBid()
+        return !!best && !this.#crosses(order, best)
+    }
+
+    // ─── Trading phases (private) ─────────────────────
+
+    /** Refuse orders the current phase doesn't take */
+    #checkPhase(order) {
+        const { phase } = this.#trading
+        if (phase === TradingPhase.HALTED)
+            throw new Error(`${this.#pair} is halted — only cancels are accepted`)
+        if (phase !== TradingPhase.AUCTION || this.#isStop(order)) return
+
+        if (this.#isMarketLike(order))
+            throw new Error(`${this.#pair} is in an auction — market orders are not accepted`)
+        if (order.timeInForce === TimeInForce.IOC || order.timeInForce === TimeInForce.FOK)
+            throw new Error(`${this.#pair} is in an auction — IOC and FOK orders are not accepted`)
+        if (order.postOnly)
+            throw new Error(`${this.#pair} is in an auction — post-only orders are not accepted`)
+    }
+
+    /** Auction: rest the order as it is — it trades at the uncross, not now */
+    #collect(order) {
+        if (order.displayQuantity) this.#splitIceberg(order)
+        this.#insertOrder(order)
+        this.#emit(OrderBookEvent.ORDER_ADDED, order)
+        this.#publishIndicative()
+        return { trades: [], remainder: order, status: OrderStatus.OPEN, selfTradeCancels: [] }
+    }
+
+    /**
+     * The auction's uncrossing price for the book as it is, or null — see
+     * auction.js. Every order in an auction asks for this (for the hook, for
+     * /state), so it is worked out once per change to the book.
+     */
+    #findUncross() {
+        const key = { bids: this.#bids, bidsVersion: this.#bids.version, asks: this.#asks, asksVersion: this.#asks.version, lastTrade: this.#lastTrade }
+        const cached = this.#uncrossCache
+        if (cached && Object.keys(key).every(k => cached[k] === key[k])) return cached.found
+
+        const reference = this.#lastTrade ? this.#priceUnits(this.#lastTrade.price) : null
+        const found = uncrossingPrice(this.#auctionLevels(this.#bids), this.#auctionLevels(this.#asks), reference)
+        this.#uncrossCache = { ...key, found }
+        return found
+    }
+
+    /** During an auction, tell listeners where it would uncross now */
+    #publishIndicative() {
+        if (this.#trading.phase !== TradingPhase.AUCTION || !this.#hooks[OrderBookEvent.INDICATIVE_UNCROSS]) return
+        this.#emit(OrderBookEvent.INDICATIVE_UNCROSS, this.getIndicativeUncross())
+    }
+
+    /** One side of the book as { price, units } in BigInt units, hidden and iceberg reserves included. O(levels) */
+    #auctionLevels(book) {
+        return book.levelSizes().map(level => ({ price: this.#priceUnits(level.price), units: level.size }))
+    }
+
+    /** Take an uncross fill off a resting order — an iceberg refills, a filled order leaves the book */
+    #fillAtUncross(order, units, timestamp) {
+        const book = order.side === OrderSide.BUY ? this.#bids : this.#asks
+        order.quantity = this.#toQuantity(this.#quantityUnits(order.quantity) - units)
+
+        if (!this.#positive(order.quantity) && this.#positive(order.reserve)) {
+            book.removeById(order.id)
+            this.#showNextSlice(order, timestamp)
+            book.insert(order)
+        } else if (!this.#positive(order.quantity)) {
+            book.removeById(order.id)
+            this.#release(order)   // a buy filled below its limit has some quote left over
+            this.#emit(OrderBookEvent.ORDER_REMOVED, order)
+            return
+        } else {
+            book.updateQuantity(order.id, order.quantity)
+        }
+        order.status = OrderStatus.PARTIALLY_FILLED
+        this.#reserveFor(order)
+    }
+
+    #setPhase(phase, timestamp, details = {}) {
+        this.#trading = { ...CONTINUOUS_TRADING, phase, since: timestamp, ...details }
+        this.#emit(OrderBookEvent.TRADING_STATUS, this.getTradingStatus())
+    }
+
+    /** circuitBreaker option → { threshold (BigInt), window, haltDuration }, or null */
+    #breakerConfig(options) {
+        if (!options) return null
+
+        let threshold = 0n
+        try {
+            threshold = toUnits(options.threshold, BREAKER_DECIMALS)
+        } catch (err) {
+            // falls through to the error below
+        }
+        if (threshold <= 0n) throw new Error(`Circuit breaker threshold must be a positive fraction with at most ${BREAKER_DECIMALS} decimals`)
+        if (!(options.window > 0)) throw new Error('Circuit breaker window must be positive')
+        if (options.haltDuration != null && !(options.haltDuration > 0)) throw new Error('Circuit breaker haltDuration must be positive')
+
+        return { threshold, window: options.window, haltDuration: options.haltDuration ?? null }
+    }
+
+    /**
+     * Would a trade at `price` move more than the threshold from any trade in
+     * the breaker window (or, with none, the last trade)? The furthest it can
+     * be from any of them is from the window's lowest or highest price, so
+     * only those two are checked — the older first if both are too far.
+     * @returns {string|null} the price it moved too far from, or null if it may trade
+     */
+    #breakerReference(price, timestamp) {
+        if (!this.#breaker) return null
+
+        const extremes = this.#breakerExtremes(timestamp)
+        const references = extremes.length > 0
+            ? extremes
+            : this.#lastTrade ? [{ price: this.#lastTrade.price, units: this.#priceUnits(this.#lastTrade.price) }] : []
+        return this.#breachedReference(price, references)
+    }
+
+    /** The breaker window's lowest and highest trade at `timestamp`, older first — [] if it is empty */
+    #breakerExtremes(timestamp) {
+        const cutoff = timestamp - this.#breaker.window
+        for (const entries of [this.#breakerWindow, this.#breakerLow, this.#breakerHigh]) {
+            while (entries.length > 0 && entries[0].timestamp <= cutoff) entries.shift()
+        }
+        if (this.#breakerWindow.length === 0) return []
+        return [this.#breakerLow[0], this.#breakerHigh[0]].sort((a, b) => a.timestamp - b.timestamp)
+    }
+
+    /** @returns {string|null} the first of `references` ({ price, units }) a trade at `price` is too far from */
+    #breachedReference(price, references) {
+        const scale = 10n ** BigInt(BREAKER_DECIMALS)
+        const units = this.#priceUnits(price)
+        const breached = references.find(reference => {
+            const move = units > reference.units ? units - reference.units : reference.units - units
+            return move * scale > this.#breaker.threshold * reference.units
+        })
+        return breached?.price ?? null
+    }
+
+    /**
+     * Add a trade to the breaker window. Whatever it undercuts leaves the
+     * low deque and whatever it tops leaves the high one — those can never
+     * be the window's extreme again — so both stay short and their fronts
+     * are the window's lowest and highest price.
+     */
+    #recordBreakerTrade(timestamp, price) {
+        const entry = { timestamp, price, units: this.#priceUnits(price) }
+        this.#breakerWindow.push({ timestamp, price })
+
+        const low = this.#breakerLow
+        while (low.length > 0 && low[low.length - 1].units >= entry.units) low.pop()
+        low.push(entry)
+
+        const high = this.#breakerHigh
+        while (high.length > 0 && high[high.length - 1].units <= entry.units) high.pop()
+        high.push(entry)
+    }
+
+    /** Start the breaker window over from these trades ({ timestamp, price }, oldest first) */
+    #resetBreakerWindow(entries) {
+        this.#breakerWindow = []
+        this.#breakerLow = []
+        this.#breakerHigh = []
+        entries.forEach(({ timestamp, price }) => this.#recordBreakerTrade(timestamp, price))
+    }
+
+    #tripBreaker({ price, reference }, timestamp) {
+        const threshold = fromUnits(this.#breaker.threshold, BREAKER_DECIMALS)
+        this.halt({
+            reason: HaltReason.CIRCUIT_BREAKER,
+            note: `Price ${price} is more than ${threshold} away from ${reference}`,
+            duration: this.#breaker.haltDuration,
+            timestamp
+        })
+    }
+
+    // ─── Insert (private) ─────────────────────────────
+
+    /** An order still in the book or the trigger book — O(1) */
+    #findResting(orderId) {
+        return this.#bids.findById(orderId)
+            ?? this.#asks.findById(orderId)
+            ?? this.#stops.get(orderId)
+            ?? null
+    }
+
+    #insertOrder(order) {
+        if (order.side === OrderSide.BUY) {
+            this.#bids.insert(order)   // O(1), O(log L) for a new price
+        } else {
+            this.#asks.insert(order)
+        }
+        if (order.timeInForce === TimeInForce.GTD) this.#trackGtd(order)
+    }
+
+    // ─── Time in force (private) ──────────────────────
+
+    /** Does this order's remainder go into the book? */
+    #rests(order) {
+        return order.timeInForce === TimeInForce.GTC || order.timeInForce === TimeInForce.GTD
+    }
+
+    /**
+     * Checks that must pass BEFORE any trade is emitted.
+     * @returns {string|null} the status to finish with, or null to carry on matching
+     */
+    #checkTimeInForce(order) {
+        if (order.timeInForce === TimeInForce.GTD && order.expiresAt <= order.timestamp) {
+            return OrderStatus.EXPIRED
+        }
+
+        if (order.postOnly) {
+            const best = order.side === OrderSide.BUY ? this.bestAsk() : this.bestBid()
+            if (best && this.#crosses(order, best)) return OrderStatus.REJECTED
+        }
+
+        // Kill unless the whole quantity is available at acceptable prices
+        if (order.timeInForce === TimeInForce.FOK && this.#availableUnits(order) < this.#quantityUnits(order.quantity)) {
+            return OrderStatus.EXPIRED
+        }
+
+        return null
+    }
+
+    /** Would `order` trade against resting order `best`? A market order's limit is its protection price, if any */
+    #crosses(order, best) {
+        const limit = this.#isMarketLike(order) ? order.protectionPrice : order.price
+        if (limit == null) return true
+        const limitUnits = this.#priceUnits(limit)
+        const bestUnits = this.#priceUnits(best.price)
+        return order.side === OrderSide.BUY
+            ? limitUnits >= bestUnits   // buyer pays >= seller asks
+            : limitUnits <= bestUnits   // seller asks <= buyer pays
+    }
+
+    /**
+     * Opposing units `order` could trade against right now, up to where
+     * self-trade prevention, the circuit breaker or — for a market buy — the
+     * account's quote would stop it. Counting stops once there are enough,
+     * so only the levels the order would reach are looked at.
+     */
+    #availableUnits(order) {
+        const opposing = order.side === OrderSide.BUY ? this.#asks : this.#bids
+        const wanted = this.#quantityUnits(order.quantity)
+        const extremes = this.#breaker ? this.#breakerExtremes(order.timestamp) : []
+        let first = null   // the first level counted — levels come best first, so no later one is further from the order's own trades
+        let budget = this.#marketBuyBudget(order)
+        let total = 0n
+        for (const level of opposing.bestFirst()) {
+            if (total >= wanted || !this.#crosses(order, level)) break
+
+            // Once it trades, the order's own trades are in the breaker window too
+            const breach = first
+                ? this.#breachedReference(level.price, [...extremes, first])
+                : this.#breakerReference(level.price, order.timestamp)
+            if (breach != null) break
+            if (this.#breaker) first ??= { price: level.price, units: this.#priceUnits(level.price) }
+
+            const { units, selfTrade } = this.#levelUnits(order, level, wanted - total)
+            if (budget !== null) {
+                const affordable = this.#lotsFor(budget, level.price)
+                if (affordable < units) return total + affordable   // the quote runs out at this price
+                budget -= this.#costUnits(level.price, units)
+            }
+            total += units
+            if (selfTrade) break
+        }
+        return total
+    }
+
+    /**
+     * Units `order` could take from one level, in time priority, stopping
+     * once it has `wanted` or where self-trade prevention stops matching.
+     * @returns {{ units: bigint, selfTrade: boolean }} selfTrade — matching would stop inside this level
+     */
+    #levelUnits(order, level, wanted) {
+        // A level's size already counts every order's remaining units, iceberg reserves included
+        if (!order.selfTradePrevention) return { units: level.size, selfTrade: false }
+
+        let units = 0n
+        for (const resting of level.orders) {
+            if (this.#isSelfTrade(order, resting)) {
+                // Cancel-oldest just clears it out of the way; every other mode stops matching here
+                if (order.selfTradePrevention === SelfTradePrevention.CANCEL_OLDEST) continue
+                return { units, selfTrade: true }
+            }
+            units += this.#remainingUnits(resting)   // an iceberg refills at the same price
+            if (units >= wanted) break
+        }
+        return { units, selfTrade: false }
+    }
+
+    /**
+     * Remove GTD orders and stops whose time is up, earliest expiry first;
+     * orders that already left the book are just forgotten. Only the entries
+     * that are due come off the heap — O(log n) each.
+     */
+    #expireUntil(now) {
+        const expired = []
+
+        let entry
+        while ((entry = this.#earliestGtd()) && entry.expiresAt <= now) {
+            this.#forgetGtd(entry.id)
+
+            const removed = this.#bids.removeById(entry.id) ?? this.#asks.removeById(entry.id) ?? this.#dropStop(entry.id)
+            if (removed) {
+                removed.status = OrderStatus.EXPIRED
+                this.#release(removed)
+                expired.push(removed)
+            }
+        }
+
+        expired.forEach(order => this.#emit(OrderBookEvent.ORDER_REMOVED, order))
+        if (expired.length > 0) this.#publishIndicative()
+        return expired
+    }
+
+    // Every change to the GTD expiry index goes through these. Like the stop
+    // index, an entry taken out goes stale in the heap and is skipped when it
+    // reaches the top; once stale entries outnumber live ones, the heap is rebuilt.
+
+    #clearGtd() {
+        this.#gtd = new Map()
+        this.#gtdSeq = 0
+        this.#gtdExpiry = this.#newGtdHeap()
+    }
+
+    #newGtdHeap() {
+        return new Heap((a, b) => a.expiresAt - b.expiresAt || a.seq - b.seq)
+    }
+
+    #trackGtd(order) {
+        const entry = { id: order.id, expiresAt: order.expiresAt, seq: this.#gtdSeq++ }
+        this.#gtd.set(order.id, entry)
+        this.#gtdExpiry.insert(entry)
+    }
+
+    #forgetGtd(orderId) {
+        if (!this.#gtd.delete(orderId)) return
+        if (this.#gtdExpiry.size > 2 * this.#gtd.size) {
+            this.#gtdExpiry = this.#newGtdHeap()
+            this.#gtd.forEach(entry => this.#gtdExpiry.insert(entry))
+        }
+    }
+
+    /** The live entry that expires first, or null — stale entries on top are dropped on the way */
+    #earliestGtd() {
+        let top
+        while ((top = this.#gtdExpiry.peek()) && this.#gtd.get(top.id) !== top) this.#gtdExpiry.extractTop()
+        return top
+    }
+
+    // ─── Tombstones (private) ─────────────────────────
+
+    #addTombstone(orderId, peerId) {
+        this.#tombstones.set(orderId, peerId || null)
+
+        // Cancels for long-gone orders would otherwise pile up forever.
+        // Maps iterate in insertion order, so this evicts the oldest.
+        if (this.#tombstones.size > MAX_TOMBSTONES) {
+            this.#tombstones.delete(this.#tombstones.keys().next().value)
+        }
+    }
 
-        if (!order.quantity || order.quantity <= 0)
+    /**
+     * Is this order already cancelled? Only by the peer that sends it: like a
+     * cancel of a resting order, a tombstone left by anyone else doesn't count
+     * (one left without a peer, by an unchecked cancel, does). Either way the
+     * tombstone is used up.
+     */
+    #takeTombstone(order) {
+        if (!this.#tombstones.has(order.id)) return false
+        const owner = this.#tombstones.get(order.id)
+        this.#tombstones.delete(order.id)
+        return owner === null || owner === (order.peerId || null)
+    }
+
+    // ─── Validation (private) ─────────────────────────
+
+    #validateOrder(order) {
+        if (!order.id)
+            throw new Error('Order must have an id')
+
+        if (!Object.values(OrderSide).includes(order.side))
+            throw new Error(`Order side must be one of: ${Object.values(OrderSide).join(', ')}`)
+
+        if (order.type && !Object.values(OrderType).includes(order.type))
+            throw new Error(`Order type must be one of: ${Object.values(OrderType).join(', ')}`)
+
+        if (!this.#isMarketLike(order) && !(Number(order.price) > 0))
+            throw new Error('Limit order must have a positive price')
+
+        if (this.#isStop(order) && !(Number(order.stopPrice) > 0))
+            throw new Error('Stop order must have a positive stopPrice')
+
+        if (!(Number(order.quantity) > 0))
             throw new Error('Order quantity must be positive')
+
+        if (!this.#isMarketLike(order)) this.#checkTick(order.price, 'Price')
+        if (this.#isStop(order)) this.#checkTick(order.stopPrice, 'Stop price')
+        this.#checkLot(order.quantity)
+
+        if (order.timeInForce && !Object.values(TimeInForce).includes(order.timeInForce))
+            throw new Error(`Time in force must be one of: ${Object.values(TimeInForce).join(', ')}`)
+
+        if (order.timeInForce === TimeInForce.GTD && !(order.expiresAt > 0))
+            throw new Error('GTD order must have an expiresAt timestamp')
+
+        if (this.#isMarketLike(order) && (order.timeInForce === TimeInForce.GTC || order.timeInForce === TimeInForce.GTD))
+            throw new Error('Market orders cannot rest in the book — use IOC or FOK')
+
+        if (this.#isMarketLike(order) && order.postOnly)
+            throw new Error('Market orders cannot be post-only')
+
+        if (order.maxSlippageBps != null || order.protectionPrice != null) {
+            if (!this.#isMarketLike(order))
+                throw new Error('Slippage protection is only for market orders')
+            if (order.maxSlippageBps != null && !this.#isDecimal(order.maxSlippageBps, BPS_DECIMALS, 0))
+                throw new Error(`maxSlippageBps must be zero or more, with at most ${BPS_DECIMALS} decimals`)
+            if (order.protectionPrice != null) {
+                if (!(Number(order.protectionPrice) > 0)) throw new Error('protectionPrice must be positive')
+                this.#checkTick(order.protectionPrice, 'Protection price')
+            }
+        }
+
+        if (order.selfTradePrevention && !Object.values(SelfTradePrevention).includes(order.selfTradePrevention))
+            throw new Error(`Self-trade prevention must be one of: ${Object.values(SelfTradePrevention).join(', ')}`)
+
+        if (order.displayQuantity != null || order.hidden) {
+            if ((order.type || OrderType.LIMIT) !== OrderType.LIMIT)
+                throw new Error('Iceberg and hidden orders must be limit orders')
+            if (order.displayQuantity != null && order.hidden)
+                throw new Error('An order can be hidden or an iceberg, not both')
+        }
+
+        if (order.displayQuantity != null) {
+            if (!(Number(order.displayQuantity) > 0))
+                throw new Error('Iceberg displayQuantity must be positive')
+            this.#checkLot(order.displayQuantity)
+            if (this.#quantityUnits(order.displayQuantity) > this.#quantityUnits(order.quantity))
+                throw new Error('Iceberg displayQuantity cannot exceed quantity')
+        }
+    }
+
+    /** Price must sit exactly on the tick grid — never silently rounded */
+    #checkTick(value, label) {
+        if (!this.#onStep(value, this.#pricePrecision, this.#tick)) {
+            throw new Error(`${label} ${value} is not a multiple of the tick size ${this.#toPrice(this.#tick)}`)
+        }
+    }
+
+    #checkLot(value) {
+        if (!this.#onStep(value, this.#quantityPrecision, this.#lot)) {
+            throw new Error(`Quantity ${value} is not a multiple of the lot size ${this.#toQuantity(this.#lot)}`)
+        }
+    }
+
+    /** A decimal with at most `decimals` places, no smaller than `min` */
+    #isDecimal(value, decimals, min) {
+        try {
+            return toUnits(value, decimals) >= BigInt(min)
+        } catch (err) {
+            return false
+        }
+    }
+
+    #onStep(value, decimals, step) {
+        try {
+            return toUnits(value, decimals) % step === 0n
+        } catch (err) {
+            return false   // finer than the market's precision
+        }
+    }
+
+    /** Tick / lot size option → BigInt units, defaulting to one unit */
+    #step(size, decimals, label) {
+        if (size == null) return 1n
+
+        let units
+        try {
+            units = toUnits(size, decimals)
+        } catch (err) {
+            throw new Error(`${label} ${size} is finer than ${decimals} decimals`)
+        }
+        if (units <= 0n) throw new Error(`${label} must be positive`)
+        return units
+    }
+
+    // ─── Funds (private) ──────────────────────────────
+
+    /** Who pays for an order — its account, or its peer's */
+    #owner(order) {
+        return order.accountId || order.peerId
+    }
+
+    /** Reject an order its account can't cover, and reserve the funds of one it can */
+    #checkFunds(order) {
+        if (!this.#accounts) return
+        const owner = this.#owner(order)
+        if (!owner) throw new Error('Order needs an accountId or peerId to pay from')
+        this.#accounts.assertOwner(owner, order.peerId)
+        this.#reserveFor(order)
+    }
+
+    /**
+     * Hold exactly what a live order could still spend: its remaining
+     * quantity of base for a sell, remaining × limit price of quote for a
+     * buy. Market buys have no price, so nothing until they execute.
+     */
+    #reserveFor(order) {
+        if (!this.#accounts) return
+        if (order.side === OrderSide.SELL) {
+            const units = toLedgerUnits(this.#remainingUnits(order), this.#quantityPrecision)
+            this.#accounts.reserve(order.id, this.#owner(order), this.#base, units)
+        } else if (order.price != null) {
+            const units = toLedgerUnits(this.#priceUnits(order.price) * this.#remainingUnits(order), this.#pricePrecision + this.#quantityPrecision)
+            this.#accounts.reserve(order.id, this.#owner(order), this.#quote, units)
+        }
+    }
+
+    #release(order) {
+        if (this.#accounts) this.#accounts.release(order.id)
+    }
+
+    /**
+     * A market buy reserves the account's whole available quote when it
+     * executes, and matching stops when that runs out.
+     * @returns {string|null} REJECTED if there is nothing to spend
+     */
+    #reserveMarketBuy(order) {
+        const units = this.#marketBuyBudget(order)
+        if (units === null) return null
+        if (units === 0n) return OrderStatus.REJECTED
+        this.#accounts.reserve(order.id, this.#owner(order), this.#quote, units)
+        return null
+    }
+
+    /** Quote a market buy will have to spend once it executes, in ledger units — null if not a funded market buy */
+    #marketBuyBudget(order) {
+        if (!this.#accounts || order.side !== OrderSide.BUY || order.price != null) return null
+        return this.#accounts.reservedFor(order.id) + this.#accounts.available(this.#owner(order), this.#quote)
+    }
+
+    /** How much a market buy can still pay for at `price`, in whole lots — null if not a funded market buy */
+    #affordableUnits(order, price) {
+        if (!this.#accounts || order.side !== OrderSide.BUY || order.price != null) return null
+        return this.#lotsFor(this.#accounts.reservedFor(order.id), price)
+    }
+
+    /** Whole lots `budget` (quote, in ledger units) pays for at `price` */
+    #lotsFor(budget, price) {
+        const units = budget / this.#costUnits(price, 1n)
+        return units - units % this.#lot
+    }
+
+    /** What `units` of quantity cost at `price`, in quote ledger units */
+    #costUnits(price, units) {
+        return toLedgerUnits(this.#priceUnits(price) * units, this.#pricePrecision + this.#quantityPrecision)
+    }
+
+    /** Pay both legs of a trade out of the two orders' reservations */
+    #settle(trade, [buy, sell]) {
+        if (!this.#accounts) return
+        const quantityUnits = this.#quantityUnits(trade.quantity)
+
+        this.#accounts.transfer(buy.id, this.#owner(sell), this.#costUnits(trade.price, quantityUnits))
+        this.#accounts.transfer(sell.id, this.#owner(buy), toLedgerUnits(quantityUnits, this.#quantityPrecision))
+    }
+
+    // ─── Fees (private) ───────────────────────────────
+
+    /**
+     * Work out both sides' fees from the engine's rates — each
+     * { accountId, rate, asset, units, decimals } — without moving anything.
+     *
+     * Each side pays in the asset it receives (base for the buyer, quote for
+     * the seller), rounded up. A negative maker rate is a rebate: it is paid
+     * out of the taker's fee, so in the taker's asset, rounded down, and never
+     * more than that fee — the two sides' rates can come from different tiers.
+     *
+     * @returns {{ maker: object, taker: object }|null} null without a fee engine
+     */
+    #feesFor(trade, maker, taker) {
+        if (!this.#fees) return null
+
+        const quantityUnits = this.#quantityUnits(trade.quantity)
+        const receives = side => side === OrderSide.BUY
+            ? { asset: this.#base, units: quantityUnits, decimals: this.#quantityPrecision }
+            : { asset: this.#quote, units: this.#priceUnits(trade.price) * quantityUnits, decimals: this.#pricePrecision + this.#quantityPrecision }
+
+        const makerAccount = this.#owner(maker) || null
+        const takerAccount = this.#owner(taker) || null
+        const makerRate = this.#fees.ratesFor(makerAccount).maker
+        const takerRate = this.#fees.ratesFor(takerAccount).taker
+
+        const takerGets = receives(taker.side)
+        const takerFee = this.#feeUnits(takerGets.units, takerRate)
+        if (takerFee < 0n || takerFee > takerGets.units) throw new Error(`Taker fee rate ${takerRate} must be between 0 and 1`)
+
+        const rebate = toUnits(makerRate, RATE_DECIMALS) < 0n
+        const makerGets = rebate ? takerGets : receives(maker.side)
+        let makerFee = this.#feeUnits(makerGets.units, makerRate)
+        if (makerFee > makerGets.units) throw new Error(`Maker fee rate ${makerRate} cannot be more than 1`)
+        if (rebate && -makerFee > takerFee) makerFee = -takerFee
+
+        return {
+            maker: { accountId: makerAccount, rate: makerRate, asset: makerGets.asset, units: makerFee, decimals: makerGets.decimals },
+            taker: { accountId: takerAccount, rate: takerRate, asset: takerGets.asset, units: takerFee, decimals: takerGets.decimals }
+        }
+    }
+
+    /**
+     * Record the fees from #feesFor on the trade as `fees: { maker, taker }` —
+     * each { accountId, rate, asset, amount } — and, with accounts, collect
+     * them. The taker's fee goes in first, so a rebate is always covered.
+     */
+    #chargeFees(trade, { maker, taker }) {
+        const show = ({ accountId, rate, asset, units, decimals }) => ({ accountId, rate, asset, amount: fromUnits(units, decimals) })
+        trade.fees = { maker: show(maker), taker: show(taker) }
+
+        const collector = this.#fees.account
+        if (this.#accounts && collector) {
+            this.#accounts.move(taker.accountId, collector, taker.asset, toLedgerUnits(taker.units, taker.decimals))
+            if (maker.units >= 0n) this.#accounts.move(maker.accountId, collector, maker.asset, toLedgerUnits(maker.units, maker.decimals))
+            else this.#accounts.move(collector, maker.accountId, maker.asset, toLedgerUnits(-maker.units, maker.decimals))
+        }
+
+        this.#fees.record(trade)
+    }
+
+    /** amount × rate in the amount's units — fees round up, rebates (negative) round towards zero */
+    #feeUnits(amountUnits, rate) {
+        const scale = 10n ** BigInt(RATE_DECIMALS)
+        const product = amountUnits * toUnits(rate, RATE_DECIMALS)
+        if (product <= 0n) return product / scale   // BigInt division truncates towards zero
+        return (product + scale - 1n) / scale
     }
 
     // ─── Event emitter (private) ──────────────────────
@@ -288,9 +2204,75 @@ class OrderBook {
 
     // ─── Utilities (private) ──────────────────────────
 
-    #round(value, decimals) {
-        return parseFloat(value.toFixed(decimals))
+    /** Everything in getPublicSnapshot() but the order lists */
+    #publicFields(bestBid, bestAsk) {
+        return {
+            pair: this.#pair,
+            timestamp: this.#clock(),
+            lastTrade: this.#lastTrade ? { ...this.#lastTrade } : null,
+            bestBid,
+            bestAsk,
+            spread: bestBid && bestAsk ? this.#spreadBetween(bestBid, bestAsk) : null,
+            trading: this.getTradingStatus(),
+            // The book is crossed during an auction; this is what it would trade
+            indicative: this.#trading.phase === TradingPhase.AUCTION ? this.getIndicativeUncross() : null
+        }
+    }
+
+    /** The best order anyone may see on a side, as publicOrder() shows it — hidden orders skipped */
+    #bestShown(book) {
+        for (const level of book.bestFirst()) {
+            if (level.visible === 0) continue
+            for (const order of level.orders) {
+                if (!order.hidden) return publicOrder(order)
+            }
+        }
+        return null
+    }
+
+    #spreadBetween(bid, ask) {
+        return this.#toPrice(this.#priceUnits(ask.price) - this.#priceUnits(bid.price))
+    }
+
+    // Prices and quantities are canonical decimal strings on orders, trades,
+    // snapshots and the wire ('0.1', never 0.1000000000000000055…, and
+    // exact past 2^53 units); comparing or doing arithmetic on them always
+    // goes through exact BigInt units.
+
+    #priceUnits(value) { return toUnits(value, this.#pricePrecision) }
+    #quantityUnits(value) { return toUnits(value, this.#quantityPrecision) }
+    #toPrice(units) { return fromUnits(units, this.#pricePrecision) }
+    #toQuantity(units) { return fromUnits(units, this.#quantityPrecision) }
+
+    /** Validated input (number or decimal string) → the canonical string for it */
+    #exactPrice(value) { return this.#toPrice(this.#priceUnits(value)) }
+    #exactQuantity(value) { return this.#toQuantity(this.#quantityUnits(value)) }
+
+    /** Is any of this quantity (a slice, a reserve) left? */
+    #positive(quantity) { return quantity != null && this.#quantityUnits(quantity) > 0n }
+
+    /**
+     * An order from a snapshot or another replica, with its prices and
+     * quantities in canonical form — snapshots written before they were
+     * strings hold numbers.
+     */
+    #canonicalOrder(order) {
+        const copy = { ...order }
+        ;['price', 'stopPrice', 'protectionPrice'].forEach(field => {
+            if (copy[field] != null) copy[field] = this.#exactPrice(copy[field])
+        })
+        ;['quantity', 'reserve', 'displayQuantity'].forEach(field => {
+            if (copy[field] != null) copy[field] = this.#exactQuantity(copy[field])
+        })
+        return copy
+    }
+
+    #canonicalTrade(trade) {
+        return trade ? { ...trade, price: this.#exactPrice(trade.price), quantity: this.#exactQuantity(trade.quantity) } : null
     }
 }
 
-module.exports = { OrderBook, OrderSide, OrderType, OrderStatus, OrderBookEvent }
\ No newline at end of file
+module.exports = {
+    OrderBook, publicOrder, OrderSide, OrderType, TimeInForce, OrderStatus, SelfTradePrevention, AllocationStrategy,
+    RemovalReason, TradingPhase, HaltReason, AuctionType, CandleInterval, OrderBookEvent, CommandType
+}
\ No newline at end of file
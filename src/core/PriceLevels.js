@@ -0,0 +1,326 @@
+'use strict'
+
+const { compareDecimals } = require('./decimal')
+const { Heap } = require('./Heap')
+
+/**
+ * PRICE LEVELS
+ * ------------
+ * One side of the book, indexed three ways:
+ *
+ *   #orders  Map<id, node>      → find / cancel / update any order in O(1)
+ *   level    FIFO linked list   → orders at one price, in time priority
+ *   #heap    heap of levels     → best price on top; each level knows its
+ *                                  own heap index so an emptied level is
+ *                                  removed directly, no search
+ *
+ * Key operations (n = orders, L = distinct prices):
+ *   insert       → O(1) at an existing price, O(log L) for a new price
+ *   peek         → O(1)
+ *   extractTop   → O(1), plus O(log L) if its level empties
+ *   removeById   → O(1), plus O(log L) if its level empties
+ *   toArray      → O(n + L log L), best price first, time priority within a price
+ *   bestFirst    → O(log k) per level for the first k read — no full sort for a caller that stops early
+ *   levelSizes   → O(L), unsorted — each level's total, kept up to date as orders come and go
+ *   takeChanges  → O(1) — the shown orders and prices touched since the last call
+ *
+ * Drop-in replacement for BidHeap / AskHeap (same method names), which had
+ * to scan the whole array to find an order by id.
+ *
+ * A level's size is the sum of weigh(order) over its orders (BigInt, e.g.
+ * units including an iceberg's reserve). The weight is taken when an order
+ * is inserted or its quantity updated, so change an order through
+ * updateQuantity — or take it out and put it back — for the size to follow.
+ * `version` goes up on every change, for callers caching something derived.
+ *
+ * Alongside it, a level keeps what it shows: the sum of show(order) as
+ * `shown`, and how many orders show anything as `visible` — show returns
+ * null for an order nobody else may see (a hidden order). Changes to shown
+ * orders are noted from the first takeChanges() call on, for a caller
+ * keeping its own copy of the view current.
+ *
+ * Prices are decimal strings (or numbers), compared exactly — as strings
+ * '9' would sort above '10'. A level is keyed by the price as given, so
+ * the book hands in one canonical form per price.
+ */
+
+class PriceLevels {
+    #orders = new Map()   // Map<id, node> — node: { order, level, prev, next, weight, shown }
+    #levels = new Map()   // Map<price, level> — level: { price, head, tail, count, size, shown, visible, index }
+    #heap = []            // levels, best price at [0]
+    #byPeer = new Map()   // Map<peerId, number> — orders per peer
+    #better               // (priceA, priceB) => true if A is a better price than B
+    #weigh                // order => bigint — what an order adds to its level's size
+    #show                 // order => bigint|null — what an order adds to its level's shown size
+    #version = 0          // bumped on every change
+    #changes = null       // { ids: Set, prices: Set } — shown orders touched since takeChanges, null until it is called
+
+    /**
+     * @param {function} better  - (a, b) => true if price a should be matched before price b
+     * @param {function} [weigh] - order => bigint, summed into each level's size (default: 0n)
+     * @param {function} [show]  - order => bigint, summed into each level's shown size, or null if it isn't shown (default: 0n)
+     */
+    constructor(better, weigh = () => 0n, show = () => 0n) {
+        this.#better = better
+        this.#weigh = weigh
+        this.#show = show
+    }
+
+    // ─── Public API ───────────────────────────────
+
+    get size() { return this.#orders.size }
+    get isEmpty() { return this.#orders.size === 0 }
+
+    /** Number of distinct prices */
+    get levelCount() { return this.#levels.size }
+
+    /** Goes up on every insert, removal and quantity update */
+    get version() { return this.#version }
+
+    /** O(1) — orders resting on this side for one peer */
+    countFor(peerId) { return this.#byPeer.get(peerId) ?? 0 }
+
+    /** O(1) — best order without removing it */
+    peek() { return this.#heap[0]?.head.order ?? null }
+
+    /**
+     * Add an order behind everything at its price. Orders normally arrive in
+     * time order, so this is O(1); one carrying an earlier timestamp (e.g.
+     * reloaded from a snapshot) is walked forward to its place.
+     */
+    insert(order) {
+        if (this.#orders.has(order.id)) throw new Error(`Duplicate order id: ${order.id}`)
+
+        let level = this.#levels.get(order.price)
+        if (!level) {
+            level = { price: order.price, head: null, tail: null, count: 0, size: 0n, shown: 0n, visible: 0, index: this.#heap.length }
+            this.#levels.set(order.price, level)
+            this.#heap.push(level)
+            this.#bubbleUp(level.index)
+        }
+
+        const node = { order, level, prev: level.tail, next: null, weight: this.#weigh(order), shown: this.#show(order) }
+        while (node.prev && node.prev.order.timestamp > order.timestamp) {
+            node.next = node.prev
+            node.prev = node.prev.prev
+        }
+
+        if (node.prev) node.prev.next = node
+        else level.head = node
+        if (node.next) node.next.prev = node
+        else level.tail = node
+
+        level.count++
+        level.size += node.weight
+        if (node.shown !== null) {
+            level.shown += node.shown
+            level.visible++
+        }
+        this.#touch(node)
+        this.#orders.set(order.id, node)
+        this.#byPeer.set(order.peerId, this.countFor(order.peerId) + 1)
+        this.#version++
+    }
+
+    /** Remove and return the best order */
+    extractTop() {
+        const top = this.peek()
+        return top ? this.removeById(top.id) : null
+    }
+
+    /** O(1) — remove a specific order by id */
+    removeById(id) {
+        const node = this.#orders.get(id)
+        if (!node) return null
+
+        const level = node.level
+        if (node.prev) node.prev.next = node.next
+        else level.head = node.next
+        if (node.next) node.next.prev = node.prev
+        else level.tail = node.prev
+
+        this.#orders.delete(id)
+        level.size -= node.weight
+        if (node.shown !== null) {
+            level.shown -= node.shown
+            level.visible--
+        }
+        this.#touch(node)
+        if (--level.count === 0) this.#removeLevel(level)
+        this.#version++
+
+        const count = this.countFor(node.order.peerId) - 1
+        if (count === 0) this.#byPeer.delete(node.order.peerId)
+        else this.#byPeer.set(node.order.peerId, count)
+
+        return node.order
+    }
+
+    /** O(1) — look up a specific order by id without removing it */
+    findById(id) { return this.#orders.get(id)?.order ?? null }
+
+    /** O(orders at that price) — one level's orders in time priority, [] if there is no such level */
+    ordersAt(price) {
+        const level = this.#levels.get(price)
+        return level ? [...this.#ordersOf(level)] : []
+    }
+
+    /** O(1) — update quantity of an existing order in place; keeps its queue position */
+    updateQuantity(id, newQuantity) {
+        const node = this.#orders.get(id)
+        if (!node) return
+        node.order.quantity = newQuantity
+
+        const weight = this.#weigh(node.order)
+        node.level.size += weight - node.weight
+        node.weight = weight
+        if (node.shown !== null) {
+            const shown = this.#show(node.order)
+            node.level.shown += shown - node.shown
+            node.shown = shown
+        }
+        this.#touch(node)
+        this.#version++
+    }
+
+    /**
+     * Price levels best first, each with its orders in time priority.
+     * @returns {Array<{ price: string, orders: object[] }>}
+     */
+    levels() {
+        return [...this.#heap]
+            .sort((a, b) => this.#better(a.price, b.price) ? -1 : 1)
+            .map(level => ({ price: level.price, orders: [...this.#ordersOf(level)] }))
+    }
+
+    /**
+     * Price levels best first, found as they are read: the next best level is
+     * always a child of one already read, so only those children are kept in
+     * order — O(k log k) for the first k levels, however deep the side is.
+     * Don't change the side while walking it.
+     * @returns {Generator<{ price: string, size: bigint, shown: bigint, visible: number, orders: Iterable<object> }>} orders in time priority
+     */
+    *bestFirst() {
+        if (this.#heap.length === 0) return
+        const next = new Heap((a, b) => this.#better(a.price, b.price) ? -1 : 1)
+        next.insert(this.#heap[0])
+
+        while (!next.isEmpty) {
+            const level = next.extractTop()
+            yield { price: level.price, size: level.size, shown: level.shown, visible: level.visible, orders: this.#ordersOf(level) }
+
+            for (const child of [2 * level.index + 1, 2 * level.index + 2]) {
+                if (child < this.#heap.length) next.insert(this.#heap[child])
+            }
+        }
+    }
+
+    /**
+     * O(L) — every level's price and size, in no particular order.
+     * @returns {Array<{ price: string, size: bigint }>}
+     */
+    levelSizes() {
+        return this.#heap.map(level => ({ price: level.price, size: level.size }))
+    }
+
+    /**
+     * The shown orders inserted, removed or resized since the last call, and
+     * the prices they were at — what someone showing this side needs to look
+     * at again. Hidden orders are left out, as they change nothing shown.
+     * @returns {{ ids: Set<string>, prices: Set<string> }|null} null on the first
+     *   call: nothing was noted before it, so anything may have changed
+     */
+    takeChanges() {
+        const changes = this.#changes
+        this.#changes = { ids: new Set(), prices: new Set() }
+        return changes
+    }
+
+    /** All orders in matching order — best price first, then time priority */
+    toArray() { return this.levels().flatMap(level => level.orders) }
+
+    /** O(n), no sorting — every order, in no particular order */
+    *orders() {
+        for (const node of this.#orders.values()) yield node.order
+    }
+
+    #touch(node) {
+        if (!this.#changes || node.shown === null) return
+        this.#changes.ids.add(node.order.id)
+        this.#changes.prices.add(node.level.price)
+    }
+
+    *#ordersOf(level) {
+        for (let node = level.head; node; node = node.next) yield node.order
+    }
+
+    // ─── Private: level heap ──────────────────────
+
+    #removeLevel(level) {
+        this.#levels.delete(level.price)
+
+        const idx = level.index
+        const last = this.#heap.pop()
+        if (idx < this.#heap.length) {
+            this.#heap[idx] = last
+            last.index = idx
+            this.#bubbleUp(idx)
+            this.#bubbleDown(idx)
+        }
+    }
+
+    #bubbleUp(idx) {
+        while (idx > 0) {
+            const parentIdx = Math.floor((idx - 1) / 2)
+            if (this.#better(this.#heap[idx].price, this.#heap[parentIdx].price)) {
+                this.#swap(idx, parentIdx)
+                idx = parentIdx
+            } else break
+        }
+    }
+
+    #bubbleDown(idx) {
+        const length = this.#heap.length
+        while (true) {
+            let best = idx
+            const left = 2 * idx + 1
+            const right = 2 * idx + 2
+
+            if (left < length && this.#better(this.#heap[left].price, this.#heap[best].price)) best = left
+            if (right < length && this.#better(this.#heap[right].price, this.#heap[best].price)) best = right
+
+            if (best !== idx) {
+                this.#swap(idx, best)
+                idx = best
+            } else break
+        }
+    }
+
+    #swap(i, j) {
+        ;[this.#heap[i], this.#heap[j]] = [this.#heap[j], this.#heap[i]]
+        this.#heap[i].index = i
+        this.#heap[j].index = j
+    }
+}
+
+// ─────────────────────────────────────────────────────────────
+// BIDS — highest price first
+// ─────────────────────────────────────────────────────────────
+class BidLevels extends PriceLevels {
+    /** @param {function} [weigh] @param {function} [show] - see PriceLevels */
+    constructor(weigh, show) {
+        super((a, b) => compareDecimals(a, b) > 0, weigh, show)
+    }
+}
+
+// ─────────────────────────────────────────────────────────────
+// ASKS — lowest price first
+// ─────────────────────────────────────────────────────────────
+class AskLevels extends PriceLevels {
+    /** @param {function} [weigh] @param {function} [show] - see PriceLevels */
+    constructor(weigh, show) {
+        super((a, b) => compareDecimals(a, b) < 0, weigh, show)
+    }
+}
+
+module.exports = { BidLevels, AskLevels }
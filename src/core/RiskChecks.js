@@ -0,0 +1,253 @@
+'use strict'
+
+const { toUnits, fromUnits } = require('./decimal')
+const { CommandType, OrderSide, OrderType, RiskCode } = require('./enums')
+
+/** Order values are compared in units this fine — finer than any market's precision */
+const UNITS = 18
+
+/** Price bands are fractions with at most this many places (0.05 = 5%) */
+const BAND_DECIMALS = 8
+
+/**
+ * RiskChecks — pre-trade limits
+ *
+ * The sequencer runs these on every NEW_ORDER and AMEND_ORDER before giving
+ * it a seq. A command that fails is never sequenced, so no other peer sees
+ * it and the books stay identical without anyone repeating the check.
+ *
+ * An amendment is checked as the order it would leave resting: the
+ * per-market limits apply to its new price and quantity, the per-peer
+ * ones don't (it opens no new order).
+ *
+ * Per market (config `risk.markets[pair]`, falling back to `risk.defaults`):
+ *
+ *   maxQuantity   largest order size, in base
+ *   maxNotional   largest price × quantity, in quote — a market order is
+ *                 valued at its protectionPrice, else the best opposite price
+ *   priceBand     furthest a limit price may be from the last trade (or the
+ *                 mid before the first trade), as a fraction: 0.1 = ±10%
+ *
+ * Per peer, across all markets:
+ *
+ *   maxOpenOrders  resting orders plus pending stops
+ *   rateLimit      { orders, interval } — at most `orders` every `interval` ms;
+ *                  only orders the book accepted count, see record()
+ *
+ * Any limit left out isn't checked. A failed check comes back as
+ * { code, message, limit, value } with code one of RiskCode.*; limit and
+ * value are decimal strings for sizes and prices, numbers for counts.
+ */
+class RiskChecks {
+    #defaults       // limits for markets without their own entry
+    #markets        // { pair: { maxQuantity, maxNotional, priceBand } }
+    #maxOpenOrders  // number or null
+    #rateLimit      // { orders, interval } or null
+    #recent         // Map<peerId, number[]> — times of accepted orders still inside the window
+    #clock
+
+    /**
+     * @param {object} [opts]                 - Shaped like config.risk
+     * @param {object} [opts.defaults]        - { maxQuantity, maxNotional, priceBand }
+     * @param {object} [opts.markets]         - Per-pair overrides of the defaults
+     * @param {number} [opts.maxOpenOrders]
+     * @param {{ orders: number, interval: number }} [opts.rateLimit]
+     * @param {function} [opts.clock]         - () => ms timestamp, for the rate limit
+     */
+    constructor({ defaults = {}, markets = {}, maxOpenOrders = null, rateLimit = null, clock = Date.now } = {}) {
+        if (rateLimit && !(rateLimit.orders > 0 && rateLimit.interval > 0))
+            throw new Error('Risk rateLimit needs positive orders and interval')
+
+        this.#defaults = this.#validateLimits(defaults)
+        this.#markets = {}
+        Object.entries(markets).forEach(([pair, limits]) => {
+            this.#markets[pair] = { ...this.#defaults, ...this.#validateLimits(limits) }
+        })
+        this.#maxOpenOrders = maxOpenOrders
+        this.#rateLimit = rateLimit
+        this.#recent = new Map()
+        this.#clock = clock
+    }
+
+    // ─── Public API ───────────────────────────────────
+
+    /** Limits that apply to one market */
+    limitsFor(pair) {
+        return { ...(this.#markets[pair] ?? this.#defaults) }
+    }
+
+    /**
+     * Check a NEW_ORDER or AMEND_ORDER command against every limit that
+     * applies to it. Passing doesn't count towards the rate limit yet —
+     * call record() once the book has taken the order.
+     *
+     * Values the book would reject anyway (not a number, negative, an
+     * amendment of an order that isn't resting...) are let through, so the
+     * book's own error message reaches the user.
+     *
+     * @param {object} command  - { type, pair, order } or { type, pair, orderId, changes }
+     * @param {MarketRegistry} markets
+     * @returns {{ code: string, message: string, limit: number|string, value: number|string }|null} null if the command may go ahead
+     */
+    check(command, markets) {
+        const book = markets.get(command.pair)
+        const limits = this.limitsFor(command.pair)
+
+        if (command.type === CommandType.AMEND_ORDER) {
+            const amended = this.#amendedOrder(command, book)
+            if (!amended) return null
+            return this.#checkSize(amended, limits)
+                ?? this.#checkNotional(amended, book, limits)
+                ?? (command.changes?.price != null ? this.#checkPriceBand(amended, book, limits) : null)
+        }
+
+        const { order } = command
+        return this.#checkRate(order.peerId, this.#clock())
+            ?? this.#checkSize(order, limits)
+            ?? this.#checkNotional(order, book, limits)
+            ?? this.#checkPriceBand(order, book, limits)
+            ?? this.#checkOpenOrders(order.peerId, markets)
+    }
+
+    /**
+     * Count an order the book accepted towards its peer's rate limit.
+     * Amendments and orders the book rejected don't count.
+     *
+     * @param {object} command - The NEW_ORDER that was sequenced
+     */
+    record(command) {
+        if (!this.#rateLimit || command.type !== CommandType.NEW_ORDER) return
+        const peerId = command.order.peerId
+        const recent = this.#recent.get(peerId) ?? []
+        recent.push(this.#clock())
+        this.#recent.set(peerId, recent)
+    }
+
+    // ─── Checks (private) ─────────────────────────────
+
+    #checkRate(peerId, now) {
+        if (!this.#rateLimit) return null
+        const { orders, interval } = this.#rateLimit
+
+        const recent = (this.#recent.get(peerId) ?? []).filter(time => time > now - interval)
+        this.#recent.set(peerId, recent)
+        if (recent.length < orders) return null
+        return this.#reject(RiskCode.RATE_LIMIT, `More than ${orders} orders in ${interval}ms`, orders, recent.length + 1)
+    }
+
+    #checkSize(order, { maxQuantity }) {
+        const quantity = parse(order.quantity)
+        if (maxQuantity == null || quantity == null || quantity <= toUnits(maxQuantity, UNITS)) return null
+        return this.#reject(RiskCode.MAX_ORDER_SIZE, `Quantity ${order.quantity} exceeds ${maxQuantity}`,
+            exact(maxQuantity), fromUnits(quantity, UNITS))
+    }
+
+    #checkNotional(order, book, { maxNotional }) {
+        const quantity = parse(order.quantity)
+        const price = parse(this.#valuationPrice(order, book))
+        if (maxNotional == null || quantity == null || price == null) return null
+
+        const notional = price * quantity   // 2 × UNITS decimals
+        if (notional <= toUnits(maxNotional, 2 * UNITS)) return null
+        const value = fromUnits(notional, 2 * UNITS)
+        return this.#reject(RiskCode.MAX_NOTIONAL, `Notional ${value} exceeds ${maxNotional}`, exact(maxNotional), value)
+    }
+
+    #checkPriceBand(order, book, { priceBand }) {
+        if (priceBand == null || !this.#hasLimitPrice(order)) return null
+        const price = parse(order.price)
+        const reference = this.#referencePrice(book)
+        if (price == null || reference == null) return null   // nothing to measure against yet
+
+        // |price - reference| / reference > band, without dividing
+        const distance = price > reference ? price - reference : reference - price
+        if (distance * 10n ** BigInt(BAND_DECIMALS) <= toUnits(priceBand, BAND_DECIMALS) * reference) return null
+
+        const referenceValue = fromUnits(reference, UNITS)
+        return {
+            ...this.#reject(RiskCode.PRICE_BAND, `Price ${order.price} is more than ${priceBand} away from ${referenceValue}`,
+                exact(priceBand, BAND_DECIMALS), fromUnits(price, UNITS)),
+            reference: referenceValue
+        }
+    }
+
+    #checkOpenOrders(peerId, markets) {
+        if (this.#maxOpenOrders == null) return null
+        const open = markets.openOrderCount(peerId)
+        if (open < this.#maxOpenOrders) return null
+        return this.#reject(RiskCode.MAX_OPEN_ORDERS, `${peerId} already has ${open} open orders`, this.#maxOpenOrders, open + 1)
+    }
+
+    // ─── Private ──────────────────────────────────────
+
+    /** The resting order as the amendment would leave it, or null if it isn't resting */
+    #amendedOrder({ orderId, changes = {} }, book) {
+        const resting = book?.findOrder(orderId)
+        if (!resting) return null
+        const remaining = fromUnits(parse(resting.quantity) + (parse(resting.reserve) ?? 0n), UNITS)
+        return {
+            ...resting,
+            price: changes.price ?? resting.price,
+            quantity: changes.quantity ?? remaining
+        }
+    }
+
+    /** What an order is worth per unit: its limit or protection price, its stop for a stop-market, else the best opposite price */
+    #valuationPrice(order, book) {
+        if (this.#hasLimitPrice(order)) return order.price
+        if (order.protectionPrice != null) return order.protectionPrice
+        if (order.type === OrderType.STOP_MARKET) return order.stopPrice
+        return (order.side === OrderSide.BUY ? book.bestAsk() : book.bestBid())?.price
+    }
+
+    /** Last trade, else the mid — in UNITS, or null on an empty book */
+    #referencePrice(book) {
+        const last = book.lastPrice()
+        if (last != null) return toUnits(last, UNITS)
+        const bid = book.bestBid()
+        const ask = book.bestAsk()
+        if (!bid || !ask) return null
+        return (toUnits(bid.price, UNITS) + toUnits(ask.price, UNITS)) / 2n
+    }
+
+    #hasLimitPrice(order) {
+        const type = order.type || OrderType.LIMIT
+        return type === OrderType.LIMIT || type === OrderType.STOP_LIMIT
+    }
+
+    #validateLimits({ maxQuantity, maxNotional, priceBand } = {}) {
+        const limits = {}
+        const positive = (value, label) => {
+            if (value == null) return
+            if (!(Number(value) > 0)) throw new Error(`Risk ${label} must be positive`)
+            limits[label] = value
+        }
+        positive(maxQuantity, 'maxQuantity')
+        positive(maxNotional, 'maxNotional')
+        positive(priceBand, 'priceBand')
+        if (priceBand != null) toUnits(priceBand, BAND_DECIMALS)   // throws if finer than a band can be
+        return limits
+    }
+
+    #reject(code, message, limit, value) {
+        return { code, message, limit, value }
+    }
+}
+
+/** Order value in UNITS, or null if it isn't a valid positive decimal */
+function parse(value) {
+    if (value == null) return null
+    try {
+        const units = toUnits(value, UNITS)
+        return units > 0n ? units : null
+    } catch (err) {
+        return null
+    }
+}
+
+/** A configured limit as a canonical decimal string */
+function exact(value, decimals = UNITS) {
+    return fromUnits(toUnits(value, decimals), decimals)
+}
+
+module.exports = { RiskChecks, RiskCode }
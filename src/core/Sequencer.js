@@ -0,0 +1,163 @@
+'use strict'
+
+/**
+ * Sequencer — total ordering of book commands across peers
+ *
+ * Each peer runs the same deterministic OrderBook, so if every peer applies
+ * the same commands in the same order, every book ends up identical.
+ * The Sequencer is what guarantees "the same order".
+ *
+ * One peer is the sequencer (leader). It stamps each command with the next
+ * global sequence number and broadcasts it. Everyone else is a follower:
+ *
+ *   seq 1 → apply
+ *   seq 3 → arrived early, hold it back
+ *   seq 2 → apply, then drain seq 3 from the hold-back queue
+ *   seq 2 → duplicate, ignore
+ *
+ * Pure logic, no network — the Peer decides how messages travel.
+ */
+class Sequencer {
+    #sequence = 0   // last sequence number applied locally
+    #pending        // Map<seq, message> — arrived out of order, waiting for the gap to close
+    #onDeliver      // (message) => result — applies a command to the local book
+    #onCommit       // (message) => void — a seq has been consumed (e.g. write it to the journal)
+
+    /**
+     * onDeliver must either apply a command or throw before changing
+     * anything. An error it throws after the state has changed must carry
+     * `applied: true` (OrderBook.applyCommand marks its own).
+     *
+     * onCommit must not throw: by the time it runs the seq is consumed and
+     * the state has changed, so the message has to go out whatever happens
+     * to the local copy.
+     *
+     * @param {object} opts
+     * @param {function} opts.onDeliver  - Called with each message, strictly in sequence order
+     * @param {function} [opts.onCommit] - Called once a message's seq is consumed, whether or not it applied cleanly
+     * @param {number}   [opts.sequence=0] - Last sequence number already applied
+     */
+    constructor({ onDeliver, onCommit, sequence = 0 }) {
+        if (typeof onDeliver !== 'function') throw new Error('Sequencer requires an onDeliver callback')
+
+        this.#onDeliver = onDeliver
+        this.#onCommit = onCommit || null
+        this.#sequence = sequence
+        this.#pending = new Map()
+    }
+
+    // ─── Public API ───────────────────────────────────
+
+    /** Last sequence number applied */
+    get sequence() { return this.#sequence }
+
+    /** How many messages are waiting on a gap */
+    get pendingCount() { return this.#pending.size }
+
+    /**
+     * The seqs we are missing before anything held back can apply, or null
+     * if nothing is held back.
+     * @returns {{ from: number, to: number }|null}
+     */
+    get gap() {
+        if (this.#pending.size === 0) return null
+        return { from: this.#sequence + 1, to: Math.min(...this.#pending.keys()) - 1 }
+    }
+
+    /**
+     * Leader only — stamp the next sequence number onto a command and apply it.
+     *
+     * A command rejected before it changed anything (bad side, zero
+     * quantity...) throws and consumes nothing, so it never leaves a gap
+     * that followers would wait on forever. One that failed after changing
+     * the state (error.applied) has to reach everyone: its seq is consumed
+     * and the error returned with the message, and every follower applying
+     * it fails at the same point.
+     *
+     * @param {object} command
+     * @returns {{ message: object, result?: *, error?: Error }} message is what gets broadcast
+     */
+    assign(command) {
+        if (this.#pending.size > 0) {
+            throw new Error(`Sequencer is behind: waiting on seq ${this.#sequence + 1}`)
+        }
+
+        const message = { ...command, seq: this.#sequence + 1 }
+        let delivered
+        try {
+            delivered = { message, result: this.#onDeliver(message) }
+        } catch (error) {
+            if (!error.applied) throw error   // nothing changed → nothing consumed
+            delivered = { message, error }
+        }
+        this.#sequence = message.seq
+        this.#onCommit?.(message)
+
+        return delivered
+    }
+
+    /**
+     * Follower — accept a sequenced message in whatever order the network
+     * delivered it. Applies it (and anything it unblocks) once every earlier
+     * sequence number has been applied.
+     *
+     * @param {object} message - Must carry a numeric seq
+     * @returns {Array<{ message: object, result?: *, error?: Error }>} what got applied, in order
+     */
+    receive(message) {
+        if (!Number.isInteger(message?.seq) || message.seq < 1) {
+            throw new Error('Sequenced message must have a positive integer seq')
+        }
+
+        // Already applied, or already waiting — duplicates are harmless
+        if (message.seq <= this.#sequence || this.#pending.has(message.seq)) return []
+
+        this.#pending.set(message.seq, message)
+        return this.#drain()
+    }
+
+    /**
+     * Jump forward to a sequence number we got some other way — e.g. by
+     * loading a snapshot taken at that seq. Anything already held back that
+     * the snapshot covers is dropped; anything after it is applied.
+     *
+     * @param {number} sequence - The seq the local book now reflects
+     * @returns {Array<{ message: object, result?: *, error?: Error }>} what got applied, in order
+     */
+    reset(sequence) {
+        if (sequence < this.#sequence) {
+            throw new Error(`Cannot rewind sequencer from ${this.#sequence} to ${sequence}`)
+        }
+
+        this.#sequence = sequence
+        for (const seq of this.#pending.keys()) {
+            if (seq <= sequence) this.#pending.delete(seq)
+        }
+        return this.#drain()
+    }
+
+    // ─── Private ──────────────────────────────────────
+
+    #drain() {
+        const delivered = []
+
+        while (this.#pending.has(this.#sequence + 1)) {
+            const message = this.#pending.get(this.#sequence + 1)
+            this.#pending.delete(message.seq)
+            this.#sequence = message.seq
+
+            // A command that failed on the leader never got a seq, so a failure
+            // here is failing identically everywhere — record it and keep going
+            try {
+                delivered.push({ message, result: this.#onDeliver(message) })
+            } catch (error) {
+                delivered.push({ message, error })
+            }
+            this.#onCommit?.(message)
+        }
+
+        return delivered
+    }
+}
+
+module.exports = { Sequencer }
@@ -0,0 +1,303 @@
+'use strict'
+
+/** Trades kept in memory unless configured otherwise */
+const DEFAULT_LIMIT = 10000
+
+/** Page size of query() when none is asked for, and the largest allowed */
+const DEFAULT_PAGE = 100
+const MAX_PAGE = 1000
+
+/** Archived trades one query reads at most before handing back a cursor, unless configured otherwise */
+const DEFAULT_SCAN_LIMIT = 10000
+
+/**
+ * TradeStore — a market's trade history, bounded and indexed
+ *
+ * Every trade gets a position: 0 for the market's first trade, then one
+ * more for each after it. Trades are recorded in sequence order, so every
+ * peer gives the same trade the same position, and a snapshot carries the
+ * count on so that stays true for peers that joined later.
+ *
+ * Only the newest `limit` trades are kept in memory, and none more than
+ * `maxAge` ms older than the newest. Older ones are dropped, or kept for
+ * the archive if there is one — anything with
+ *
+ *   append(entries)        [{ position, trade }], oldest first; positions it already has are skipped
+ *   read({ from, since })  iterates entries from position `from` on, in order;
+ *                          may leave out runs that are all older than `since`
+ *
+ * Trades are recorded from inside matching, which must never fail halfway
+ * through on a disk error, so nothing is written there: dropped trades wait
+ * until the owner calls flush(), outside of applying commands. Until then
+ * they are still found by queries.
+ *
+ * query() pages through history oldest first. A page's `cursor` is where
+ * the next one starts; positions, not timestamps, so trades with the same
+ * timestamp are never skipped or repeated. Lookups by order id, peer id and
+ * time range use indexes over what is in memory; the archive is scanned,
+ * at most `scanLimit` trades per page — a page that runs into that comes
+ * back short (even empty) with a cursor to scan on from.
+ */
+class TradeStore {
+    #limit     // most trades kept in memory
+    #maxAge    // ms behind the newest trade a trade may be, or null for no age limit
+    #archive   // where dropped trades go, or null to forget them
+    #scanLimit // archived trades read at most per query
+    #spill     // [{ position, trade }] — dropped, not yet in the archive, oldest first
+    #entries   // [{ position, trade }] — oldest first
+    #next      // position the next trade gets = trades recorded so far
+    #byOrder   // Map<orderId, position[]> — both orders of every trade in memory
+    #byPeer    // Map<peerId, position[]>
+    #byTime    // [{ timestamp, position }] — by timestamp, then position
+
+    /**
+     * @param {object} [opts]
+     * @param {number} [opts.limit=10000] - Trades kept in memory
+     * @param {number} [opts.maxAge]      - ms — drop trades this much older than the newest
+     * @param {object} [opts.archive]     - Receives dropped trades, e.g. a TradeArchive
+     * @param {number} [opts.scanLimit=10000] - Archived trades one query reads at most
+     */
+    constructor({ limit = DEFAULT_LIMIT, maxAge = null, archive = null, scanLimit = DEFAULT_SCAN_LIMIT } = {}) {
+        if (!Number.isInteger(limit) || limit < 1) throw new Error('Trade history limit must be a positive integer')
+        if (maxAge != null && !(maxAge > 0)) throw new Error('Trade history maxAge must be positive')
+        if (!Number.isInteger(scanLimit) || scanLimit < 1) throw new Error('Trade history scanLimit must be a positive integer')
+
+        this.#limit = limit
+        this.#maxAge = maxAge
+        this.#archive = archive
+        this.#scanLimit = scanLimit
+        this.#spill = []
+        this.#next = 0
+        this.#reset()
+    }
+
+    // ─── Public API ───────────────────────────────────
+
+    /** Trades held in memory */
+    get size() { return this.#entries.length }
+
+    /** Trades recorded over the market's lifetime — the position the next one gets */
+    get total() { return this.#next }
+
+    /** Trades dropped from memory and still waiting for flush() */
+    get pending() { return this.#spill.length }
+
+    record(trade) {
+        this.#add({ position: this.#next++, trade })
+        this.#trim(trade.timestamp)
+    }
+
+    /** Every trade in memory, oldest first */
+    all() {
+        return this.#entries.map(entry => ({ ...entry.trade }))
+    }
+
+    /** The newest `count` trades, oldest first */
+    recent(count) {
+        return this.#entries.slice(-count).map(entry => ({ ...entry.trade }))
+    }
+
+    /**
+     * Write the trades dropped since the last flush to the archive. If that
+     * throws they stay pending and the next flush tries again; the archive
+     * skips whatever it already got.
+     * @returns {number} trades written
+     */
+    flush() {
+        if (!this.#archive || this.#spill.length === 0) return 0
+        const count = this.#spill.length
+        this.#archive.append(this.#spill)
+        this.#spill = []
+        return count
+    }
+
+    /**
+     * One page of trade history, oldest first.
+     * @param {object} [opts]
+     * @param {number} [opts.since]   - Only trades at or after this ms timestamp
+     * @param {number} [opts.until]   - ...and at or before this one
+     * @param {string} [opts.orderId] - Only trades of this order (either side)
+     * @param {string} [opts.peerId]  - Only trades of this peer's orders (either side)
+     * @param {number} [opts.limit=100] - Page size, at most 1000
+     * @param {string} [opts.cursor]  - From a previous page: continue after it
+     * @returns {{ trades: object[], cursor: string|null }} cursor is null on the last page
+     */
+    query({ since = null, until = null, orderId = null, peerId = null, limit = DEFAULT_PAGE, cursor = null } = {}) {
+        if (since != null && !Number.isFinite(since)) throw new Error('Trade query since must be a timestamp in ms')
+        if (until != null && !Number.isFinite(until)) throw new Error('Trade query until must be a timestamp in ms')
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE) throw new Error(`Trade query limit must be between 1 and ${MAX_PAGE}`)
+        const after = this.#parseCursor(cursor)
+
+        const matches = trade =>
+            (since == null || trade.timestamp >= since) &&
+            (until == null || trade.timestamp <= until) &&
+            (orderId == null || trade.buyOrderId === orderId || trade.sellOrderId === orderId) &&
+            (peerId == null || trade.buyPeerId === peerId || trade.sellPeerId === peerId)
+
+        // One more than asked for, to know whether there is a next page
+        const found = []
+        const unarchived = this.#spill[0]?.position ?? this.#entries[0]?.position ?? this.#next
+        if (this.#archive && after + 1 < unarchived) {
+            let scanned = 0
+            for (const entry of this.#archive.read({ from: after + 1, since })) {
+                if (entry.position >= unarchived || found.length > limit) break
+                // Sparse matches deep in the archive: stop here, the cursor picks up after it
+                if (scanned++ === this.#scanLimit) return this.#page(found, limit, entry.position - 1)
+                if (matches(entry.trade)) found.push(entry)
+            }
+        }
+        for (const entry of this.#spill) {
+            if (found.length > limit) break
+            if (entry.position > after && matches(entry.trade)) found.push(entry)
+        }
+        for (const entry of this.#candidates({ since, until, orderId, peerId })) {
+            if (found.length > limit) break
+            if (entry.position > after && matches(entry.trade)) found.push(entry)
+        }
+        return this.#page(found, limit, null)
+    }
+
+    /**
+     * Replace what is in memory with trades from a snapshot.
+     * @param {object[]} trades - Oldest first
+     * @param {number} [total=trades.length] - Trades recorded up to the snapshot; the last of `trades` is total - 1
+     */
+    load(trades, total = trades.length) {
+        if (total < trades.length) throw new Error('Trade count is smaller than the trades in the snapshot')
+
+        this.#reset()
+        this.#spill = this.#spill.filter(entry => entry.position < total - trades.length)   // still owed to the archive
+        this.#next = total
+        trades.forEach((trade, i) => this.#add({ position: total - trades.length + i, trade }))
+        if (trades.length > 0) this.#trim(trades[trades.length - 1].timestamp)
+    }
+
+    /**
+     * Trades up to `total` happened while this store wasn't looking (a peer
+     * snapshot was loaded over a gap). The next trade continues from there.
+     */
+    advanceTo(total) {
+        if (total > this.#next) this.#next = total
+    }
+
+    // ─── Private ──────────────────────────────────────
+
+    #reset() {
+        this.#entries = []
+        this.#byOrder = new Map()
+        this.#byPeer = new Map()
+        this.#byTime = []
+    }
+
+    #add(entry) {
+        const { position, trade } = entry
+        this.#entries.push(entry)
+        keysOf(trade.buyOrderId, trade.sellOrderId).forEach(id => pushTo(this.#byOrder, id, position))
+        keysOf(trade.buyPeerId, trade.sellPeerId).forEach(id => pushTo(this.#byPeer, id, position))
+
+        // Trades mostly arrive in time order, so this is nearly always an append
+        let i = this.#byTime.length
+        while (i > 0 && this.#byTime[i - 1].timestamp > trade.timestamp) i--
+        this.#byTime.splice(i, 0, { timestamp: trade.timestamp, position })
+    }
+
+    /** Drop the oldest trades past the limits, into the archive if there is one */
+    #trim(newest) {
+        let count = Math.max(this.#entries.length - this.#limit, 0)
+        if (this.#maxAge != null) {
+            while (count < this.#entries.length && this.#entries[count].trade.timestamp < newest - this.#maxAge) count++
+        }
+        if (count === 0) return
+
+        const dropped = this.#entries.splice(0, count)
+        dropped.forEach(({ position, trade }) => {
+            keysOf(trade.buyOrderId, trade.sellOrderId).forEach(id => shiftFrom(this.#byOrder, id, position))
+            keysOf(trade.buyPeerId, trade.sellPeerId).forEach(id => shiftFrom(this.#byPeer, id, position))
+            this.#byTime.splice(this.#timeIndex(trade.timestamp, position), 1)
+        })
+        if (this.#archive) this.#spill.push(...dropped)
+    }
+
+    /**
+     * At most `limit` of what was found. The cursor continues after the last
+     * trade returned if there are more, or after `scannedTo` if the archive
+     * scan stopped short.
+     */
+    #page(found, limit, scannedTo) {
+        const page = found.slice(0, limit)
+        let cursor = null
+        if (found.length > limit) cursor = String(page[page.length - 1].position)
+        else if (scannedTo !== null) cursor = String(scannedTo)
+        return { trades: page.map(entry => ({ ...entry.trade })), cursor }
+    }
+
+    /**
+     * The entries worth checking, in position order — through the narrowest
+     * index the query allows.
+     */
+    #candidates({ since, until, orderId, peerId }) {
+        let positions = null
+        if (orderId != null) {
+            positions = this.#byOrder.get(orderId) || []
+        } else if (peerId != null) {
+            positions = this.#byPeer.get(peerId) || []
+        } else if (since != null || until != null) {
+            const from = since == null ? 0 : this.#timeIndex(since, -1)
+            const to = until == null ? this.#byTime.length : this.#timeIndex(until, Infinity)
+            positions = this.#byTime.slice(from, to).map(index => index.position).sort((a, b) => a - b)
+        }
+        return positions === null ? this.#entries : positions.map(position => this.#entryAt(position))
+    }
+
+    /** Where (timestamp, position) is, or would go, in #byTime */
+    #timeIndex(timestamp, position) {
+        let lo = 0
+        let hi = this.#byTime.length
+        while (lo < hi) {
+            const mid = (lo + hi) >> 1
+            const index = this.#byTime[mid]
+            if (index.timestamp < timestamp || (index.timestamp === timestamp && index.position < position)) lo = mid + 1
+            else hi = mid
+        }
+        return lo
+    }
+
+    /** The entry in memory at a position — positions only grow, so binary search */
+    #entryAt(position) {
+        let lo = 0
+        let hi = this.#entries.length - 1
+        while (lo < hi) {
+            const mid = (lo + hi) >> 1
+            if (this.#entries[mid].position < position) lo = mid + 1
+            else hi = mid
+        }
+        return this.#entries[lo]
+    }
+
+    #parseCursor(cursor) {
+        if (cursor == null || cursor === '') return -1
+        const position = Number(cursor)
+        if (!Number.isInteger(position) || position < 0) throw new Error(`Invalid trade cursor: ${cursor}`)
+        return position
+    }
+}
+
+/** Distinct, defined ids — a peer trading with itself is indexed once */
+function keysOf(a, b) {
+    return [...new Set([a, b])].filter(id => id != null)
+}
+
+function pushTo(index, key, position) {
+    const positions = index.get(key)
+    if (positions) positions.push(position)
+    else index.set(key, [position])
+}
+
+/** Dropped trades are always the oldest, so theirs is the first position of each list */
+function shiftFrom(index, key, position) {
+    const positions = index.get(key)
+    if (positions?.[0] === position) positions.shift()
+    if (positions?.length === 0) index.delete(key)
+}
+
+module.exports = { TradeStore, MAX_PAGE }
@@ -0,0 +1,120 @@
+'use strict'
+
+const { toUnits } = require('./decimal')
+const { AllocationStrategy } = require('./enums')
+
+/**
+ * Allocation strategies — how an incoming order's quantity is shared
+ * among the orders resting at the best price
+ *
+ *   fifo          the oldest order fills first (price-time, the default)
+ *   pro_rata      every order gets a share in proportion to its size
+ *   top_order     the first order in the queue fills first (up to
+ *                 topOrderMax), the rest of the level pro rata
+ *   pro_rata_min  pro rata, but a share smaller than minAllocation is
+ *                 dropped and goes to the leftover instead
+ *
+ * A strategy is a function
+ *
+ *   allocate(wanted, sizes, lot) → shares
+ *
+ * on BigInt units: `sizes` are the resting orders' visible quantities in
+ * time priority, and `shares` says how much each one trades. It must hand
+ * out exactly min(wanted, total) in whole lots and never more than an
+ * order has — OrderBook checks. Pro-rata shares are rounded down to the
+ * lot; the lots left over go to orders in time priority, so the same book
+ * always splits the same way.
+ */
+
+/**
+ * @param {string|object|null} config - A strategy name, { strategy, minAllocation?, topOrderMax? },
+ *                                      or a custom { allocate } — null / 'fifo' for plain price-time
+ * @param {number} decimals - Quantity precision, for minAllocation / topOrderMax
+ * @returns {{ strategy: string, allocate: function }}
+ */
+function createAllocator(config, decimals) {
+    if (config == null) return { strategy: AllocationStrategy.FIFO, allocate: fifo }
+    if (typeof config.allocate === 'function') return { strategy: config.strategy || 'custom', allocate: config.allocate }
+
+    const { strategy, minAllocation, topOrderMax } = typeof config === 'string' ? { strategy: config } : config
+    switch (strategy) {
+        case AllocationStrategy.FIFO:
+            return { strategy, allocate: fifo }
+        case AllocationStrategy.PRO_RATA:
+            return { strategy, allocate: (wanted, sizes, lot) => proRata(wanted, sizes, lot) }
+        case AllocationStrategy.PRO_RATA_MIN: {
+            const minimum = positiveUnits(minAllocation, decimals, 'minAllocation')
+            if (minimum === null) throw new Error('pro_rata_min allocation needs a minAllocation')
+            return { strategy, allocate: (wanted, sizes, lot) => proRata(wanted, sizes, lot, minimum) }
+        }
+        case AllocationStrategy.TOP_ORDER: {
+            const max = positiveUnits(topOrderMax, decimals, 'topOrderMax')
+            return { strategy, allocate: (wanted, sizes, lot) => topOrder(wanted, sizes, lot, max) }
+        }
+        default:
+            throw new Error(`Allocation strategy must be one of: ${Object.values(AllocationStrategy).join(', ')}`)
+    }
+}
+
+/** Oldest first, each order filled before the next gets anything */
+function fifo(wanted, sizes) {
+    let left = wanted
+    return sizes.map(size => {
+        const share = size < left ? size : left
+        left -= share
+        return share
+    })
+}
+
+/**
+ * In proportion to size, rounded down to the lot. Shares under `minimum`
+ * become 0. Whatever that leaves over is filled in time priority.
+ */
+function proRata(wanted, sizes, lot, minimum = 0n) {
+    const total = sizes.reduce((sum, size) => sum + size, 0n)
+    if (wanted >= total) return [...sizes]
+
+    const wantedLots = wanted / lot
+    const totalLots = total / lot
+    const shares = sizes.map(size => {
+        const share = wantedLots * (size / lot) / totalLots * lot
+        return share < minimum ? 0n : share
+    })
+    return fillInOrder(wanted, sizes, shares)
+}
+
+/** The first order in the queue up to `max` (default: all of it), then the rest of the level pro rata */
+function topOrder(wanted, sizes, lot, max = null) {
+    if (sizes.length === 0) return []
+
+    let top = sizes[0] < wanted ? sizes[0] : wanted
+    if (max !== null && top > max) top = max - max % lot
+
+    const rest = proRata(wanted - top, sizes.slice(1), lot)
+    return fillInOrder(wanted, sizes, [top, ...rest])
+}
+
+/** Top `shares` up to `wanted` in total, oldest order first */
+function fillInOrder(wanted, sizes, shares) {
+    let left = wanted - shares.reduce((sum, share) => sum + share, 0n)
+    return shares.map((share, i) => {
+        const extra = sizes[i] - share < left ? sizes[i] - share : left
+        left -= extra
+        return share + extra
+    })
+}
+
+function positiveUnits(value, decimals, label) {
+    if (value == null) return null
+
+    let units = 0n
+    try {
+        units = toUnits(value, decimals)
+    } catch (err) {
+        // falls through to the error below
+    }
+    if (units <= 0n) throw new Error(`${label} must be a positive quantity with at most ${decimals} decimals`)
+    return units
+}
+
+module.exports = { createAllocator, fifo, proRata, topOrder }
@@ -0,0 +1,80 @@
+'use strict'
+
+/**
+ * Call-auction uncrossing
+ *
+ * Orders collected during an auction don't trade one by one — they all
+ * trade at once, at a single price. That price is the one that trades
+ * the most:
+ *
+ *   demand(p)  = everything bid at p or higher
+ *   supply(p)  = everything offered at p or lower
+ *   volume(p)  = min(demand(p), supply(p))
+ *
+ * Only prices someone actually bid or offered are candidates. Ties are
+ * broken the way exchanges usually do it, so every peer picks the same one:
+ *
+ *   1. the smallest imbalance |demand - supply|
+ *   2. market pressure — if every tied price has more demand than supply,
+ *      the highest; if every one has more supply, the lowest
+ *   3. the price closest to the reference (last trade)
+ *   4. the lower price
+ *
+ * Works on BigInt units; OrderBook converts in and out.
+ */
+
+/**
+ * @param {Array<{ price: bigint, units: bigint }>} bids - Bid quantity per price, any order
+ * @param {Array<{ price: bigint, units: bigint }>} asks - Ask quantity per price, any order
+ * @param {bigint|null} [reference] - Last trade price, for the tie-break
+ * @returns {{ price: bigint, volume: bigint, demand: bigint, supply: bigint }|null} null if nothing crosses
+ */
+function uncrossingPrice(bids, asks, reference = null) {
+    const prices = [...new Set([...bids, ...asks].map(level => level.price))].sort(ascending)
+
+    // supply grows with price, demand shrinks — one sweep each way
+    const supply = runningTotals(prices, asks)
+    const demand = runningTotals([...prices].reverse(), bids.map(level => ({ ...level, price: -level.price })), -1n).reverse()
+
+    let candidates = prices
+        .map((price, i) => ({ price, volume: min(demand[i], supply[i]), demand: demand[i], supply: supply[i] }))
+        .filter(candidate => candidate.volume > 0n)
+    if (candidates.length === 0) return null
+
+    candidates = lowest(candidates, candidate => -candidate.volume)
+    candidates = lowest(candidates, candidate => abs(candidate.demand - candidate.supply))
+
+    // Prices are ascending, so the ends are the highest and lowest
+    if (candidates.every(candidate => candidate.demand > candidate.supply)) return candidates[candidates.length - 1]
+    if (candidates.every(candidate => candidate.supply > candidate.demand)) return candidates[0]
+
+    if (reference != null) candidates = lowest(candidates, candidate => abs(candidate.price - reference))
+    return candidates[0]
+}
+
+/** The candidates with the lowest score, still in price order */
+function lowest(candidates, score) {
+    const best = candidates.map(score).reduce((a, b) => b < a ? b : a)
+    return candidates.filter(candidate => score(candidate) === best)
+}
+
+/**
+ * For each of `prices` (in sweep order), the total of `levels` priced at
+ * or before it. Bids sweep downwards, so they come in negated (sign -1n).
+ */
+function runningTotals(prices, levels, sign = 1n) {
+    const sorted = [...levels].sort((a, b) => ascending(a.price, b.price))
+    let next = 0
+    let total = 0n
+    return prices.map(price => {
+        while (next < sorted.length && sorted[next].price <= price * sign) total += sorted[next++].units
+        return total
+    })
+}
+
+function ascending(a, b) { return a < b ? -1 : a > b ? 1 : 0 }
+
+function abs(n) { return n < 0n ? -n : n }
+function min(a, b) { return a < b ? a : b }
+
+module.exports = { uncrossingPrice }
@@ -0,0 +1,91 @@
+'use strict'
+
+/**
+ * Exact decimal helpers
+ *
+ * JS numbers are binary floats: 0.1 + 0.2 = 0.30000000000000004, and
+ * (1.005).toFixed(2) = '1.00'. Past 2^53 they can't even hold every
+ * integer, so 8-decimal quantities from about 9e7 on would be rounded.
+ * Prices and quantities are decimals, so the book never holds them as
+ * floats. Arithmetic is on a BigInt count of the market's smallest unit,
+ * and values travel as canonical decimal strings:
+ *
+ *   toUnits(0.3, 8)          → 30000000n   (0.3 × 10^8, exactly)
+ *   toUnits('0.30000001', 8) → 30000001n
+ *   toUnits(0.123, 2)        → throws — finer than 2 decimals
+ *   fromUnits(30000000n, 8)  → '0.3'
+ *
+ * Values are parsed from their decimal text (numbers via String(), which
+ * gives the shortest text that round-trips), never by multiplying floats.
+ * fromUnits() writes no trailing zeros, so two equal decimals are always
+ * the same string — fine as a Map key or for ===. Never compare them with
+ * < or >: strings compare letter by letter ('9' > '10'). Use units, or
+ * compareDecimals() when the precision isn't known.
+ */
+
+const DECIMAL = /^([+-]?)(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i
+
+/** Decimal text → its digits as a BigInt and how many of them are after the point */
+function parse(value) {
+    if (typeof value === 'number' && !Number.isFinite(value)) throw new Error(`Not a decimal: ${value}`)
+
+    const match = DECIMAL.exec(String(value).trim())
+    if (!match || (!match[2] && !match[3])) throw new Error(`Not a decimal: ${value}`)
+
+    const [, sign, whole, fraction = '', exponent = '0'] = match
+    const digits = BigInt((whole + fraction) || '0')
+    return { digits: sign === '-' ? -digits : digits, scale: fraction.length - parseInt(exponent) }   // value = digits × 10^-scale
+}
+
+/**
+ * @param {number|string} value
+ * @param {number} decimals - Digits after the point one unit stands for
+ * @returns {bigint}
+ */
+function toUnits(value, decimals) {
+    let { digits, scale } = parse(value)
+    if (digits === 0n) return 0n
+
+    // Trailing zeros don't count against precision: '1.500' is fine at 1 decimal
+    while (scale > decimals && digits % 10n === 0n) {
+        digits /= 10n
+        scale--
+    }
+    if (scale > decimals) throw new Error(`${value} has more than ${decimals} decimals`)
+
+    return digits * 10n ** BigInt(decimals - scale)
+}
+
+/**
+ * @param {bigint} units
+ * @param {number} decimals
+ * @returns {string} the exact decimal, without trailing zeros: '0.3', '42', '-1.25'
+ */
+function fromUnits(units, decimals) {
+    const negative = units < 0n
+    const digits = (negative ? -units : units).toString().padStart(decimals + 1, '0')
+    const whole = digits.slice(0, digits.length - decimals)
+    const fraction = digits.slice(digits.length - decimals).replace(/0+$/, '')
+    return `${negative ? '-' : ''}${whole}${fraction ? '.' + fraction : ''}`
+}
+
+/**
+ * Order two decimals exactly, whatever their precision.
+ * @param {number|string} a
+ * @param {number|string} b
+ * @returns {number} negative if a < b, 0 if equal, positive if a > b
+ */
+function compareDecimals(a, b) {
+    const x = parse(a)
+    const y = parse(b)
+    const scale = Math.max(x.scale, y.scale)
+    const diff = x.digits * 10n ** BigInt(scale - x.scale) - y.digits * 10n ** BigInt(scale - y.scale)
+    return diff < 0n ? -1 : diff > 0n ? 1 : 0
+}
+
+/** Smaller of two BigInts */
+function minUnits(a, b) {
+    return a < b ? a : b
+}
+
+module.exports = { toUnits, fromUnits, compareDecimals, minUnits }
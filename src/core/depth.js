@@ -0,0 +1,110 @@
+'use strict'
+
+const { compareDecimals } = require('./decimal')
+
+/**
+ * L2 depth helpers
+ *
+ * OrderBook.getDepth() gives a full view of the top price levels.
+ * Streaming the whole thing on every change is wasteful, so SSE clients
+ * get the first view once and then only what changed:
+ *
+ *   { price, quantity, orders }   level is new or its size changed
+ *   { price, quantity: '0', orders: 0 }   level is gone (or fell out of the top N)
+ *
+ * diffView does the same for the order-by-order view the UI streams
+ * (OrderBook.getPublicSnapshot()), keyed by order id instead of price.
+ *
+ * Both only need the whole of the previous view when nothing says what
+ * changed. Given the levels a change touched (OrderBook.getDepthChanges),
+ * diffDepth compares just those; OrderBook.getPublicChanges hands over the
+ * touched orders directly, so only its fields are left to diff (diffFields).
+ */
+
+/**
+ * @param {{ bids: array, asks: array }} prev - Earlier getDepth() result (or null for "nothing yet")
+ * @param {{ bids: array, asks: array }} next - Current getDepth() result
+ * @param {{ bids: Set|null, asks: Set|null }} [touched] - The only prices that can have changed since
+ *   `prev`, per side (null: any) — a level outside them is still checked if it moved in or out of the top
+ * @returns {{ bids: array, asks: array }} changed levels only, each side best price first
+ */
+function diffDepth(prev, next, touched = null) {
+    return {
+        bids: diffSide(prev?.bids || [], next.bids, (a, b) => compareDecimals(b, a), touched?.bids),
+        asks: diffSide(prev?.asks || [], next.asks, (a, b) => compareDecimals(a, b), touched?.asks)
+    }
+}
+
+/** True if a diff carries no changes */
+function isEmptyDiff(diff) {
+    return diff.bids.length === 0 && diff.asks.length === 0
+}
+
+function diffSide(prev, next, byPrice, touched) {
+    const before = new Map(prev.map(level => [level.price, level]))
+    const changes = []
+
+    next.forEach(level => {
+        const old = before.get(level.price)
+        before.delete(level.price)
+        if (old && touched && !touched.has(level.price)) return   // nothing at that price changed
+        if (!old || old.quantity !== level.quantity || old.orders !== level.orders) changes.push({ ...level })
+    })
+
+    // Whatever is left was in the old view but not the new one
+    before.forEach(level => changes.push({ price: level.price, quantity: '0', orders: 0 }))
+
+    return changes.sort((a, b) => byPrice(a.price, b.price))
+}
+
+/** Order lists in a public snapshot — everything else in it is a plain field */
+const VIEW_LISTS = ['bids', 'asks', 'stops']
+
+/**
+ * @param {object} prev - Earlier getPublicSnapshot() result (or null for "nothing yet")
+ * @param {object} next - Current getPublicSnapshot() result
+ * @returns {{ bids: object, asks: object, stops: object, fields: object }}
+ *   per list { set: orders new or changed, removed: ids gone }, and the
+ *   other fields whose value changed. Orders keep their queue order within
+ *   `set`; a client re-sorts by price, then timestamp, after applying it.
+ */
+function diffView(prev, next) {
+    const diff = { fields: diffFields(prev, next) }
+    VIEW_LISTS.forEach(list => { diff[list] = diffOrders(prev?.[list] || [], next[list] || []) })
+    return diff
+}
+
+/**
+ * @param {object} prev - Earlier view fields (or null)
+ * @param {object} next - Current view fields; order lists in either are ignored
+ * @returns {object} the fields of `next` whose value changed
+ */
+function diffFields(prev, next) {
+    const fields = {}
+    Object.keys(next).forEach(key => {
+        if (VIEW_LISTS.includes(key)) return
+        if (!prev || JSON.stringify(prev[key]) !== JSON.stringify(next[key])) fields[key] = next[key]
+    })
+    return fields
+}
+
+/** True if a view diff carries no order changes and no fields */
+function isEmptyViewDiff(diff) {
+    return VIEW_LISTS.every(list => diff[list].set.length === 0 && diff[list].removed.length === 0)
+        && Object.keys(diff.fields).length === 0
+}
+
+function diffOrders(prev, next) {
+    const before = new Map(prev.map(order => [order.id, JSON.stringify(order)]))
+    const set = []
+
+    next.forEach(order => {
+        const old = before.get(order.id)
+        before.delete(order.id)
+        if (old !== JSON.stringify(order)) set.push({ ...order })
+    })
+
+    return { set, removed: [...before.keys()] }
+}
+
+module.exports = { diffDepth, isEmptyDiff, diffView, diffFields, isEmptyViewDiff }
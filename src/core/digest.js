@@ -0,0 +1,145 @@
+'use strict'
+
+const crypto = require('crypto')
+
+/**
+ * Book digests for anti-entropy
+ *
+ * Two replicas at the same seq should hold identical books. Comparing
+ * full snapshots to check that is heavy, so each book is summarised as a
+ * small Merkle tree over getSnapshot():
+ *
+ *   root ── bids ── one hash per price level (its orders, in queue order)
+ *        ├─ asks ── one hash per price level
+ *        └─ stops ─ the trigger book plus the last trade (what stops fire on)
+ *
+ * Peers first compare roots; only for a market whose root differs do they
+ * exchange the level hashes, and only the levels whose hash differs are
+ * fetched and replaced.
+ *
+ * The ledger every market settles in gets its own tree, one hash per
+ * account over its balances and the reservations of its orders. Repairing
+ * levels moves reservations, so it is compared again afterwards and the
+ * accounts that still differ are copied over whole.
+ *
+ * An order's leaf covers what changes while it rests (quantity, reserve,
+ * timestamp) — everything else is fixed at submission and tied to its id.
+ */
+
+function hash(text) {
+    return crypto.createHash('sha256').update(text).digest('hex')
+}
+
+function orderLeaf(order) {
+    return `${order.id}:${order.quantity}:${order.reserve ?? 0}:${order.timestamp}`
+}
+
+/** [[price, hash], ...] in book order — one entry per price level */
+function levelHashes(orders) {
+    const levels = new Map()   // Map<price, leaf[]>, insertion order = book order
+    orders.forEach(order => {
+        if (!levels.has(order.price)) levels.set(order.price, [])
+        levels.get(order.price).push(orderLeaf(order))
+    })
+    return [...levels].map(([price, leaves]) => [price, hash(`${price}|${leaves.join('|')}`)])
+}
+
+/**
+ * @param {object} snapshot - OrderBook.getSnapshot()
+ * @returns {{ root: string, bids: Array<[number, string]>, asks: Array<[number, string]>, stops: string }}
+ */
+function bookDigest(snapshot) {
+    const bids = levelHashes(snapshot.bids)
+    const asks = levelHashes(snapshot.asks)
+    const stopLeaves = (snapshot.stops || []).map(orderLeaf).sort()
+    const stops = hash(`${snapshot.lastTrade?.id ?? ''}|${stopLeaves.join('|')}`)
+
+    const sideRoot = levels => hash(levels.map(([price, h]) => `${price}:${h}`).join('|'))
+    return {
+        root: hash(`${sideRoot(bids)}|${sideRoot(asks)}|${stops}`),
+        bids,
+        asks,
+        stops
+    }
+}
+
+/**
+ * An all-zero balance is the same as none — one replica may have touched
+ * an asset the other never did.
+ *
+ * @param {object} snapshot - Accounts.getSnapshot()
+ * @returns {{ root: string, accounts: Array<[string, string]> }} one hash per account, by account id
+ */
+function ledgerDigest(snapshot) {
+    const reserved = new Map()   // Map<accountId, leaf[]>
+    snapshot.reservations.forEach(r => {
+        if (!reserved.has(r.accountId)) reserved.set(r.accountId, [])
+        reserved.get(r.accountId).push(`${r.orderId}:${r.asset}:${r.units}`)
+    })
+
+    const accounts = snapshot.accounts
+        .map(({ accountId, owner, balances }) => {
+            const held = Object.entries(balances)
+                .filter(([, b]) => b.total !== '0' || b.reserved !== '0')
+                .map(([asset, b]) => `${asset}:${b.total}:${b.reserved}`)
+                .sort()
+            const orders = (reserved.get(accountId) || []).sort()
+            return [accountId, hash(`${accountId}|${owner ?? ''}|${held.join(',')}|${orders.join(',')}`)]
+        })
+        .sort(([a], [b]) => a < b ? -1 : a > b ? 1 : 0)
+
+    return { root: hash(accounts.map(([accountId, h]) => `${accountId}:${h}`).join('|')), accounts }
+}
+
+/**
+ * Just the roots — what peers swap on every round.
+ * @param {object} snapshot - MarketRegistry.getSnapshot()
+ * @returns {{ root: string, markets: object, ledger: string|null }} markets: { pair: root }; ledger: null without accounts
+ */
+function marketRoots(snapshot) {
+    const markets = {}
+    Object.entries(snapshot.markets).forEach(([pair, book]) => {
+        markets[pair] = bookDigest(book).root
+    })
+    const ledger = snapshot.accounts ? ledgerDigest(snapshot.accounts).root : null
+    const root = hash(Object.entries(markets).map(([pair, h]) => `${pair}:${h}`).join('|') + `|${ledger ?? ''}`)
+    return { root, markets, ledger }
+}
+
+/**
+ * Which parts of a book differ between two digests of the same market.
+ * @returns {{ bids: number[], asks: number[], stops: boolean }} prices to fetch per side
+ */
+function diffBookDigests(local, remote) {
+    return {
+        bids: diffLevels(local.bids, remote.bids),
+        asks: diffLevels(local.asks, remote.asks),
+        stops: local.stops !== remote.stops
+    }
+}
+
+/** Ids of the accounts that differ between two ledger digests, or that only one has */
+function diffLedgerDigests(local, remote) {
+    return diffLevels(local.accounts, remote.accounts)
+}
+
+/** True if a diff has nothing to repair */
+function isEmptyBookDiff(diff) {
+    return diff.bids.length === 0 && diff.asks.length === 0 && !diff.stops
+}
+
+/** Keys (prices, account ids) whose entry is missing on either side or hashes differently */
+function diffLevels(local, remote) {
+    const mine = new Map(local)
+    const prices = new Set()
+
+    remote.forEach(([price, h]) => {
+        if (mine.get(price) !== h) prices.add(price)
+        mine.delete(price)
+    })
+    mine.forEach((h, price) => prices.add(price))   // levels only we have
+
+    return [...prices]
+}
+
+module.exports = { bookDigest, ledgerDigest, marketRoots, diffBookDigests, diffLedgerDigests, isEmptyBookDiff }
@@ -16,7 +16,17 @@ const OrderSide = Object.freeze({
 /** How the order should be executed */
 const OrderType = Object.freeze({
     LIMIT: 'limit',   // wait until my price is met
-    MARKET: 'market'   // fill immediately at best available price
+    MARKET: 'market',   // fill immediately at best available price
+    STOP_MARKET: 'stop_market', // becomes MARKET once the last trade reaches stopPrice
+    STOP_LIMIT: 'stop_limit'   // becomes LIMIT at price once the last trade reaches stopPrice
+})
+
+/** How long an order may live */
+const TimeInForce = Object.freeze({
+    GTC: 'gtc',   // good till cancelled — rests until filled or cancelled (default)
+    IOC: 'ioc',   // immediate or cancel — fill what you can now, drop the rest
+    FOK: 'fok',   // fill or kill — fill everything now or nothing at all
+    GTD: 'gtd'    // good till date — rests until filled, cancelled or expiresAt
 })
 
 /** What happened to an order */
@@ -24,14 +34,114 @@ const OrderStatus = Object.freeze({
     OPEN: 'open',             // sitting in the book, waiting
     FILLED: 'filled',           // completely filled
     PARTIALLY_FILLED: 'partially_filled', // some filled, remainder in book
-    CANCELLED: 'cancelled'         // manually cancelled
+    CANCELLED: 'cancelled',        // manually cancelled
+    EXPIRED: 'expired',          // time in force ran out (IOC/FOK remainder, GTD past expiresAt)
+    REJECTED: 'rejected',         // refused without trading (e.g. post-only that would cross)
+    SLIPPAGE_LIMITED: 'slippage_limited', // market order stopped at its protection price, rest not filled
+    PENDING: 'pending'           // stop order in the trigger book, waiting for its price
+})
+
+/**
+ * What to do when an order would trade against another order from the
+ * same owner (same accountId, or same peerId if there is no account)
+ */
+const SelfTradePrevention = Object.freeze({
+    CANCEL_NEWEST: 'cancel_newest',   // cancel what's left of the incoming order
+    CANCEL_OLDEST: 'cancel_oldest',   // cancel the resting order, keep matching
+    CANCEL_BOTH: 'cancel_both',       // cancel both
+    DECREMENT_AND_CANCEL: 'decrement_and_cancel'  // shrink both by the overlap, cancel whichever hits zero
+})
+
+/** How an incoming order is shared among the orders resting at the best price — see allocation.js */
+const AllocationStrategy = Object.freeze({
+    FIFO: 'fifo',                   // oldest first (price-time priority)
+    PRO_RATA: 'pro_rata',           // in proportion to size
+    TOP_ORDER: 'top_order',         // first in the queue first, then pro rata
+    PRO_RATA_MIN: 'pro_rata_min'    // pro rata, shares under a minimum go to the leftover
+})
+
+/** Why an order left the book other than by filling, cancelling or expiring */
+const RemovalReason = Object.freeze({
+    SELF_TRADE_PREVENTION: 'self_trade_prevention',
+    CIRCUIT_BREAKER: 'circuit_breaker',  // the rest of an order whose next trade tripped the breaker
+    POST_ONLY: 'post_only'               // a post-only order amended to a price that would have taken liquidity
+})
+
+/** Whether a market is trading, and how */
+const TradingPhase = Object.freeze({
+    CONTINUOUS: 'continuous',   // orders match as they arrive
+    HALTED: 'halted',           // nothing trades; only cancels are accepted
+    AUCTION: 'auction'          // limit orders collect without matching until the uncross
+})
+
+/** Why a market was halted */
+const HaltReason = Object.freeze({
+    CIRCUIT_BREAKER: 'circuit_breaker',   // the price moved too far too fast
+    MANUAL: 'manual',                     // an admin halted it
+    MARKET_CLOSED: 'market_closed'        // a closing auction ended the trading day
+})
+
+/** What a call auction is for */
+const AuctionType = Object.freeze({
+    OPENING: 'opening',       // starts the trading day, or reopens a closed market
+    CLOSING: 'closing',       // ends the trading day — the market is closed after the uncross
+    REOPENING: 'reopening'    // ends a halt
+})
+
+/** OHLCV candle widths — trades are bucketed into every one of them */
+const CandleInterval = Object.freeze({
+    ONE_MINUTE: '1m',
+    FIVE_MINUTES: '5m',
+    ONE_HOUR: '1h',
+    ONE_DAY: '1d'
+})
+
+/** Why the pre-trade risk checks refused an order — returned to the submitter as `code` */
+const RiskCode = Object.freeze({
+    MAX_ORDER_SIZE: 'MAX_ORDER_SIZE',     // quantity above the market's maxQuantity
+    MAX_NOTIONAL: 'MAX_NOTIONAL',         // price × quantity above the market's maxNotional
+    PRICE_BAND: 'PRICE_BAND',             // limit price too far from the last trade (or mid)
+    MAX_OPEN_ORDERS: 'MAX_OPEN_ORDERS',   // peer already has maxOpenOrders resting
+    RATE_LIMIT: 'RATE_LIMIT'              // peer submitted too many orders too quickly
 })
 
 /** Events fired by the order book — use these as keys */
 const OrderBookEvent = Object.freeze({
     TRADE: 'trade',
     ORDER_ADDED: 'order_added',
-    ORDER_REMOVED: 'order_removed'
+    ORDER_REMOVED: 'order_removed',
+    ORDER_AMENDED: 'order_amended',
+    STOP_TRIGGERED: 'stop_triggered',
+    TRADING_STATUS: 'trading_status',  // the market changed TradingPhase
+    INDICATIVE_UNCROSS: 'indicative_uncross'   // the price an auction would uncross at right now changed
+})
+
+/** Book-mutating commands — these are what the Sequencer puts in a global order */
+const CommandType = Object.freeze({
+    NEW_ORDER: 'NEW_ORDER',
+    CANCEL_ORDER: 'CANCEL_ORDER',
+    AMEND_ORDER: 'AMEND_ORDER',
+    EXPIRE_ORDERS: 'EXPIRE_ORDERS',  // sequencer's clock tick — expires GTD orders identically everywhere
+    DEPOSIT: 'DEPOSIT',              // funds into an account (no pair — the ledger is shared by every market)
+    WITHDRAW: 'WITHDRAW',
+    HALT: 'HALT',                    // stop trading in a market (admin)
+    RESUME: 'RESUME',                // end a halt — the market reopens with an auction (admin, or the sequencer when a breaker halt is up)
+    START_AUCTION: 'START_AUCTION',  // opening / closing call auction (admin)
+    UNCROSS: 'UNCROSS'               // ends an auction at a single price (sequencer's clock, or admin)
+})
+
+/** Messages exchanged between peers over Grenache */
+const MessageType = Object.freeze({
+    ...CommandType,                          // sequenced commands, broadcast by the sequencer
+    SEQUENCE_REQUEST: 'SEQUENCE_REQUEST',    // follower → sequencer: "please order this command"
+    SNAPSHOT_REQUEST: 'SNAPSHOT_REQUEST',    // new peer → anyone: "send me your book"
+    RESEND_REQUEST: 'RESEND_REQUEST',        // follower → sequencer: "I missed seqs from..to"
+    DIGEST_REQUEST: 'DIGEST_REQUEST',        // anyone → anyone: "what does your book hash to?"
+    LEVELS_REQUEST: 'LEVELS_REQUEST',        // diverged peer → sequencer: "send me these price levels"
+    ACCOUNTS_REQUEST: 'ACCOUNTS_REQUEST'     // diverged peer → sequencer: "send me these accounts"
 })
 
-module.exports = { OrderSide, OrderType, OrderStatus, OrderBookEvent }
\ No newline at end of file
+module.exports = {
+    OrderSide, OrderType, TimeInForce, OrderStatus, SelfTradePrevention, AllocationStrategy, RemovalReason, RiskCode,
+    TradingPhase, HaltReason, AuctionType, CandleInterval, OrderBookEvent, CommandType, MessageType
+}
\ No newline at end of file
@@ -14,7 +14,10 @@ const config = require('../../config/config.json')
  *  - Connect to the DHT via Grape
  *  - Announce this peer's service so others can find it
  *  - Send orders to ALL other peers (broadcast via peer.map)
+ *  - Send a request to ONE peer announcing a service (peer.request)
+ *  - Send to one peer by id — each peer also announces a service of its own
  *  - Receive orders from other peers (via RPC server)
+ *  - Sign everything going out and verify everything coming in (if given a MessageAuth)
  */
 class GrenacheNode {
     #link
@@ -25,22 +28,29 @@ class GrenacheNode {
     #grapeUrl
     #port
     #serviceName
+    #services    // every service name this peer announces
     #announceInterval
     #onRequest   // callback: called when a remote peer sends us an order
+    #auth        // MessageAuth — null means messages travel unsigned (tests / local dev only)
 
     /**
      * @param {object} opts
      * @param {string} opts.peerId
      * @param {string} opts.grapeUrl  - e.g. 'http://127.0.0.1:30001'
      * @param {number} opts.port      - Port this peer's RPC server listens on
-     * @param {function} opts.onRequest - Called with (payload) when remote order arrives
+     * @param {function} opts.onRequest - Called with (payload, { from }) when remote order arrives;
+     *                                      `from` is the verified sender, or null without auth
+     * @param {string[]} [opts.services] - Extra service names to announce (e.g. the sequencer role)
+     * @param {MessageAuth} [opts.auth]  - Signs outgoing and verifies incoming messages and replies
      */
-    constructor({ peerId, grapeUrl, port, onRequest }) {
+    constructor({ peerId, grapeUrl, port, onRequest, services = [], auth = null }) {
         this.#peerId = peerId
         this.#grapeUrl = grapeUrl
         this.#port = port
         this.#onRequest = onRequest
+        this.#auth = auth
         this.#serviceName = config.orderbook.serviceName
+        this.#services = [this.#serviceName, this.#peerService(peerId), ...services]
         this.#announceInterval = config.orderbook.announceInterval
     }
 
@@ -70,14 +80,17 @@ class GrenacheNode {
             // 4. Announce ourselves to the DHT every second
             // Other peers discover us by looking up this.#serviceName
             const announcer = setInterval(() => {
-                this.#link.announce(this.#serviceName, this.#service.port, {})
+                this.#services.forEach(name => this.#link.announce(name, this.#service.port, {}))
             }, this.#announceInterval)
 
             // 5. Listen for incoming RPC requests from other peers
-            this.#service.on('request', (rid, key, payload, handler) => {
+            this.#service.on('request', (rid, key, envelope, handler) => {
+                const message = this.#open(envelope)
+                if (!message) return handler.reply('Message rejected: not signed by an allowed peer', null)
+
                 try {
-                    const result = this.#onRequest(payload)
-                    handler.reply(null, { ok: true, result })
+                    const result = this.#onRequest(message.payload, { from: message.from })
+                    handler.reply(null, this.#seal({ ok: true, result }))
                 } catch (err) {
                     handler.reply(err.message, null)
                 }
@@ -97,27 +110,73 @@ class GrenacheNode {
     /**
      * Broadcast an order to ALL peers on the network.
      * Uses peer.map() — sends to every peer announcing this.#serviceName.
+     * Best effort: peers that don't answer are simply missing from the
+     * replies — the caller decides whether to try again.
      *
      * @param {object} payload
-     * @returns {Promise<array>} results from all peers
+     * @returns {Promise<array>} replies from all peers, each { ok, result, from } — unverifiable replies are dropped
      */
     broadcast(payload) {
         return new Promise((resolve) => {
             this.#client.map(
                 this.#serviceName,
-                payload,
+                this.#seal(payload),
                 { timeout: 10000 },
                 (err, results) => {
                     if (err && err.message !== 'ERR_GRAPE_LOOKUP_NOT_FOUND') {
                         // Partial failures are okay in P2P — some peers may be offline
                         console.warn(`[${this.#peerId}] Broadcast partial error: ${err.message}`)
                     }
-                    resolve(results || [])
+                    resolve((results || [])
+                        .map(reply => this.#open(reply))
+                        .filter(Boolean)
+                        .map(({ payload: reply, from }) => ({ ...reply, from })))
                 }
             )
         })
     }
 
+    /**
+     * Send a payload to ONE peer announcing serviceName and wait for its reply.
+     * Unlike broadcast(), failures reject — the caller needs the answer.
+     *
+     * @param {string} serviceName
+     * @param {object} payload
+     * @param {object} [opts]
+     * @param {string} [opts.from] - Only accept a reply signed by this peer
+     * @returns {Promise<*>} the `result` the remote onRequest returned
+     */
+    request(serviceName, payload, { from } = {}) {
+        return new Promise((resolve, reject) => {
+            this.#client.request(
+                serviceName,
+                this.#seal(payload),
+                { timeout: 10000 },
+                (err, envelope) => {
+                    if (err) return reject(err instanceof Error ? err : new Error(err))
+                    const reply = this.#open(envelope)
+                    if (!reply) return reject(new Error(`Unverifiable reply from ${serviceName}`))
+                    if (from && this.#auth && reply.from !== from) {
+                        return reject(new Error(`${serviceName} answered by ${reply.from}, expected ${from}`))
+                    }
+                    resolve(reply.payload?.result)
+                }
+            )
+        })
+    }
+
+    /**
+     * Send a payload to one peer by id and wait for its reply — for retries
+     * that should only reach the peers that missed something.
+     *
+     * @param {string} peerId
+     * @param {object} payload
+     * @returns {Promise<*>} the `result` that peer's onRequest returned
+     */
+    send(peerId, payload) {
+        return this.request(this.#peerService(peerId), payload, { from: peerId })
+    }
+
     stop() {
         try {
             this.#client?.stop()
@@ -128,6 +187,32 @@ class GrenacheNode {
             // ignore stop errors
         }
     }
+
+    /** The service only `peerId` announces */
+    #peerService(peerId) {
+        return `${this.#serviceName}:${peerId}`
+    }
+
+    // ─── Signing (private) ────────────────────────────
+
+    #seal(payload) {
+        return this.#auth ? this.#auth.sign(payload) : payload
+    }
+
+    /**
+     * Unwrap and verify a signed envelope.
+     * @returns {{ from: string|null, payload: * }|null} null if rejected (reason is logged)
+     */
+    #open(envelope) {
+        if (!this.#auth) return { from: null, payload: envelope }
+
+        const checked = this.#auth.verify(envelope)
+        if (!checked.ok) {
+            console.warn(`[${this.#peerId}] 🚫 Rejected message from ${checked.from || 'unknown sender'}: ${checked.reason}`)
+            return null
+        }
+        return { from: checked.from, payload: checked.payload }
+    }
 }
 
 module.exports = GrenacheNode
\ No newline at end of file
@@ -0,0 +1,160 @@
+'use strict'
+
+const crypto = require('crypto')
+
+/** How many nonces we remember per peer before forgetting the oldest */
+const MAX_NONCES_PER_PEER = 100000
+
+/**
+ * MessageAuth — Ed25519 signatures on everything peers send each other
+ *
+ * Without this, any process that can reach the DHT can announce the
+ * service name and send NEW_ORDER with someone else's peerId. Every
+ * message is wrapped in a signed envelope:
+ *
+ *   { from, nonce, timestamp, payload, signature }
+ *
+ * and the receiver checks, in order:
+ *   unsigned      no envelope / missing fields
+ *   unknown_peer  `from` is not in the allowlist
+ *   bad_signature signature doesn't match from's public key (tampered or forged)
+ *   stale         timestamp further than maxClockSkew from our clock
+ *   replayed      same (from, nonce) seen before within the window
+ *
+ * Nonces only need remembering for maxClockSkew — anything older is
+ * already rejected as stale.
+ *
+ * Pure crypto, no network — GrenacheNode wraps/unwraps, the Peer decides
+ * what each verified sender may do.
+ */
+class MessageAuth {
+    #peerId
+    #privateKey     // KeyObject — signs what we send
+    #allowlist      // Map<peerId, KeyObject> — public keys we accept messages from
+    #maxClockSkew
+    #clock
+    #seen           // Map<peerId, Map<nonce, timestamp>> — replay window
+
+    /**
+     * @param {object} opts
+     * @param {string}  opts.peerId
+     * @param {string|KeyObject} opts.privateKey - PEM or KeyObject (Ed25519)
+     * @param {object}  opts.allowlist           - { peerId: public key PEM or KeyObject }
+     * @param {number}  [opts.maxClockSkew=30000] - ms a message's timestamp may be off by
+     * @param {function} [opts.clock=Date.now]
+     */
+    constructor({ peerId, privateKey, allowlist, maxClockSkew = 30000, clock = Date.now }) {
+        if (!peerId) throw new Error('MessageAuth requires a peerId')
+        if (!privateKey) throw new Error('MessageAuth requires a private key')
+
+        this.#peerId = peerId
+        this.#privateKey = typeof privateKey === 'string' ? crypto.createPrivateKey(privateKey) : privateKey
+        this.#allowlist = new Map(Object.entries(allowlist || {}).map(([id, key]) => [
+            id,
+            typeof key === 'string' ? crypto.createPublicKey(key) : key
+        ]))
+        this.#maxClockSkew = maxClockSkew
+        this.#clock = clock
+        this.#seen = new Map()
+    }
+
+    // ─── Public API ───────────────────────────────────
+
+    /**
+     * Wrap a payload in a signed envelope. Every call gets a fresh nonce,
+     * so re-sending the same payload later is not a replay.
+     *
+     * @param {*} payload - Anything JSON-serialisable
+     * @returns {{ from: string, nonce: string, timestamp: number, payload: *, signature: string }}
+     */
+    sign(payload) {
+        const envelope = {
+            from: this.#peerId,
+            nonce: crypto.randomBytes(16).toString('hex'),
+            timestamp: this.#clock(),
+            payload
+        }
+        const signature = crypto.sign(null, Buffer.from(canonicalJSON(envelope)), this.#privateKey)
+        return { ...envelope, signature: signature.toString('base64') }
+    }
+
+    /**
+     * Check an envelope. A message that passes is recorded, so the same
+     * envelope arriving again is rejected as replayed.
+     *
+     * @param {object} envelope
+     * @returns {{ ok: true, from: string, payload: * } | { ok: false, reason: string, from?: string }}
+     */
+    verify(envelope) {
+        const { from, nonce, timestamp, payload, signature } = envelope || {}
+        if (typeof from !== 'string' || typeof nonce !== 'string' || typeof signature !== 'string' || !Number.isFinite(timestamp)) {
+            return { ok: false, reason: 'unsigned' }
+        }
+
+        const publicKey = this.#allowlist.get(from)
+        if (!publicKey) return { ok: false, reason: 'unknown_peer', from }
+
+        const signed = Buffer.from(canonicalJSON({ from, nonce, timestamp, payload }))
+        let valid = false
+        try {
+            valid = crypto.verify(null, signed, publicKey, Buffer.from(signature, 'base64'))
+        } catch (err) {
+            valid = false
+        }
+        if (!valid) return { ok: false, reason: 'bad_signature', from }
+
+        const now = this.#clock()
+        if (Math.abs(now - timestamp) > this.#maxClockSkew) return { ok: false, reason: 'stale', from }
+
+        const seen = this.#seenFrom(from, now)
+        if (seen.has(nonce)) return { ok: false, reason: 'replayed', from }
+        seen.set(nonce, timestamp)
+        if (seen.size > MAX_NONCES_PER_PEER) seen.delete(seen.keys().next().value)
+
+        return { ok: true, from, payload }
+    }
+
+    // ─── Private ──────────────────────────────────────
+
+    /** This peer's nonce window, with everything too old to matter dropped */
+    #seenFrom(peerId, now) {
+        if (!this.#seen.has(peerId)) this.#seen.set(peerId, new Map())
+        const seen = this.#seen.get(peerId)
+
+        // Maps iterate in insertion order — close enough to timestamp order to stop at the first fresh one
+        for (const [nonce, timestamp] of seen) {
+            if (now - timestamp <= this.#maxClockSkew) break
+            seen.delete(nonce)
+        }
+        return seen
+    }
+}
+
+/**
+ * JSON with object keys sorted, so signer and verifier hash the same bytes
+ * no matter what order keys come out of a JSON round trip in.
+ */
+function canonicalJSON(value) {
+    if (Array.isArray(value)) return `[${value.map(v => canonicalJSON(v === undefined ? null : v)).join(',')}]`
+    if (value && typeof value === 'object') {
+        const entries = Object.keys(value)
+            .filter(key => value[key] !== undefined)
+            .sort()
+            .map(key => `${JSON.stringify(key)}:${canonicalJSON(value[key])}`)
+        return `{${entries.join(',')}}`
+    }
+    return JSON.stringify(value) ?? 'null'
+}
+
+/**
+ * New Ed25519 keypair as PEM strings.
+ * @returns {{ publicKey: string, privateKey: string }}
+ */
+function generateKeyPair() {
+    return crypto.generateKeyPairSync('ed25519', {
+        publicKeyEncoding: { type: 'spki', format: 'pem' },
+        privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+    })
+}
+
+module.exports = { MessageAuth, canonicalJSON, generateKeyPair }
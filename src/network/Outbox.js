@@ -0,0 +1,179 @@
+'use strict'
+
+/**
+ * Outbox — what the sequencer has broadcast, and who has confirmed it
+ *
+ * peer.map() is fire-and-forget: a peer that was unreachable for one
+ * broadcast never gets that seq, and a follower can't apply anything after
+ * a gap. The outbox closes that hole from both ends:
+ *
+ *   sender side    every sequenced message stays unacked until every peer
+ *                  has confirmed it; unacked messages are sent again, to the
+ *                  peers still missing them only, with exponential backoff
+ *                  (500ms, 1s, 2s … capped)
+ *   receiver side  a follower stuck on a gap asks for the missing range,
+ *                  served from the recent history kept here
+ *
+ * Acks are cumulative — a peer replies with the last seq it has applied,
+ * which confirms everything up to it. Receivers dedup by seq (the
+ * Sequencer ignores anything it already has), so re-sending is harmless.
+ *
+ * Durability comes from the journal: every message is on disk before it is
+ * broadcast, and every journal snapshot carries getSnapshot() — the acks and
+ * whatever was still unacked, which the journal no longer has once it is
+ * truncated. After a restart the Peer loads that, then re-adds the journal
+ * tail. Acks that came in after the snapshot are lost with the crash, so
+ * the Peer acks each peer up to the seq of the snapshot it sends back while
+ * the sequencer rejoins — only what a peer really lacks goes out again.
+ *
+ * Pure bookkeeping, no timers or network — the Peer drives it.
+ */
+class Outbox {
+    #peers          // peerIds expected to ack (everyone but us)
+    #acked          // Map<peerId, seq> — highest seq each peer has confirmed
+    #history        // Map<seq, message> — recent broadcasts, oldest first, for resend requests
+    #unacked        // Map<seq, { message, attempts, nextAttemptAt }>
+    #historySize
+    #initialDelay
+    #maxDelay
+    #maxAttempts
+    #clock
+
+    /**
+     * @param {object} opts
+     * @param {string[]} opts.peers              - Peer ids that must ack every message
+     * @param {number}   [opts.historySize=10000] - Messages kept for resend requests
+     * @param {number}   [opts.initialDelay=500]  - ms before the first retry
+     * @param {number}   [opts.maxDelay=10000]    - Backoff cap in ms
+     * @param {number}   [opts.maxAttempts=10]    - Sends (first one included) before giving up on a message
+     * @param {function} [opts.clock=Date.now]
+     */
+    constructor({ peers, historySize = 10000, initialDelay = 500, maxDelay = 10000, maxAttempts = 10, clock = Date.now }) {
+        this.#peers = [...(peers || [])]
+        this.#acked = new Map(this.#peers.map(peerId => [peerId, 0]))
+        this.#history = new Map()
+        this.#unacked = new Map()
+        this.#historySize = historySize
+        this.#initialDelay = initialDelay
+        this.#maxDelay = maxDelay
+        this.#maxAttempts = maxAttempts
+        this.#clock = clock
+    }
+
+    // ─── Public API ───────────────────────────────────
+
+    /** Messages still waiting on at least one ack */
+    get size() { return this.#unacked.size }
+
+    /**
+     * Track a message that has just been broadcast.
+     * @param {object} message - Must carry a seq
+     */
+    add(message) {
+        this.#history.set(message.seq, message)
+        if (this.#history.size > this.#historySize) this.#history.delete(this.#history.keys().next().value)
+
+        if (this.#waitingOn(message.seq).length === 0) return
+        this.#unacked.set(message.seq, {
+            message,
+            attempts: 1,
+            nextAttemptAt: this.#clock() + this.#initialDelay
+        })
+    }
+
+    /**
+     * A peer has applied everything up to `seq`. Unknown peers (or our own
+     * reply to our own broadcast) are ignored.
+     */
+    ack(peerId, seq) {
+        if (!this.#acked.has(peerId) || !Number.isInteger(seq)) return
+        if (seq <= this.#acked.get(peerId)) return
+        this.#acked.set(peerId, seq)
+
+        for (const pending of this.#unacked.keys()) {
+            if (this.#waitingOn(pending).length === 0) this.#unacked.delete(pending)
+        }
+    }
+
+    /** Last seq a peer has confirmed */
+    ackedBy(peerId) { return this.#acked.get(peerId) ?? 0 }
+
+    /**
+     * Messages whose retry time has come, with the peers still missing each.
+     * Each one returned counts as a send and is rescheduled with a doubled
+     * delay; one that has used up its attempts is dropped instead — whoever
+     * still misses it has to catch up with a resend request or a snapshot.
+     *
+     * @returns {{ resend: Array<{ message: object, peers: string[] }>, abandoned: Array<{ message: object, peers: string[] }> }}
+     */
+    due() {
+        const now = this.#clock()
+        const resend = []
+        const abandoned = []
+
+        this.#unacked.forEach((entry, seq) => {
+            if (entry.nextAttemptAt > now) return
+
+            if (entry.attempts >= this.#maxAttempts) {
+                this.#unacked.delete(seq)
+                abandoned.push({ message: entry.message, peers: this.#waitingOn(seq) })
+                return
+            }
+
+            entry.attempts++
+            entry.nextAttemptAt = now + Math.min(this.#maxDelay, this.#initialDelay * 2 ** (entry.attempts - 1))
+            resend.push({ message: entry.message, peers: this.#waitingOn(seq) })
+        })
+
+        return { resend, abandoned }
+    }
+
+    /**
+     * Recent messages in [from, to], in seq order. Starts later than `from`
+     * if the oldest ones have already left the history.
+     */
+    range(from, to) {
+        const messages = []
+        this.#history.forEach((message, seq) => {
+            if (seq >= from && seq <= to) messages.push(message)
+        })
+        return messages
+    }
+
+    /**
+     * Acks and unacked messages, for the journal snapshot. The history is
+     * left out — it is only a convenience for resend requests.
+     * @returns {{ acked: Array<[string, number]>, unacked: Array<{ message: object, attempts: number }> }}
+     */
+    getSnapshot() {
+        return {
+            acked: [...this.#acked],
+            unacked: [...this.#unacked.values()].map(({ message, attempts }) => ({ message, attempts }))
+        }
+    }
+
+    /**
+     * Restore a getSnapshot() result. Peers no longer configured are
+     * dropped; retries start over from the first delay, since the clock the
+     * old schedule ran on is gone.
+     */
+    loadSnapshot({ acked = [], unacked = [] }) {
+        acked.forEach(([peerId, seq]) => {
+            if (this.#acked.has(peerId)) this.#acked.set(peerId, seq)
+        })
+        this.#unacked = new Map()
+        unacked.forEach(({ message, attempts }) => {
+            this.add(message)
+            const entry = this.#unacked.get(message.seq)
+            if (entry) entry.attempts = attempts
+        })
+    }
+
+    // ─── Private ──────────────────────────────────────
+
+    #waitingOn(seq) {
+        return this.#peers.filter(peerId => this.#acked.get(peerId) < seq)
+    }
+}
+
+module.exports = { Outbox }
@@ -5,38 +5,77 @@ const fs = require('fs')
 const path = require('path')
 const { randomUUID } = require('crypto')
 const GrenacheNode = require('./GrenacheNode')
-const { OrderBook, OrderSide, OrderType, OrderStatus } = require('../core/OrderBook')
+const { MessageAuth } = require('./MessageAuth')
+const { Outbox } = require('./Outbox')
+const { OrderSide, OrderType, OrderStatus, TradingPhase, publicOrder } = require('../core/OrderBook')
+const { MarketRegistry } = require('../core/MarketRegistry')
+const { Accounts } = require('../core/Accounts')
+const { RiskChecks } = require('../core/RiskChecks')
+const { diffDepth, isEmptyDiff, diffFields, isEmptyViewDiff } = require('../core/depth')
+const { bookDigest, ledgerDigest, marketRoots, diffBookDigests, diffLedgerDigests, isEmptyBookDiff } = require('../core/digest')
+const { Sequencer } = require('../core/Sequencer')
+const { Journal } = require('../storage/Journal')
+const { TradeArchive } = require('../storage/TradeArchive')
+const { TradeStore } = require('../core/TradeStore')
+const { CommandType, MessageType, CandleInterval } = require('../core/enums')
 const config = require('../../config/config.json')
 
+/** Commands that change how a market trades — only config.auth.admins may submit them */
+const ADMIN_COMMANDS = [CommandType.HALT, CommandType.RESUME, CommandType.START_AUCTION, CommandType.UNCROSS]
+
+/** Commands that carry a `timestamp` of their own — the sequencer's, see #stamp */
+const TIMED_COMMANDS = [CommandType.AMEND_ORDER, ...ADMIN_COMMANDS]
+
 /**
  * Peer
  *
  * The top-level node. Each running instance is one peer in the P2P network.
  *
  * Combines:
- *  - OrderBook     : local in-memory order book
+ *  - MarketRegistry: one local in-memory OrderBook per trading pair
+ *  - Accounts      : balances every order must be funded from, settled on each trade
+ *  - RiskChecks    : pre-trade limits the sequencer applies before an order gets a seq
+ *  - Sequencer     : puts every command in one global order
+ *  - Journal       : on-disk command log + snapshots for crash recovery
+ *  - Outbox        : sequencer's unacked broadcasts, retried until every peer confirms
  *  - GrenacheNode  : P2P broadcast / receive via DHT
+ *  - MessageAuth   : Ed25519-signed messages, allowlisted peers only
  *  - HTTP Server   : REST + SSE API consumed by the React UI
  *
  * Flow when a local order is submitted:
- *  1. Add to local OrderBook (matching runs instantly)
- *  2. Broadcast to all peers via Grenache
- *  3. Each remote peer calls applyRemoteOrder on their local book
+ *  1. Send it to the sequencer peer (or sequence it ourselves if we are it)
+ *  2. The sequencer stamps the next seq and its own time, applies it, broadcasts to all peers
+ *  3. Each peer applies sequenced commands strictly in seq order
  *  4. All SSE clients (browser tabs) get a push update
  *
- * Flow when a remote order arrives:
- *  1. GrenacheNode receives it, calls onRequest
- *  2. Peer calls applyRemoteOrder on local OrderBook
- *  3. SSE push update to browser
+ * Nobody matches an order before it has a seq — that is what keeps two
+ * peers from both filling the same resting ask. Halts work the same way:
+ * a circuit breaker trips inside a sequenced command, and HALT / RESUME /
+ * UNCROSS are sequenced commands, so the whole network changes phase together.
  */
 class Peer {
     #peerId
     #port
     #uiPort
     #grapeUrl
-    #orderBook
+    #markets      // MarketRegistry — pair → OrderBook
+    #tradeStores  // Map<pair, TradeStore> — flushed to their archives off the apply path
+    #defaultPair  // market served by the un-prefixed routes (/state, /order, /events)
+    #sequencer
+    #journal
+    #replaying    // true while #recover replays the journal — nothing is persisted until it is done
+    #unjournalled // true after a journal write failed — the next persist writes a snapshot instead, which covers it
+    #outbox       // Outbox — sequenced messages not yet acked by every peer (sequencer only)
+    #gapCheck     // in-flight resend request for a gap, so only one runs at a time
+    #reconciling  // true while an anti-entropy round is running
+    #consistency  // outcome of the last anti-entropy round, served on /health/consistency
+    #isSequencer  // true if this peer hands out sequence numbers
+    #risk         // RiskChecks — only consulted on the sequencer
     #grenache
-    #sseClients   // connected browser EventSource clients
+    #sseClients   // Map<pair, Set<{ res, stale }>> — connected browser EventSource clients per market
+    #views        // Map<pair, { seq, fields }> — /events stream position, and the view fields last sent, diffed against on the next event
+    #depthClients // Map<pair, Set<{ res, levels, group, last, seq, stale }>> — L2 diff subscribers per market
+    #joinBuffer   // sequenced messages received while bootstrapping, or null once live
 
     constructor() {
         // Config from env vars (set by npm scripts) or defaults
@@ -49,92 +88,939 @@ class Peer {
         const peerConf = peers.find(p => p.id === this.#peerId) || peers[0]
         this.#grapeUrl = peerConf.grapeUrl
 
-        this.#sseClients = new Set()
+        this.#joinBuffer = []
 
-        // Create order book with hooks wired to broadcast + SSE
-        this.#orderBook = new OrderBook(config.orderbook.pair, {
-            pricePrecision: config.orderbook.pricePrecision,
-            quantityPrecision: config.orderbook.quantityPrecision,
+        // One order book per configured market, hooks wired to SSE.
+        // Browsers only get the public view of an order — nothing for hidden
+        // orders (the refreshed snapshot still goes out), a slice for icebergs.
+        // All of them reserve and settle funds in one ledger holding every asset they trade.
+        // Trade history keeps the newest trades in memory; older ones are archived
+        // next to the journal if configured, one directory per market.
+        const assets = [...new Set(Object.keys(config.markets).flatMap(pair => pair.split('/')))]
+        const dataDir = path.resolve(__dirname, '../..', config.journal.dir, this.#peerId)
+        this.#tradeStores = new Map()
+        this.#markets = new MarketRegistry(config.markets, {
+            accounts: new Accounts({ assets }),
+            tradeStore: pair => {
+                const store = new TradeStore({
+                    limit: config.trades.limit,
+                    maxAge: config.trades.maxAge,
+                    scanLimit: config.trades.scanLimit,
+                    archive: config.trades.archive
+                        ? new TradeArchive({ dir: path.join(dataDir, 'trades', pair.replace('/', '-')), segmentSize: config.trades.segmentSize })
+                        : null
+                })
+                this.#tradeStores.set(pair, store)
+                return store
+            },
             hooks: {
-                onTrade: trade => this.#onTrade(trade),
-                onOrderAdded: order => this.#pushSSE('order_added', order),
-                onOrderRemoved: order => this.#pushSSE('order_removed', order)
+                onTrade: (trade, pair) => this.#onTrade(trade, pair),
+                onOrderAdded: (order, pair) => this.#pushSSE(pair, 'order_added', publicOrder(order)),
+                onOrderRemoved: (order, pair) => this.#pushSSE(pair, 'order_removed', publicOrder(order)),
+                onOrderAmended: (order, pair) => this.#pushSSE(pair, 'order_amended', publicOrder(order)),
+                onStopTriggered: (order, pair) => this.#onStopTriggered(order, pair),
+                onTradingStatus: (status, pair) => this.#onTradingStatus(status, pair),
+                onIndicativeUncross: (indicative, pair) => this.#pushSSE(pair, 'indicative_uncross', indicative)
             }
         })
+        this.#defaultPair = config.orderbook.defaultPair || this.#markets.pairs[0]
+        this.#sseClients = new Map(this.#markets.pairs.map(pair => [pair, new Set()]))
+        this.#views = new Map(this.#markets.pairs.map(pair => [pair, { seq: 0, fields: null }]))
+        this.#depthClients = new Map(this.#markets.pairs.map(pair => [pair, new Set()]))
+
+        // Every sequenced command lands in its market's book through here, in order
+        // One global sequence across all markets keeps the journal and join protocol simple
+        this.#isSequencer = this.#peerId === config.orderbook.sequencerId
+        this.#risk = new RiskChecks(config.risk)
+        this.#sequencer = new Sequencer({
+            onDeliver: message => this.#markets.applyCommand(message),
+            onCommit: message => this.#persist(message)
+        })
+
+        // Every other configured peer has to confirm each sequenced message
+        this.#outbox = new Outbox({
+            peers: peers.map(p => p.id).filter(id => id !== this.#peerId),
+            historySize: config.broadcast.historySize,
+            initialDelay: config.broadcast.retryInitialDelay,
+            maxDelay: config.broadcast.retryMaxDelay,
+            maxAttempts: config.broadcast.retryMaxAttempts
+        })
+        this.#gapCheck = null
+        this.#replaying = false
+        this.#unjournalled = false
+        this.#reconciling = false
+        this.#consistency = { checkedAt: null }
+
+        // One directory per peer so several peers can run from the same checkout
+        this.#journal = new Journal({
+            dir: dataDir,
+            fsync: config.journal.fsync
+        })
 
         // Create grenache node with our RPC handler
+        // The sequencer additionally announces the sequencer service so followers can find it
         this.#grenache = new GrenacheNode({
             peerId: this.#peerId,
             grapeUrl: this.#grapeUrl,
             port: this.#port,
-            onRequest: payload => this.#handleRemoteMessage(payload)
+            onRequest: (payload, { from }) => this.#handleRemoteMessage(payload, from),
+            services: this.#isSequencer ? [config.orderbook.sequencerServiceName] : [],
+            auth: this.#loadAuth()
         })
     }
 
     // ─── Lifecycle ────────────────────────────────────
 
     async start() {
+        this.#recover()
         await this.#grenache.start()
+        await this.#bootstrap()
         this.#startHttpServer()
-        console.log(`[${this.#peerId}] ✅ Peer ready`)
+        if (this.#isSequencer) {
+            this.#startExpiryClock()
+            this.#startTradingClock()
+            this.#startRetryClock()
+        } else {
+            this.#startGapCheck()
+        }
+        this.#startReconciliation()
+        this.#startTradeArchiver()
+        console.log(`[${this.#peerId}] ✅ Peer ready${this.#isSequencer ? ' (sequencer)' : ''}`)
         console.log(`[${this.#peerId}] 🖥  UI available at http://localhost:${this.#uiPort}`)
     }
 
+    stop() {
+        this.#grenache.stop()
+        this.#flushTrades()
+        this.#journal.close()
+    }
+
+    // ─── Authentication ───────────────────────────────
+
+    /**
+     * Our private key plus every allowlisted peer's public key, from the
+     * files config.auth points at (create them with `npm run keys`).
+     */
+    #loadAuth() {
+        const root = path.resolve(__dirname, '../..')
+        const keyPath = path.join(root, config.auth.keyDir, `${this.#peerId}.key`)
+        if (!fs.existsSync(keyPath)) {
+            throw new Error(`No private key for ${this.#peerId} at ${keyPath} — run "npm run keys" first`)
+        }
+
+        const allowlist = Object.fromEntries(Object.entries(config.auth.allowlist).map(([peerId, file]) => [
+            peerId,
+            fs.readFileSync(path.resolve(root, file), 'utf8')
+        ]))
+
+        return new MessageAuth({
+            peerId: this.#peerId,
+            privateKey: fs.readFileSync(keyPath, 'utf8'),
+            allowlist,
+            maxClockSkew: config.auth.maxClockSkew
+        })
+    }
+
+    /**
+     * The signature proves who sent a message; this decides whether that
+     * sender may send it. Throws (and logs) if not.
+     */
+    #authorise(payload, from) {
+        const reject = reason => {
+            console.warn(`[${this.#peerId}] 🚫 Rejected ${payload.type} from ${from}: ${reason}`)
+            throw new Error(`Rejected: ${reason}`)
+        }
+
+        switch (payload.type) {
+            // Peers submit commands only for themselves — never someone else's orders.
+            // Halts and auctions are for admins only.
+            case MessageType.SEQUENCE_REQUEST: {
+                const command = payload.command || {}
+                const owner = command.type === CommandType.NEW_ORDER ? command.order?.peerId : command.peerId
+                if (![CommandType.NEW_ORDER, CommandType.CANCEL_ORDER, CommandType.AMEND_ORDER, CommandType.DEPOSIT, CommandType.WITHDRAW, ...ADMIN_COMMANDS].includes(command.type))
+                    reject(`peers cannot submit ${command.type}`)
+                if (owner !== from) reject(`${from} cannot submit on behalf of ${owner}`)
+                if (ADMIN_COMMANDS.includes(command.type) && !this.#isAdmin(from))
+                    reject(`${from} is not an admin`)
+                return
+            }
+
+            // Only the sequencer hands out sequence numbers
+            case MessageType.NEW_ORDER:
+            case MessageType.CANCEL_ORDER:
+            case MessageType.AMEND_ORDER:
+            case MessageType.EXPIRE_ORDERS:
+            case MessageType.DEPOSIT:
+            case MessageType.WITHDRAW:
+            case MessageType.HALT:
+            case MessageType.RESUME:
+            case MessageType.START_AUCTION:
+            case MessageType.UNCROSS:
+                if (from !== config.orderbook.sequencerId) reject(`${from} is not the sequencer`)
+        }
+    }
+
+    /** May this peer halt and resume markets? */
+    #isAdmin(peerId) {
+        return (config.auth.admins || []).includes(peerId)
+    }
+
+    // ─── Persistence ──────────────────────────────────
+
+    /**
+     * Rebuild the book from disk: last snapshot + journal tail.
+     * Runs before we touch the network, so the join protocol only has to
+     * fetch what happened while we were down.
+     *
+     * The tail is replayed with persisting switched off: the entries are
+     * already on disk, and a checkpoint halfway through would truncate the
+     * ones not replayed yet. One checkpoint at the end folds them all in.
+     */
+    #recover() {
+        const { snapshot, entries } = this.#journal.recover()
+
+        if (snapshot) {
+            this.#markets.loadSnapshot(snapshot)
+            this.#sequencer.reset(snapshot.sequence)
+        }
+        this.#replaying = true
+        try {
+            entries.forEach(message => this.#logDelivered(this.#sequencer.receive(message)))
+        } finally {
+            this.#replaying = false
+        }
+
+        // We may have crashed before everyone got these — they go out again until
+        // acked. Acks that came in after the snapshot are lost with the crash;
+        // the bootstrap's snapshot replies stand in for them (see #fetchLatestSnapshot)
+        if (this.#isSequencer) {
+            if (snapshot?.outbox) this.#outbox.loadSnapshot(snapshot.outbox)
+            entries.forEach(message => this.#outbox.add(message))
+        }
+
+        this.#journal.open()
+        if (entries.length > 0) this.#checkpoint()
+
+        if (snapshot || entries.length > 0) {
+            console.log(`[${this.#peerId}] 💾 Recovered @ seq ${this.#sequencer.sequence} (${entries.length} journal entries replayed)`)
+        }
+    }
+
+    /**
+     * Journal every consumed seq before it is acknowledged or broadcast —
+     * the in-memory change is lost on a crash anyway, the disk copy is not.
+     *
+     * Never throws: the seq is consumed and applied by now, so the message
+     * still goes out and nobody waits on a hole. A write that fails leaves
+     * the journal short of this seq; until a snapshot covering it is on
+     * disk, every persist tries to write one, and the sequencer takes no
+     * new commands (see #sequenceCommand).
+     */
+    #persist(message) {
+        if (this.#replaying) return
+        try {
+            if (this.#unjournalled) this.#checkpoint()
+            else {
+                this.#journal.append(message)
+                if (this.#journal.entriesSinceSnapshot >= config.journal.snapshotEvery) this.#checkpoint()
+            }
+            this.#unjournalled = false
+        } catch (err) {
+            this.#unjournalled = true
+            console.error(`[${this.#peerId}] ❌ Journal write failed @ seq ${message.seq}: ${err.message}`)
+        }
+    }
+
+    /** Write a compacted snapshot; the journal is truncated behind it */
+    #checkpoint(sequence = this.#sequencer.sequence) {
+        this.#flushTrades()   // the snapshot only holds what is still in memory
+        this.#journal.writeSnapshot({
+            sequence,
+            ...this.#markets.getSnapshot({ includeTrades: true }),
+            // Unacked messages the truncated journal no longer holds
+            ...(this.#isSequencer && { outbox: this.#outbox.getSnapshot() })
+        })
+    }
+
+    // ─── Join Protocol ────────────────────────────────
+
+    /**
+     * Catch up with the network before going live.
+     *
+     *  1. Buffer every sequenced message that arrives from now on
+     *  2. Ask all peers for a snapshot, load the most advanced one
+     *  3. Replay the buffer — the Sequencer drops what the snapshot already covers
+     *
+     * If a broadcast slipped past us before the others discovered us, we are
+     * left waiting on a gap. A follower asks the sequencer for the missing
+     * range; failing that, a later snapshot covers it, so retry a few times.
+     * A gap still open after the last attempt fails the start — a peer that
+     * went live on it would never apply another command.
+     *
+     * The sequencer peer runs this too — after a restart it must not hand out
+     * seq numbers the network has already used.
+     */
+    async #bootstrap() {
+        const attempts = config.orderbook.bootstrapAttempts
+
+        for (let attempt = 1; attempt <= attempts; attempt++) {
+            await this.#loadLatestSnapshot()
+
+            const buffered = this.#joinBuffer ?? []
+            this.#joinBuffer = null
+            buffered.forEach(message => this.#receiveSequenced(message))
+
+            if (this.#sequencer.pendingCount > 0 && !this.#isSequencer) {
+                await this.#requestResend(this.#sequencer.gap)
+                    .catch(err => console.warn(`[${this.#peerId}] Resend request failed: ${err.message}`))
+            }
+            if (this.#sequencer.pendingCount === 0) break
+            if (attempt === attempts) break
+
+            console.warn(`[${this.#peerId}] ⏳ Missing seq ${this.#sequencer.sequence + 1}, retrying bootstrap (${attempt}/${attempts})`)
+            this.#joinBuffer = []
+            await new Promise(resolve => setTimeout(resolve, config.orderbook.bootstrapRetryInterval))
+        }
+
+        this.#joinBuffer = null
+        if (this.#sequencer.pendingCount > 0) {
+            throw new Error(`Still missing seq ${this.#sequencer.sequence + 1} after ${attempts} bootstrap attempts`)
+        }
+        console.log(`[${this.#peerId}] 🔄 In sync @ seq ${this.#sequencer.sequence}`)
+    }
+
+    /**
+     * Jump to the most advanced snapshot on the network, if it is ahead of us.
+     * @returns {Promise<boolean>} whether one was loaded
+     */
+    async #loadLatestSnapshot() {
+        const snapshot = await this.#fetchLatestSnapshot()
+        if (!snapshot || snapshot.sequence <= this.#sequencer.sequence) return false
+
+        this.#markets.loadSnapshot(snapshot)
+        // Persist it straight away — otherwise the journal would have a hole up to snapshot.sequence
+        this.#checkpoint(snapshot.sequence)
+        this.#logDelivered(this.#sequencer.reset(snapshot.sequence))
+        console.log(`[${this.#peerId}] 📸 Loaded snapshot @ seq ${snapshot.sequence} from ${snapshot.peerId}`)
+        return true
+    }
+
+    /**
+     * Ask every peer for its book and keep the one furthest along.
+     * Our own reply (we announce too) and replies from peers that are
+     * themselves still joining come back null and are skipped.
+     *
+     * On the sequencer each reply also counts as an ack: that peer has
+     * applied everything up to its snapshot's seq. So after a restart only
+     * the recovered messages some peer really lacks are pushed again.
+     */
+    async #fetchLatestSnapshot() {
+        const replies = await this.#grenache.broadcast({ type: MessageType.SNAPSHOT_REQUEST })
+
+        const snapshots = replies
+            .filter(reply => reply.result?.peerId === reply.from)   // signed by the peer it claims to be
+            .map(reply => reply.result)
+            .filter(snapshot => snapshot.peerId !== this.#peerId)
+        if (this.#isSequencer) snapshots.forEach(snapshot => this.#outbox.ack(snapshot.peerId, snapshot.sequence))
+
+        return snapshots.reduce((best, snapshot) => (!best || snapshot.sequence > best.sequence) ? snapshot : best, null)
+    }
+
     // ─── Order Submission (local) ─────────────────────
 
     /**
      * Submit a new order from THIS peer's UI.
-     * 1. Add locally, 2. Broadcast to all peers.
+     * The order is only matched once the sequencer has given it a seq.
+     * One the sequencer's risk checks refuse comes back with `seq: null`,
+     * status REJECTED and `rejection: { code, message, limit, value }`.
      */
-    async submitOrder({ side, type, price, quantity }) {
+    async submitOrder({
+        pair = this.#defaultPair, side, type, price, quantity, stopPrice, timeInForce, expiresAt, postOnly,
+        selfTradePrevention, displayQuantity, hidden, accountId, maxSlippageBps, protectionPrice
+    }) {
+        this.#markets.get(pair)   // unknown market → throw before bothering the sequencer
+
         const order = {
             id: randomUUID(),
             side,
             type: type || OrderType.LIMIT,
-            price: parseFloat(price),
-            quantity: parseFloat(quantity),
+            // Numbers or decimal strings, passed through untouched — the book
+            // parses them exactly, so '0.1' never becomes 0.1000000000000000055…
+            price,
+            quantity,
+            stopPrice,
             peerId: this.#peerId,
-            timestamp: Date.now()
+            accountId,             // unset → paid from this peer's own account
+            timeInForce,
+            expiresAt: expiresAt == null ? undefined : Number(expiresAt),
+            postOnly: !!postOnly,
+            selfTradePrevention,   // unset → the market's default from config
+            displayQuantity,
+            hidden: !!hidden,
+            maxSlippageBps,        // market only — the book turns it into a protection price on arrival
+            protectionPrice
         }
 
-        // Step 1 — apply locally
-        const result = this.#orderBook.addOrder(order)
-
-        // Step 2 — broadcast to all other peers
-        // We send the original order, not the result, so others can run their own matching
-        await this.#grenache.broadcast({
-            type: 'NEW_ORDER',
-            order: order
-        }).catch(err => {
-            // Non-fatal — log but don't crash
-            console.warn(`[${this.#peerId}] Broadcast failed: ${err.message}`)
+        const { seq, result } = await this.#submitCommand({ type: CommandType.NEW_ORDER, pair, order })
+        return { seq, ...result }
+    }
+
+    /**
+     * Cancel one of THIS peer's orders, everywhere.
+     * Goes through the sequencer like any other command, so a cancel and a
+     * fill of the same order are applied in the same order on every peer —
+     * whichever comes second is a no-op.
+     *
+     * @returns {Promise<object|null>} the cancelled order, or null if it was already gone
+     */
+    async cancelOrder(orderId, pair = this.#defaultPair) {
+        this.#markets.get(pair)
+
+        const { result } = await this.#submitCommand({
+            type: CommandType.CANCEL_ORDER,
+            pair,
+            orderId,
+            peerId: this.#peerId
         })
+        return result
+    }
 
+    /**
+     * Change price and/or remaining quantity of one of THIS peer's resting
+     * orders, everywhere. Sequenced, so it can't race a fill or a cancel.
+     *
+     * @param {string} orderId
+     * @param {{ price?: number, quantity?: number }} changes
+     * @returns {Promise<object|null>} amend result, or null if the order was already gone.
+     *   One a risk check refused is { status: REJECTED, rejection } — see #sequenceCommand
+     */
+    async amendOrder(orderId, { price, quantity } = {}, pair = this.#defaultPair) {
+        this.#markets.get(pair)
+
+        const { result } = await this.#submitCommand({
+            type: CommandType.AMEND_ORDER,
+            pair,
+            orderId,
+            changes: {
+                price: price ?? undefined,
+                quantity: quantity ?? undefined
+            },
+            peerId: this.#peerId
+        })
+        return result
+    }
+
+    /**
+     * Move funds into or out of an account this peer owns. Sequenced like
+     * orders, so every ledger sees the deposit before the orders spending it.
+     *
+     * @param {'DEPOSIT'|'WITHDRAW'} type - CommandType.DEPOSIT or CommandType.WITHDRAW
+     * @returns {Promise<object>} the account's balances afterwards
+     */
+    async moveFunds(type, accountId, { asset, amount } = {}) {
+        const { result } = await this.#submitCommand({
+            type,
+            accountId,
+            asset,
+            amount,
+            peerId: this.#peerId
+        })
+        return result
+    }
+
+    /**
+     * Halt a market on every peer — the HALT is sequenced, so all books stop
+     * at the same seq. Admin peers only (config.auth.admins).
+     *
+     * @param {{ note?: string, duration?: number }} [options] - duration: ms until it lifts by itself
+     * @returns {Promise<object>} the market's trading status
+     */
+    async haltMarket(pair = this.#defaultPair, { note, duration } = {}) {
+        this.#markets.get(pair)
+        if (!this.#isAdmin(this.#peerId)) throw new Error(`${this.#peerId} is not an admin`)
+
+        const { result } = await this.#submitCommand({
+            type: CommandType.HALT,
+            pair,
+            note: note ?? undefined,
+            duration: duration == null ? undefined : Number(duration),
+            peerId: this.#peerId
+        })
+        return result
+    }
+
+    /**
+     * Lift a halt on every peer. The market reopens with an auction; the
+     * sequencer's trading clock sends the UNCROSS when it is due.
+     *
+     * @returns {Promise<{ trading: object, uncross: object|null }>}
+     */
+    async resumeMarket(pair = this.#defaultPair) {
+        this.#markets.get(pair)
+        if (!this.#isAdmin(this.#peerId)) throw new Error(`${this.#peerId} is not an admin`)
+
+        const { result } = await this.#submitCommand({
+            type: CommandType.RESUME,
+            pair,
+            peerId: this.#peerId
+        })
         return result
     }
 
+    /**
+     * Start an opening or closing call auction on every peer. Admin peers only.
+     *
+     * @param {{ type?: string, duration?: number }} [options] - AuctionType.OPENING / CLOSING;
+     *   duration: ms until the trading clock uncrosses it (default: until uncrossMarket)
+     * @returns {Promise<object>} the market's trading status
+     */
+    async startAuction(pair = this.#defaultPair, { type, duration } = {}) {
+        this.#markets.get(pair)
+        if (!this.#isAdmin(this.#peerId)) throw new Error(`${this.#peerId} is not an admin`)
+
+        const { result } = await this.#submitCommand({
+            type: CommandType.START_AUCTION,
+            pair,
+            auction: type ?? undefined,
+            duration: duration == null ? undefined : Number(duration),
+            peerId: this.#peerId
+        })
+        return result
+    }
+
+    /**
+     * End a market's auction now, on every peer. Admin peers only.
+     * @returns {Promise<object>} the uncross result: price, volume, trades
+     */
+    async uncrossMarket(pair = this.#defaultPair) {
+        this.#markets.get(pair)
+        if (!this.#isAdmin(this.#peerId)) throw new Error(`${this.#peerId} is not an admin`)
+
+        const { result } = await this.#submitCommand({
+            type: CommandType.UNCROSS,
+            pair,
+            peerId: this.#peerId
+        })
+        return result
+    }
+
+    // ─── Sequencing ───────────────────────────────────
+
+    /**
+     * Get a command into the global order.
+     * The sequencer's result is the result every peer will compute.
+     *
+     * @returns {Promise<{ seq: number, result: * }>}
+     */
+    async #submitCommand(command) {
+        if (this.#isSequencer) return this.#sequenceCommand(command)
+
+        return this.#grenache.request(config.orderbook.sequencerServiceName, {
+            type: MessageType.SEQUENCE_REQUEST,
+            command
+        }, { from: config.orderbook.sequencerId })
+    }
+
+    /**
+     * Sequencer only — stamp, apply locally, then broadcast.
+     * Synchronous so the RPC handler can reply with the result directly.
+     *
+     * A new order or amendment that breaks a risk limit is answered with a
+     * REJECTED result carrying the rejection ({ code, message, ... }) and
+     * never gets a seq. It is a result rather than a throw so the code
+     * survives the RPC. Only orders the book takes count towards the rate
+     * limit — assign throws on a book error, before record is reached.
+     *
+     * A command that failed after changing the book still got a seq: it is
+     * broadcast like any other, then its error is thrown to the submitter.
+     * While the journal is missing a seq, nothing new is sequenced.
+     */
+    #sequenceCommand(command) {
+        if (this.#unjournalled) {
+            this.#persist({ seq: this.#sequencer.sequence })   // try the snapshot again
+            if (this.#unjournalled) throw new Error('The journal is behind the book — not sequencing until it is written')
+        }
+        command = this.#stamp(command, Date.now())
+
+        if (command.type === CommandType.NEW_ORDER || command.type === CommandType.AMEND_ORDER) {
+            const rejection = this.#risk.check(command, this.#markets)
+            if (rejection) {
+                const owner = command.order?.peerId ?? command.peerId
+                console.warn(`[${this.#peerId}] 🛑 Risk rejected ${command.type} from ${owner}: ${rejection.code} — ${rejection.message}`)
+                return { seq: null, result: { status: OrderStatus.REJECTED, rejection } }
+            }
+        }
+
+        const { message, result, error } = this.#sequencer.assign(command)
+        if (!error && result?.status !== OrderStatus.REJECTED) this.#risk.record(command)
+
+        // We send the sequenced command, not the result, so others run their own matching
+        this.#outbox.add(message)
+        this.#sendSequenced(message)
+
+        if (error) {
+            this.#logDelivered([{ message, error }])
+            throw error
+        }
+        return { seq: message.seq, result }
+    }
+
+    /**
+     * Put the sequencer's time on a command, whatever the submitter sent.
+     * GTD expiry runs on order and amend times, and halt, auction and
+     * breaker timings on these, so a peer with a skewed clock could
+     * otherwise expire everyone's orders early or make a halt permanent.
+     */
+    #stamp(command, now) {
+        if (command.type === CommandType.NEW_ORDER) return { ...command, order: { ...command.order, timestamp: now } }
+        if (TIMED_COMMANDS.includes(command.type)) return { ...command, timestamp: now }
+        return command
+    }
+
+    /**
+     * Broadcast a sequenced message and record the acks that come back.
+     * Every peer replies with the last seq it has applied; whoever didn't
+     * reply gets the message again from the retry clock.
+     */
+    #sendSequenced(message) {
+        this.#grenache.broadcast(message)
+            .then(replies => replies.forEach(reply => this.#outbox.ack(reply.from, reply.result?.seq)))
+            .catch(err => {
+                // Non-fatal — the outbox still has it
+                console.warn(`[${this.#peerId}] Broadcast failed: ${err.message}`)
+            })
+    }
+
+    /**
+     * Send a sequenced message to one peer again and record its ack.
+     * Only the peers that haven't acked it get a retry.
+     */
+    #resendSequenced(peerId, message) {
+        this.#grenache.send(peerId, message)
+            .then(result => this.#outbox.ack(peerId, result?.seq))
+            .catch(err => {
+                // Non-fatal — still unacked, so the next retry tries again
+                console.warn(`[${this.#peerId}] Resending #${message.seq} to ${peerId} failed: ${err.message}`)
+            })
+    }
+
+    /**
+     * Sequencer only — send whatever some peer hasn't acked yet again, to
+     * that peer alone, with backoff. Past the last attempt we stop pushing;
+     * that peer fills the gap itself with a RESEND_REQUEST or a snapshot.
+     */
+    #startRetryClock() {
+        setInterval(() => {
+            const { resend, abandoned } = this.#outbox.due()
+            resend.forEach(({ message, peers }) => peers.forEach(peerId => this.#resendSequenced(peerId, message)))
+            abandoned.forEach(({ message, peers }) => {
+                console.warn(`[${this.#peerId}] 📭 Giving up pushing #${message.seq} to ${peers.join(', ')}`)
+            })
+        }, config.broadcast.checkInterval)
+    }
+
+    /**
+     * Followers only — if we are sitting on a gap, ask the sequencer for
+     * the missing range. Messages arriving out of order close most gaps on
+     * their own within a tick; one that is still open here is asked for.
+     */
+    #startGapCheck() {
+        setInterval(() => this.#checkGap(), config.broadcast.checkInterval)
+    }
+
+    async #checkGap() {
+        const gap = this.#sequencer.gap
+        if (!gap || this.#gapCheck || this.#joinBuffer) return
+
+        this.#gapCheck = this.#requestResend(gap)
+            .catch(err => console.warn(`[${this.#peerId}] Resend request failed: ${err.message}`))
+            .finally(() => { this.#gapCheck = null })
+        await this.#gapCheck
+    }
+
+    /**
+     * Fetch seqs gap.from..gap.to from the sequencer's history. If it no
+     * longer has them all, the only way forward is a newer snapshot.
+     */
+    async #requestResend(gap) {
+        console.log(`[${this.#peerId}] 🕳  Missing seq ${gap.from}..${gap.to}, asking the sequencer`)
+        const { messages } = await this.#grenache.request(config.orderbook.sequencerServiceName, {
+            type: MessageType.RESEND_REQUEST,
+            ...gap
+        }, { from: config.orderbook.sequencerId })
+
+        messages.forEach(message => this.#receiveSequenced(message))
+
+        if (this.#sequencer.sequence < gap.to) {
+            console.warn(`[${this.#peerId}] Sequencer no longer has seq ${this.#sequencer.sequence + 1}, loading a snapshot`)
+            await this.#loadLatestSnapshot()
+        }
+    }
+
+    /**
+     * Sequencer only — GTD orders expire by sequenced EXPIRE_ORDERS ticks,
+     * never by each peer's own clock, so every book drops them at the same seq.
+     * A tick is only sent when some market actually has something due.
+     */
+    #startExpiryClock() {
+        setInterval(() => {
+            const now = Date.now()
+            this.#markets.pairs.forEach(pair => {
+                const next = this.#markets.get(pair).nextExpiry()
+                if (next === null || next > now) return
+                try {
+                    this.#sequenceCommand({ type: CommandType.EXPIRE_ORDERS, pair, now })
+                } catch (err) {
+                    // Sequencer behind or journal write failed — the next tick tries again
+                    console.warn(`[${this.#peerId}] Expiry tick for ${pair} failed: ${err.message}`)
+                }
+            })
+        }, config.orderbook.expiryCheckInterval)
+    }
+
+    /**
+     * Sequencer only — timed halts (a circuit breaker's) lift with a
+     * sequenced RESUME, and reopening auctions end with a sequenced UNCROSS,
+     * so every peer changes phase at the same seq.
+     */
+    #startTradingClock() {
+        setInterval(() => {
+            const now = Date.now()
+            this.#markets.pairs.forEach(pair => {
+                const { phase, resumeAt, uncrossAt } = this.#markets.get(pair).getTradingStatus()
+                try {
+                    if (phase === TradingPhase.HALTED && resumeAt !== null && resumeAt <= now) {
+                        this.#sequenceCommand({ type: CommandType.RESUME, pair })
+                    } else if (phase === TradingPhase.AUCTION && uncrossAt !== null && uncrossAt <= now) {
+                        this.#sequenceCommand({ type: CommandType.UNCROSS, pair })
+                    }
+                } catch (err) {
+                    // Nothing was sequenced, so the phase is unchanged and the next tick tries again —
+                    // one market failing must not keep the others from reopening
+                    console.warn(`[${this.#peerId}] Trading clock for ${pair} failed: ${err.message}`)
+                }
+            })
+        }, config.orderbook.tradingCheckInterval)
+    }
+
+    /**
+     * Every peer — trades dropped from memory are written to the archive
+     * here, never while a command applies, so a disk error can't leave a
+     * command half-applied. Until written they stay queryable in memory.
+     */
+    #startTradeArchiver() {
+        setInterval(() => this.#flushTrades(), config.trades.archiveInterval)
+    }
+
+    #flushTrades() {
+        this.#tradeStores.forEach((store, pair) => {
+            try {
+                store.flush()
+            } catch (err) {
+                // The trades stay pending — the next flush tries again
+                console.warn(`[${this.#peerId}] Archiving trades for ${pair} failed: ${err.message}`)
+            }
+        })
+    }
+
+    // ─── Anti-Entropy ─────────────────────────────────
+
+    /**
+     * Sequencing keeps books identical only if every command arrives and
+     * applies the same way. This checks that it did: every
+     * reconciliation.interval each peer swaps Merkle roots (see digest.js)
+     * with the others, and a follower whose book differs from the
+     * sequencer's at the same seq fetches and replaces just the price
+     * levels that differ, then the accounts that still differ. The
+     * sequencer's book is the reference — it only reports, never repairs itself.
+     */
+    #startReconciliation() {
+        setInterval(() => {
+            this.#reconcile().catch(err => {
+                console.warn(`[${this.#peerId}] Reconciliation failed: ${err.message}`)
+            })
+        }, config.reconciliation.interval)
+    }
+
+    async #reconcile() {
+        if (this.#reconciling || this.#joinBuffer) return
+        this.#reconciling = true
+
+        try {
+            const replies = await this.#grenache.broadcast({ type: MessageType.DIGEST_REQUEST })
+            const sequence = this.#sequencer.sequence
+            const ours = marketRoots(this.#markets.getSnapshot())
+
+            // Books only have to match at the same seq — a peer that is ahead or behind can't be judged
+            const peers = replies
+                .filter(reply => reply.result?.peerId === reply.from && reply.from !== this.#peerId)
+                .map(({ from, result }) => {
+                    if (result.sequence !== sequence) return { peerId: from, sequence: result.sequence, status: 'not_comparable' }
+                    if (result.root === ours.root) return { peerId: from, sequence, status: 'consistent' }
+
+                    const markets = this.#markets.pairs.filter(pair => result.markets[pair] !== ours.markets[pair])
+                    return { peerId: from, sequence, status: 'diverged', markets, ledger: result.ledger !== ours.ledger }
+                })
+
+            peers.filter(p => p.status === 'diverged').forEach(p => {
+                const parts = p.ledger ? [...p.markets, 'ledger'] : p.markets
+                console.warn(`[${this.#peerId}] ⚖️  Book differs from ${p.peerId} @ seq ${sequence}: ${parts.join(', ')}`)
+            })
+
+            const sequencer = peers.find(p => p.peerId === config.orderbook.sequencerId && p.status === 'diverged')
+            const repaired = sequencer && !this.#isSequencer ? await this.#repairFromSequencer(sequencer.markets) : []
+
+            this.#consistency = {
+                checkedAt: Date.now(),
+                sequence,
+                root: ours.root,
+                consistent: peers.every(p => p.status !== 'diverged'),
+                peers,
+                repaired
+            }
+        } finally {
+            this.#reconciling = false
+        }
+    }
+
+    /**
+     * Compare level hashes with the sequencer for each diverged market and
+     * copy over the levels that differ, then do the same for the accounts of
+     * the ledger. Levels go first: replacing orders moves their reservations,
+     * which may be all that was wrong with the ledger. Each step is skipped if
+     * either of us has moved on to another seq meanwhile — the next round
+     * picks it up.
+     *
+     * @returns {Promise<Array<{ pair, bids, asks, stops }|{ accounts }>>} what was replaced
+     */
+    async #repairFromSequencer(pairs) {
+        const ask = payload => this.#grenache.request(config.orderbook.sequencerServiceName, payload, {
+            from: config.orderbook.sequencerId
+        })
+        const repaired = []
+
+        for (const pair of pairs) {
+            const remote = await ask({ type: MessageType.DIGEST_REQUEST, pair })
+            if (remote?.sequence !== this.#sequencer.sequence) continue
+
+            const book = this.#markets.get(pair)
+            const diff = diffBookDigests(bookDigest(book.getSnapshot()), remote.digest)
+            if (isEmptyBookDiff(diff)) continue
+
+            const levels = await ask({ type: MessageType.LEVELS_REQUEST, pair, ...diff })
+            if (levels?.sequence !== this.#sequencer.sequence) continue
+
+            const { unfunded } = book.repairLevels(levels)
+            const summary = { pair, bids: diff.bids, asks: diff.asks, stops: diff.stops }
+            repaired.push(summary)
+            console.warn(`[${this.#peerId}] 🩹 Repaired ${pair} from the sequencer: ${diff.bids.length} bid / ${diff.asks.length} ask levels${diff.stops ? ' + stops' : ''}${unfunded.length > 0 ? ` (${unfunded.length} orders await their account)` : ''}`)
+            this.#pushSSE(pair, 'book_repaired', summary)
+        }
+
+        const accounts = this.#markets.accounts
+        const remote = accounts ? await ask({ type: MessageType.DIGEST_REQUEST, ledger: true }) : null
+        if (remote?.sequence === this.#sequencer.sequence) {
+            const ids = diffLedgerDigests(ledgerDigest(accounts.getSnapshot()), remote.digest)
+            const copy = ids.length > 0 ? await ask({ type: MessageType.ACCOUNTS_REQUEST, accounts: ids }) : null
+            if (copy?.sequence === this.#sequencer.sequence) {
+                accounts.repairAccounts(ids, copy)
+                repaired.push({ accounts: ids })
+                console.warn(`[${this.#peerId}] 🩹 Repaired ${ids.length} accounts from the sequencer`)
+            }
+        }
+
+        // The journal can't reproduce a repair — snapshot so a restart doesn't undo it
+        if (repaired.length > 0) this.#checkpoint()
+        return repaired
+    }
+
     // ─── Remote Message Handler ───────────────────────
 
     /**
      * Called by GrenacheNode when a message arrives from another peer.
+     * @param {object} payload
+     * @param {string} from - Sender, already verified by its signature
      */
-    #handleRemoteMessage(payload) {
+    #handleRemoteMessage(payload, from) {
         if (!payload?.type) return null
+        this.#authorise(payload, from)
 
         switch (payload.type) {
 
-            case 'NEW_ORDER': {
-                // Don't re-apply our own orders (we already applied them locally)
-                if (payload.order.peerId === this.#peerId) return null
+            case MessageType.SEQUENCE_REQUEST: {
+                if (!this.#isSequencer) throw new Error(`${this.#peerId} is not the sequencer`)
+                if (this.#joinBuffer) throw new Error(`${this.#peerId} is still bootstrapping`)
+                return this.#sequenceCommand(payload.command)
+            }
 
-                console.log(`[${this.#peerId}] 📨 Remote order from ${payload.order.peerId}`)
-                return this.#orderBook.applyRemoteOrder(payload.order)
+            case MessageType.NEW_ORDER:
+            case MessageType.CANCEL_ORDER:
+            case MessageType.AMEND_ORDER:
+            case MessageType.EXPIRE_ORDERS:
+            case MessageType.DEPOSIT:
+            case MessageType.WITHDRAW:
+            case MessageType.HALT:
+            case MessageType.RESUME:
+            case MessageType.START_AUCTION:
+            case MessageType.UNCROSS: {
+                // Still joining — hold on to it until our snapshot is loaded
+                if (this.#joinBuffer) {
+                    this.#joinBuffer.push(payload)
+                    return { seq: this.#sequencer.sequence }
+                }
+
+                this.#receiveSequenced(payload)
+                return { seq: this.#sequencer.sequence }
+            }
+
+            case MessageType.RESEND_REQUEST: {
+                if (!this.#isSequencer) throw new Error(`${this.#peerId} is not the sequencer`)
+                const { from, to } = payload
+                if (!Number.isInteger(from) || !Number.isInteger(to)) throw new Error('RESEND_REQUEST needs integer from and to')
+
+                // Capped at what we have sequenced — nobody gets to peek ahead
+                return { messages: this.#outbox.range(from, Math.min(to, this.#sequencer.sequence)) }
+            }
+
+            case MessageType.DIGEST_REQUEST: {
+                if (this.#joinBuffer) return null
+                const base = { peerId: this.#peerId, sequence: this.#sequencer.sequence }
+
+                // With a pair: that market's level hashes; with ledger: the account hashes; otherwise just the roots
+                if (payload.pair) return { ...base, pair: payload.pair, digest: bookDigest(this.#markets.get(payload.pair).getSnapshot()) }
+                if (payload.ledger) return { ...base, digest: this.#markets.accounts ? ledgerDigest(this.#markets.accounts.getSnapshot()) : null }
+                return { ...base, ...marketRoots(this.#markets.getSnapshot()) }
+            }
+
+            case MessageType.LEVELS_REQUEST: {
+                if (this.#joinBuffer) return null
+                const { pair, bids, asks, stops } = payload
+                return {
+                    sequence: this.#sequencer.sequence,
+                    ...this.#markets.get(pair).getLevels({ bids, asks, stops })
+                }
+            }
+
+            case MessageType.ACCOUNTS_REQUEST: {
+                if (this.#joinBuffer || !this.#markets.accounts) return null
+                if (!Array.isArray(payload.accounts)) throw new Error('ACCOUNTS_REQUEST needs a list of accounts')
+                return {
+                    sequence: this.#sequencer.sequence,
+                    ...this.#markets.accounts.getAccounts(payload.accounts)
+                }
             }
 
-            case 'SNAPSHOT_REQUEST': {
+            case MessageType.SNAPSHOT_REQUEST: {
+                // Our book isn't worth copying until we have caught up ourselves
+                if (this.#joinBuffer) return null
+
                 // A new peer is asking for our current book state
                 console.log(`[${this.#peerId}] 📸 Snapshot requested`)
-                return this.#orderBook.getSnapshot()
+                return {
+                    peerId: this.#peerId,
+                    sequence: this.#sequencer.sequence,
+                    ...this.#markets.getSnapshot()
+                }
             }
 
             default:
@@ -142,11 +1028,39 @@ class Peer {
         }
     }
 
+    /** Feed one sequenced message to the Sequencer and log the outcome */
+    #receiveSequenced(message) {
+        // Our own broadcasts come back to us too — the Sequencer drops them as duplicates
+        if (message.seq <= this.#sequencer.sequence) return
+
+        console.log(`[${this.#peerId}] 📨 ${message.type} #${message.seq} [${message.pair ?? message.accountId}] from ${message.order?.peerId ?? message.peerId ?? 'sequencer'}`)
+        this.#logDelivered(this.#sequencer.receive(message))
+    }
+
+    #logDelivered(delivered) {
+        delivered.forEach(({ message, error }) => {
+            if (error) console.warn(`[${this.#peerId}] ⚠️  Command #${message.seq} rejected: ${error.message}`)
+        })
+    }
+
     // ─── Event Hooks ──────────────────────────────────
 
-    #onTrade(trade) {
-        console.log(`[${this.#peerId}] 💰 TRADE: ${trade.quantity} @ ${trade.price}`)
-        this.#pushSSE('trade', trade)
+    #onTrade(trade, pair) {
+        console.log(`[${this.#peerId}] 💰 TRADE [${pair}]: ${trade.quantity} @ ${trade.price}`)
+        this.#pushSSE(pair, 'trade', trade)
+        // The bars the trade just moved, one per interval
+        this.#pushSSE(pair, 'candle', this.#markets.get(pair).getCandlesAt(trade.timestamp))
+    }
+
+    #onStopTriggered(order, pair) {
+        console.log(`[${this.#peerId}] 🎯 STOP TRIGGERED [${pair}]: ${order.side} ${order.quantity} @ stop ${order.stopPrice}`)
+        this.#pushSSE(pair, 'stop_triggered', order)
+    }
+
+    #onTradingStatus(status, pair) {
+        const icons = { [TradingPhase.HALTED]: '⛔', [TradingPhase.AUCTION]: '🔔', [TradingPhase.CONTINUOUS]: '🟢' }
+        console.log(`[${this.#peerId}] ${icons[status.phase]} ${pair} is ${status.phase}${status.note ? `: ${status.note}` : ''}`)
+        this.#pushSSE(pair, 'trading_status', status)
     }
 
     // ─── HTTP Server (REST + SSE for React UI) ────────
@@ -155,7 +1069,7 @@ class Peer {
         const server = http.createServer((req, res) => {
             // CORS headers — allow React dev server to connect
             res.setHeader('Access-Control-Allow-Origin', '*')
-            res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS')
+            res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PATCH, DELETE, OPTIONS')
             res.setHeader('Access-Control-Allow-Headers', 'Content-Type')
 
             if (req.method === 'OPTIONS') {
@@ -166,63 +1080,258 @@ class Peer {
 
             const url = new URL(req.url, `http://localhost:${this.#uiPort}`)
 
+            // ── GET /markets — pairs this peer hosts ─────
+            if (req.method === 'GET' && url.pathname === '/markets') {
+                this.#sendJSON(res, 200, { peerId: this.#peerId, markets: this.#markets.pairs })
+                return
+            }
+
+            // ── GET /accounts/:id — balances ─────────────
+            // ── POST /accounts/:id/deposit, /withdraw — { asset, amount } ──
+            const accountRoute = url.pathname.match(/^\/accounts\/([^/]+)(\/deposit|\/withdraw)?$/)
+            if (accountRoute) {
+                const accountId = decodeURIComponent(accountRoute[1])
+                if (req.method === 'GET' && !accountRoute[2]) {
+                    this.#sendJSON(res, 200, { accountId, balances: this.#markets.accounts.getBalances(accountId) })
+                    return
+                }
+                if (req.method === 'POST' && accountRoute[2]) {
+                    const type = accountRoute[2] === '/deposit' ? CommandType.DEPOSIT : CommandType.WITHDRAW
+                    let body = ''
+                    req.on('data', chunk => body += chunk)
+                    req.on('end', async () => {
+                        try {
+                            const balances = await this.moveFunds(type, accountId, JSON.parse(body || '{}'))
+                            this.#sendJSON(res, 200, { ok: true, accountId, balances })
+                        } catch (err) {
+                            this.#sendJSON(res, 400, { ok: false, error: err.message })
+                        }
+                    })
+                    return
+                }
+            }
+
+            // ── GET /health/consistency — last anti-entropy round ──
+            if (req.method === 'GET' && url.pathname === '/health/consistency') {
+                this.#sendJSON(res, 200, { peerId: this.#peerId, ...this.#consistency })
+                return
+            }
+
+            // /markets/:pair/<route> is scoped to that market; the bare
+            // routes (/state, /order, /events) serve the default market
+            const { pair, route } = this.#resolveMarket(url.pathname)
+            if (pair && !this.#markets.has(pair)) {
+                this.#sendJSON(res, 404, { ok: false, error: `Unknown market: ${pair}` })
+                return
+            }
+            const market = pair || this.#defaultPair
+
             // ── GET /state — full book snapshot ─────────
-            if (req.method === 'GET' && url.pathname === '/state') {
-                res.writeHead(200, { 'Content-Type': 'application/json' })
-                res.end(JSON.stringify({
+            if (req.method === 'GET' && route === '/state') {
+                const book = this.#markets.get(market)
+                this.#sendJSON(res, 200, {
                     peerId: this.#peerId,
-                    pair: config.orderbook.pair,
-                    ...this.#orderBook.getSnapshot(),
-                    trades: this.#orderBook.getTrades().slice(-20) // last 20 trades
-                }))
+                    ...book.getPublicSnapshot(),
+                    trades: book.getRecentTrades(20) // last 20 trades
+                })
                 return
             }
 
             // ── POST /order — submit a new order ─────────
-            if (req.method === 'POST' && url.pathname === '/order') {
+            if (req.method === 'POST' && route === '/order') {
                 let body = ''
                 req.on('data', chunk => body += chunk)
                 req.on('end', async () => {
                     try {
                         const data = JSON.parse(body)
-                        const result = await this.submitOrder(data)
-                        res.writeHead(200, { 'Content-Type': 'application/json' })
-                        res.end(JSON.stringify({ ok: true, ...result }))
+                        const result = await this.submitOrder({ ...data, pair: market })
+                        if (result.rejection) {
+                            // Refused by a risk check — { code, message, limit, value }
+                            const { message, ...rejection } = result.rejection
+                            this.#sendJSON(res, 422, { ok: false, status: result.status, error: message, ...rejection })
+                            return
+                        }
+                        this.#sendJSON(res, 200, { ok: true, ...result })
                     } catch (err) {
-                        res.writeHead(400, { 'Content-Type': 'application/json' })
-                        res.end(JSON.stringify({ ok: false, error: err.message }))
+                        this.#sendJSON(res, 400, { ok: false, error: err.message })
                     }
                 })
                 return
             }
 
-            // ── DELETE /order/:id — cancel an order ──────
-            if (req.method === 'DELETE' && url.pathname.startsWith('/order/')) {
-                const orderId = url.pathname.replace('/order/', '')
-                const cancelled = this.#orderBook.cancelOrder(orderId)
-                res.writeHead(200, { 'Content-Type': 'application/json' })
-                res.end(JSON.stringify({ ok: !!cancelled, cancelled }))
+            // ── DELETE /order/:id — cancel an order everywhere ──
+            if (req.method === 'DELETE' && route.startsWith('/order/')) {
+                Promise.resolve()
+                    .then(() => this.cancelOrder(this.#orderIdIn(route), market))
+                    .then(cancelled => this.#sendJSON(res, 200, { ok: !!cancelled, cancelled }))
+                    .catch(err => this.#sendJSON(res, 400, { ok: false, error: err.message }))
                 return
             }
 
-            // ── GET /events — SSE stream for React UI ────
-            if (req.method === 'GET' && url.pathname === '/events') {
+            // ── PATCH /order/:id — amend price / quantity ──
+            if (req.method === 'PATCH' && route.startsWith('/order/')) {
+                let body = ''
+                req.on('data', chunk => body += chunk)
+                req.on('end', async () => {
+                    try {
+                        const amended = await this.amendOrder(this.#orderIdIn(route), JSON.parse(body || '{}'), market)
+                        if (amended?.rejection) {
+                            const { message, ...rejection } = amended.rejection
+                            this.#sendJSON(res, 422, { ok: false, status: amended.status, error: message, ...rejection })
+                            return
+                        }
+                        this.#sendJSON(res, 200, { ok: !!amended, ...amended })
+                    } catch (err) {
+                        this.#sendJSON(res, 400, { ok: false, error: err.message })
+                    }
+                })
+                return
+            }
+
+            // ── GET /depth — aggregated price levels (L2) ──
+            if (req.method === 'GET' && route === '/depth') {
+                try {
+                    const depth = this.#markets.get(market).getDepth(this.#depthParams(url))
+                    this.#sendJSON(res, 200, { peerId: this.#peerId, ...depth })
+                } catch (err) {
+                    this.#sendJSON(res, 400, { ok: false, error: err.message })
+                }
+                return
+            }
+
+            // ── GET /fees — tiers and cumulative revenue ──
+            // ?accountId= adds that account's volume and current tier
+            if (req.method === 'GET' && route === '/fees') {
+                const fees = this.#markets.get(market).fees
+                if (!fees) {
+                    this.#sendJSON(res, 404, { ok: false, error: `No fees configured for ${market}` })
+                    return
+                }
+                const accountId = url.searchParams.get('accountId')
+                this.#sendJSON(res, 200, {
+                    pair: market,
+                    account: fees.account,
+                    tiers: fees.tiers,
+                    revenue: fees.getRevenue(),
+                    ...(accountId && { trader: fees.getAccount(accountId) })
+                })
+                return
+            }
+
+            // ── GET /trades?since=&until=&orderId=&peerId=&limit=&cursor= — trade history, paged ──
+            if (req.method === 'GET' && route === '/trades') {
+                try {
+                    const page = this.#markets.get(market).queryTrades(this.#tradeParams(url))
+                    this.#sendJSON(res, 200, { pair: market, ...page })
+                } catch (err) {
+                    this.#sendJSON(res, 400, { ok: false, error: err.message })
+                }
+                return
+            }
+
+            // ── GET /candles?interval=1m&from=&to=&limit= — OHLCV bars ──
+            if (req.method === 'GET' && route === '/candles') {
+                try {
+                    const { interval, ...range } = this.#candleParams(url)
+                    this.#sendJSON(res, 200, { pair: market, interval, candles: this.#markets.get(market).getCandles(interval, range) })
+                } catch (err) {
+                    this.#sendJSON(res, 400, { ok: false, error: err.message })
+                }
+                return
+            }
+
+            // ── GET /ticker — 24h stats ──────────────────
+            if (req.method === 'GET' && route === '/ticker') {
+                this.#sendJSON(res, 200, this.#markets.get(market).getTicker())
+                return
+            }
+
+            // ── GET /trading — phase, and why if not trading ──
+            if (req.method === 'GET' && route === '/trading') {
+                this.#sendJSON(res, 200, { pair: market, ...this.#markets.get(market).getTradingStatus() })
+                return
+            }
+
+            // ── GET /auction — status plus where the auction would uncross now ──
+            if (req.method === 'GET' && route === '/auction') {
+                const book = this.#markets.get(market)
+                this.#sendJSON(res, 200, { pair: market, ...book.getTradingStatus(), indicative: book.getIndicativeUncross() })
+                return
+            }
+
+            // ── POST /halt — { note?, duration? }, POST /resume,
+            //    POST /auction — { type, duration? }, POST /uncross (admins only) ──
+            if (req.method === 'POST' && ['/halt', '/resume', '/auction', '/uncross'].includes(route)) {
+                if (!this.#isAdmin(this.#peerId)) {
+                    this.#sendJSON(res, 403, { ok: false, error: `${this.#peerId} is not an admin` })
+                    return
+                }
+                let body = ''
+                req.on('data', chunk => body += chunk)
+                req.on('end', async () => {
+                    try {
+                        const data = JSON.parse(body || '{}')
+                        const actions = {
+                            '/halt': async () => ({ trading: await this.haltMarket(market, data) }),
+                            '/resume': () => this.resumeMarket(market),
+                            '/auction': async () => ({ trading: await this.startAuction(market, data) }),
+                            '/uncross': async () => ({ uncross: await this.uncrossMarket(market) })
+                        }
+                        this.#sendJSON(res, 200, { ok: true, pair: market, ...await actions[route]() })
+                    } catch (err) {
+                        this.#sendJSON(res, 400, { ok: false, error: err.message })
+                    }
+                })
+                return
+            }
+
+            // ── GET /depth/events — L2 diffs over SSE ────
+            // First message is the full view, then only levels that changed.
+            // Every message has a seq one above the last; a gap means start over.
+            if (req.method === 'GET' && route === '/depth/events') {
+                let client
+                try {
+                    const params = this.#depthParams(url)
+                    this.#markets.get(market).getDepth(params)   // a bad group fails here, before the stream opens
+                    client = { res, ...params, last: null, seq: 0, stale: false }
+                } catch (err) {
+                    this.#sendJSON(res, 400, { ok: false, error: err.message })
+                    return
+                }
+
                 res.writeHead(200, {
                     'Content-Type': 'text/event-stream',
                     'Cache-Control': 'no-cache',
                     'Connection': 'keep-alive'
                 })
 
-                // Send initial state immediately on connect
-                const snapshot = this.#orderBook.getSnapshot()
-                res.write(`data: ${JSON.stringify({ type: 'snapshot', payload: snapshot })}\n\n`)
+                const clients = this.#depthClients.get(market)
+                clients.add(client)
+                const resync = () => this.#depthSnapshot(market, client)
+                this.#writeSSE(clients, client, resync(), resync)
+                req.on('close', () => clients.delete(client))
+                return
+            }
 
-                this.#sseClients.add(res)
-                console.log(`[${this.#peerId}] 🔌 UI connected (${this.#sseClients.size} clients)`)
+            // ── GET /events — SSE stream for React UI ────
+            if (req.method === 'GET' && route === '/events') {
+                res.writeHead(200, {
+                    'Content-Type': 'text/event-stream',
+                    'Cache-Control': 'no-cache',
+                    'Connection': 'keep-alive'
+                })
+
+                // Send initial state immediately on connect, then diffs against it
+                const clients = this.#sseClients.get(market)
+                const client = { res, stale: false }
+                clients.add(client)
+                const resync = () => this.#eventsSnapshot(market)
+                this.#writeSSE(clients, client, resync(), resync)
+                console.log(`[${this.#peerId}] 🔌 UI connected to ${market} (${clients.size} clients)`)
 
                 req.on('close', () => {
-                    this.#sseClients.delete(res)
-                    console.log(`[${this.#peerId}] 🔌 UI disconnected`)
+                    clients.delete(client)
+                    console.log(`[${this.#peerId}] 🔌 UI disconnected from ${market}`)
                 })
                 return
             }
@@ -248,31 +1357,184 @@ class Peer {
         })
     }
 
+    /**
+     * Split /markets/BTC-USDT/order → { pair: 'BTC/USDT', route: '/order' }.
+     * Pairs are written with '-' in URLs (or as BTC%2FUSDT) since '/' would split the path.
+     * Anything else → { pair: null, route: pathname }.
+     */
+    #resolveMarket(pathname) {
+        const match = pathname.match(/^\/markets\/([^/]+)(\/.*)?$/)
+        if (!match) return { pair: null, route: pathname }
+
+        const pair = decodeURIComponent(match[1]).replace('-', '/').toUpperCase()
+        return { pair, route: match[2] || '/' }
+    }
+
+    /** The :id of /order/:id, percent-decoded like a query param */
+    #orderIdIn(route) {
+        try {
+            return decodeURIComponent(route.slice('/order/'.length))
+        } catch (err) {
+            throw new Error(`Malformed order id: ${route.slice('/order/'.length)}`)
+        }
+    }
+
+    /** ?levels=N&group=0.5 → getDepth options */
+    #depthParams(url) {
+        const levels = url.searchParams.get('levels')
+        const group = url.searchParams.get('group')
+        return {
+            levels: levels == null ? config.orderbook.depthLevels : parseInt(levels),
+            group   // decimal string, parsed exactly by getDepth
+        }
+    }
+
+    /** ?since=&until=&orderId=&peerId=&limit=&cursor= → queryTrades options; times in ms */
+    #tradeParams(url) {
+        const number = name => url.searchParams.has(name) ? Number(url.searchParams.get(name)) : null
+        return {
+            since: number('since'),
+            until: number('until'),
+            orderId: url.searchParams.get('orderId'),
+            peerId: url.searchParams.get('peerId'),
+            limit: number('limit') ?? config.trades.pageSize,
+            cursor: url.searchParams.get('cursor')
+        }
+    }
+
+    /** ?interval=5m&from=&to=&limit= → getCandles arguments; times in ms */
+    #candleParams(url) {
+        const number = name => url.searchParams.has(name) ? Number(url.searchParams.get(name)) : null
+        return {
+            interval: url.searchParams.get('interval') || CandleInterval.ONE_MINUTE,
+            from: number('from'),
+            to: number('to'),
+            limit: number('limit') ?? config.orderbook.candleLimit
+        }
+    }
+
+    #sendJSON(res, status, body) {
+        res.writeHead(status, { 'Content-Type': 'application/json' })
+        res.end(JSON.stringify(body))
+    }
+
     // ─── SSE Push ─────────────────────────────────────
 
     /**
-     * Push a real-time event to all connected browser clients.
-     * Also sends a fresh snapshot so the UI is always in sync.
+     * Push a real-time event to the browser clients watching this market,
+     * with what it changed in the book as a diff (see diffView) — the full
+     * view only goes out on connect and on a resync.
+     *
+     * The book tells us which orders changed since the last event, so only
+     * those are looked at, once per event however many clients watch. They
+     * are taken on every event, watched or not, so they never pile up.
+     * Every client of a market sees the same diff, so the seq is shared: a
+     * client that gets seq n + 2 after n has missed one and should
+     * reconnect for a fresh snapshot.
      */
-    #pushSSE(eventType, data) {
-        if (this.#sseClients.size === 0) return
+    #pushSSE(pair, eventType, data) {
+        const changes = this.#markets.get(pair).takeChanges()
+        this.#pushDepth(pair, eventType, data, changes)
 
-        const snapshot = this.#orderBook.getSnapshot()
-        const message = JSON.stringify({
-            type: eventType,
-            payload: data,
-            snapshot: snapshot,
-            trades: this.#orderBook.getTrades().slice(-20)
-        })
+        const clients = this.#sseClients.get(pair)
+        if (!clients || clients.size === 0) return
 
-        this.#sseClients.forEach(client => {
-            try {
-                client.write(`data: ${message}\n\n`)
-            } catch (e) {
-                this.#sseClients.delete(client)
+        const stream = this.#views.get(pair)
+        const diff = this.#markets.get(pair).getPublicChanges(changes)
+        if (diff) {
+            const fields = diff.fields
+            diff.fields = diffFields(stream.fields, fields)
+            stream.fields = fields
+        } else {
+            // The book was reloaded and can't say what changed — everyone starts over
+            const snapshot = this.#eventsSnapshot(pair)
+            clients.forEach(client => this.#writeSSE(clients, client, snapshot, () => this.#eventsSnapshot(pair)))
+            stream.fields = null
+        }
+        stream.seq++
+
+        const message = { type: eventType, pair, seq: stream.seq, payload: data, ...(diff && !isEmptyViewDiff(diff) && { diff }) }
+        clients.forEach(client => this.#writeSSE(clients, client, message, () => this.#eventsSnapshot(pair)))
+    }
+
+    /**
+     * The full view for an /events client to apply diffs to, with the trades
+     * it starts from. Changes since the last event are in it and in the next
+     * diff too — applying them twice does no harm.
+     */
+    #eventsSnapshot(pair) {
+        const book = this.#markets.get(pair)
+        return {
+            type: 'snapshot',
+            pair,
+            seq: this.#views.get(pair).seq,
+            payload: { peerId: this.#peerId, ...book.getPublicSnapshot(), trades: book.getRecentTrades(20) }
+        }
+    }
+
+    /**
+     * L2 subscribers get trades as-is and book changes as depth diffs —
+     * never the full snapshot. Each client has its own levels/group, last
+     * view and seq, but clients asking for the same depth share it: it is
+     * built once per event from the level totals, and only the levels the
+     * event touched are compared.
+     */
+    #pushDepth(pair, eventType, data, changes) {
+        const clients = this.#depthClients.get(pair)
+        if (!clients || clients.size === 0) return
+
+        const book = this.#markets.get(pair)
+        const moved = changes.bids?.prices.size !== 0 || changes.asks?.prices.size !== 0
+        const views = new Map()   // `${levels}:${group}` → { depth, touched }
+        const viewFor = client => {
+            const key = `${client.levels}:${client.group}`
+            if (!views.has(key)) views.set(key, { depth: book.getDepth(client), touched: book.getDepthChanges(changes, client) })
+            return views.get(key)
+        }
+
+        const resync = client => () => this.#depthSnapshot(pair, client)
+        clients.forEach(client => {
+            if (client.stale) return   // gets a fresh view once it drains
+            if (eventType === 'trade') {
+                this.#writeSSE(clients, client, { type: 'trade', pair, seq: ++client.seq, payload: data }, resync(client))
+            }
+            if (!moved) return
+
+            const { depth, touched } = viewFor(client)
+            const diff = diffDepth(client.last, depth, touched)
+            client.last = depth
+            if (!isEmptyDiff(diff)) {
+                this.#writeSSE(clients, client, { type: 'depth_update', pair, seq: ++client.seq, payload: diff }, resync(client))
             }
         })
     }
+
+    /** Full depth view for one L2 client — what it diffs against from now on */
+    #depthSnapshot(pair, client) {
+        client.last = this.#markets.get(pair).getDepth(client)
+        return { type: 'depth', pair, seq: ++client.seq, payload: client.last }
+    }
+
+    /**
+     * Write one SSE message. A client whose socket can't keep up would
+     * otherwise buffer without limit, so once a write backs up it gets
+     * nothing more until the socket drains — then `resync()` gives it a
+     * full view to start over from. The seq it skips tells it why.
+     */
+    #writeSSE(clients, client, message, resync) {
+        if (client.stale) return
+        try {
+            if (client.res.write(`data: ${JSON.stringify(message)}\n\n`)) return
+        } catch (e) {
+            clients.delete(client)
+            return
+        }
+        client.stale = true
+        client.res.once('drain', () => {
+            client.stale = false
+            this.#writeSSE(clients, client, resync(), resync)
+        })
+    }
 }
 
 // ─── Bootstrap ────────────────────────────────────────
@@ -286,5 +1548,6 @@ peer.start().catch(err => {
 // Graceful shutdown
 process.on('SIGINT', () => {
     console.log('\nShutting down peer...')
+    peer.stop()
     process.exit(0)
 })
\ No newline at end of file
@@ -0,0 +1,155 @@
+'use strict'
+
+const fs = require('fs')
+const path = require('path')
+
+/**
+ * Journal — append-only command log + compacted snapshots on local disk
+ *
+ * Layout inside `dir`:
+ *   journal.log     one sequenced command per line (JSON), in seq order
+ *   snapshot.json   book state as of some seq — everything up to it is
+ *                   folded in, so the journal only needs the tail after it
+ *
+ * Recovery = load snapshot.json, then replay journal.log entries with a
+ * higher seq. A crash can leave a half-written last line; that line is
+ * dropped (the command was never acknowledged, the network still has it).
+ *
+ * All I/O is synchronous on purpose: an entry must be on disk before the
+ * command is acknowledged or broadcast.
+ */
+class Journal {
+    #dir
+    #journalPath
+    #snapshotPath
+    #fsync       // fsync after every write — survives OS crashes, not just process crashes
+    #fd = null
+    #lastSeq = 0
+    #entriesSinceSnapshot = 0
+
+    /**
+     * @param {object} opts
+     * @param {string}  opts.dir          - Directory for this peer's files (created if missing)
+     * @param {boolean} [opts.fsync=false]
+     */
+    constructor({ dir, fsync = false }) {
+        if (!dir) throw new Error('Journal requires a directory')
+
+        this.#dir = dir
+        this.#journalPath = path.join(dir, 'journal.log')
+        this.#snapshotPath = path.join(dir, 'snapshot.json')
+        this.#fsync = fsync
+    }
+
+    // ─── Public API ───────────────────────────────────
+
+    /** Highest seq on disk (snapshot or journal) */
+    get lastSeq() { return this.#lastSeq }
+
+    /** Journal entries written since the last snapshot — use to decide when to compact */
+    get entriesSinceSnapshot() { return this.#entriesSinceSnapshot }
+
+    /**
+     * Read back whatever is on disk. Call before open().
+     * @returns {{ snapshot: object|null, entries: object[] }} entries are only those after the snapshot
+     */
+    recover() {
+        fs.mkdirSync(this.#dir, { recursive: true })
+
+        const snapshot = fs.existsSync(this.#snapshotPath)
+            ? JSON.parse(fs.readFileSync(this.#snapshotPath, 'utf8'))
+            : null
+        const fromSeq = snapshot?.sequence ?? 0
+
+        const entries = this.#readJournal().filter(entry => entry.seq > fromSeq)
+
+        this.#lastSeq = entries.length > 0 ? entries[entries.length - 1].seq : fromSeq
+        this.#entriesSinceSnapshot = entries.length
+
+        return { snapshot, entries }
+    }
+
+    /** Open the journal for appending */
+    open() {
+        fs.mkdirSync(this.#dir, { recursive: true })
+        this.#fd = fs.openSync(this.#journalPath, 'a')
+    }
+
+    /**
+     * Append one sequenced command. Entries at or below lastSeq are skipped,
+     * so replaying the journal through the normal path doesn't duplicate it.
+     *
+     * @param {object} message - Must carry a seq
+     */
+    append(message) {
+        if (message.seq <= this.#lastSeq) return
+        if (this.#fd === null) throw new Error('Journal is not open')
+
+        fs.writeSync(this.#fd, JSON.stringify(message) + '\n')
+        if (this.#fsync) fs.fsyncSync(this.#fd)
+
+        this.#lastSeq = message.seq
+        this.#entriesSinceSnapshot++
+    }
+
+    /**
+     * Replace the snapshot and drop the journal entries it covers.
+     *
+     * Written to a temp file and renamed, so a crash leaves either the old
+     * snapshot or the new one — never half of one. If we crash after the
+     * rename but before the truncate, recovery just skips the covered entries.
+     *
+     * @param {object} snapshot - Must carry the seq it reflects as `sequence`
+     */
+    writeSnapshot(snapshot) {
+        if (!Number.isInteger(snapshot?.sequence)) throw new Error('Snapshot must carry a sequence')
+
+        fs.mkdirSync(this.#dir, { recursive: true })
+        const tmpPath = `${this.#snapshotPath}.tmp`
+        fs.writeFileSync(tmpPath, JSON.stringify(snapshot))
+        if (this.#fsync) {
+            const fd = fs.openSync(tmpPath, 'r')
+            fs.fsyncSync(fd)
+            fs.closeSync(fd)
+        }
+        fs.renameSync(tmpPath, this.#snapshotPath)
+
+        if (this.#fd !== null) fs.ftruncateSync(this.#fd, 0)
+        else fs.writeFileSync(this.#journalPath, '')
+
+        this.#lastSeq = Math.max(this.#lastSeq, snapshot.sequence)
+        this.#entriesSinceSnapshot = 0
+    }
+
+    close() {
+        if (this.#fd === null) return
+        fs.closeSync(this.#fd)
+        this.#fd = null
+    }
+
+    // ─── Private ──────────────────────────────────────
+
+    #readJournal() {
+        if (!fs.existsSync(this.#journalPath)) return []
+
+        const lines = fs.readFileSync(this.#journalPath, 'utf8').split('\n')
+        const entries = []
+
+        for (let i = 0; i < lines.length; i++) {
+            if (!lines[i]) continue
+            try {
+                entries.push(JSON.parse(lines[i]))
+            } catch (err) {
+                // Only the last line can be torn by a crash — anything earlier is real corruption
+                const isLast = lines.slice(i + 1).every(l => !l)
+                if (!isLast) throw new Error(`Journal corrupted at line ${i + 1}: ${err.message}`)
+
+                fs.truncateSync(this.#journalPath, Buffer.byteLength(lines.slice(0, i).map(l => l + '\n').join('')))
+            }
+        }
+
+        return entries
+    }
+}
+
+module.exports = { Journal }
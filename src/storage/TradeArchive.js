@@ -0,0 +1,168 @@
+'use strict'
+
+const fs = require('fs')
+const path = require('path')
+
+/** Trades per segment file before a new one is started */
+const DEFAULT_SEGMENT_SIZE = 10000
+
+const OPEN_SEGMENT = /^trades-(\d+)\.log$/
+const CLOSED_SEGMENT = /^trades-(\d+)-(\d+)\.log$/
+
+/**
+ * TradeArchive — trades too old for a TradeStore's memory, on local disk
+ *
+ * Layout inside `dir`, one trade per line ({ position, trade } as JSON):
+ *   trades-<first>.log           the segment being written
+ *   trades-<first>-<until>.log   full segments; `until` is their newest trade timestamp
+ *
+ * A segment is renamed once it holds `segmentSize` trades, so reading
+ * from a position, or for trades since a time, skips whole files by name.
+ * Like the journal, a crash can leave a half-written last line; it is cut
+ * off, and the store hands that trade over again.
+ *
+ * All I/O is synchronous. Appends come from TradeStore.flush(), which the
+ * peer calls on a timer rather than from matching, so a failed write is
+ * retried there instead of breaking a command halfway. Each call writes
+ * its trades in one append per segment, not one per trade.
+ */
+class TradeArchive {
+    #dir
+    #segmentSize
+    #segments = null   // [{ first, until, file }] by first position — read from disk on first use
+    #open = null       // the segment being written: { first, count, until, file }, or null
+    #lastPosition = -1
+
+    /**
+     * @param {object} opts
+     * @param {string} opts.dir              - Directory for this market's archive (created if missing)
+     * @param {number} [opts.segmentSize=10000]
+     */
+    constructor({ dir, segmentSize = DEFAULT_SEGMENT_SIZE }) {
+        if (!dir) throw new Error('TradeArchive requires a directory')
+        if (!Number.isInteger(segmentSize) || segmentSize < 1) throw new Error('Trade archive segment size must be a positive integer')
+
+        this.#dir = dir
+        this.#segmentSize = segmentSize
+    }
+
+    // ─── Public API ───────────────────────────────────
+
+    /** Position of the newest archived trade, -1 if none */
+    get lastPosition() {
+        this.#load()
+        return this.#lastPosition
+    }
+
+    /**
+     * Entries already archived are skipped. Nothing counts as archived until
+     * its write succeeds, so a failed call can be repeated as it is.
+     * @param {Array<{ position: number, trade: object }>} entries - Oldest first
+     */
+    append(entries) {
+        this.#load()
+        let batch = []   // entries for the open segment, not written yet
+
+        const write = () => {
+            if (batch.length === 0) return
+            fs.appendFileSync(path.join(this.#dir, this.#open.file), batch.map(entry => JSON.stringify(entry) + '\n').join(''))
+            this.#open.count += batch.length
+            this.#open.until = batch.reduce((until, entry) => Math.max(until, entry.trade.timestamp), this.#open.until)
+            this.#lastPosition = batch[batch.length - 1].position
+            batch = []
+
+            if (this.#open.count >= this.#segmentSize) this.#close()
+        }
+
+        for (const entry of entries) {
+            if (entry.position <= this.#lastPosition) continue
+
+            if (!this.#open) this.#open = { first: entry.position, count: 0, until: -Infinity, file: `trades-${entry.position}.log` }
+            batch.push(entry)
+            if (this.#open.count + batch.length >= this.#segmentSize) write()
+        }
+        write()
+    }
+
+    /**
+     * Archived entries from position `from` on, oldest first.
+     * @param {object} [opts]
+     * @param {number} [opts.from=0]
+     * @param {number} [opts.since] - Skip segments with nothing at or after this timestamp
+     */
+    *read({ from = 0, since = null } = {}) {
+        this.#load()
+        const segments = this.#open ? [...this.#segments, this.#open] : this.#segments
+        for (let i = 0; i < segments.length; i++) {
+            const segment = segments[i]
+            if (segments[i + 1] && segments[i + 1].first <= from) continue
+            if (since != null && segment.until < since) continue
+
+            for (const entry of this.#readSegment(segment.file)) {
+                if (entry.position >= from) yield entry
+            }
+        }
+    }
+
+    // ─── Private ──────────────────────────────────────
+
+    /** Find the segments already on disk, once */
+    #load() {
+        if (this.#segments) return
+        fs.mkdirSync(this.#dir, { recursive: true })
+
+        this.#segments = []
+        for (const file of fs.readdirSync(this.#dir)) {
+            const closed = CLOSED_SEGMENT.exec(file)
+            if (closed) this.#segments.push({ first: Number(closed[1]), until: Number(closed[2]), file })
+
+            const open = OPEN_SEGMENT.exec(file)
+            if (open) {
+                this.#dropTornLine(file)
+                const entries = this.#readSegment(file)
+                this.#open = {
+                    first: Number(open[1]),
+                    count: entries.length,
+                    until: entries.reduce((until, entry) => Math.max(until, entry.trade.timestamp), -Infinity),
+                    file
+                }
+            }
+        }
+        this.#segments.sort((a, b) => a.first - b.first)
+
+        // The open segment can be empty if all it had was a torn line
+        const last = this.#open?.count > 0 ? this.#open : this.#segments[this.#segments.length - 1]
+        const entries = last ? this.#readSegment(last.file) : []
+        this.#lastPosition = entries.length > 0 ? entries[entries.length - 1].position : -1
+    }
+
+    /** Cut a half-written last line, so the next append starts on a line of its own */
+    #dropTornLine(file) {
+        const filePath = path.join(this.#dir, file)
+        const text = fs.readFileSync(filePath, 'utf8')
+        if (text.length > 0 && !text.endsWith('\n')) fs.truncateSync(filePath, Buffer.byteLength(text.slice(0, text.lastIndexOf('\n') + 1)))
+    }
+
+    /** The open segment is full — name it by its range and start a new one next time */
+    #close() {
+        const file = `trades-${this.#open.first}-${this.#open.until}.log`
+        fs.renameSync(path.join(this.#dir, this.#open.file), path.join(this.#dir, file))
+        this.#segments.push({ first: this.#open.first, until: this.#open.until, file })
+        this.#open = null
+    }
+
+    #readSegment(file) {
+        const entries = []
+        for (const line of fs.readFileSync(path.join(this.#dir, file), 'utf8').split('\n')) {
+            if (!line) continue
+            try {
+                entries.push(JSON.parse(line))
+            } catch (err) {
+                // torn last line from a crash — cut off before the next append
+            }
+        }
+        return entries
+    }
+}
+
+module.exports = { TradeArchive }
@@ -0,0 +1,345 @@
+'use strict'
+
+const { test, describe } = require('node:test')
+const assert = require('node:assert')
+const { Accounts } = require('../src/core/Accounts')
+const { OrderBook, OrderSide, OrderType, OrderStatus, TimeInForce, SelfTradePrevention, CommandType } = require('../src/core/OrderBook')
+const { MarketRegistry } = require('../src/core/MarketRegistry')
+const { toUnits } = require('../src/core/decimal')
+const { buy, sell } = require('./helpers/orders')
+
+const ASSETS = ['BTC', 'USDT', 'ETH']
+
+// Balances are decimal strings — add them up exactly
+const units = value => toUnits(value, 18)
+
+/** A funded BTC/USDT book: alice has USDT, bob has BTC */
+function market({ alice = 10000, bob = 10, ...options } = {}) {
+    const accounts = new Accounts({ assets: ASSETS })
+    if (alice) accounts.deposit('alice', 'USDT', alice)
+    if (bob) accounts.deposit('bob', 'BTC', bob)
+    const ob = new OrderBook('BTC/USDT', { accounts, clock: () => 1000, ...options })
+    return { ob, accounts }
+}
+
+// ─────────────────────────────────────────────
+describe('Accounts — Ledger', () => {
+
+    test('deposit and withdraw move the total', () => {
+        const accounts = new Accounts({ assets: ASSETS })
+        accounts.deposit('alice', 'USDT', '100.5')
+        const balances = accounts.withdraw('alice', 'USDT', 0.5)
+        assert.deepStrictEqual(balances.USDT, { total: '100', reserved: '0', available: '100' })
+        assert.deepStrictEqual(balances.BTC, { total: '0', reserved: '0', available: '0' })
+    })
+
+    test('amounts are exact decimals', () => {
+        const accounts = new Accounts({ assets: ASSETS })
+        accounts.deposit('alice', 'BTC', 0.1)
+        accounts.deposit('alice', 'BTC', 0.2)
+        assert.strictEqual(accounts.getBalances('alice').BTC.total, '0.3')
+    })
+
+    test('withdrawing more than is available is rejected', () => {
+        const accounts = new Accounts({ assets: ASSETS })
+        accounts.deposit('alice', 'USDT', 100)
+        assert.throws(() => accounts.withdraw('alice', 'USDT', 101), /Insufficient USDT: 100 available/)
+        assert.throws(() => accounts.withdraw('nobody', 'USDT', 1), /Insufficient USDT/)
+    })
+
+    test('unknown assets and non-positive amounts are rejected', () => {
+        const accounts = new Accounts({ assets: ASSETS })
+        assert.throws(() => accounts.deposit('alice', 'DOGE', 1), /Unknown asset: DOGE/)
+        assert.throws(() => accounts.deposit('alice', 'USDT', 0), /positive/)
+        assert.throws(() => accounts.deposit('alice', 'USDT', -5), /positive/)
+    })
+
+    test('an account belongs to the peer that opened it', () => {
+        const accounts = new Accounts({ assets: ASSETS })
+        accounts.deposit('alice', 'USDT', 100, { peerId: 'peer_1' })
+        assert.throws(() => accounts.withdraw('alice', 'USDT', 1, { peerId: 'peer_2' }), /belongs to peer_1/)
+        assert.throws(() => accounts.deposit('alice', 'USDT', 1, { peerId: 'peer_2' }), /belongs to peer_1/)
+    })
+
+    test('snapshot round trip keeps balances and reservations', () => {
+        const { ob, accounts } = market()
+        ob.addOrder(buy('b1', 100, 2))
+
+        const copy = new Accounts({ assets: ASSETS })
+        copy.loadSnapshot(JSON.parse(JSON.stringify(accounts.getSnapshot())))
+        assert.deepStrictEqual(copy.getBalances('alice'), accounts.getBalances('alice'))
+        assert.strictEqual(copy.reservedFor('b1'), accounts.reservedFor('b1'))
+    })
+
+})
+
+// ─────────────────────────────────────────────
+describe('Accounts — Reservations in the book', () => {
+
+    test('a resting buy reserves price × quantity of quote', () => {
+        const { ob, accounts } = market()
+        ob.addOrder(buy('b1', 100, 2))
+        assert.deepStrictEqual(accounts.getBalances('alice').USDT, { total: '10000', reserved: '200', available: '9800' })
+    })
+
+    test('a resting sell reserves its quantity of base', () => {
+        const { ob, accounts } = market()
+        ob.addOrder(sell('a1', 100, 3))
+        assert.deepStrictEqual(accounts.getBalances('bob').BTC, { total: '10', reserved: '3', available: '7' })
+    })
+
+    test('an under-funded order is rejected before it touches the book', () => {
+        const { ob, accounts } = market({ alice: 150 })
+        assert.throws(() => ob.addOrder(buy('b1', 100, 2)), /Insufficient USDT: 150 available, 200 needed/)
+        assert.strictEqual(ob.getBids().length, 0)
+        assert.strictEqual(accounts.getBalances('alice').USDT.reserved, '0')
+    })
+
+    test('an order its early cancel catches gives its funds straight back', () => {
+        const { ob, accounts } = market()
+        ob.cancelOrder('b1')
+        assert.strictEqual(ob.addOrder(buy('b1', 100, 2)).status, OrderStatus.CANCELLED)
+        assert.strictEqual(accounts.getBalances('alice').USDT.reserved, '0')
+        assert.deepStrictEqual(ob.getSnapshot().tombstones, [])
+    })
+
+    test('a refused order leaves its early cancel waiting for the next attempt', () => {
+        const { ob } = market({ alice: 150 })
+        ob.cancelOrder('b1')
+        assert.throws(() => ob.addOrder(buy('b1', 100, 2)), /Insufficient USDT/)
+        assert.deepStrictEqual(ob.getSnapshot().tombstones, [['b1', null]])
+        assert.strictEqual(ob.addOrder(buy('b1', 100, 1)).status, OrderStatus.CANCELLED)
+    })
+
+    test('reserved funds can not be spent twice', () => {
+        const { ob } = market({ alice: 250 })
+        ob.addOrder(buy('b1', 100, 2))
+        assert.throws(() => ob.addOrder(buy('b2', 100, 1)), /Insufficient USDT/)
+    })
+
+    test('the account falls back to peerId', () => {
+        const { ob, accounts } = market()
+        accounts.deposit('peer_9', 'BTC', 1)
+        ob.addOrder({ id: 'a1', side: OrderSide.SELL, price: 100, quantity: 1, peerId: 'peer_9' })
+        assert.strictEqual(accounts.getBalances('peer_9').BTC.reserved, '1')
+    })
+
+    test('an order without an account or peer is rejected', () => {
+        const { ob } = market()
+        assert.throws(() => ob.addOrder({ id: 'x', side: OrderSide.BUY, price: 100, quantity: 1 }), /accountId or peerId/)
+    })
+
+    test("a peer can't trade from another peer's account", () => {
+        const { ob, accounts } = market()
+        accounts.deposit('carol', 'USDT', 1000, { peerId: 'peer_1' })
+        assert.throws(() => ob.addOrder(buy('b1', 100, 1, { accountId: 'carol', peerId: 'peer_2' })), /belongs to peer_1/)
+    })
+
+    test('cancel releases the reservation', () => {
+        const { ob, accounts } = market()
+        ob.addOrder(buy('b1', 100, 2))
+        ob.cancelOrder('b1')
+        assert.strictEqual(accounts.getBalances('alice').USDT.reserved, '0')
+        assert.strictEqual(accounts.reservedFor('b1'), 0n)
+    })
+
+    test('expiry releases the reservation', () => {
+        const { ob, accounts } = market()
+        ob.addOrder(buy('b1', 100, 2, { timeInForce: TimeInForce.GTD, expiresAt: 500 }))
+        ob.expireOrders(500)
+        assert.strictEqual(accounts.getBalances('alice').USDT.reserved, '0')
+    })
+
+    test('a pending stop holds its funds', () => {
+        const { ob, accounts } = market()
+        ob.addOrder(sell('s1', 90, 2, { type: OrderType.STOP_LIMIT, stopPrice: 95 }))
+        assert.strictEqual(accounts.getBalances('bob').BTC.reserved, '2')
+        ob.cancelOrder('s1')
+        assert.strictEqual(accounts.getBalances('bob').BTC.reserved, '0')
+    })
+
+    test('amending up re-reserves, and fails without the funds', () => {
+        const { ob, accounts } = market({ alice: 500 })
+        ob.addOrder(buy('b1', 100, 2))
+
+        ob.amendOrder('b1', { quantity: 4 })
+        assert.strictEqual(accounts.getBalances('alice').USDT.reserved, '400')
+
+        assert.throws(() => ob.amendOrder('b1', { price: 200 }), /Insufficient USDT/)
+        assert.strictEqual(ob.getBids()[0].price, '100')   // untouched
+        assert.strictEqual(accounts.getBalances('alice').USDT.reserved, '400')
+    })
+
+    test('amending down releases the difference', () => {
+        const { ob, accounts } = market()
+        ob.addOrder(buy('b1', 100, 4))
+        ob.amendOrder('b1', { quantity: 1 })
+        assert.strictEqual(accounts.getBalances('alice').USDT.reserved, '100')
+    })
+
+    test('an iceberg reserves its whole quantity', () => {
+        const { ob, accounts } = market()
+        ob.addOrder(sell('a1', 100, 5, { displayQuantity: 1 }))
+        assert.strictEqual(accounts.getBalances('bob').BTC.reserved, '5')
+    })
+
+})
+
+// ─────────────────────────────────────────────
+describe('Accounts — Settlement', () => {
+
+    test('a trade moves base to the buyer and quote to the seller', () => {
+        const { ob, accounts } = market()
+        ob.addOrder(sell('a1', 100, 2))
+        ob.addOrder(buy('b1', 100, 2))
+
+        assert.deepStrictEqual(accounts.getBalances('alice').USDT, { total: '9800', reserved: '0', available: '9800' })
+        assert.deepStrictEqual(accounts.getBalances('alice').BTC, { total: '2', reserved: '0', available: '2' })
+        assert.deepStrictEqual(accounts.getBalances('bob').BTC, { total: '8', reserved: '0', available: '8' })
+        assert.deepStrictEqual(accounts.getBalances('bob').USDT, { total: '200', reserved: '0', available: '200' })
+    })
+
+    test('a buyer filled below its limit gets the difference back', () => {
+        const { ob, accounts } = market()
+        ob.addOrder(sell('a1', 90, 1))
+        ob.addOrder(buy('b1', 100, 3))   // 1 @ 90, 2 rest @ 100
+
+        const usdt = accounts.getBalances('alice').USDT
+        assert.strictEqual(usdt.total, '9910')
+        assert.strictEqual(usdt.reserved, '200')
+    })
+
+    test('partial fills keep the rest of the reservation', () => {
+        const { ob, accounts } = market()
+        ob.addOrder(sell('a1', 100, 5))
+        ob.addOrder(buy('b1', 100, 2))
+        assert.deepStrictEqual(accounts.getBalances('bob').BTC, { total: '8', reserved: '3', available: '5' })
+    })
+
+    test('settlement is exact for decimal prices and quantities', () => {
+        const { ob, accounts } = market({ pricePrecision: 2, quantityPrecision: 8 })
+        ob.addOrder(sell('a1', '0.1', '0.3'))
+        ob.addOrder(buy('b1', '0.1', '0.3'))
+        assert.strictEqual(accounts.getBalances('bob').USDT.total, '0.03')
+        assert.strictEqual(accounts.getBalances('alice').USDT.total, '9999.97')
+    })
+
+    test('an IOC remainder releases its funds', () => {
+        const { ob, accounts } = market()
+        ob.addOrder(sell('a1', 100, 1))
+        ob.addOrder(buy('b1', 100, 3, { timeInForce: TimeInForce.IOC }))
+        assert.deepStrictEqual(accounts.getBalances('alice').USDT, { total: '9900', reserved: '0', available: '9900' })
+    })
+
+    test('a market buy spends what is available and stops', () => {
+        const { ob, accounts } = market({ alice: 250 })
+        ob.addOrder(sell('a1', 100, 1))
+        ob.addOrder(sell('a2', 110, 5))
+
+        const result = ob.addOrder(buy('m1', undefined, 5, { type: OrderType.MARKET, price: undefined }))
+        // 1 @ 100, then the 150 left buys as many whole lots as it can @ 110
+        assert.deepStrictEqual(result.trades.map(t => [t.price, t.quantity]), [['100', '1'], ['110', '1.36363636']])
+        assert.strictEqual(accounts.getBalances('alice').USDT.reserved, '0')
+        assert.ok(units(accounts.getBalances('alice').USDT.total) < units('0.000002'))   // less than a lot's worth left
+    })
+
+    test('a market FOK buy only counts what the account can pay for', () => {
+        const { ob, accounts } = market({ alice: 150 })
+        ob.addOrder(sell('a1', 100, 1))
+        ob.addOrder(sell('a2', 100, 1))
+
+        const killed = ob.addOrder(buy('m1', undefined, 2, { type: OrderType.MARKET, price: undefined, timeInForce: TimeInForce.FOK }))
+        assert.strictEqual(killed.status, OrderStatus.EXPIRED)
+        assert.strictEqual(killed.trades.length, 0)
+        assert.deepStrictEqual(accounts.getBalances('alice').USDT, { total: '150', reserved: '0', available: '150' })
+
+        const filled = ob.addOrder(buy('m2', undefined, 1.5, { type: OrderType.MARKET, price: undefined, timeInForce: TimeInForce.FOK }))
+        assert.strictEqual(filled.status, OrderStatus.FILLED)
+        assert.deepStrictEqual(filled.trades.map(t => t.quantity), ['1', '0.5'])
+    })
+
+    test('a market buy that runs out of quote expires the rest instead of partly filling', () => {
+        const { ob } = market({ alice: 150 })
+        ob.addOrder(sell('a1', 100, 2))
+        const result = ob.addOrder(buy('m1', undefined, 2, { type: OrderType.MARKET, price: undefined }))
+        assert.strictEqual(result.status, OrderStatus.EXPIRED)
+        assert.strictEqual(result.remainder.quantity, '0.5')
+    })
+
+    test('a market buy with nothing to spend is rejected', () => {
+        const { ob } = market({ alice: 0 })
+        ob.addOrder(sell('a1', 100, 1))
+        const result = ob.addOrder(buy('m1', undefined, 1, { type: OrderType.MARKET, price: undefined }))
+        assert.strictEqual(result.status, OrderStatus.REJECTED)
+        assert.strictEqual(ob.getAsks().length, 1)
+    })
+
+    test('self-trade prevention releases the cancelled order', () => {
+        const { ob, accounts } = market()
+        accounts.deposit('alice', 'BTC', 1)
+        ob.addOrder(sell('a1', 100, 1, { accountId: 'alice' }))
+        ob.addOrder(buy('b1', 100, 1, { selfTradePrevention: SelfTradePrevention.CANCEL_BOTH }))
+
+        assert.strictEqual(accounts.getBalances('alice').BTC.reserved, '0')
+        assert.strictEqual(accounts.getBalances('alice').USDT.reserved, '0')
+    })
+
+    test('reserved + available always add up to the total', () => {
+        const { ob, accounts } = market()
+        ob.addOrder(sell('a1', 101, 2))
+        ob.addOrder(sell('a2', 102, 2, { displayQuantity: 1 }))
+        ob.addOrder(buy('b1', 102, 3))
+        ob.addOrder(buy('b2', 99, 1))
+        ob.cancelOrder('a2')
+
+        ;['alice', 'bob'].forEach(id => Object.values(accounts.getBalances(id)).forEach(b => {
+            assert.strictEqual(units(b.reserved) + units(b.available), units(b.total))
+            assert.ok(units(b.available) >= 0n)
+        }))
+        // Nothing is created or lost
+        assert.strictEqual(units(accounts.getBalances('alice').BTC.total) + units(accounts.getBalances('bob').BTC.total), units(10))
+        assert.strictEqual(units(accounts.getBalances('alice').USDT.total) + units(accounts.getBalances('bob').USDT.total), units(10000))
+    })
+
+})
+
+// ─────────────────────────────────────────────
+describe('Accounts — MarketRegistry', () => {
+
+    const markets = { 'BTC/USDT': { pricePrecision: 2, quantityPrecision: 8 }, 'ETH/USDT': { pricePrecision: 2, quantityPrecision: 6 } }
+
+    test('DEPOSIT and WITHDRAW commands go to the shared ledger', () => {
+        const registry = new MarketRegistry(markets, { accounts: new Accounts({ assets: ASSETS }) })
+        registry.applyCommand({ type: CommandType.DEPOSIT, accountId: 'alice', asset: 'USDT', amount: 300, peerId: 'peer_1' })
+
+        // Both markets spend the same USDT
+        registry.applyCommand({ type: CommandType.NEW_ORDER, pair: 'BTC/USDT', order: buy('b1', 100, 2) })
+        assert.throws(() => registry.applyCommand({ type: CommandType.NEW_ORDER, pair: 'ETH/USDT', order: buy('e1', 100, 2) }), /Insufficient USDT/)
+
+        const balances = registry.applyCommand({ type: CommandType.WITHDRAW, accountId: 'alice', asset: 'USDT', amount: 100, peerId: 'peer_1' })
+        assert.deepStrictEqual(balances.USDT, { total: '200', reserved: '200', available: '0' })
+    })
+
+    test('funds commands without a ledger are rejected', () => {
+        const registry = new MarketRegistry(markets)
+        assert.throws(() => registry.applyCommand({ type: CommandType.DEPOSIT, accountId: 'a', asset: 'USDT', amount: 1 }), /not enabled/)
+    })
+
+    test('snapshots carry the ledger', () => {
+        const a = new MarketRegistry(markets, { accounts: new Accounts({ assets: ASSETS }) })
+        a.applyCommand({ type: CommandType.DEPOSIT, accountId: 'alice', asset: 'USDT', amount: 300 })
+        a.applyCommand({ type: CommandType.NEW_ORDER, pair: 'BTC/USDT', order: buy('b1', 100, 2) })
+
+        const b = new MarketRegistry(markets, { accounts: new Accounts({ assets: ASSETS }) })
+        b.loadSnapshot(JSON.parse(JSON.stringify(a.getSnapshot())))
+        assert.deepStrictEqual(b.accounts.getBalances('alice'), a.accounts.getBalances('alice'))
+
+        b.applyCommand({ type: CommandType.CANCEL_ORDER, pair: 'BTC/USDT', orderId: 'b1' })
+        assert.strictEqual(b.accounts.getBalances('alice').USDT.available, '300')
+    })
+
+    test('a book needs both of its assets in the ledger', () => {
+        assert.throws(() => new MarketRegistry({ 'SOL/USDT': {} }, { accounts: new Accounts({ assets: ASSETS }) }), /both assets of SOL\/USDT/)
+    })
+
+})
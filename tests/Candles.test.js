@@ -0,0 +1,200 @@
+'use strict'
+
+const { test, describe } = require('node:test')
+const assert = require('node:assert')
+const { Candles } = require('../src/core/Candles')
+const { OrderBook, OrderSide, CandleInterval } = require('../src/core/OrderBook')
+const { MarketRegistry } = require('../src/core/MarketRegistry')
+
+const MINUTE = 60 * 1000
+const HOUR = 60 * MINUTE
+const DAY = 24 * HOUR
+
+const trade = (price, quantity, timestamp) => ({ price, quantity, timestamp })
+
+function candles(trades, opts = {}) {
+    const c = new Candles({ pricePrecision: 2, quantityPrecision: 8, ...opts })
+    trades.forEach(t => c.record(t))
+    return c
+}
+
+// A resting sell and a buy that takes it — one trade at `timestamp`
+function cross(ob, id, price, quantity, timestamp) {
+    ob.addOrder({ id: `${id}_s`, side: OrderSide.SELL, price, quantity, timestamp })
+    ob.addOrder({ id: `${id}_b`, side: OrderSide.BUY, price, quantity, timestamp })
+}
+
+// ─────────────────────────────────────────────
+describe('Candles — Bars', () => {
+
+    test('trades are bucketed into every interval by their timestamp', () => {
+        const c = candles([
+            trade(100, 1, 10 * MINUTE + 5),
+            trade(105, 2, 10 * MINUTE + 30000),
+            trade(98, 0.5, 10 * MINUTE + 59999),
+            trade(101, 1, 11 * MINUTE)
+        ])
+
+        assert.deepStrictEqual(c.getCandles('1m'), [
+            { interval: '1m', openTime: 10 * MINUTE, closeTime: 11 * MINUTE, open: '100', high: '105', low: '98', close: '98', volume: '3.5', quoteVolume: '359', trades: 3 },
+            { interval: '1m', openTime: 11 * MINUTE, closeTime: 12 * MINUTE, open: '101', high: '101', low: '101', close: '101', volume: '1', quoteVolume: '101', trades: 1 }
+        ])
+        assert.deepStrictEqual(c.getCandles('5m').map(bar => [bar.openTime, bar.open, bar.close, bar.trades]), [[10 * MINUTE, '100', '101', 4]])
+        assert.strictEqual(c.getCandles('1h').length, 1)
+        assert.strictEqual(c.getCandles('1d')[0].volume, '4.5')
+    })
+
+    test('sums are exact', () => {
+        const c = candles([trade(0.1, 0.1, 0), trade(0.2, 0.1, 1)])
+        assert.strictEqual(c.getCandles('1m')[0].volume, '0.2')
+        assert.strictEqual(c.getCandles('1m')[0].quoteVolume, '0.03')
+    })
+
+    test('a late trade goes into its own, older bar', () => {
+        const c = candles([trade(100, 1, 0), trade(110, 1, 2 * MINUTE), trade(90, 1, MINUTE)])
+        assert.deepStrictEqual(c.getCandles('1m').map(bar => [bar.openTime, bar.close]), [[0, '100'], [MINUTE, '90'], [2 * MINUTE, '110']])
+        assert.strictEqual(c.getCandles('5m')[0].close, '90')   // close is the last trade recorded
+    })
+
+    test('from / to pick by openTime, limit keeps the newest', () => {
+        const c = candles([0, 1, 2, 3, 4].map(i => trade(100 + i, 1, i * MINUTE)))
+        assert.deepStrictEqual(c.getCandles('1m', { from: MINUTE, to: 3 * MINUTE }).map(bar => bar.open), ['101', '102', '103'])
+        assert.deepStrictEqual(c.getCandles('1m', { limit: 2 }).map(bar => bar.open), ['103', '104'])
+    })
+
+    test('bad queries are refused', () => {
+        const c = candles([])
+        assert.throws(() => c.getCandles('3m'), /interval must be one of: 1m, 5m, 1h, 1d/)
+        assert.throws(() => c.getCandles('1m', { from: NaN }), /from must be a timestamp/)
+        assert.throws(() => c.getCandles('1m', { limit: 0 }), /limit must be a positive integer/)
+        assert.throws(() => new Candles({ limit: 0 }), /limit must be a positive integer/)
+    })
+
+    test('only the newest `limit` bars are kept, but always a day of 1m', () => {
+        const c = candles([0, 1, 2].map(i => trade(100 + i, 1, i * HOUR)), { limit: 2 })
+        assert.deepStrictEqual(c.getCandles('1h').map(bar => bar.open), ['101', '102'])
+        assert.strictEqual(c.getCandles('1m').length, 3)
+
+        c.record(trade(99, 1, 0))   // older than every 1h bar kept — dropped there, kept in 1m
+        assert.deepStrictEqual(c.getCandles('1h').map(bar => bar.open), ['101', '102'])
+        assert.strictEqual(c.getCandles('1m')[0].trades, 2)
+    })
+
+    test('getCandlesAt gives the bar of each interval a timestamp falls in', () => {
+        const c = candles([trade(100, 1, 0), trade(101, 1, 6 * MINUTE)])
+        const at = c.getCandlesAt(6 * MINUTE + 1)
+        assert.deepStrictEqual(Object.keys(at), ['1m', '5m', '1h', '1d'])
+        assert.strictEqual(at['1m'].trades, 1)
+        assert.strictEqual(at['1h'].trades, 2)
+        assert.deepStrictEqual(c.getCandlesAt(3 * MINUTE)['1m'], undefined)
+    })
+
+    test('snapshot round trip', () => {
+        const c = candles([trade(100, 1.5, 0), trade(101, 0.25, HOUR)])
+        const copy = new Candles({ pricePrecision: 2, quantityPrecision: 8 })
+        copy.loadSnapshot(JSON.parse(JSON.stringify(c.getSnapshot())))
+        for (const interval of Object.values(CandleInterval)) {
+            assert.deepStrictEqual(copy.getCandles(interval), c.getCandles(interval))
+        }
+    })
+
+})
+
+// ─────────────────────────────────────────────
+describe('Candles — 24h ticker', () => {
+
+    test('stats over the last day', () => {
+        const now = 2 * DAY
+        const c = candles([
+            trade(50, 10, DAY - HOUR),           // outside the window
+            trade(100, 1, DAY + MINUTE),
+            trade(120, 2, DAY + 2 * HOUR),
+            trade(90, 1, now - MINUTE)
+        ])
+
+        assert.deepStrictEqual(c.getTicker(now), {
+            from: DAY, to: now,
+            last: '90', open: '100', high: '120', low: '90',
+            change: '-10', changePercent: '-10',
+            volume: '4', quoteVolume: '430', vwap: '107.5', trades: 3
+        })
+    })
+
+    test('VWAP rounds half up; changePercent to two places', () => {
+        const c = candles([trade(100, 1, 0), trade(100.01, 2, 1)])
+        const ticker = c.getTicker(MINUTE)
+        assert.strictEqual(ticker.vwap, '100.01')   // 300.02 / 3 = 100.00666…
+        assert.strictEqual(ticker.changePercent, '0.01')
+    })
+
+    test('nothing in the window — last price, no stats', () => {
+        const c = candles([trade(100, 1, 0)])
+        const ticker = c.getTicker(3 * DAY)
+        assert.strictEqual(ticker.last, '100')
+        assert.strictEqual(ticker.open, null)
+        assert.strictEqual(ticker.vwap, null)
+        assert.strictEqual(ticker.volume, '0')
+        assert.strictEqual(new Candles().getTicker(0).last, null)
+    })
+
+})
+
+// ─────────────────────────────────────────────
+describe('OrderBook — Candles', () => {
+
+    test('every trade feeds the book\'s candles and ticker', () => {
+        const ob = new OrderBook('BTC/USDT', { clock: () => DAY })
+        cross(ob, 't1', 100, 1, 1000)
+        cross(ob, 't2', 102, 3, 2000)
+
+        const [bar] = ob.getCandles(CandleInterval.ONE_MINUTE)
+        assert.deepStrictEqual([bar.open, bar.high, bar.low, bar.close, bar.volume, bar.trades], ['100', '102', '100', '102', '4', 2])
+        const ticker = ob.getTicker()
+        assert.strictEqual(ticker.pair, 'BTC/USDT')
+        assert.strictEqual(ticker.to, DAY)
+        assert.strictEqual(ticker.vwap, '101.5')
+        assert.strictEqual(ticker.changePercent, '2')
+    })
+
+    test('auction uncross trades are counted too', () => {
+        const ob = new OrderBook('BTC/USDT')
+        ob.startAuction({ timestamp: 20 })
+        ob.addOrder({ id: 'b', side: OrderSide.BUY, price: 101, quantity: 2, timestamp: 30 })
+        ob.addOrder({ id: 's', side: OrderSide.SELL, price: 100, quantity: 2, timestamp: 40 })
+        ob.uncross({ timestamp: 50 })
+        assert.strictEqual(ob.getTicker(60).volume, '2')
+    })
+
+    test('snapshots carry candles; old ones without are rebuilt from trades', () => {
+        const registry = new MarketRegistry({ 'BTC/USDT': { candles: { limit: 10 } } })
+        const ob = registry.get('BTC/USDT')
+        cross(ob, 't1', 100, 1, 1000)
+        cross(ob, 't2', 105, 1, HOUR)
+
+        const snapshot = JSON.parse(JSON.stringify(registry.getSnapshot({ includeTrades: true })))
+        assert.ok(snapshot.markets['BTC/USDT'].candles)
+
+        const restored = new MarketRegistry({ 'BTC/USDT': {} })
+        restored.loadSnapshot(snapshot)
+        assert.deepStrictEqual(restored.get('BTC/USDT').getCandles('1h'), ob.getCandles('1h'))
+
+        delete snapshot.markets['BTC/USDT'].candles
+        const rebuilt = new MarketRegistry({ 'BTC/USDT': {} })
+        rebuilt.loadSnapshot(snapshot)
+        assert.deepStrictEqual(rebuilt.get('BTC/USDT').getCandles('1h'), ob.getCandles('1h'))
+    })
+
+    test('a peer joining from a snapshot gets the candles without the trades', () => {
+        const registry = new MarketRegistry({ 'BTC/USDT': {} })
+        const ob = registry.get('BTC/USDT')
+        cross(ob, 't1', 100, 1, 1000)
+        cross(ob, 't2', 105, 2, HOUR)
+
+        const joiner = new MarketRegistry({ 'BTC/USDT': {} })
+        joiner.loadSnapshot(JSON.parse(JSON.stringify(registry.getSnapshot())))
+        assert.deepStrictEqual(joiner.get('BTC/USDT').getCandles('1h'), ob.getCandles('1h'))
+        assert.deepStrictEqual(joiner.get('BTC/USDT').getTicker(HOUR), ob.getTicker(HOUR))
+        assert.deepStrictEqual(joiner.get('BTC/USDT').getRecentTrades(10), [])
+    })
+
+})
@@ -0,0 +1,225 @@
+'use strict'
+
+const { test, describe } = require('node:test')
+const assert = require('node:assert')
+const { FeeSchedule } = require('../src/core/FeeSchedule')
+const { Accounts } = require('../src/core/Accounts')
+const { OrderBook, OrderSide, CommandType } = require('../src/core/OrderBook')
+const { MarketRegistry } = require('../src/core/MarketRegistry')
+const { buy, sell } = require('./helpers/orders')
+
+const TIERS = [
+    { minVolume: 0, maker: '0.001', taker: '0.002' },
+    { minVolume: 10000, maker: '-0.0005', taker: '0.001' }
+]
+
+function market({ tiers = TIERS, accounts = null, account = null } = {}) {
+    const fees = new FeeSchedule({ tiers, account })
+    const ob = new OrderBook('BTC/USDT', { fees, accounts, clock: () => 1000 })
+    return { ob, fees }
+}
+
+
+// ─────────────────────────────────────────────
+describe('FeeSchedule — Tiers', () => {
+
+    test('rates come from the highest tier the volume reaches', () => {
+        const { ob, fees } = market()
+        assert.deepStrictEqual(fees.ratesFor('alice'), { maker: '0.001', taker: '0.002' })
+
+        ob.addOrder(sell('s1', 100, 100))
+        ob.addOrder(buy('b1', 100, 100))   // 10000 of volume each
+
+        assert.deepStrictEqual(fees.ratesFor('alice'), { maker: '-0.0005', taker: '0.001' })
+        assert.deepStrictEqual(fees.getAccount('bob'), { accountId: 'bob', volume: '10000', tier: 1, maker: '-0.0005', taker: '0.001' })
+    })
+
+    test('tiers are sorted and the first must start at zero', () => {
+        const fees = new FeeSchedule({ tiers: [TIERS[1], TIERS[0]] })
+        assert.deepStrictEqual(fees.tiers.map(t => t.minVolume), ['0', '10000'])
+        assert.throws(() => new FeeSchedule({ tiers: [TIERS[1]] }), /must start at minVolume 0/)
+        assert.throws(() => new FeeSchedule({ tiers: [] }), /at least one tier/)
+    })
+
+    test('invalid rates are rejected', () => {
+        assert.throws(() => new FeeSchedule({ tiers: [{ minVolume: 0, maker: 0, taker: -0.001 }] }), /taker rate cannot be negative/)
+        assert.throws(() => new FeeSchedule({ tiers: [{ minVolume: 0, maker: -0.002, taker: 0.001 }] }), /rebate cannot exceed the taker fee/)
+        assert.throws(() => new FeeSchedule({ tiers: [{ minVolume: 0, maker: '0.000000001', taker: 0.001 }] }), /at most 8 places/)
+    })
+
+    test('a rebate cannot exceed the lowest taker fee of any tier', () => {
+        // A maker on the second tier could trade with a taker still on the first
+        const tiers = [{ minVolume: 0, maker: 0, taker: '0.0001' }, { minVolume: 10000, maker: '-0.001', taker: '0.001' }]
+        assert.throws(() => new FeeSchedule({ tiers }), /rebate cannot exceed the taker fee of any tier/)
+        assert.doesNotThrow(() => new FeeSchedule({ tiers: [tiers[0], { ...tiers[1], maker: '-0.0001' }] }))
+    })
+
+})
+
+// ─────────────────────────────────────────────
+describe('FeeSchedule — Trades', () => {
+
+    test('each trade is tagged with its maker and taker', () => {
+        const { ob } = market()
+        ob.addOrder(sell('s1', 100, 1))
+        const { trades } = ob.addOrder(buy('b1', 100, 1))
+
+        assert.strictEqual(trades[0].makerOrderId, 's1')
+        assert.strictEqual(trades[0].takerOrderId, 'b1')
+        assert.strictEqual(trades[0].takerSide, OrderSide.BUY)
+    })
+
+    test('each side pays in the asset it receives', () => {
+        const { ob } = market()
+        ob.addOrder(sell('s1', 100, 2))
+        const { trades } = ob.addOrder(buy('b1', 100, 2))
+
+        assert.deepStrictEqual(trades[0].fees, {
+            maker: { accountId: 'bob', rate: '0.001', asset: 'USDT', amount: '0.2' },        // 200 USDT × 0.1%
+            taker: { accountId: 'alice', rate: '0.002', asset: 'BTC', amount: '0.004' }      // 2 BTC × 0.2%
+        })
+    })
+
+    test('fees round up to the smallest unit', () => {
+        const { ob } = market()
+        ob.addOrder(buy('b1', 100.01, 0.00000001))
+        const { trades } = ob.addOrder(sell('s1', 100.01, 0.00000001))
+
+        // 0.0000010001 USDT × 0.2% = 0.0000000020002 — rounded up to the next 10^-10
+        assert.strictEqual(trades[0].fees.taker.amount, '0.0000000021')
+    })
+
+    test('a negative maker rate is a rebate out of the taker fee', () => {
+        const { ob } = market({ tiers: [{ minVolume: 0, maker: '-0.0005', taker: '0.001' }] })
+        ob.addOrder(sell('s1', 100, 10))
+        const { trades } = ob.addOrder(buy('b1', 100, 10))
+
+        assert.deepStrictEqual(trades[0].fees.maker, { accountId: 'bob', rate: '-0.0005', asset: 'BTC', amount: '-0.005' })
+        assert.deepStrictEqual(trades[0].fees.taker, { accountId: 'alice', rate: '0.001', asset: 'BTC', amount: '0.01' })
+    })
+
+    test('revenue adds up fees and rebates per asset', () => {
+        const { ob, fees } = market()
+        ob.addOrder(sell('s1', 100, 100))
+        ob.addOrder(buy('b1', 100, 100))   // tier 0: 10 USDT + 0.2 BTC
+        ob.addOrder(sell('s2', 100, 1))
+        ob.addOrder(buy('b2', 100, 1))     // tier 1: 0.001 BTC taker, 0.0005 BTC rebate
+
+        assert.deepStrictEqual(fees.getRevenue(), {
+            USDT: { fees: '10', rebates: '0', net: '10' },
+            BTC: { fees: '0.201', rebates: '0.0005', net: '0.2005' }
+        })
+    })
+
+    test('a book without a fee engine leaves trades untouched', () => {
+        const ob = new OrderBook('BTC/USDT', { clock: () => 1000 })
+        ob.addOrder(sell('s1', 100, 1))
+        const { trades } = ob.addOrder(buy('b1', 100, 1))
+        assert.strictEqual(trades[0].fees, undefined)
+        assert.strictEqual(ob.getSnapshot().fees, undefined)
+    })
+
+    test('volume and revenue survive a snapshot', () => {
+        const { ob, fees } = market()
+        ob.addOrder(sell('s1', 100, 100))
+        ob.addOrder(buy('b1', 100, 100))
+
+        const restored = market()
+        restored.ob.loadSnapshot(JSON.parse(JSON.stringify(ob.getSnapshot())))
+        assert.deepStrictEqual(restored.fees.getRevenue(), fees.getRevenue())
+        assert.deepStrictEqual(restored.fees.getAccount('alice'), fees.getAccount('alice'))
+    })
+
+})
+
+// ─────────────────────────────────────────────
+describe('FeeSchedule — Settlement', () => {
+
+    function funded(tiers) {
+        const accounts = new Accounts({ assets: ['BTC', 'USDT'] })
+        accounts.deposit('alice', 'USDT', 10000)
+        accounts.deposit('bob', 'BTC', 10)
+        return { accounts, ...market({ tiers, accounts, account: 'fees' }) }
+    }
+
+    test('fees move from what each side receives to the fee account', () => {
+        const { ob, accounts } = funded()
+        ob.addOrder(sell('s1', 100, 2))
+        ob.addOrder(buy('b1', 100, 2))
+
+        assert.strictEqual(accounts.getBalances('alice').BTC.total, '1.996')
+        assert.strictEqual(accounts.getBalances('bob').USDT.total, '199.8')
+        assert.strictEqual(accounts.getBalances('fees').BTC.total, '0.004')
+        assert.strictEqual(accounts.getBalances('fees').USDT.total, '0.2')
+    })
+
+    test('a rebate is paid to the maker out of the fee account', () => {
+        const { ob, accounts } = funded([{ minVolume: 0, maker: '-0.0005', taker: '0.001' }])
+        ob.addOrder(sell('s1', 100, 10))
+        ob.addOrder(buy('b1', 100, 10))
+
+        assert.strictEqual(accounts.getBalances('alice').BTC.total, '9.99')
+        assert.strictEqual(accounts.getBalances('bob').BTC.total, '0.005')
+        assert.strictEqual(accounts.getBalances('fees').BTC.total, '0.005')
+    })
+
+    test('a rebate is capped at the taker fee when the two sides are on different rates', () => {
+        // A custom engine FeeSchedule would refuse: bob makes at -0.1%, alice takes at 0.01%
+        const accounts = new Accounts({ assets: ['BTC', 'USDT'] })
+        accounts.deposit('alice', 'USDT', 10000)
+        accounts.deposit('bob', 'BTC', 10)
+        const fees = {
+            account: 'fees',
+            ratesFor: id => id === 'bob' ? { maker: '-0.001', taker: '0.001' } : { maker: '0', taker: '0.0001' },
+            record() {},
+            getSnapshot() { return {} },
+            loadSnapshot() {}
+        }
+        const ob = new OrderBook('BTC/USDT', { fees, accounts, clock: () => 1000 })
+        ob.addOrder(sell('s1', 100, 5))
+        const { trades } = ob.addOrder(buy('b1', 100, 5))
+
+        assert.strictEqual(trades[0].fees.taker.amount, '0.0005')
+        assert.strictEqual(trades[0].fees.maker.amount, '-0.0005')
+        assert.strictEqual(accounts.getBalances('alice').BTC.total, '4.9995')
+        assert.strictEqual(accounts.getBalances('bob').BTC.total, '5.0005')
+        assert.strictEqual(accounts.getBalances('bob').USDT.total, '500')
+        assert.strictEqual(accounts.getBalances('fees').BTC.total, '0')
+    })
+
+    test('a fee engine rate above 1 is refused before the trade settles', () => {
+        const accounts = new Accounts({ assets: ['BTC', 'USDT'] })
+        accounts.deposit('alice', 'USDT', 10000)
+        accounts.deposit('bob', 'BTC', 10)
+        const fees = { account: 'fees', ratesFor: () => ({ maker: '0', taker: '2' }), record() {}, getSnapshot() { return {} }, loadSnapshot() {} }
+        const ob = new OrderBook('BTC/USDT', { fees, accounts, clock: () => 1000 })
+        ob.addOrder(sell('s1', 100, 5))
+
+        assert.throws(() => ob.addOrder(buy('b1', 100, 5)), /between 0 and 1/)
+        assert.strictEqual(accounts.getBalances('bob').USDT.total, '0')
+        assert.strictEqual(ob.bestAsk().quantity, '5')
+    })
+
+    test('a rate refused after the order is booked marks the error as applied', () => {
+        const accounts = new Accounts({ assets: ['BTC', 'USDT'] })
+        accounts.deposit('alice', 'USDT', 10000)
+        accounts.deposit('bob', 'BTC', 10)
+        const fees = { account: 'fees', ratesFor: () => ({ maker: '0', taker: '2' }), record() {}, getSnapshot() { return {} }, loadSnapshot() {} }
+        const ob = new OrderBook('BTC/USDT', { fees, accounts, clock: () => 1000 })
+        ob.addOrder(sell('s1', 100, 5))
+
+        // Funds are reserved by the time matching runs, so the book has already changed
+        assert.throws(() => ob.applyCommand({ type: CommandType.NEW_ORDER, order: buy('b1', 100, 5) }), err => err.applied === true)
+        assert.throws(() => ob.applyCommand({ type: CommandType.NEW_ORDER, order: buy('b2', 100, 5000) }), err => /Insufficient/.test(err.message) && !err.applied)
+    })
+
+    test('the registry opens the fee account for its owner', () => {
+        const registry = new MarketRegistry({
+            'BTC/USDT': { fees: { tiers: TIERS, account: 'fees', owner: 'peer_1' } }
+        }, { clock: () => 1000, accounts: new Accounts({ assets: ['BTC', 'USDT'] }) })
+
+        assert.ok(registry.get('BTC/USDT').fees)
+        assert.throws(() => registry.accounts.deposit('fees', 'USDT', 1, { peerId: 'peer_2' }), /belongs to peer_1/)
+    })
+
+})
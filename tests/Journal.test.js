@@ -0,0 +1,164 @@
+'use strict'
+
+const { test, describe, beforeEach, afterEach } = require('node:test')
+const assert = require('node:assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { Journal } = require('../src/storage/Journal')
+const { OrderBook, OrderSide, CommandType } = require('../src/core/OrderBook')
+const { Sequencer } = require('../src/core/Sequencer')
+
+let dir
+
+beforeEach(() => { dir = fs.mkdtempSync(path.join(os.tmpdir(), 'journal-test-')) })
+afterEach(() => { fs.rmSync(dir, { recursive: true, force: true }) })
+
+const order = (seq, id, side, price, quantity = 1) => ({
+    seq,
+    type: CommandType.NEW_ORDER,
+    order: { id, side, price, quantity, timestamp: seq }
+})
+
+// ─────────────────────────────────────────────
+describe('Journal — Append & Recover', () => {
+
+    test('recovers nothing from an empty directory', () => {
+        const j = new Journal({ dir })
+        assert.deepStrictEqual(j.recover(), { snapshot: null, entries: [] })
+        assert.strictEqual(j.lastSeq, 0)
+    })
+
+    test('entries survive a reopen in order', () => {
+        const j1 = new Journal({ dir })
+        j1.recover()
+        j1.open()
+        j1.append(order(1, 'a', OrderSide.SELL, 100))
+        j1.append(order(2, 'b', OrderSide.BUY, 99))
+        j1.close()
+
+        const j2 = new Journal({ dir })
+        const { entries } = j2.recover()
+        assert.deepStrictEqual(entries.map(e => e.seq), [1, 2])
+        assert.strictEqual(j2.lastSeq, 2)
+    })
+
+    test('skips entries it already has', () => {
+        const j = new Journal({ dir })
+        j.recover()
+        j.open()
+        j.append(order(1, 'a', OrderSide.SELL, 100))
+        j.append(order(1, 'a', OrderSide.SELL, 100))
+        j.close()
+
+        assert.strictEqual(new Journal({ dir }).recover().entries.length, 1)
+    })
+
+    test('refuses to append before open', () => {
+        const j = new Journal({ dir })
+        assert.throws(() => j.append(order(1, 'a', OrderSide.SELL, 100)), /not open/)
+    })
+
+    test('drops a torn last line left by a crash', () => {
+        const j = new Journal({ dir })
+        j.recover()
+        j.open()
+        j.append(order(1, 'a', OrderSide.SELL, 100))
+        j.close()
+        fs.appendFileSync(path.join(dir, 'journal.log'), '{"seq":2,"type":"NEW_OR')
+
+        const { entries } = new Journal({ dir }).recover()
+        assert.deepStrictEqual(entries.map(e => e.seq), [1])
+        assert.ok(fs.readFileSync(path.join(dir, 'journal.log'), 'utf8').endsWith('}\n'))
+    })
+
+    test('throws on corruption before the last line', () => {
+        fs.writeFileSync(path.join(dir, 'journal.log'), '{"seq":1}\nnot json\n{"seq":3}\n')
+        assert.throws(() => new Journal({ dir }).recover(), /corrupted at line 2/)
+    })
+
+})
+
+// ─────────────────────────────────────────────
+describe('Journal — Snapshots', () => {
+
+    test('writeSnapshot truncates the journal behind it', () => {
+        const j = new Journal({ dir })
+        j.recover()
+        j.open()
+        j.append(order(1, 'a', OrderSide.SELL, 100))
+        j.append(order(2, 'b', OrderSide.SELL, 101))
+        assert.strictEqual(j.entriesSinceSnapshot, 2)
+
+        j.writeSnapshot({ sequence: 2, pair: 'BTC/USDT', bids: [], asks: [] })
+        j.append(order(3, 'c', OrderSide.SELL, 102))
+        j.close()
+
+        const { snapshot, entries } = new Journal({ dir }).recover()
+        assert.strictEqual(snapshot.sequence, 2)
+        assert.deepStrictEqual(entries.map(e => e.seq), [3])
+    })
+
+    test('ignores journal entries the snapshot already covers', () => {
+        // Crash between snapshot rename and journal truncate
+        fs.writeFileSync(path.join(dir, 'snapshot.json'), JSON.stringify({ sequence: 2, pair: 'BTC/USDT', bids: [], asks: [] }))
+        fs.writeFileSync(path.join(dir, 'journal.log'), [1, 2, 3].map(seq => JSON.stringify({ seq }) + '\n').join(''))
+
+        const j = new Journal({ dir })
+        assert.deepStrictEqual(j.recover().entries.map(e => e.seq), [3])
+        assert.strictEqual(j.lastSeq, 3)
+    })
+
+    test('requires a sequence on snapshots', () => {
+        assert.throws(() => new Journal({ dir }).writeSnapshot({ bids: [] }), /must carry a sequence/)
+    })
+
+})
+
+// ─────────────────────────────────────────────
+describe('Journal — Crash Recovery', () => {
+
+    // The same wiring Peer uses: apply → journal → maybe compact
+    function replica(snapshotEvery) {
+        const clock = () => 1
+        const book = new OrderBook('BTC/USDT', { clock })
+        const journal = new Journal({ dir })
+        const sequencer = new Sequencer({
+            onDeliver: m => book.applyCommand(m),
+            onCommit: m => {
+                journal.append(m)
+                if (journal.entriesSinceSnapshot >= snapshotEvery) {
+                    journal.writeSnapshot({ sequence: sequencer.sequence, ...book.getSnapshot(), trades: book.getTrades() })
+                }
+            }
+        })
+
+        const { snapshot, entries } = journal.recover()
+        if (snapshot) {
+            book.loadSnapshot(snapshot)
+            sequencer.reset(snapshot.sequence)
+        }
+        entries.forEach(m => sequencer.receive(m))
+        journal.open()
+
+        return { book, journal, sequencer }
+    }
+
+    test('restart rebuilds the exact book and trade history', () => {
+        const before = replica(3)
+        before.sequencer.receive(order(1, 'a1', OrderSide.SELL, 100, 2))
+        before.sequencer.receive(order(2, 'a2', OrderSide.SELL, 101, 1))
+        before.sequencer.receive(order(3, 'b1', OrderSide.BUY, 100, 1))   // → snapshot
+        before.sequencer.receive(order(4, 'b2', OrderSide.BUY, 101, 2))   // → journal tail
+        before.sequencer.receive({ seq: 5, type: CommandType.CANCEL_ORDER, orderId: 'b2' })
+        before.journal.close()
+
+        const after = replica(3)
+        assert.strictEqual(after.sequencer.sequence, 5)
+        assert.deepStrictEqual(after.book.getSnapshot(), before.book.getSnapshot())
+        assert.deepStrictEqual(after.book.getTrades(), before.book.getTrades())
+        assert.strictEqual(after.book.getTrades().length, 3)
+        after.journal.close()
+    })
+
+})
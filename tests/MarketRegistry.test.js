@@ -0,0 +1,106 @@
+'use strict'
+
+const { test, describe } = require('node:test')
+const assert = require('node:assert')
+const { MarketRegistry } = require('../src/core/MarketRegistry')
+const { OrderSide, CommandType } = require('../src/core/OrderBook')
+
+const MARKETS = {
+    'BTC/USDT': { pricePrecision: 2, quantityPrecision: 8 },
+    'ETH/BTC': { pricePrecision: 6, quantityPrecision: 4 }
+}
+
+// ─────────────────────────────────────────────
+describe('MarketRegistry — Construction', () => {
+
+    test('creates one book per configured pair', () => {
+        const reg = new MarketRegistry(MARKETS)
+        assert.deepStrictEqual(reg.pairs, ['BTC/USDT', 'ETH/BTC'])
+        assert.strictEqual(reg.get('ETH/BTC').pair, 'ETH/BTC')
+    })
+
+    test('throws with no markets', () => {
+        assert.throws(() => new MarketRegistry({}), /at least one market/)
+    })
+
+    test('throws on unknown pair', () => {
+        const reg = new MarketRegistry(MARKETS)
+        assert.strictEqual(reg.has('DOGE/USDT'), false)
+        assert.throws(() => reg.get('DOGE/USDT'), /Unknown market: DOGE\/USDT/)
+    })
+
+    test('applies per-pair precision', () => {
+        const reg = new MarketRegistry(MARKETS)
+        reg.get('ETH/BTC').addOrder({ id: 'e1', side: OrderSide.BUY, price: 0.051235, quantity: 1.2346 })
+
+        assert.strictEqual(reg.get('ETH/BTC').bestBid().price, '0.051235')
+        assert.strictEqual(reg.get('ETH/BTC').bestBid().quantity, '1.2346')
+        assert.throws(() => reg.get('ETH/BTC').addOrder({ id: 'e2', side: OrderSide.BUY, price: 0.0512345678, quantity: 1 }), /tick size 0.000001/)
+        assert.throws(() => reg.get('ETH/BTC').addOrder({ id: 'e3', side: OrderSide.BUY, price: 0.05, quantity: 1.23456 }), /lot size 0.0001/)
+        assert.throws(() => reg.get('BTC/USDT').addOrder({ id: 'b1', side: OrderSide.BUY, price: 50000.129, quantity: 1 }), /tick size 0.01/)
+    })
+
+    test('passes tick and lot size through to each book', () => {
+        const reg = new MarketRegistry({ 'BTC/USDT': { pricePrecision: 2, quantityPrecision: 8, tickSize: 0.5, lotSize: 0.001 } })
+        reg.get('BTC/USDT').addOrder({ id: 'b1', side: OrderSide.BUY, price: 100.5, quantity: 0.002 })
+        assert.throws(() => reg.get('BTC/USDT').addOrder({ id: 'b2', side: OrderSide.BUY, price: 100.25, quantity: 1 }), /tick size 0.5/)
+    })
+
+})
+
+// ─────────────────────────────────────────────
+describe('MarketRegistry — Commands', () => {
+
+    test('routes commands by pair and keeps books independent', () => {
+        const reg = new MarketRegistry(MARKETS)
+        reg.applyCommand({ type: CommandType.NEW_ORDER, pair: 'BTC/USDT', order: { id: 'a1', side: OrderSide.SELL, price: 100, quantity: 1 } })
+        const r = reg.applyCommand({ type: CommandType.NEW_ORDER, pair: 'ETH/BTC', order: { id: 'b1', side: OrderSide.BUY, price: 100, quantity: 1 } })
+
+        assert.strictEqual(r.trades.length, 0)
+        assert.strictEqual(reg.get('BTC/USDT').getAsks().length, 1)
+        assert.strictEqual(reg.get('ETH/BTC').getBids().length, 1)
+    })
+
+    test('rejects commands for unknown pairs', () => {
+        const reg = new MarketRegistry(MARKETS)
+        assert.throws(() => reg.applyCommand({ type: CommandType.CANCEL_ORDER, pair: 'XRP/USDT', orderId: 'x' }), /Unknown market/)
+    })
+
+    test('hooks receive the pair', () => {
+        const seen = []
+        const reg = new MarketRegistry(MARKETS, { hooks: { onOrderAdded: (order, pair) => seen.push([order.id, pair]) } })
+        reg.get('ETH/BTC').addOrder({ id: 'e1', side: OrderSide.BUY, price: 0.05, quantity: 1 })
+        assert.deepStrictEqual(seen, [['e1', 'ETH/BTC']])
+    })
+
+})
+
+// ─────────────────────────────────────────────
+describe('MarketRegistry — Snapshots', () => {
+
+    test('round-trips every market', () => {
+        const a = new MarketRegistry(MARKETS)
+        a.get('BTC/USDT').addOrder({ id: 'a1', side: OrderSide.SELL, price: 100, quantity: 2 })
+        a.get('BTC/USDT').addOrder({ id: 'b1', side: OrderSide.BUY, price: 100, quantity: 1 })
+        a.get('ETH/BTC').addOrder({ id: 'e1', side: OrderSide.BUY, price: 0.05, quantity: 1 })
+
+        const b = new MarketRegistry(MARKETS)
+        b.loadSnapshot(a.getSnapshot({ includeTrades: true }))
+
+        assert.strictEqual(b.get('BTC/USDT').bestAsk().quantity, '1')
+        assert.strictEqual(b.get('BTC/USDT').getTrades().length, 1)
+        assert.strictEqual(b.get('ETH/BTC').bestBid().id, 'e1')
+    })
+
+    test('trades are only included when asked for', () => {
+        const reg = new MarketRegistry(MARKETS)
+        assert.strictEqual(reg.getSnapshot().markets['BTC/USDT'].trades, undefined)
+        assert.deepStrictEqual(reg.getSnapshot({ includeTrades: true }).markets['BTC/USDT'].trades, [])
+    })
+
+    test('ignores markets it does not host', () => {
+        const reg = new MarketRegistry(MARKETS)
+        assert.doesNotThrow(() => reg.loadSnapshot({ markets: { 'DOGE/USDT': { pair: 'DOGE/USDT', bids: [], asks: [] } } }))
+    })
+
+})
@@ -0,0 +1,136 @@
+'use strict'
+
+const { test, describe } = require('node:test')
+const assert = require('node:assert')
+const { MessageAuth, canonicalJSON, generateKeyPair } = require('../src/network/MessageAuth')
+
+const keys = {
+    peer_1: generateKeyPair(),
+    peer_2: generateKeyPair(),
+    intruder: generateKeyPair()
+}
+const allowlist = { peer_1: keys.peer_1.publicKey, peer_2: keys.peer_2.publicKey }
+
+function auth(peerId, { now = 1000000, ...opts } = {}) {
+    const clock = { now }
+    const instance = new MessageAuth({
+        peerId,
+        privateKey: keys[peerId].privateKey,
+        allowlist,
+        maxClockSkew: 30000,
+        clock: () => clock.now,
+        ...opts
+    })
+    return { auth: instance, clock }
+}
+
+// What the receiver actually gets after the wire
+const overTheWire = envelope => JSON.parse(JSON.stringify(envelope))
+
+const order = { type: 'NEW_ORDER', seq: 1, order: { id: 'o1', side: 'buy', price: 100, quantity: 1, peerId: 'peer_1' } }
+
+describe('MessageAuth — sign / verify', () => {
+
+    test('accepts a message signed by an allowlisted peer', () => {
+        const { auth: sender } = auth('peer_1')
+        const { auth: receiver } = auth('peer_2')
+
+        const result = receiver.verify(overTheWire(sender.sign(order)))
+        assert.deepStrictEqual(result, { ok: true, from: 'peer_1', payload: order })
+    })
+
+    test('rejects unsigned payloads', () => {
+        const { auth: receiver } = auth('peer_2')
+        assert.strictEqual(receiver.verify(order).reason, 'unsigned')
+        assert.strictEqual(receiver.verify(null).reason, 'unsigned')
+    })
+
+    test('rejects peers not on the allowlist', () => {
+        const { auth: intruder } = auth('intruder')
+        const { auth: receiver } = auth('peer_2')
+        const result = receiver.verify(intruder.sign(order))
+        assert.strictEqual(result.ok, false)
+        assert.strictEqual(result.reason, 'unknown_peer')
+    })
+
+    test('rejects a tampered payload', () => {
+        const { auth: sender } = auth('peer_1')
+        const { auth: receiver } = auth('peer_2')
+
+        const envelope = overTheWire(sender.sign(order))
+        envelope.payload.order.price = 1
+        assert.strictEqual(receiver.verify(envelope).reason, 'bad_signature')
+    })
+
+    test('rejects a spoofed sender', () => {
+        // Intruder signs with its own key but claims to be peer_1
+        const { auth: intruder } = auth('intruder')
+        const { auth: receiver } = auth('peer_2')
+
+        const envelope = { ...intruder.sign(order), from: 'peer_1' }
+        assert.strictEqual(receiver.verify(envelope).reason, 'bad_signature')
+    })
+
+    test('rejects garbage signatures without throwing', () => {
+        const { auth: sender } = auth('peer_1')
+        const { auth: receiver } = auth('peer_2')
+        const envelope = { ...sender.sign(order), signature: 'not base64 at all!' }
+        assert.strictEqual(receiver.verify(envelope).reason, 'bad_signature')
+    })
+
+})
+
+describe('MessageAuth — replay protection', () => {
+
+    test('rejects the same envelope twice', () => {
+        const { auth: sender } = auth('peer_1')
+        const { auth: receiver } = auth('peer_2')
+
+        const envelope = overTheWire(sender.sign(order))
+        assert.strictEqual(receiver.verify(envelope).ok, true)
+        assert.strictEqual(receiver.verify(envelope).reason, 'replayed')
+    })
+
+    test('signing the same payload again is not a replay', () => {
+        const { auth: sender } = auth('peer_1')
+        const { auth: receiver } = auth('peer_2')
+
+        assert.strictEqual(receiver.verify(sender.sign(order)).ok, true)
+        assert.strictEqual(receiver.verify(sender.sign(order)).ok, true)
+    })
+
+    test('rejects messages outside the clock skew window', () => {
+        const { auth: sender, clock: senderClock } = auth('peer_1')
+        const { auth: receiver } = auth('peer_2')
+
+        senderClock.now -= 30001
+        assert.strictEqual(receiver.verify(sender.sign(order)).reason, 'stale')
+        senderClock.now += 60002
+        assert.strictEqual(receiver.verify(sender.sign(order)).reason, 'stale')
+    })
+
+    test('an old envelope replayed after the window is stale, not accepted', () => {
+        const { auth: sender } = auth('peer_1')
+        const { auth: receiver, clock } = auth('peer_2')
+
+        const envelope = sender.sign(order)
+        assert.strictEqual(receiver.verify(envelope).ok, true)
+
+        clock.now += 60000   // nonce has been pruned by now
+        assert.strictEqual(receiver.verify(envelope).reason, 'stale')
+    })
+
+})
+
+describe('canonicalJSON', () => {
+
+    test('is independent of key order', () => {
+        assert.strictEqual(canonicalJSON({ b: 1, a: { d: [1, { y: 2, x: 1 }], c: null } }), canonicalJSON({ a: { c: null, d: [1, { x: 1, y: 2 }] }, b: 1 }))
+    })
+
+    test('drops undefined like JSON.stringify does', () => {
+        assert.strictEqual(canonicalJSON({ a: 1, b: undefined }), '{"a":1}')
+        assert.strictEqual(canonicalJSON([undefined]), '[null]')
+    })
+
+})
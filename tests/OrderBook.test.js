@@ -2,7 +2,9 @@
 
 const { test, describe } = require('node:test')
 const assert = require('node:assert')
-const { OrderBook, OrderSide, OrderType, OrderStatus } = require('../src/core/OrderBook')
+const {
+    OrderBook, OrderSide, OrderType, TimeInForce, OrderStatus, SelfTradePrevention, RemovalReason, CommandType
+} = require('../src/core/OrderBook')
 
 // ─────────────────────────────────────────────
 describe('OrderBook — Constructor', () => {
@@ -34,6 +36,14 @@ describe('OrderBook — Constructor', () => {
 // ─────────────────────────────────────────────
 describe('OrderBook — addOrder validation', () => {
 
+    test('rejects an id that is already resting', () => {
+        const ob = new OrderBook('BTC/USDT')
+        ob.addOrder({ id: 'b1', side: OrderSide.BUY, price: 100, quantity: 1 })
+        assert.throws(() => ob.addOrder({ id: 'b1', side: OrderSide.SELL, price: 90, quantity: 1 }), /already exists/)
+        assert.strictEqual(ob.getBids().length, 1)
+        assert.strictEqual(ob.getTrades().length, 0)
+    })
+
     test('throws if no id', () => {
         const ob = new OrderBook('BTC/USDT')
         assert.throws(() => ob.addOrder({ side: OrderSide.BUY, price: 100, quantity: 1 }), /must have an id/)
@@ -84,7 +94,7 @@ describe('OrderBook — Limit Order Insertion', () => {
         ob.addOrder({ id: 'b2', side: OrderSide.BUY, price: 100, quantity: 1 })
         ob.addOrder({ id: 'b3', side: OrderSide.BUY, price: 95, quantity: 1 })
         // Heap guarantees: peek() is always the max — not that the full array is sorted
-        assert.strictEqual(ob.bestBid().price, 100)
+        assert.strictEqual(ob.bestBid().price, '100')
         assert.strictEqual(ob.getBids().length, 3)
     })
 
@@ -93,7 +103,7 @@ describe('OrderBook — Limit Order Insertion', () => {
         ob.addOrder({ id: 'a1', side: OrderSide.SELL, price: 110, quantity: 1 })
         ob.addOrder({ id: 'a2', side: OrderSide.SELL, price: 100, quantity: 1 })
         ob.addOrder({ id: 'a3', side: OrderSide.SELL, price: 105, quantity: 1 })
-        assert.strictEqual(ob.bestAsk().price, 100)
+        assert.strictEqual(ob.bestAsk().price, '100')
     })
 
 })
@@ -107,8 +117,8 @@ describe('OrderBook — Matching Engine', () => {
         const r = ob.addOrder({ id: 'b1', side: OrderSide.BUY, price: 100, quantity: 1 })
 
         assert.strictEqual(r.trades.length, 1)
-        assert.strictEqual(r.trades[0].quantity, 1)
-        assert.strictEqual(r.trades[0].price, 100)
+        assert.strictEqual(r.trades[0].quantity, '1')
+        assert.strictEqual(r.trades[0].price, '100')
         assert.strictEqual(r.status, OrderStatus.FILLED)
         assert.strictEqual(ob.getAsks().length, 0)
         assert.strictEqual(ob.getBids().length, 0)
@@ -119,9 +129,9 @@ describe('OrderBook — Matching Engine', () => {
         ob.addOrder({ id: 's1', side: OrderSide.SELL, price: 5, quantity: 10 })
         const r = ob.addOrder({ id: 'b1', side: OrderSide.BUY, price: 10, quantity: 2 })
 
-        assert.strictEqual(r.trades[0].price, 5)       // at seller's price, not buyer's
-        assert.strictEqual(r.trades[0].quantity, 2)
-        assert.strictEqual(ob.getAsks()[0].quantity, 8) // 10 - 2 = 8 remaining
+        assert.strictEqual(r.trades[0].price, '5')       // at seller's price, not buyer's
+        assert.strictEqual(r.trades[0].quantity, '2')
+        assert.strictEqual(ob.getAsks()[0].quantity, '8') // 10 - 2 = 8 remaining
     })
 
     test('partial fill — buyer wants more than available', () => {
@@ -129,10 +139,10 @@ describe('OrderBook — Matching Engine', () => {
         ob.addOrder({ id: 's1', side: OrderSide.SELL, price: 100, quantity: 2 })
         const r = ob.addOrder({ id: 'b1', side: OrderSide.BUY, price: 100, quantity: 10 })
 
-        assert.strictEqual(r.trades[0].quantity, 2)
+        assert.strictEqual(r.trades[0].quantity, '2')
         assert.strictEqual(r.status, OrderStatus.PARTIALLY_FILLED)
-        assert.strictEqual(r.remainder.quantity, 8)
-        assert.strictEqual(ob.getBids()[0].quantity, 8) // remainder sits in book
+        assert.strictEqual(r.remainder.quantity, '8')
+        assert.strictEqual(ob.getBids()[0].quantity, '8') // remainder sits in book
     })
 
     test('partial fill — seller has more than buyer wants', () => {
@@ -140,9 +150,9 @@ describe('OrderBook — Matching Engine', () => {
         ob.addOrder({ id: 's1', side: OrderSide.SELL, price: 100, quantity: 10 })
         const r = ob.addOrder({ id: 'b1', side: OrderSide.BUY, price: 100, quantity: 3 })
 
-        assert.strictEqual(r.trades[0].quantity, 3)
+        assert.strictEqual(r.trades[0].quantity, '3')
         assert.strictEqual(r.status, OrderStatus.FILLED)
-        assert.strictEqual(ob.getAsks()[0].quantity, 7) // 10 - 3 = 7 remaining in ask
+        assert.strictEqual(ob.getAsks()[0].quantity, '7') // 10 - 3 = 7 remaining in ask
         assert.strictEqual(ob.getBids().length, 0)       // buyer fully filled
     })
 
@@ -163,8 +173,8 @@ describe('OrderBook — Matching Engine', () => {
         const r = ob.addOrder({ id: 'm1', side: OrderSide.BUY, type: OrderType.MARKET, quantity: 2.5 })
 
         assert.strictEqual(r.trades.length, 2)
-        assert.strictEqual(r.trades[0].price, 100) // cheapest first
-        assert.strictEqual(r.trades[1].price, 110)
+        assert.strictEqual(r.trades[0].price, '100') // cheapest first
+        assert.strictEqual(r.trades[1].price, '110')
         assert.strictEqual(r.status, OrderStatus.FILLED)
     })
 
@@ -178,6 +188,764 @@ describe('OrderBook — Matching Engine', () => {
 
 })
 
+// ─────────────────────────────────────────────
+describe('OrderBook — Exact decimals', () => {
+
+    test('0.1 + 0.2 fills 0.3 exactly, no dust left behind', () => {
+        const ob = new OrderBook('BTC/USDT')
+        ob.addOrder({ id: 'a1', side: OrderSide.SELL, price: 100, quantity: 0.1 })
+        ob.addOrder({ id: 'a2', side: OrderSide.SELL, price: 100, quantity: 0.2 })
+        const result = ob.addOrder({ id: 'b1', side: OrderSide.BUY, price: 100, quantity: 0.3 })
+        assert.strictEqual(result.status, OrderStatus.FILLED)
+        assert.strictEqual(result.remainder, null)
+        assert.strictEqual(ob.getAsks().length, 0)
+    })
+
+    test('partial fills leave exact remainders', () => {
+        const ob = new OrderBook('BTC/USDT')
+        ob.addOrder({ id: 'a1', side: OrderSide.SELL, price: 100, quantity: 1 })
+        ob.addOrder({ id: 'b1', side: OrderSide.BUY, price: 100, quantity: 0.9 })
+        assert.strictEqual(ob.bestAsk().quantity, '0.1')   // 1 - 0.9 = 0.09999999999999998 in floats
+    })
+
+    test('many satoshi-sized fills add back up to the whole', () => {
+        const ob = new OrderBook('BTC/USDT')
+        ob.addOrder({ id: 'a1', side: OrderSide.SELL, price: 100, quantity: 0.1 })
+        for (let i = 0; i < 1000; i++) {
+            ob.addOrder({ id: `b${i}`, side: OrderSide.BUY, price: 100, quantity: 0.00000001 })
+        }
+        assert.strictEqual(ob.bestAsk().quantity, '0.09999')
+    })
+
+    test('FOK sees the exact available quantity', () => {
+        const ob = new OrderBook('BTC/USDT')
+        ob.addOrder({ id: 'a1', side: OrderSide.SELL, price: 100, quantity: 0.1 })
+        ob.addOrder({ id: 'a2', side: OrderSide.SELL, price: 100, quantity: 0.2 })
+        const result = ob.addOrder({ id: 'b1', side: OrderSide.BUY, price: 100, quantity: 0.3, timeInForce: TimeInForce.FOK })
+        assert.strictEqual(result.status, OrderStatus.FILLED)
+    })
+
+    test('spread is exact', () => {
+        const ob = new OrderBook('BTC/USDT')
+        ob.addOrder({ id: 'b1', side: OrderSide.BUY, price: 0.1, quantity: 1 })
+        ob.addOrder({ id: 'a1', side: OrderSide.SELL, price: 0.3, quantity: 1 })
+        assert.strictEqual(ob.spread(), '0.2')   // 0.3 - 0.1 = 0.19999999999999998 in floats
+    })
+
+    test('accepts decimal strings', () => {
+        const ob = new OrderBook('BTC/USDT')
+        ob.addOrder({ id: 'b1', side: OrderSide.BUY, price: '100.10', quantity: '0.00000001' })
+        assert.strictEqual(ob.bestBid().price, '100.1')
+        assert.strictEqual(ob.bestBid().quantity, '0.00000001')
+    })
+
+    test('quantities past 2^53 units keep every digit, through fills and snapshots', () => {
+        const ob = new OrderBook('BTC/USDT')
+        ob.addOrder({ id: 'a1', side: OrderSide.SELL, price: 100, quantity: '100000000.00000003' })
+        const r = ob.addOrder({ id: 'b1', side: OrderSide.BUY, price: 100, quantity: '0.00000001' })
+        assert.strictEqual(r.trades[0].quantity, '0.00000001')
+        assert.strictEqual(ob.bestAsk().quantity, '100000000.00000002')   // a float would say 100000000
+
+        const copy = new OrderBook('BTC/USDT')
+        copy.loadSnapshot(JSON.parse(JSON.stringify(ob.getSnapshot())))
+        assert.deepStrictEqual(copy.getDepth().asks, [{ price: '100', quantity: '100000000.00000002', orders: 1 }])
+    })
+
+    test('levels order by value, not by text', () => {
+        const ob = new OrderBook('BTC/USDT')
+        ob.addOrder({ id: 'b1', side: OrderSide.BUY, price: 9, quantity: 1 })
+        ob.addOrder({ id: 'b2', side: OrderSide.BUY, price: '10.00', quantity: 1 })
+        ob.addOrder({ id: 'b3', side: OrderSide.BUY, price: '10', quantity: 1 })
+        assert.deepStrictEqual(ob.getDepth().bids, [{ price: '10', quantity: '2', orders: 2 }, { price: '9', quantity: '1', orders: 1 }])
+    })
+
+    test('rejects prices off the tick instead of rounding them', () => {
+        const ob = new OrderBook('BTC/USDT')
+        // (1.005).toFixed(2) === '1.00' — rounding would silently change the price
+        assert.throws(() => ob.addOrder({ id: 'b1', side: OrderSide.BUY, price: 1.005, quantity: 1 }), /tick size 0.01/)
+        assert.throws(() => ob.addOrder({ id: 'b2', side: OrderSide.BUY, price: 0.1 + 0.2, quantity: 1 }), /tick size/)
+        assert.strictEqual(ob.getBids().length, 0)
+    })
+
+    test('rejects quantities off the lot', () => {
+        const ob = new OrderBook('BTC/USDT', { lotSize: 0.001 })
+        assert.throws(() => ob.addOrder({ id: 'b1', side: OrderSide.BUY, price: 100, quantity: 0.0015 }), /lot size 0.001/)
+        ob.addOrder({ id: 'b2', side: OrderSide.BUY, price: 100, quantity: 0.002 })
+        assert.strictEqual(ob.bestBid().quantity, '0.002')
+    })
+
+    test('custom tick size applies to limit, stop and amended prices', () => {
+        const ob = new OrderBook('BTC/USDT', { tickSize: 0.5 })
+        assert.throws(() => ob.addOrder({ id: 'b1', side: OrderSide.BUY, price: 100.25, quantity: 1 }), /tick size 0.5/)
+        assert.throws(() => ob.addOrder({
+            id: 's1', side: OrderSide.SELL, type: OrderType.STOP_MARKET, stopPrice: 99.9, quantity: 1
+        }), /Stop price 99.9 is not a multiple/)
+
+        ob.addOrder({ id: 'b2', side: OrderSide.BUY, price: 100.5, quantity: 1 })
+        assert.throws(() => ob.amendOrder('b2', { price: 100.7 }), /tick size 0.5/)
+    })
+
+    test('rejects a tick size finer than the precision', () => {
+        assert.throws(() => new OrderBook('BTC/USDT', { tickSize: 0.001 }), /finer than 2 decimals/)
+        assert.throws(() => new OrderBook('BTC/USDT', { lotSize: 0 }), /Lot size must be positive/)
+    })
+
+})
+
+// ─────────────────────────────────────────────
+describe('OrderBook — Time in Force', () => {
+
+    test('GTC is the default and rests the remainder', () => {
+        const ob = new OrderBook('BTC/USDT')
+        ob.addOrder({ id: 'b1', side: OrderSide.BUY, price: 100, quantity: 1 })
+        assert.strictEqual(ob.bestBid().timeInForce, TimeInForce.GTC)
+    })
+
+    test('throws on invalid time in force', () => {
+        const ob = new OrderBook('BTC/USDT')
+        assert.throws(() => ob.addOrder({ id: '1', side: OrderSide.BUY, price: 100, quantity: 1, timeInForce: 'forever' }), /Time in force must be/)
+    })
+
+    test('IOC fills what it can and expires the rest', () => {
+        const ob = new OrderBook('BTC/USDT')
+        ob.addOrder({ id: 'a1', side: OrderSide.SELL, price: 100, quantity: 1 })
+        const r = ob.addOrder({ id: 'b1', side: OrderSide.BUY, price: 100, quantity: 3, timeInForce: TimeInForce.IOC })
+
+        assert.strictEqual(r.trades.length, 1)
+        assert.strictEqual(r.status, OrderStatus.EXPIRED)
+        assert.strictEqual(r.remainder.quantity, '2')
+        assert.strictEqual(ob.getBids().length, 0)   // never rests
+    })
+
+    test('IOC with nothing to match expires without trading', () => {
+        const ob = new OrderBook('BTC/USDT')
+        const r = ob.addOrder({ id: 'b1', side: OrderSide.BUY, price: 100, quantity: 1, timeInForce: TimeInForce.IOC })
+        assert.strictEqual(r.status, OrderStatus.EXPIRED)
+        assert.strictEqual(ob.getBids().length, 0)
+    })
+
+    test('FOK fills completely when enough quantity is available', () => {
+        const ob = new OrderBook('BTC/USDT')
+        ob.addOrder({ id: 'a1', side: OrderSide.SELL, price: 100, quantity: 1 })
+        ob.addOrder({ id: 'a2', side: OrderSide.SELL, price: 101, quantity: 2 })
+        const r = ob.addOrder({ id: 'b1', side: OrderSide.BUY, price: 101, quantity: 3, timeInForce: TimeInForce.FOK })
+
+        assert.strictEqual(r.status, OrderStatus.FILLED)
+        assert.strictEqual(r.trades.length, 2)
+    })
+
+    test('FOK is killed before any trade when the book is too thin', () => {
+        let trades = 0
+        const ob = new OrderBook('BTC/USDT', { hooks: { onTrade: () => trades++ } })
+        ob.addOrder({ id: 'a1', side: OrderSide.SELL, price: 100, quantity: 1 })
+        ob.addOrder({ id: 'a2', side: OrderSide.SELL, price: 105, quantity: 5 })   // too expensive
+        const r = ob.addOrder({ id: 'b1', side: OrderSide.BUY, price: 101, quantity: 2, timeInForce: TimeInForce.FOK })
+
+        assert.strictEqual(r.status, OrderStatus.EXPIRED)
+        assert.strictEqual(r.trades.length, 0)
+        assert.strictEqual(trades, 0)
+        assert.strictEqual(ob.bestAsk().quantity, '1')   // book untouched
+    })
+
+    test('FOK market order checks the whole opposing side', () => {
+        const ob = new OrderBook('BTC/USDT')
+        ob.addOrder({ id: 'a1', side: OrderSide.SELL, price: 100, quantity: 1 })
+        const r = ob.addOrder({ id: 'm1', side: OrderSide.BUY, type: OrderType.MARKET, quantity: 2, timeInForce: TimeInForce.FOK })
+        assert.strictEqual(r.status, OrderStatus.EXPIRED)
+        assert.strictEqual(ob.getAsks().length, 1)
+    })
+
+    test('market orders cannot be GTC/GTD or post-only', () => {
+        const ob = new OrderBook('BTC/USDT')
+        assert.throws(() => ob.addOrder({ id: 'm1', side: OrderSide.BUY, type: OrderType.MARKET, quantity: 1, timeInForce: TimeInForce.GTC }), /cannot rest/)
+        assert.throws(() => ob.addOrder({ id: 'm2', side: OrderSide.BUY, type: OrderType.MARKET, quantity: 1, postOnly: true }), /post-only/)
+    })
+
+    test('post-only rests when it does not cross', () => {
+        const ob = new OrderBook('BTC/USDT')
+        ob.addOrder({ id: 'a1', side: OrderSide.SELL, price: 101, quantity: 1 })
+        const r = ob.addOrder({ id: 'b1', side: OrderSide.BUY, price: 100, quantity: 1, postOnly: true })
+        assert.strictEqual(r.status, OrderStatus.OPEN)
+        assert.strictEqual(ob.bestBid().id, 'b1')
+    })
+
+    test('post-only is rejected when it would cross', () => {
+        const ob = new OrderBook('BTC/USDT')
+        ob.addOrder({ id: 'a1', side: OrderSide.SELL, price: 100, quantity: 1 })
+        const r = ob.addOrder({ id: 'b1', side: OrderSide.BUY, price: 100, quantity: 1, postOnly: true })
+
+        assert.strictEqual(r.status, OrderStatus.REJECTED)
+        assert.strictEqual(r.trades.length, 0)
+        assert.strictEqual(ob.getBids().length, 0)
+        assert.strictEqual(ob.getAsks().length, 1)
+    })
+
+    test('GTD requires expiresAt', () => {
+        const ob = new OrderBook('BTC/USDT')
+        assert.throws(() => ob.addOrder({ id: 'b1', side: OrderSide.BUY, price: 100, quantity: 1, timeInForce: TimeInForce.GTD }), /expiresAt/)
+    })
+
+    test('GTD already past its expiry is expired on arrival', () => {
+        const ob = new OrderBook('BTC/USDT')
+        const r = ob.addOrder({ id: 'b1', side: OrderSide.BUY, price: 100, quantity: 1, timestamp: 2000, timeInForce: TimeInForce.GTD, expiresAt: 1000 })
+        assert.strictEqual(r.status, OrderStatus.EXPIRED)
+        assert.strictEqual(ob.getBids().length, 0)
+    })
+
+    test('expireOrders removes GTD orders whose time is up', () => {
+        const removed = []
+        const ob = new OrderBook('BTC/USDT', { hooks: { onOrderRemoved: o => removed.push(o) } })
+        ob.addOrder({ id: 'b1', side: OrderSide.BUY, price: 100, quantity: 1, timestamp: 1, timeInForce: TimeInForce.GTD, expiresAt: 1000 })
+        ob.addOrder({ id: 'b2', side: OrderSide.BUY, price: 99, quantity: 1, timestamp: 2, timeInForce: TimeInForce.GTD, expiresAt: 2000 })
+        ob.addOrder({ id: 'b3', side: OrderSide.BUY, price: 98, quantity: 1, timestamp: 3 })
+        assert.strictEqual(ob.nextExpiry(), 1000)
+
+        const expired = ob.expireOrders(1500)
+        assert.deepStrictEqual(expired.map(o => o.id), ['b1'])
+        assert.strictEqual(removed[0].status, OrderStatus.EXPIRED)
+        assert.strictEqual(ob.nextExpiry(), 2000)
+        assert.strictEqual(ob.getBids().length, 2)
+    })
+
+    test('an incoming order never trades against a GTD order that expired before it', () => {
+        const ob = new OrderBook('BTC/USDT')
+        ob.addOrder({ id: 'a1', side: OrderSide.SELL, price: 100, quantity: 1, timestamp: 1, timeInForce: TimeInForce.GTD, expiresAt: 1000 })
+        const r = ob.addOrder({ id: 'b1', side: OrderSide.BUY, price: 100, quantity: 1, timestamp: 1000 })
+        assert.strictEqual(r.trades.length, 0)
+        assert.strictEqual(ob.getAsks().length, 0)
+        assert.strictEqual(ob.bestBid().id, 'b1')
+    })
+
+    test('expiry of a GTD order that already filled is a no-op', () => {
+        const ob = new OrderBook('BTC/USDT')
+        ob.addOrder({ id: 'a1', side: OrderSide.SELL, price: 100, quantity: 1, timestamp: 1, timeInForce: TimeInForce.GTD, expiresAt: 1000 })
+        ob.addOrder({ id: 'b1', side: OrderSide.BUY, price: 100, quantity: 1, timestamp: 2 })
+        assert.deepStrictEqual(ob.applyCommand({ type: CommandType.EXPIRE_ORDERS, now: 5000 }), [])
+        assert.strictEqual(ob.nextExpiry(), null)
+    })
+
+    test('GTD orders expire earliest first, and cancelled ones are skipped', () => {
+        const ob = new OrderBook('BTC/USDT')
+        const gtd = (id, price, expiresAt) => ob.addOrder({ id, side: OrderSide.BUY, price, quantity: 1, timestamp: 1, timeInForce: TimeInForce.GTD, expiresAt })
+        gtd('b1', 100, 3000)
+        gtd('b2', 99, 1000)
+        gtd('b3', 98, 2000)
+        gtd('b4', 97, 1000)
+        for (let i = 0; i < 10; i++) {
+            ob.addOrder({ id: `s${i}`, side: OrderSide.SELL, type: OrderType.STOP_LIMIT, stopPrice: 90, price: 89, quantity: 1, timestamp: 1, timeInForce: TimeInForce.GTD, expiresAt: 500 })
+            ob.cancelOrder(`s${i}`)
+        }
+        ob.cancelOrder('b2')   // left in the index until its time comes, then just forgotten
+        assert.strictEqual(ob.nextExpiry(), 1000)
+
+        assert.deepStrictEqual(ob.expireOrders(2500).map(o => o.id), ['b4', 'b3'])
+        assert.strictEqual(ob.nextExpiry(), 3000)
+        assert.deepStrictEqual(ob.getBids().map(o => o.id), ['b1'])
+    })
+
+    test('GTD expiry survives a snapshot round-trip', () => {
+        const ob1 = new OrderBook('BTC/USDT')
+        ob1.addOrder({ id: 'b1', side: OrderSide.BUY, price: 100, quantity: 1, timestamp: 1, timeInForce: TimeInForce.GTD, expiresAt: 1000 })
+        const ob2 = new OrderBook('BTC/USDT')
+        ob2.loadSnapshot(ob1.getSnapshot())
+        assert.strictEqual(ob2.nextExpiry(), 1000)
+        assert.strictEqual(ob2.expireOrders(1000).length, 1)
+    })
+
+})
+
+// ─────────────────────────────────────────────
+describe('OrderBook — Market Protection', () => {
+
+    // Asks at 100, 100.5, 101 and 110 — one each
+    function ladder() {
+        const ob = new OrderBook('BTC/USDT')
+        ;[100, 100.5, 101, 110].forEach((price, i) => {
+            ob.addOrder({ id: `a_${price}`, side: OrderSide.SELL, price, quantity: 1, timestamp: i + 1 })
+        })
+        return ob
+    }
+
+    test('maxSlippageBps stops the sweep that far past the best price', () => {
+        const ob = ladder()
+        const r = ob.addOrder({ id: 'm1', side: OrderSide.BUY, type: OrderType.MARKET, quantity: 4, maxSlippageBps: 100, timestamp: 10 })
+
+        assert.deepStrictEqual(r.trades.map(t => t.price), ['100', '100.5', '101'])   // 110 is past 101
+        assert.strictEqual(r.status, OrderStatus.SLIPPAGE_LIMITED)
+        assert.strictEqual(r.remainder.quantity, '1')
+        assert.strictEqual(r.remainder.protectionPrice, '101')
+        assert.strictEqual(ob.bestAsk().id, 'a_110')
+    })
+
+    test('protectionPrice caps the sweep directly', () => {
+        const ob = ladder()
+        const r = ob.addOrder({ id: 'm1', side: OrderSide.BUY, type: OrderType.MARKET, quantity: 4, protectionPrice: 100.5, timestamp: 10 })
+        assert.strictEqual(r.trades.length, 2)
+        assert.strictEqual(r.status, OrderStatus.SLIPPAGE_LIMITED)
+        assert.strictEqual(r.remainder.quantity, '2')
+    })
+
+    test('the tighter of the two wins', () => {
+        const ob = ladder()
+        const r = ob.addOrder({ id: 'm1', side: OrderSide.BUY, type: OrderType.MARKET, quantity: 4, maxSlippageBps: 1000, protectionPrice: 100, timestamp: 10 })
+        assert.strictEqual(r.trades.length, 1)
+    })
+
+    test('a sell protection price rounds up to the tick, towards the best bid', () => {
+        const ob = new OrderBook('BTC/USDT', { tickSize: '0.5' })
+        ob.addOrder({ id: 'b1', side: OrderSide.BUY, price: 100, quantity: 1, timestamp: 1 })
+        ob.addOrder({ id: 'b2', side: OrderSide.BUY, price: 99.5, quantity: 1, timestamp: 2 })
+
+        // 100 - 0.7% = 99.3 → 99.5
+        const r = ob.addOrder({ id: 'm1', side: OrderSide.SELL, type: OrderType.MARKET, quantity: 3, maxSlippageBps: 70, timestamp: 10 })
+        assert.strictEqual(r.remainder.protectionPrice, '99.5')
+        assert.strictEqual(r.trades.length, 2)
+        assert.strictEqual(r.status, OrderStatus.EXPIRED)   // the book ran dry — protection didn't stop it
+    })
+
+    test('a fill that never reaches the protection price is just FILLED', () => {
+        const ob = ladder()
+        const r = ob.addOrder({ id: 'm1', side: OrderSide.BUY, type: OrderType.MARKET, quantity: 2, maxSlippageBps: 100, timestamp: 10 })
+        assert.strictEqual(r.status, OrderStatus.FILLED)
+    })
+
+    test('FOK counts only what is inside the protection price', () => {
+        const ob = ladder()
+        const r = ob.addOrder({
+            id: 'm1', side: OrderSide.BUY, type: OrderType.MARKET, timeInForce: TimeInForce.FOK, quantity: 4, maxSlippageBps: 100, timestamp: 10
+        })
+        assert.strictEqual(r.trades.length, 0)
+        assert.strictEqual(r.status, OrderStatus.EXPIRED)
+    })
+
+    test('a stop-market measures slippage from the book when it fires', () => {
+        const ob = ladder()
+        ob.addOrder({ id: 's1', side: OrderSide.BUY, type: OrderType.STOP_MARKET, stopPrice: 100, quantity: 3, maxSlippageBps: 50, timestamp: 5 })
+
+        const r = ob.addOrder({ id: 'b1', side: OrderSide.BUY, price: 100, quantity: 1, timestamp: 6 })   // trades at 100, fires s1
+        const fired = r.triggered[0]
+        assert.strictEqual(fired.order.protectionPrice, '101')   // 100.5 + 0.5%, down to the tick
+        assert.deepStrictEqual(fired.trades.map(t => t.price), ['100.5', '101'])
+        assert.strictEqual(fired.status, OrderStatus.SLIPPAGE_LIMITED)
+    })
+
+    test('protection is only for market orders, and must be valid', () => {
+        const ob = ladder()
+        const market = { id: 'm1', side: OrderSide.BUY, type: OrderType.MARKET, quantity: 1 }
+        assert.throws(() => ob.addOrder({ id: 'l1', side: OrderSide.BUY, price: 99, quantity: 1, maxSlippageBps: 10 }), /only for market orders/)
+        assert.throws(() => ob.addOrder({ ...market, maxSlippageBps: -1 }), /maxSlippageBps must be zero or more/)
+        assert.throws(() => ob.addOrder({ ...market, maxSlippageBps: 0.001 }), /at most 2 decimals/)
+        assert.throws(() => ob.addOrder({ ...market, protectionPrice: 100.001 }), /Protection price 100.001 is not a multiple/)
+    })
+
+})
+
+// ─────────────────────────────────────────────
+describe('OrderBook — Stop Orders', () => {
+
+    // Resting liquidity on both sides, then a trade at `price` to move the last price
+    function bookWithTradeAt(price, hooks) {
+        const ob = new OrderBook('BTC/USDT', { hooks })
+        ob.addOrder({ id: 'ask_105', side: OrderSide.SELL, price: 105, quantity: 5, timestamp: 1 })
+        ob.addOrder({ id: 'bid_95', side: OrderSide.BUY, price: 95, quantity: 5, timestamp: 2 })
+        ob.addOrder({ id: 'ask_p', side: OrderSide.SELL, price, quantity: 1, timestamp: 3 })
+        ob.addOrder({ id: 'bid_p', side: OrderSide.BUY, price, quantity: 1, timestamp: 4 })
+        return ob
+    }
+
+    test('throws without a stopPrice', () => {
+        const ob = new OrderBook('BTC/USDT')
+        assert.throws(() => ob.addOrder({ id: 's1', side: OrderSide.BUY, type: OrderType.STOP_MARKET, quantity: 1 }), /stopPrice/)
+    })
+
+    test('stop order waits in the trigger book, not in bids/asks', () => {
+        const ob = new OrderBook('BTC/USDT')
+        const r = ob.addOrder({ id: 's1', side: OrderSide.BUY, type: OrderType.STOP_MARKET, stopPrice: 110, quantity: 1 })
+        assert.strictEqual(r.status, OrderStatus.PENDING)
+        assert.strictEqual(ob.getBids().length, 0)
+        assert.strictEqual(ob.getSnapshot().stops[0].id, 's1')
+    })
+
+    test('buy stop-market fires when the last trade reaches the stop price', () => {
+        const triggered = []
+        const ob = bookWithTradeAt(100, { onStopTriggered: o => triggered.push(o) })
+        ob.addOrder({ id: 's1', side: OrderSide.BUY, type: OrderType.STOP_MARKET, stopPrice: 102, quantity: 2, timestamp: 5 })
+        ob.addOrder({ id: 'a_102', side: OrderSide.SELL, price: 102, quantity: 1, timestamp: 6 })
+
+        const r = ob.addOrder({ id: 'b_102', side: OrderSide.BUY, price: 102, quantity: 1, timestamp: 7 })
+        assert.strictEqual(r.trades.length, 1)
+        assert.strictEqual(r.triggered.length, 1)
+        assert.strictEqual(r.triggered[0].order.type, OrderType.MARKET)
+        assert.strictEqual(r.triggered[0].trades[0].price, '105')    // swept into the next ask
+        assert.strictEqual(triggered[0].id, 's1')
+        assert.strictEqual(ob.getSnapshot().stops.length, 0)
+    })
+
+    test('sell stop-limit fires at or below the stop and rests at its limit', () => {
+        const ob = bookWithTradeAt(100)
+        ob.addOrder({ id: 's1', side: OrderSide.SELL, type: OrderType.STOP_LIMIT, stopPrice: 98, price: 97, quantity: 1, timestamp: 5 })
+        ob.addOrder({ id: 'b_98', side: OrderSide.BUY, price: 98, quantity: 1, timestamp: 6 })
+
+        const r = ob.addOrder({ id: 'a_98', side: OrderSide.SELL, price: 98, quantity: 1, timestamp: 7 })
+        assert.strictEqual(r.triggered[0].status, OrderStatus.OPEN)
+        assert.strictEqual(ob.bestAsk().id, 's1')
+        assert.strictEqual(ob.bestAsk().price, '97')
+        assert.strictEqual(ob.bestAsk().type, OrderType.LIMIT)
+    })
+
+    test('stop does not fire while the price stays on the wrong side', () => {
+        const ob = bookWithTradeAt(100)
+        ob.addOrder({ id: 's1', side: OrderSide.SELL, type: OrderType.STOP_MARKET, stopPrice: 95, quantity: 1, timestamp: 5 })
+        ob.addOrder({ id: 'a_99', side: OrderSide.SELL, price: 99, quantity: 1, timestamp: 6 })
+        const r = ob.addOrder({ id: 'b_99', side: OrderSide.BUY, price: 99, quantity: 1, timestamp: 7 })
+        assert.strictEqual(r.triggered.length, 0)
+        assert.strictEqual(ob.getSnapshot().stops.length, 1)
+    })
+
+    test('stop placed beyond the last trade fires on arrival', () => {
+        const ob = bookWithTradeAt(100)
+        const r = ob.addOrder({ id: 's1', side: OrderSide.BUY, type: OrderType.STOP_MARKET, stopPrice: 99, quantity: 1, timestamp: 5 })
+        assert.strictEqual(r.status, OrderStatus.FILLED)
+        assert.strictEqual(r.trades[0].price, '105')
+    })
+
+    test('activations cascade — one stop\'s trades can fire the next', () => {
+        const ob = bookWithTradeAt(100)
+        ob.addOrder({ id: 'a_106', side: OrderSide.SELL, price: 106, quantity: 1, timestamp: 5 })
+        ob.addOrder({ id: 's1', side: OrderSide.BUY, type: OrderType.STOP_MARKET, stopPrice: 101, quantity: 5, timestamp: 6 })
+        ob.addOrder({ id: 's2', side: OrderSide.BUY, type: OrderType.STOP_MARKET, stopPrice: 105, quantity: 1, timestamp: 7 })
+        ob.addOrder({ id: 'a_101', side: OrderSide.SELL, price: 101, quantity: 1, timestamp: 8 })
+
+        const r = ob.addOrder({ id: 'b_101', side: OrderSide.BUY, price: 101, quantity: 1, timestamp: 9 })
+        assert.deepStrictEqual(r.triggered.map(t => t.order.id), ['s1', 's2'])
+        assert.strictEqual(r.triggered[1].trades[0].price, '106')
+    })
+
+    test('pending stop can be cancelled', () => {
+        const ob = new OrderBook('BTC/USDT')
+        ob.addOrder({ id: 's1', side: OrderSide.BUY, type: OrderType.STOP_MARKET, stopPrice: 110, quantity: 1, peerId: 'peer_A' })
+        const cancelled = ob.cancelOrder('s1', { peerId: 'peer_A' })
+        assert.strictEqual(cancelled.status, OrderStatus.CANCELLED)
+        assert.strictEqual(ob.getSnapshot().stops.length, 0)
+    })
+
+    test('trigger book and last trade survive a snapshot round-trip', () => {
+        const ob1 = bookWithTradeAt(100)
+        ob1.addOrder({ id: 's1', side: OrderSide.SELL, type: OrderType.STOP_MARKET, stopPrice: 99, quantity: 1, timestamp: 5 })
+
+        const ob2 = new OrderBook('BTC/USDT')
+        ob2.loadSnapshot(ob1.getSnapshot())
+        ob2.addOrder({ id: 'b_99', side: OrderSide.BUY, price: 99, quantity: 1, timestamp: 6 })
+        const r = ob2.addOrder({ id: 'a_99', side: OrderSide.SELL, price: 99, quantity: 1, timestamp: 7 })
+        assert.strictEqual(r.triggered[0].order.id, 's1')
+    })
+
+    test('stops the price crosses together fire in the order they were placed, not by stop price', () => {
+        const ob = bookWithTradeAt(100)
+        ob.addOrder({ id: 's3', side: OrderSide.BUY, type: OrderType.STOP_LIMIT, stopPrice: 103, price: 90, quantity: 1, timestamp: 5 })
+        ob.addOrder({ id: 's1', side: OrderSide.BUY, type: OrderType.STOP_LIMIT, stopPrice: 101, price: 90, quantity: 1, timestamp: 6 })
+        ob.addOrder({ id: 's2', side: OrderSide.BUY, type: OrderType.STOP_LIMIT, stopPrice: 102, price: 90, quantity: 1, timestamp: 7 })
+        ob.addOrder({ id: 's9', side: OrderSide.BUY, type: OrderType.STOP_LIMIT, stopPrice: 104, price: 90, quantity: 1, timestamp: 8 })
+        ob.addOrder({ id: 'a_103', side: OrderSide.SELL, price: 103, quantity: 1, timestamp: 9 })
+
+        const r = ob.addOrder({ id: 'b_103', side: OrderSide.BUY, price: 103, quantity: 1, timestamp: 10 })
+        assert.deepStrictEqual(r.triggered.map(t => t.order.id), ['s3', 's1', 's2'])
+        assert.deepStrictEqual(ob.getSnapshot().stops.map(o => o.id), ['s9'])
+    })
+
+    test('a cancelled stop never fires, and the rest still fire in order', () => {
+        const ob = bookWithTradeAt(100)
+        for (let i = 0; i < 10; i++) {
+            ob.addOrder({ id: `s${i}`, side: OrderSide.SELL, type: OrderType.STOP_LIMIT, stopPrice: 99, price: 110, quantity: 1, timestamp: 5 + i })
+        }
+        for (let i = 0; i < 10; i += 2) ob.cancelOrder(`s${i}`)
+        ob.addOrder({ id: 'b_99', side: OrderSide.BUY, price: 99, quantity: 1, timestamp: 20 })
+
+        const r = ob.addOrder({ id: 'a_99', side: OrderSide.SELL, price: 99, quantity: 1, timestamp: 21 })
+        assert.deepStrictEqual(r.triggered.map(t => t.order.id), ['s1', 's3', 's5', 's7', 's9'])
+    })
+
+    test('GTD stop expires like a resting GTD order', () => {
+        const removed = []
+        const ob = new OrderBook('BTC/USDT', { hooks: { onOrderRemoved: o => removed.push(o) } })
+        ob.addOrder({
+            id: 's1', side: OrderSide.BUY, type: OrderType.STOP_LIMIT, stopPrice: 110, price: 111, quantity: 1,
+            timeInForce: TimeInForce.GTD, expiresAt: 1000, peerId: 'peer_A', timestamp: 1
+        })
+        assert.strictEqual(ob.nextExpiry(), 1000)
+        assert.strictEqual(ob.openOrderCount('peer_A'), 1)
+
+        assert.deepStrictEqual(ob.expireOrders(999), [])
+        const expired = ob.expireOrders(1000)
+        assert.strictEqual(expired[0].id, 's1')
+        assert.strictEqual(expired[0].status, OrderStatus.EXPIRED)
+        assert.strictEqual(removed[0].id, 's1')
+        assert.strictEqual(ob.getSnapshot().stops.length, 0)
+        assert.strictEqual(ob.openOrderCount('peer_A'), 0)
+        assert.strictEqual(ob.nextExpiry(), null)
+    })
+
+    test('GTD stop loaded from a snapshot still expires', () => {
+        const ob1 = new OrderBook('BTC/USDT')
+        ob1.addOrder({
+            id: 's1', side: OrderSide.SELL, type: OrderType.STOP_LIMIT, stopPrice: 90, price: 89, quantity: 1,
+            timeInForce: TimeInForce.GTD, expiresAt: 1000, timestamp: 1
+        })
+        const ob2 = new OrderBook('BTC/USDT')
+        ob2.loadSnapshot(ob1.getSnapshot())
+        assert.strictEqual(ob2.nextExpiry(), 1000)
+
+        // An order arriving after the expiry moves time on, as with resting orders
+        ob2.addOrder({ id: 'b1', side: OrderSide.BUY, price: 80, quantity: 1, timestamp: 1001 })
+        assert.strictEqual(ob2.getSnapshot().stops.length, 0)
+    })
+
+})
+
+// ─────────────────────────────────────────────
+describe('OrderBook — Self-Trade Prevention', () => {
+
+    const STP = SelfTradePrevention
+
+    function book(mode, hooks = {}) {
+        const ob = new OrderBook('BTC/USDT', { selfTradePrevention: mode, hooks })
+        ob.addOrder({ id: 'own', side: OrderSide.SELL, price: 100, quantity: 2, peerId: 'p1' })
+        ob.addOrder({ id: 'other', side: OrderSide.SELL, price: 101, quantity: 2, peerId: 'p2' })
+        return ob
+    }
+
+    test('off by default — same peer can trade with itself', () => {
+        const ob = book(null)
+        const r = ob.addOrder({ id: 'b1', side: OrderSide.BUY, price: 100, quantity: 1, peerId: 'p1' })
+        assert.strictEqual(r.trades.length, 1)
+        assert.deepStrictEqual(r.selfTradeCancels, [])
+    })
+
+    test('cancel newest — incoming order is cancelled, resting order stays', () => {
+        const removed = []
+        const ob = book(STP.CANCEL_NEWEST, { onOrderRemoved: o => removed.push(o) })
+        const r = ob.addOrder({ id: 'b1', side: OrderSide.BUY, price: 101, quantity: 3, peerId: 'p1' })
+
+        assert.strictEqual(r.status, OrderStatus.CANCELLED)
+        assert.strictEqual(r.trades.length, 0)
+        assert.strictEqual(r.remainder, null)
+        assert.deepStrictEqual(r.selfTradeCancels, [{ orderId: 'b1', side: OrderSide.BUY, quantity: '3', mode: STP.CANCEL_NEWEST }])
+        assert.strictEqual(ob.bestAsk().id, 'own')
+        assert.strictEqual(removed[0].id, 'b1')
+        assert.strictEqual(removed[0].reason, RemovalReason.SELF_TRADE_PREVENTION)
+    })
+
+    test('cancel oldest — resting order is cancelled, incoming keeps matching', () => {
+        const removed = []
+        const ob = book(STP.CANCEL_OLDEST, { onOrderRemoved: o => removed.push(o) })
+        const r = ob.addOrder({ id: 'b1', side: OrderSide.BUY, price: 101, quantity: 3, peerId: 'p1' })
+
+        assert.strictEqual(r.trades.length, 1)
+        assert.strictEqual(r.trades[0].sellOrderId, 'other')
+        assert.strictEqual(r.status, OrderStatus.PARTIALLY_FILLED)
+        assert.strictEqual(r.remainder.quantity, '1')
+        assert.deepStrictEqual(r.selfTradeCancels, [{ orderId: 'own', side: OrderSide.SELL, quantity: '2', mode: STP.CANCEL_OLDEST }])
+        assert.strictEqual(removed[0].id, 'own')
+        assert.strictEqual(removed[0].status, OrderStatus.CANCELLED)
+        assert.strictEqual(removed[0].reason, RemovalReason.SELF_TRADE_PREVENTION)
+    })
+
+    test('cancel both — resting and incoming are cancelled', () => {
+        const ob = book(STP.CANCEL_BOTH)
+        const r = ob.addOrder({ id: 'b1', side: OrderSide.BUY, price: 101, quantity: 3, peerId: 'p1' })
+
+        assert.strictEqual(r.status, OrderStatus.CANCELLED)
+        assert.strictEqual(r.trades.length, 0)
+        assert.deepStrictEqual(r.selfTradeCancels.map(c => c.orderId), ['own', 'b1'])
+        assert.strictEqual(ob.bestAsk().id, 'other')
+    })
+
+    test('decrement and cancel — larger incoming shrinks and keeps matching', () => {
+        const ob = book(STP.DECREMENT_AND_CANCEL)
+        const r = ob.addOrder({ id: 'b1', side: OrderSide.BUY, price: 101, quantity: 3, peerId: 'p1' })
+
+        // 2 of the 3 cancel against 'own', the last 1 trades with 'other'
+        assert.strictEqual(r.trades.length, 1)
+        assert.strictEqual(r.trades[0].quantity, '1')
+        assert.strictEqual(r.status, OrderStatus.FILLED)
+        assert.deepStrictEqual(r.selfTradeCancels.map(c => [c.orderId, c.quantity]), [['b1', '2'], ['own', '2']])
+        assert.strictEqual(ob.bestAsk().id, 'other')
+    })
+
+    test('decrement and cancel — smaller incoming is cancelled, resting shrinks in place', () => {
+        const amended = []
+        const ob = book(STP.DECREMENT_AND_CANCEL, { onOrderAmended: o => amended.push(o) })
+        const r = ob.addOrder({ id: 'b1', side: OrderSide.BUY, price: 101, quantity: 0.5, peerId: 'p1' })
+
+        assert.strictEqual(r.status, OrderStatus.CANCELLED)
+        assert.strictEqual(r.trades.length, 0)
+        assert.strictEqual(ob.bestAsk().id, 'own')
+        assert.strictEqual(ob.bestAsk().quantity, '1.5')
+
+        // Subscribers hear about the smaller order, and why
+        assert.deepStrictEqual(amended.map(o => [o.id, o.quantity, o.reason]), [['own', '1.5', RemovalReason.SELF_TRADE_PREVENTION]])
+        assert.strictEqual(ob.bestAsk().reason, undefined, 'the reason is on the event, not the resting order')
+    })
+
+    test('decrement and cancel — a used-up iceberg slice is refilled and reported as amended', () => {
+        const amended = []
+        const ob = new OrderBook('BTC/USDT', { selfTradePrevention: STP.DECREMENT_AND_CANCEL, hooks: { onOrderAmended: o => amended.push(o) } })
+        ob.addOrder({ id: 'ice', side: OrderSide.SELL, price: 100, quantity: 3, displayQuantity: 1, peerId: 'p1', timestamp: 1 })
+        ob.addOrder({ id: 'b1', side: OrderSide.BUY, price: 100, quantity: 1, peerId: 'p1', timestamp: 2 })
+
+        assert.strictEqual(ob.bestAsk().quantity, '1')
+        assert.deepStrictEqual(amended.map(o => [o.id, o.quantity, o.reserve, o.reason]), [['ice', '1', '1', RemovalReason.SELF_TRADE_PREVENTION]])
+    })
+
+    test('per-order mode overrides the book default', () => {
+        const ob = book(STP.CANCEL_NEWEST)
+        const r = ob.addOrder({
+            id: 'b1', side: OrderSide.BUY, price: 100, quantity: 1, peerId: 'p1', selfTradePrevention: STP.CANCEL_OLDEST
+        })
+        assert.strictEqual(r.status, OrderStatus.OPEN)
+        assert.strictEqual(ob.bestBid().id, 'b1')
+        assert.strictEqual(ob.bestAsk().id, 'other')
+    })
+
+    test('accountId takes precedence over peerId', () => {
+        const ob = new OrderBook('BTC/USDT', { selfTradePrevention: STP.CANCEL_NEWEST })
+        ob.addOrder({ id: 'a1', side: OrderSide.SELL, price: 100, quantity: 1, peerId: 'p1', accountId: 'alice' })
+
+        const sameAccount = ob.addOrder({ id: 'b1', side: OrderSide.BUY, price: 100, quantity: 1, peerId: 'p2', accountId: 'alice' })
+        assert.strictEqual(sameAccount.status, OrderStatus.CANCELLED)
+
+        const samePeer = ob.addOrder({ id: 'b2', side: OrderSide.BUY, price: 100, quantity: 1, peerId: 'p1', accountId: 'bob' })
+        assert.strictEqual(samePeer.status, OrderStatus.FILLED)
+    })
+
+    test('orders without an owner never count as self-trades', () => {
+        const ob = new OrderBook('BTC/USDT', { selfTradePrevention: STP.CANCEL_NEWEST })
+        ob.addOrder({ id: 'a1', side: OrderSide.SELL, price: 100, quantity: 1 })
+        const r = ob.addOrder({ id: 'b1', side: OrderSide.BUY, price: 100, quantity: 1 })
+        assert.strictEqual(r.status, OrderStatus.FILLED)
+    })
+
+    test('FOK does not count liquidity behind its own order', () => {
+        const ob = book(STP.CANCEL_NEWEST)
+        const r = ob.addOrder({
+            id: 'b1', side: OrderSide.BUY, price: 101, quantity: 2, peerId: 'p1', timeInForce: TimeInForce.FOK
+        })
+        assert.strictEqual(r.status, OrderStatus.EXPIRED)
+        assert.strictEqual(ob.getAsks().length, 2)
+    })
+
+    test('rejects an unknown mode', () => {
+        assert.throws(() => new OrderBook('BTC/USDT', { selfTradePrevention: 'nope' }), /Self-trade prevention must be one of/)
+        const ob = new OrderBook('BTC/USDT')
+        assert.throws(() => ob.addOrder({ id: 'b1', side: OrderSide.BUY, price: 100, quantity: 1, selfTradePrevention: 'nope' }), /Self-trade prevention/)
+    })
+
+})
+
+// ─────────────────────────────────────────────
+describe('OrderBook — Iceberg & Hidden Orders', () => {
+
+    test('iceberg rests with only its display size visible', () => {
+        const ob = new OrderBook('BTC/USDT')
+        const r = ob.addOrder({ id: 'ice', side: OrderSide.SELL, price: 100, quantity: 10, displayQuantity: 2 })
+
+        assert.strictEqual(r.remainder.quantity, '2')
+        assert.strictEqual(r.remainder.reserve, '8')
+        assert.deepStrictEqual(ob.getDepth().asks, [{ price: '100', quantity: '2', orders: 1 }])
+
+        const view = ob.getPublicSnapshot()
+        assert.strictEqual(view.asks[0].quantity, '2')
+        assert.strictEqual(view.asks[0].reserve, undefined)
+        assert.strictEqual(view.asks[0].displayQuantity, undefined)
+    })
+
+    test('a large taker eats through slice after slice', () => {
+        const ob = new OrderBook('BTC/USDT')
+        ob.addOrder({ id: 'ice', side: OrderSide.SELL, price: 100, quantity: 5, displayQuantity: 2 })
+        const r = ob.addOrder({ id: 'b1', side: OrderSide.BUY, price: 100, quantity: 5 })
+
+        assert.strictEqual(r.status, OrderStatus.FILLED)
+        assert.deepStrictEqual(r.trades.map(t => t.quantity), ['2', '2', '1'])
+        assert.strictEqual(ob.getAsks().length, 0)
+    })
+
+    test('refilled slice goes to the back of the queue', () => {
+        const ob = new OrderBook('BTC/USDT')
+        ob.addOrder({ id: 'ice', side: OrderSide.SELL, price: 100, quantity: 4, displayQuantity: 1, timestamp: 1 })
+        ob.addOrder({ id: 'plain', side: OrderSide.SELL, price: 100, quantity: 1, timestamp: 2 })
+
+        const r = ob.addOrder({ id: 'b1', side: OrderSide.BUY, price: 100, quantity: 2, timestamp: 3 })
+        assert.deepStrictEqual(r.trades.map(t => t.sellOrderId), ['ice', 'plain'])
+
+        const ice = ob.bestAsk()
+        assert.strictEqual(ice.id, 'ice')
+        assert.strictEqual(ice.quantity, '1')
+        assert.strictEqual(ice.reserve, '2')
+        assert.strictEqual(ice.timestamp, 3)
+    })
+
+    test('FOK counts the hidden reserve', () => {
+        const ob = new OrderBook('BTC/USDT')
+        ob.addOrder({ id: 'ice', side: OrderSide.SELL, price: 100, quantity: 5, displayQuantity: 1 })
+        const r = ob.addOrder({ id: 'b1', side: OrderSide.BUY, price: 100, quantity: 5, timeInForce: TimeInForce.FOK })
+        assert.strictEqual(r.status, OrderStatus.FILLED)
+    })
+
+    test('amending an iceberg works on its total size', () => {
+        const ob = new OrderBook('BTC/USDT')
+        ob.addOrder({ id: 'ice', side: OrderSide.SELL, price: 100, quantity: 10, displayQuantity: 2 })
+
+        ob.amendOrder('ice', { quantity: 5 })
+        assert.strictEqual(ob.bestAsk().quantity, '2')
+        assert.strictEqual(ob.bestAsk().reserve, '3')
+
+        ob.amendOrder('ice', { price: 101 })
+        assert.strictEqual(ob.bestAsk().price, '101')
+        assert.strictEqual(ob.bestAsk().quantity, '2')
+        assert.strictEqual(ob.bestAsk().reserve, '3')
+    })
+
+    test('hidden order matches but never shows', () => {
+        const added = []
+        const ob = new OrderBook('BTC/USDT', { hooks: { onOrderAdded: o => added.push(o) } })
+        ob.addOrder({ id: 'h1', side: OrderSide.SELL, price: 100, quantity: 3, hidden: true })
+        ob.addOrder({ id: 'a2', side: OrderSide.SELL, price: 101, quantity: 1 })
+
+        assert.deepStrictEqual(ob.getDepth().asks, [{ price: '101', quantity: '1', orders: 1 }])
+        const view = ob.getPublicSnapshot()
+        assert.deepStrictEqual(view.asks.map(o => o.id), ['a2'])
+        assert.strictEqual(view.bestAsk.id, 'a2')
+
+        const r = ob.addOrder({ id: 'b1', side: OrderSide.BUY, price: 100, quantity: 1 })
+        assert.strictEqual(r.trades[0].sellOrderId, 'h1')
+        assert.strictEqual(added.length, 2)   // the hook still sees it — only public views hide it
+    })
+
+    test('full snapshot carries hidden and reserve state, so a replica matches identically', () => {
+        const a = new OrderBook('BTC/USDT')
+        a.addOrder({ id: 'ice', side: OrderSide.SELL, price: 100, quantity: 6, displayQuantity: 2, timestamp: 1 })
+        a.addOrder({ id: 'h1', side: OrderSide.SELL, price: 100, quantity: 1, hidden: true, timestamp: 2 })
+        a.addOrder({ id: 'b0', side: OrderSide.BUY, price: 100, quantity: 1, timestamp: 3 })
+
+        const b = new OrderBook('BTC/USDT')
+        b.loadSnapshot(a.getSnapshot())
+
+        const taker = { id: 'b1', side: OrderSide.BUY, price: 100, quantity: 6, timestamp: 4 }
+        assert.deepStrictEqual(b.addOrder({ ...taker }), a.addOrder({ ...taker }))
+        assert.deepStrictEqual(b.getSnapshot().asks, a.getSnapshot().asks)
+    })
+
+    test('validation', () => {
+        const ob = new OrderBook('BTC/USDT')
+        const base = { id: 'x', side: OrderSide.BUY, price: 100, quantity: 1 }
+        assert.throws(() => ob.addOrder({ ...base, displayQuantity: 2 }), /cannot exceed quantity/)
+        assert.throws(() => ob.addOrder({ ...base, displayQuantity: 0 }), /displayQuantity must be positive/)
+        assert.throws(() => ob.addOrder({ ...base, displayQuantity: 0.5, hidden: true }), /hidden or an iceberg/)
+        assert.throws(() => ob.addOrder({ ...base, type: OrderType.MARKET, hidden: true, timeInForce: TimeInForce.IOC }), /must be limit orders/)
+    })
+
+})
+
 // ─────────────────────────────────────────────
 describe('OrderBook — Price-Time Priority', () => {
 
@@ -216,6 +984,254 @@ describe('OrderBook — Cancel Order', () => {
         assert.strictEqual(r, null)
     })
 
+    test('is idempotent — second cancel is a no-op', () => {
+        let removed = 0
+        const ob = new OrderBook('BTC/USDT', { hooks: { onOrderRemoved: () => removed++ } })
+        ob.addOrder({ id: 'b1', side: OrderSide.BUY, price: 100, quantity: 1 })
+        ob.cancelOrder('b1')
+        assert.strictEqual(ob.cancelOrder('b1'), null)
+        assert.strictEqual(removed, 1)
+    })
+
+    test('only the owning peer may cancel', () => {
+        const ob = new OrderBook('BTC/USDT')
+        ob.addOrder({ id: 'b1', side: OrderSide.BUY, price: 100, quantity: 1, peerId: 'peer_A' })
+        assert.throws(() => ob.cancelOrder('b1', { peerId: 'peer_B' }), /belongs to peer_A/)
+        assert.strictEqual(ob.getBids().length, 1)
+        assert.strictEqual(ob.cancelOrder('b1', { peerId: 'peer_A' }).id, 'b1')
+    })
+
+    test('cancel after a full fill is a no-op', () => {
+        const ob = new OrderBook('BTC/USDT')
+        ob.addOrder({ id: 'a1', side: OrderSide.SELL, price: 100, quantity: 1, peerId: 'peer_A' })
+        ob.addOrder({ id: 'b1', side: OrderSide.BUY, price: 100, quantity: 1, peerId: 'peer_B' })
+        assert.strictEqual(ob.cancelOrder('a1', { peerId: 'peer_A' }), null)
+        assert.strictEqual(ob.getTrades().length, 1)
+    })
+
+    test('cancel after a partial fill removes only the remainder', () => {
+        const ob = new OrderBook('BTC/USDT')
+        ob.addOrder({ id: 'a1', side: OrderSide.SELL, price: 100, quantity: 3 })
+        ob.addOrder({ id: 'b1', side: OrderSide.BUY, price: 100, quantity: 1 })
+        assert.strictEqual(ob.cancelOrder('a1').quantity, '2')
+        assert.strictEqual(ob.getTrades().length, 1)
+    })
+
+    test('cancel that arrives before its order stops the order from trading', () => {
+        const ob = new OrderBook('BTC/USDT')
+        ob.addOrder({ id: 'a1', side: OrderSide.SELL, price: 100, quantity: 1 })
+        assert.strictEqual(ob.cancelOrder('b1'), null)
+
+        const r = ob.addOrder({ id: 'b1', side: OrderSide.BUY, price: 100, quantity: 1 })
+        assert.strictEqual(r.status, OrderStatus.CANCELLED)
+        assert.strictEqual(r.trades.length, 0)
+        assert.strictEqual(ob.getAsks().length, 1)
+    })
+
+    test("an early cancel only stops the cancelling peer's order", () => {
+        const ob = new OrderBook('BTC/USDT')
+        ob.applyCommand({ type: CommandType.CANCEL_ORDER, orderId: 'b1', peerId: 'peer_B' })
+        ob.applyCommand({ type: CommandType.CANCEL_ORDER, orderId: 'b2', peerId: 'peer_A' })
+
+        assert.strictEqual(ob.addOrder({ id: 'b1', side: OrderSide.BUY, price: 100, quantity: 1, peerId: 'peer_A' }).status, OrderStatus.OPEN)
+        assert.strictEqual(ob.addOrder({ id: 'b2', side: OrderSide.BUY, price: 99, quantity: 1, peerId: 'peer_A' }).status, OrderStatus.CANCELLED)
+    })
+
+    test('tombstones survive a snapshot', () => {
+        const ob = new OrderBook('BTC/USDT')
+        ob.cancelOrder('b1', { peerId: 'peer_A' })
+        ob.cancelOrder('b2', { peerId: 'peer_A' })
+
+        const copy = new OrderBook('BTC/USDT')
+        copy.loadSnapshot(JSON.parse(JSON.stringify(ob.getSnapshot())))
+        assert.deepStrictEqual(copy.getSnapshot().tombstones, [['b1', 'peer_A'], ['b2', 'peer_A']])
+        assert.strictEqual(copy.addOrder({ id: 'b1', side: OrderSide.BUY, price: 100, quantity: 1, peerId: 'peer_A' }).status, OrderStatus.CANCELLED)
+    })
+
+    test('applyCommand rejects commands tagged for another pair', () => {
+        const ob = new OrderBook('BTC/USDT')
+        assert.throws(() => ob.applyCommand({ type: CommandType.CANCEL_ORDER, pair: 'ETH/USDT', orderId: 'b1' }), /Pair mismatch/)
+    })
+
+    test('applyCommand routes CANCEL_ORDER with the owner check', () => {
+        const ob = new OrderBook('BTC/USDT')
+        ob.addOrder({ id: 'b1', side: OrderSide.BUY, price: 100, quantity: 1, peerId: 'peer_A' })
+        assert.throws(() => ob.applyCommand({ type: CommandType.CANCEL_ORDER, orderId: 'b1', peerId: 'peer_B' }), /belongs to/)
+        assert.strictEqual(ob.applyCommand({ type: CommandType.CANCEL_ORDER, orderId: 'b1', peerId: 'peer_A' }).id, 'b1')
+    })
+
+})
+
+// ─────────────────────────────────────────────
+describe('OrderBook — Amend Order', () => {
+
+    function twoAsksAt100() {
+        const ob = new OrderBook('BTC/USDT')
+        ob.addOrder({ id: 'a1', side: OrderSide.SELL, price: 100, quantity: 3, timestamp: 1, peerId: 'peer_A' })
+        ob.addOrder({ id: 'a2', side: OrderSide.SELL, price: 100, quantity: 3, timestamp: 2, peerId: 'peer_B' })
+        return ob
+    }
+
+    test('reducing quantity keeps time priority', () => {
+        const ob = twoAsksAt100()
+        const r = ob.amendOrder('a1', { quantity: 1 })
+        assert.strictEqual(r.order.quantity, '1')
+        assert.strictEqual(r.trades.length, 0)
+
+        const fill = ob.addOrder({ id: 'b1', side: OrderSide.BUY, price: 100, quantity: 1, timestamp: 3 })
+        assert.strictEqual(fill.trades[0].sellOrderId, 'a1')   // still first in line
+    })
+
+    test('increasing quantity loses time priority', () => {
+        const ob = twoAsksAt100()
+        ob.amendOrder('a1', { quantity: 5 }, { timestamp: 10 })
+
+        const fill = ob.addOrder({ id: 'b1', side: OrderSide.BUY, price: 100, quantity: 1, timestamp: 11 })
+        assert.strictEqual(fill.trades[0].sellOrderId, 'a2')
+        assert.strictEqual(ob.getAsks().find(o => o.id === 'a1').quantity, '5')
+    })
+
+    test('price change loses time priority', () => {
+        const ob = twoAsksAt100()
+        ob.amendOrder('a1', { price: 101 }, { timestamp: 10 })
+        ob.amendOrder('a1', { price: 100 }, { timestamp: 11 })
+
+        const fill = ob.addOrder({ id: 'b1', side: OrderSide.BUY, price: 100, quantity: 1, timestamp: 12 })
+        assert.strictEqual(fill.trades[0].sellOrderId, 'a2')
+    })
+
+    test('price change that crosses the spread is matched immediately', () => {
+        const ob = new OrderBook('BTC/USDT')
+        ob.addOrder({ id: 'a1', side: OrderSide.SELL, price: 101, quantity: 1, timestamp: 1 })
+        ob.addOrder({ id: 'b1', side: OrderSide.BUY, price: 99, quantity: 2, timestamp: 2 })
+
+        const r = ob.amendOrder('b1', { price: 101 }, { timestamp: 3 })
+        assert.strictEqual(r.trades.length, 1)
+        assert.strictEqual(r.trades[0].price, '101')
+        assert.strictEqual(r.status, OrderStatus.PARTIALLY_FILLED)
+        assert.strictEqual(ob.bestBid().quantity, '1')
+        assert.strictEqual(ob.getAsks().length, 0)
+    })
+
+    test('fires onOrderAmended', () => {
+        const amended = []
+        const ob = new OrderBook('BTC/USDT', { hooks: { onOrderAmended: o => amended.push(o) } })
+        ob.addOrder({ id: 'b1', side: OrderSide.BUY, price: 100, quantity: 2 })
+        ob.amendOrder('b1', { quantity: 1 })
+        ob.amendOrder('b1', { price: 99 })
+        assert.deepStrictEqual(amended.map(o => [o.price, o.quantity]), [['100', '1'], ['99', '1']])
+    })
+
+    test('a post-only order amended across the spread is removed with a reason', () => {
+        const amended = []
+        const removed = []
+        const ob = new OrderBook('BTC/USDT', { hooks: { onOrderAmended: o => amended.push(o), onOrderRemoved: o => removed.push(o) } })
+        ob.addOrder({ id: 'a1', side: OrderSide.SELL, price: 101, quantity: 1, timestamp: 1 })
+        ob.addOrder({ id: 'b1', side: OrderSide.BUY, price: 100, quantity: 2, postOnly: true, timestamp: 2 })
+
+        const r = ob.amendOrder('b1', { price: 101 })
+
+        assert.strictEqual(r.status, OrderStatus.REJECTED)
+        assert.strictEqual(ob.bestBid(), null)
+        assert.deepStrictEqual(amended, [])
+        assert.deepStrictEqual(removed.map(o => [o.id, o.quantity, o.status, o.reason]), [['b1', '2', OrderStatus.REJECTED, RemovalReason.POST_ONLY]])
+    })
+
+    test('an amended order that fills in full is removed, not amended to zero', () => {
+        const amended = []
+        const removed = []
+        const ob = new OrderBook('BTC/USDT', { hooks: { onOrderAmended: o => amended.push(o), onOrderRemoved: o => removed.push(o) } })
+        ob.addOrder({ id: 'a1', side: OrderSide.SELL, price: 101, quantity: 5, timestamp: 1 })
+        ob.addOrder({ id: 'b1', side: OrderSide.BUY, price: 100, quantity: 2, timestamp: 2 })
+
+        ob.amendOrder('b1', { price: 101 })
+
+        assert.deepStrictEqual(amended, [])
+        assert.deepStrictEqual(removed.map(o => [o.id, o.quantity, o.status]), [['b1', '0', OrderStatus.FILLED]])
+    })
+
+    test('returns null for an order that is no longer resting', () => {
+        const ob = new OrderBook('BTC/USDT')
+        assert.strictEqual(ob.amendOrder('nope', { quantity: 1 }), null)
+    })
+
+    test('only the owning peer may amend', () => {
+        const ob = twoAsksAt100()
+        assert.throws(() => ob.amendOrder('a1', { quantity: 1 }, { peerId: 'peer_B' }), /belongs to peer_A/)
+        assert.strictEqual(ob.bestAsk().quantity, '3')
+    })
+
+    test('validates the changes', () => {
+        const ob = twoAsksAt100()
+        assert.throws(() => ob.amendOrder('a1', {}), /change price or quantity/)
+        assert.throws(() => ob.amendOrder('a1', { quantity: 0 }), /quantity must be positive/)
+        assert.throws(() => ob.amendOrder('a1', { price: -1 }), /price must be positive/)
+    })
+
+    test('applyCommand routes AMEND_ORDER', () => {
+        const ob = twoAsksAt100()
+        const r = ob.applyCommand({ type: CommandType.AMEND_ORDER, orderId: 'a2', changes: { quantity: 1 }, peerId: 'peer_B', timestamp: 5 })
+        assert.strictEqual(r.order.quantity, '1')
+    })
+
+})
+
+// ─────────────────────────────────────────────
+describe('OrderBook — Depth (L2)', () => {
+
+    function seed() {
+        const ob = new OrderBook('BTC/USDT')
+        ob.addOrder({ id: 'b1', side: OrderSide.BUY, price: 99, quantity: 1 })
+        ob.addOrder({ id: 'b2', side: OrderSide.BUY, price: 99, quantity: 2 })
+        ob.addOrder({ id: 'b3', side: OrderSide.BUY, price: 98.7, quantity: 1 })
+        ob.addOrder({ id: 'b4', side: OrderSide.BUY, price: 98.2, quantity: 1 })
+        ob.addOrder({ id: 'a1', side: OrderSide.SELL, price: 101, quantity: 1.5 })
+        ob.addOrder({ id: 'a2', side: OrderSide.SELL, price: 101.3, quantity: 1 })
+        ob.addOrder({ id: 'a3', side: OrderSide.SELL, price: 101.5, quantity: 1 })
+        return ob
+    }
+
+    test('aggregates orders per price level, best first', () => {
+        const depth = seed().getDepth()
+        assert.deepStrictEqual(depth.bids, [
+            { price: '99', quantity: '3', orders: 2 },
+            { price: '98.7', quantity: '1', orders: 1 },
+            { price: '98.2', quantity: '1', orders: 1 }
+        ])
+        assert.deepStrictEqual(depth.asks.map(l => l.price), ['101', '101.3', '101.5'])
+    })
+
+    test('levels limits each side', () => {
+        const depth = seed().getDepth({ levels: 1 })
+        assert.deepStrictEqual(depth.bids, [{ price: '99', quantity: '3', orders: 2 }])
+        assert.deepStrictEqual(depth.asks, [{ price: '101', quantity: '1.5', orders: 1 }])
+    })
+
+    test('group rounds bids down and asks up', () => {
+        const depth = seed().getDepth({ group: 0.5 })
+        assert.deepStrictEqual(depth.bids, [
+            { price: '99', quantity: '3', orders: 2 },
+            { price: '98.5', quantity: '1', orders: 1 },
+            { price: '98', quantity: '1', orders: 1 }
+        ])
+        assert.deepStrictEqual(depth.asks, [
+            { price: '101', quantity: '1.5', orders: 1 },
+            { price: '101.5', quantity: '2', orders: 2 }
+        ])
+    })
+
+    test('empty book has no levels', () => {
+        const depth = new OrderBook('BTC/USDT').getDepth()
+        assert.deepStrictEqual(depth, { pair: 'BTC/USDT', bids: [], asks: [] })
+    })
+
+    test('rejects bad levels and group', () => {
+        const ob = seed()
+        assert.throws(() => ob.getDepth({ levels: 0 }), /levels must be positive/)
+        assert.throws(() => ob.getDepth({ levels: NaN }), /levels must be positive/)
+        assert.throws(() => ob.getDepth({ group: -1 }), /group must be positive/)
+    })
+
 })
 
 // ─────────────────────────────────────────────
@@ -225,7 +1241,7 @@ describe('OrderBook — Spread', () => {
         const ob = new OrderBook('BTC/USDT')
         ob.addOrder({ id: 'a1', side: OrderSide.SELL, price: 105, quantity: 1 })
         ob.addOrder({ id: 'b1', side: OrderSide.BUY, price: 100, quantity: 1 })
-        assert.strictEqual(ob.spread(), 5)
+        assert.strictEqual(ob.spread(), '5')
     })
 
 })
@@ -253,9 +1269,9 @@ describe('OrderBook — Snapshot (P2P Sync)', () => {
         const ob2 = new OrderBook('BTC/USDT')
         ob2.loadSnapshot(ob1.getSnapshot())
 
-        assert.strictEqual(ob2.bestAsk().price, 110)
-        assert.strictEqual(ob2.bestBid().price, 100)
-        assert.strictEqual(ob2.getAsks()[0].quantity, 1.5)
+        assert.strictEqual(ob2.bestAsk().price, '110')
+        assert.strictEqual(ob2.bestBid().price, '100')
+        assert.strictEqual(ob2.getAsks()[0].quantity, '1.5')
     })
 
     test('loadSnapshot throws on pair mismatch', () => {
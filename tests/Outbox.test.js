@@ -0,0 +1,233 @@
+'use strict'
+
+const { test, describe } = require('node:test')
+const assert = require('node:assert')
+const { Outbox } = require('../src/network/Outbox')
+
+function makeOutbox(opts = {}) {
+    const clock = { now: 0 }
+    const instance = new Outbox({
+        peers: ['peer_2', 'peer_3'],
+        initialDelay: 500,
+        maxDelay: 4000,
+        maxAttempts: 5,
+        clock: () => clock.now,
+        ...opts
+    })
+    return { outbox: instance, clock }
+}
+
+const msg = seq => ({ type: 'NEW_ORDER', seq, pair: 'BTC/USDT' })
+
+// ─────────────────────────────────────────────
+describe('Outbox — Acks', () => {
+
+    test('a message stays unacked until every peer confirms it', () => {
+        const { outbox } = makeOutbox()
+        outbox.add(msg(1))
+        assert.strictEqual(outbox.size, 1)
+
+        outbox.ack('peer_2', 1)
+        assert.strictEqual(outbox.size, 1)
+        outbox.ack('peer_3', 1)
+        assert.strictEqual(outbox.size, 0)
+    })
+
+    test('acks are cumulative', () => {
+        const { outbox } = makeOutbox()
+        ;[1, 2, 3].forEach(seq => outbox.add(msg(seq)))
+
+        outbox.ack('peer_2', 3)
+        outbox.ack('peer_3', 2)
+        assert.strictEqual(outbox.size, 1)
+        assert.strictEqual(outbox.ackedBy('peer_2'), 3)
+        assert.strictEqual(outbox.ackedBy('peer_3'), 2)
+    })
+
+    test('an older ack never moves a peer backwards', () => {
+        const { outbox } = makeOutbox()
+        outbox.ack('peer_2', 5)
+        outbox.ack('peer_2', 3)
+        assert.strictEqual(outbox.ackedBy('peer_2'), 5)
+    })
+
+    test('acks from unknown peers or without a seq are ignored', () => {
+        const { outbox } = makeOutbox()
+        outbox.add(msg(1))
+        outbox.ack('peer_1', 1)
+        outbox.ack('intruder', 1)
+        outbox.ack('peer_2', undefined)
+        assert.strictEqual(outbox.size, 1)
+        assert.strictEqual(outbox.ackedBy('peer_2'), 0)
+    })
+
+    test('a message every peer already has is not tracked', () => {
+        const { outbox } = makeOutbox()
+        outbox.ack('peer_2', 4)
+        outbox.ack('peer_3', 4)
+        outbox.add(msg(4))
+        assert.strictEqual(outbox.size, 0)
+    })
+
+    test('with no other peers nothing waits on an ack', () => {
+        const { outbox } = makeOutbox({ peers: [] })
+        outbox.add(msg(1))
+        assert.strictEqual(outbox.size, 0)
+        assert.deepStrictEqual(outbox.due().resend, [])
+    })
+
+})
+
+// ─────────────────────────────────────────────
+describe('Outbox — Retries', () => {
+
+    test('nothing is due before the first delay', () => {
+        const { outbox, clock } = makeOutbox()
+        outbox.add(msg(1))
+        clock.now = 499
+        assert.deepStrictEqual(outbox.due().resend, [])
+    })
+
+    test('retries back off exponentially up to maxDelay', () => {
+        const { outbox, clock } = makeOutbox({ maxAttempts: 10 })
+        outbox.add(msg(1))
+
+        const sentAt = []
+        for (clock.now = 0; clock.now <= 20000; clock.now += 250) {
+            if (outbox.due().resend.length > 0) sentAt.push(clock.now)
+        }
+        // 500, then +1000, +2000, +4000, then capped at +4000
+        assert.deepStrictEqual(sentAt, [500, 1500, 3500, 7500, 11500, 15500, 19500])
+    })
+
+    test('an ack stops the retries', () => {
+        const { outbox, clock } = makeOutbox()
+        outbox.add(msg(1))
+        clock.now = 500
+        assert.strictEqual(outbox.due().resend.length, 1)
+
+        outbox.ack('peer_2', 1)
+        outbox.ack('peer_3', 1)
+        clock.now = 10000
+        assert.deepStrictEqual(outbox.due().resend, [])
+    })
+
+    test('resends come out in seq order', () => {
+        const { outbox, clock } = makeOutbox()
+        ;[1, 2, 3].forEach(seq => outbox.add(msg(seq)))
+        clock.now = 500
+        assert.deepStrictEqual(outbox.due().resend.map(r => r.message.seq), [1, 2, 3])
+    })
+
+    test('a retry names only the peers that have not acked', () => {
+        const { outbox, clock } = makeOutbox()
+        outbox.add(msg(1))
+        outbox.add(msg(2))
+        outbox.ack('peer_2', 1)
+        clock.now = 500
+        assert.deepStrictEqual(outbox.due().resend.map(({ message, peers }) => [message.seq, peers]), [
+            [1, ['peer_3']],
+            [2, ['peer_2', 'peer_3']]
+        ])
+    })
+
+    test('gives up after maxAttempts and reports who is still missing it', () => {
+        const { outbox, clock } = makeOutbox({ maxAttempts: 3 })
+        outbox.add(msg(1))
+        outbox.ack('peer_2', 1)
+
+        let abandoned = []
+        let resends = 0
+        for (clock.now = 0; clock.now <= 10000; clock.now += 250) {
+            const due = outbox.due()
+            resends += due.resend.length
+            abandoned = abandoned.concat(due.abandoned)
+        }
+
+        assert.strictEqual(resends, 2)   // the first send counts as attempt 1
+        assert.strictEqual(abandoned.length, 1)
+        assert.strictEqual(abandoned[0].message.seq, 1)
+        assert.deepStrictEqual(abandoned[0].peers, ['peer_3'])
+        assert.strictEqual(outbox.size, 0)
+    })
+
+})
+
+// ─────────────────────────────────────────────
+describe('Outbox — History', () => {
+
+    test('range returns the requested seqs in order', () => {
+        const { outbox } = makeOutbox()
+        ;[1, 2, 3, 4, 5].forEach(seq => outbox.add(msg(seq)))
+        assert.deepStrictEqual(outbox.range(2, 4).map(m => m.seq), [2, 3, 4])
+    })
+
+    test('acked messages stay available for resend requests', () => {
+        const { outbox } = makeOutbox()
+        outbox.add(msg(1))
+        outbox.ack('peer_2', 1)
+        outbox.ack('peer_3', 1)
+        assert.deepStrictEqual(outbox.range(1, 1).map(m => m.seq), [1])
+    })
+
+    test('history is bounded — the oldest messages are forgotten first', () => {
+        const { outbox } = makeOutbox({ historySize: 3 })
+        ;[1, 2, 3, 4, 5].forEach(seq => outbox.add(msg(seq)))
+        assert.deepStrictEqual(outbox.range(1, 5).map(m => m.seq), [3, 4, 5])
+    })
+
+    test('a range past the end returns only what exists', () => {
+        const { outbox } = makeOutbox()
+        ;[1, 2].forEach(seq => outbox.add(msg(seq)))
+        assert.deepStrictEqual(outbox.range(2, 1000000).map(m => m.seq), [2])
+        assert.deepStrictEqual(outbox.range(5, 10), [])
+    })
+
+})
+
+// ─────────────────────────────────────────────
+describe('Outbox — Snapshots', () => {
+
+    test('acks and unacked messages survive a snapshot, attempts included', () => {
+        const { outbox, clock } = makeOutbox({ maxAttempts: 3 })
+        ;[1, 2].forEach(seq => outbox.add(msg(seq)))
+        outbox.ack('peer_2', 2)
+        outbox.ack('peer_3', 1)
+        clock.now = 500
+        outbox.due()   // seq 2 has now been sent twice
+
+        const restored = makeOutbox({ maxAttempts: 3 })
+        restored.outbox.loadSnapshot(JSON.parse(JSON.stringify(outbox.getSnapshot())))
+
+        assert.strictEqual(restored.outbox.size, 1)
+        assert.strictEqual(restored.outbox.ackedBy('peer_2'), 2)
+        assert.deepStrictEqual(restored.outbox.range(1, 2).map(m => m.seq), [2])
+
+        restored.clock.now = 500
+        const { resend } = restored.outbox.due()
+        assert.deepStrictEqual(resend.map(({ message, peers }) => [message.seq, peers]), [[2, ['peer_3']]])
+        restored.clock.now = 10000
+        assert.strictEqual(restored.outbox.due().abandoned.length, 1, 'the third attempt was its last')
+    })
+
+    test('after a restart, acks up to each peer\'s current seq leave only what it lacks', () => {
+        const { outbox } = makeOutbox()
+        outbox.loadSnapshot({ acked: [['peer_2', 1], ['peer_3', 1]], unacked: [] })
+        ;[2, 3, 4].forEach(seq => outbox.add(msg(seq)))   // the journal tail
+        assert.strictEqual(outbox.size, 3)
+
+        // What the peers' snapshot replies say they have applied
+        outbox.ack('peer_2', 4)
+        outbox.ack('peer_3', 3)
+        assert.strictEqual(outbox.size, 1)
+        assert.deepStrictEqual(outbox.range(2, 4).map(m => m.seq), [2, 3, 4], 'still there for resend requests')
+    })
+
+    test('peers that are no longer configured are dropped', () => {
+        const { outbox } = makeOutbox({ peers: ['peer_2'] })
+        outbox.loadSnapshot({ acked: [['peer_2', 3], ['peer_9', 7]], unacked: [] })
+        assert.strictEqual(outbox.ackedBy('peer_2'), 3)
+        assert.strictEqual(outbox.ackedBy('peer_9'), 0)
+    })
+
+})
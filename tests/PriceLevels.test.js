@@ -0,0 +1,195 @@
+'use strict'
+
+const { test, describe } = require('node:test')
+const assert = require('node:assert')
+const { BidLevels, AskLevels } = require('../src/core/PriceLevels')
+
+const order = (id, price, timestamp, quantity = 1) => ({ id, price, quantity, timestamp })
+
+describe('BidLevels (highest price first)', () => {
+
+    test('peek returns highest price', () => {
+        const b = new BidLevels()
+        b.insert(order('1', 90, 1))
+        b.insert(order('2', 100, 2))
+        b.insert(order('3', 95, 3))
+        assert.strictEqual(b.peek().price, 100)
+    })
+
+    test('same price — FIFO by arrival', () => {
+        const b = new BidLevels()
+        b.insert(order('first', 100, 1))
+        b.insert(order('second', 100, 1))
+        assert.strictEqual(b.extractTop().id, 'first')
+        assert.strictEqual(b.extractTop().id, 'second')
+    })
+
+    test('same price — earlier timestamp wins even if inserted later', () => {
+        const b = new BidLevels()
+        b.insert(order('late', 100, 2000))
+        b.insert(order('early', 100, 1000))
+        assert.strictEqual(b.peek().id, 'early')
+    })
+
+    test('toArray is sorted: price, then time', () => {
+        const b = new BidLevels()
+        b.insert(order('a', 95, 1))
+        b.insert(order('b', 100, 2))
+        b.insert(order('c', 95, 3))
+        b.insert(order('d', 99, 4))
+        assert.deepStrictEqual(b.toArray().map(o => o.id), ['b', 'd', 'a', 'c'])
+    })
+
+})
+
+describe('AskLevels (lowest price first)', () => {
+
+    test('peek returns lowest price', () => {
+        const a = new AskLevels()
+        a.insert(order('1', 110, 1))
+        a.insert(order('2', 100, 2))
+        a.insert(order('3', 105, 3))
+        assert.strictEqual(a.peek().price, 100)
+    })
+
+    test('levels groups orders per price, best first', () => {
+        const a = new AskLevels()
+        a.insert(order('x', 101, 1))
+        a.insert(order('y', 100, 2))
+        a.insert(order('z', 101, 3))
+        assert.deepStrictEqual(a.levels().map(l => [l.price, l.orders.map(o => o.id)]), [
+            [100, ['y']],
+            [101, ['x', 'z']]
+        ])
+    })
+
+    test('ordersAt returns one level in time priority', () => {
+        const a = new AskLevels()
+        a.insert(order('x', 101, 1))
+        a.insert(order('y', 100, 2))
+        a.insert(order('z', 101, 3))
+        assert.deepStrictEqual(a.ordersAt(101).map(o => o.id), ['x', 'z'])
+        assert.deepStrictEqual(a.ordersAt(99), [])
+    })
+
+    test('orders yields every order, whatever its price', () => {
+        const a = new AskLevels()
+        a.insert(order('x', 101, 1))
+        a.insert(order('y', 100, 2))
+        a.removeById('x')
+        a.insert(order('z', 102, 3))
+        assert.deepStrictEqual([...a.orders()].map(o => o.id).sort(), ['y', 'z'])
+    })
+
+})
+
+describe('PriceLevels — index', () => {
+
+    test('removeById from the middle of a level keeps the rest in order', () => {
+        const a = new AskLevels()
+        ;['1', '2', '3'].forEach((id, i) => a.insert(order(id, 100, i)))
+        assert.strictEqual(a.removeById('2').id, '2')
+        assert.deepStrictEqual(a.toArray().map(o => o.id), ['1', '3'])
+        assert.strictEqual(a.size, 2)
+    })
+
+    test('emptied level is dropped and the next price becomes best', () => {
+        const a = new AskLevels()
+        a.insert(order('1', 100, 1))
+        a.insert(order('2', 101, 2))
+        a.insert(order('3', 102, 3))
+        a.removeById('1')
+        assert.strictEqual(a.levelCount, 2)
+        assert.strictEqual(a.peek().id, '2')
+    })
+
+    test('removing a level deep in the heap keeps the heap valid', () => {
+        const b = new BidLevels()
+        const prices = [50, 80, 20, 90, 10, 70, 30, 60, 40]
+        prices.forEach((p, i) => b.insert(order(`o${p}`, p, i)))
+        b.removeById('o70')
+        b.removeById('o20')
+
+        const drained = []
+        while (!b.isEmpty) drained.push(b.extractTop().price)
+        assert.deepStrictEqual(drained, [90, 80, 60, 50, 40, 30, 10])
+    })
+
+    test('findById and updateQuantity keep queue position', () => {
+        const b = new BidLevels()
+        b.insert(order('a', 100, 1, 5))
+        b.insert(order('b', 100, 2, 5))
+        b.updateQuantity('a', 2)
+        assert.strictEqual(b.findById('a').quantity, 2)
+        assert.strictEqual(b.peek().id, 'a')
+    })
+
+    test('unknown ids return null', () => {
+        const b = new BidLevels()
+        assert.strictEqual(b.removeById('nope'), null)
+        assert.strictEqual(b.findById('nope'), null)
+        assert.strictEqual(b.extractTop(), null)
+        assert.strictEqual(b.peek(), null)
+    })
+
+    test('rejects a duplicate id', () => {
+        const b = new BidLevels()
+        b.insert(order('a', 100, 1))
+        assert.throws(() => b.insert(order('a', 99, 2)), /Duplicate order id/)
+    })
+
+    test('level sizes follow inserts, updates and removals', () => {
+        const a = new AskLevels(o => BigInt(o.quantity))
+        a.insert(order('1', 100, 1, 2))
+        a.insert(order('2', 100, 2, 3))
+        a.insert(order('3', 101, 3, 4))
+        const sizes = () => Object.fromEntries(a.levelSizes().map(level => [level.price, level.size]))
+        assert.deepStrictEqual(sizes(), { 100: 5n, 101: 4n })
+
+        const before = a.version
+        a.updateQuantity('2', 1)
+        a.removeById('3')
+        assert.deepStrictEqual(sizes(), { 100: 3n })
+        assert.strictEqual(a.version, before + 2)
+
+        a.extractTop()
+        a.extractTop()
+        assert.deepStrictEqual(a.levelSizes(), [])
+    })
+
+    test('bestFirst walks levels in price order, as far as it is read', () => {
+        const b = new BidLevels(o => BigInt(o.quantity))
+        const prices = [50, 80, 20, 90, 10, 70, 30, 60, 40]
+        prices.forEach((p, i) => b.insert(order(`o${p}`, p, i, 2)))
+        b.insert(order('o80b', 80, 20, 3))
+
+        const walk = b.bestFirst()
+        const first = walk.next().value
+        assert.strictEqual(first.price, 90)
+        const second = walk.next().value
+        assert.deepStrictEqual([second.price, second.size, [...second.orders].map(o => o.id)], [80, 5n, ['o80', 'o80b']])
+
+        assert.deepStrictEqual([...b.bestFirst()].map(level => level.price), [90, 80, 70, 60, 50, 40, 30, 20, 10])
+        assert.deepStrictEqual([...new AskLevels().bestFirst()], [])
+    })
+
+    test('shown sizes and changes leave out orders that are not shown', () => {
+        const a = new AskLevels(o => BigInt(o.quantity), o => o.hidden ? null : BigInt(o.quantity))
+        a.insert(order('1', 100, 1, 2))
+        assert.strictEqual(a.takeChanges(), null, 'nothing noted before the first call')
+
+        a.insert({ ...order('2', 100, 2, 3), hidden: true })
+        a.insert(order('3', 101, 3, 4))
+        a.updateQuantity('1', 1)
+        const [level] = a.bestFirst()
+        assert.deepStrictEqual([level.size, level.shown, level.visible], [4n, 1n, 1])
+
+        const changes = a.takeChanges()
+        assert.deepStrictEqual([...changes.ids], ['3', '1'])
+        assert.deepStrictEqual([...changes.prices], [101, 100])
+
+        a.removeById('2')
+        assert.deepStrictEqual([...a.takeChanges().ids], [])
+    })
+
+})
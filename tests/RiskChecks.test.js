@@ -0,0 +1,218 @@
+'use strict'
+
+const { test, describe } = require('node:test')
+const assert = require('node:assert')
+const { RiskChecks, RiskCode } = require('../src/core/RiskChecks')
+const { MarketRegistry } = require('../src/core/MarketRegistry')
+const { OrderSide, OrderType } = require('../src/core/OrderBook')
+const { CommandType } = require('../src/core/enums')
+
+const PAIR = 'BTC/USDT'
+
+function setup({ risk = {}, orders = [] } = {}) {
+    let now = 1000
+    const markets = new MarketRegistry({ [PAIR]: {}, 'ETH/USDT': {} }, { clock: () => now })
+    orders.forEach(o => markets.get(o.pair || PAIR).addOrder({ timestamp: 1, peerId: 'maker', ...o }))
+    const checks = new RiskChecks({ clock: () => now, ...risk })
+    const command = (order, pair) => ({ type: CommandType.NEW_ORDER, pair, order: { peerId: 'peer_1', side: OrderSide.BUY, ...order } })
+    return {
+        markets,
+        checks,
+        check: (order, pair = PAIR) => checks.check(command(order, pair), markets),
+        // As the sequencer does it: check, and count it once the book has taken it
+        submit: (order, pair = PAIR) => {
+            const rejection = checks.check(command(order, pair), markets)
+            if (!rejection) checks.record(command(order, pair))
+            return rejection
+        },
+        amend: (orderId, changes) => checks.check({ type: CommandType.AMEND_ORDER, pair: PAIR, orderId, changes, peerId: 'maker' }, markets),
+        advance: ms => { now += ms }
+    }
+}
+
+const book = [
+    { id: 'b1', side: OrderSide.BUY, price: 99, quantity: 5 },
+    { id: 'a1', side: OrderSide.SELL, price: 101, quantity: 5 }
+]
+
+// ─────────────────────────────────────────────
+describe('RiskChecks — Order limits', () => {
+
+    test('an order within every limit passes', () => {
+        const { check } = setup({ risk: { defaults: { maxQuantity: 10, maxNotional: 1000, priceBand: '0.1' } }, orders: book })
+        assert.strictEqual(check({ price: 100, quantity: 1 }), null)
+    })
+
+    test('quantity above maxQuantity is MAX_ORDER_SIZE', () => {
+        const { check } = setup({ risk: { defaults: { maxQuantity: '10' } } })
+        assert.strictEqual(check({ price: 100, quantity: 10 }), null)
+        assert.deepStrictEqual(check({ price: 100, quantity: '10.00000001' }), {
+            code: RiskCode.MAX_ORDER_SIZE,
+            message: 'Quantity 10.00000001 exceeds 10',
+            limit: '10',
+            value: '10.00000001'
+        })
+    })
+
+    test('price × quantity above maxNotional is MAX_NOTIONAL', () => {
+        const { check } = setup({ risk: { defaults: { maxNotional: '1000' } } })
+        assert.strictEqual(check({ price: 100, quantity: 10 }), null)
+        assert.strictEqual(check({ price: 100.01, quantity: 10 }).code, RiskCode.MAX_NOTIONAL)
+        assert.strictEqual(check({ price: '100.01', quantity: '10' }).value, '1000.1')
+    })
+
+    test('a market order is valued at the best opposite price', () => {
+        const { check } = setup({ risk: { defaults: { maxNotional: '1000' } }, orders: book })
+        assert.strictEqual(check({ type: OrderType.MARKET, quantity: 9 }), null)                  // 9 × 101
+        assert.strictEqual(check({ type: OrderType.MARKET, quantity: 10 }).code, RiskCode.MAX_NOTIONAL)   // 10 × 101
+        assert.strictEqual(check({ type: OrderType.MARKET, side: OrderSide.SELL, quantity: 10 }), null)  // 10 × 99
+    })
+
+    test('a stop-market order is valued at its stop price', () => {
+        const { check } = setup({ risk: { defaults: { maxNotional: '1000' } } })
+        assert.strictEqual(check({ type: OrderType.STOP_MARKET, stopPrice: 200, quantity: 6 }).code, RiskCode.MAX_NOTIONAL)
+    })
+
+    test('per-market limits override the defaults', () => {
+        const { check } = setup({ risk: { defaults: { maxQuantity: 10 }, markets: { 'ETH/USDT': { maxQuantity: 100 } } } })
+        assert.strictEqual(check({ price: 1, quantity: 50 }, 'ETH/USDT'), null)
+        assert.strictEqual(check({ price: 1, quantity: 50 }).code, RiskCode.MAX_ORDER_SIZE)
+    })
+
+    test('values the book would reject are left for the book', () => {
+        const { check } = setup({ risk: { defaults: { maxQuantity: 10, maxNotional: 10 } } })
+        assert.strictEqual(check({ price: 100, quantity: 'lots' }), null)
+        assert.strictEqual(check({ price: -1, quantity: 1 }), null)
+    })
+
+    test('invalid limits are rejected', () => {
+        assert.throws(() => new RiskChecks({ defaults: { maxQuantity: 0 } }), /maxQuantity must be positive/)
+        assert.throws(() => new RiskChecks({ markets: { [PAIR]: { priceBand: -0.1 } } }), /priceBand must be positive/)
+        assert.throws(() => new RiskChecks({ rateLimit: { orders: 5 } }), /positive orders and interval/)
+    })
+
+})
+
+// ─────────────────────────────────────────────
+describe('RiskChecks — Price bands', () => {
+
+    test('measured from the mid before the first trade', () => {
+        const { check } = setup({ risk: { defaults: { priceBand: '0.1' } }, orders: book })   // mid 100
+        assert.strictEqual(check({ price: 110, quantity: 1 }), null)
+        assert.strictEqual(check({ price: 90, quantity: 1 }), null)
+        assert.deepStrictEqual(check({ price: 110.01, quantity: 1 }), {
+            code: RiskCode.PRICE_BAND,
+            message: 'Price 110.01 is more than 0.1 away from 100',
+            limit: '0.1',
+            value: '110.01',
+            reference: '100'
+        })
+        assert.strictEqual(check({ price: 89.99, quantity: 1 }).code, RiskCode.PRICE_BAND)
+    })
+
+    test('measured from the last trade once there is one', () => {
+        const { markets, check } = setup({ risk: { defaults: { priceBand: '0.1' } }, orders: book })
+        markets.get(PAIR).addOrder({ id: 't1', side: OrderSide.BUY, price: 101, quantity: 1, timestamp: 2 })   // trades at 101
+        assert.strictEqual(check({ price: 111.1, quantity: 1 }), null)
+        assert.strictEqual(check({ price: 111.2, quantity: 1 }).reference, '101')
+    })
+
+    test('not applied without a reference price, or to market orders', () => {
+        const { check } = setup({ risk: { defaults: { priceBand: '0.01' } }, orders: [book[1]] })
+        assert.strictEqual(check({ price: 500, quantity: 1 }), null)
+        assert.strictEqual(check({ type: OrderType.MARKET, quantity: 1 }), null)
+    })
+
+})
+
+// ─────────────────────────────────────────────
+describe('RiskChecks — Amendments', () => {
+
+    test('an amendment is held to the size, notional and band limits at its new values', () => {
+        const { amend } = setup({ risk: { defaults: { maxQuantity: 10, maxNotional: 1000, priceBand: 0.1 } }, orders: book })
+        assert.strictEqual(amend('b1', { quantity: 8 }), null)
+        assert.strictEqual(amend('b1', { quantity: 11 }).code, RiskCode.MAX_ORDER_SIZE)
+        assert.strictEqual(amend('b1', { price: 95 }), null)
+        assert.strictEqual(amend('b1', { price: 80 }).code, RiskCode.PRICE_BAND)
+
+        // 9 × 99 is fine, 9 × 120 isn't — and a price change is valued at the resting quantity
+        assert.strictEqual(amend('b1', { quantity: 9 }), null)
+        assert.deepStrictEqual(amend('a1', { price: 105, quantity: 10 }), {
+            code: RiskCode.MAX_NOTIONAL,
+            message: 'Notional 1050 exceeds 1000',
+            limit: '1000',
+            value: '1050'
+        })
+    })
+
+    test('amending an order that is not resting is left to the book', () => {
+        const { amend } = setup({ risk: { defaults: { maxQuantity: 1 } }, orders: book })
+        assert.strictEqual(amend('nope', { quantity: 5 }), null)
+    })
+})
+
+// ─────────────────────────────────────────────
+describe('RiskChecks — Per peer', () => {
+
+    test('open orders are counted across markets, stops included', () => {
+        const { check } = setup({
+            risk: { maxOpenOrders: 3 },
+            orders: [
+                { id: 'o1', side: OrderSide.BUY, price: 10, quantity: 1, peerId: 'peer_1' },
+                { id: 'o2', side: OrderSide.BUY, price: 10, quantity: 1, peerId: 'peer_1', pair: 'ETH/USDT' },
+                { id: 'o3', side: OrderSide.SELL, type: OrderType.STOP_MARKET, stopPrice: 5, quantity: 1, peerId: 'peer_1' }
+            ]
+        })
+        assert.deepStrictEqual(check({ price: 10, quantity: 1 }), {
+            code: RiskCode.MAX_OPEN_ORDERS,
+            message: 'peer_1 already has 3 open orders',
+            limit: 3,
+            value: 4
+        })
+        assert.strictEqual(check({ price: 10, quantity: 1, peerId: 'peer_2' }), null)
+    })
+
+    test('more than rateLimit.orders per interval is RATE_LIMIT', () => {
+        const { submit, advance } = setup({ risk: { rateLimit: { orders: 2, interval: 1000 } } })
+        assert.strictEqual(submit({ price: 1, quantity: 1 }), null)
+        advance(500)
+        assert.strictEqual(submit({ price: 1, quantity: 1 }), null)
+        assert.strictEqual(submit({ price: 1, quantity: 1 }).code, RiskCode.RATE_LIMIT)
+        assert.strictEqual(submit({ price: 1, quantity: 1, peerId: 'peer_2' }), null)   // each peer has its own budget
+
+        advance(500)   // the first order has left the window
+        assert.strictEqual(submit({ price: 1, quantity: 1 }), null)
+    })
+
+    test('orders refused for another reason do not use up the rate limit', () => {
+        const { submit } = setup({ risk: { rateLimit: { orders: 1, interval: 1000 }, defaults: { maxQuantity: 1 } } })
+        assert.strictEqual(submit({ price: 1, quantity: 2 }).code, RiskCode.MAX_ORDER_SIZE)
+        assert.strictEqual(submit({ price: 1, quantity: 1 }), null)
+    })
+
+    test('passing the check alone does not use up the rate limit — only record does', () => {
+        const { check, checks } = setup({ risk: { rateLimit: { orders: 1, interval: 1000 } } })
+        assert.strictEqual(check({ price: 1, quantity: 1 }), null)   // the book then refused it: never recorded
+        assert.strictEqual(check({ price: 1, quantity: 1 }), null)
+
+        checks.record({ type: CommandType.AMEND_ORDER, pair: PAIR, orderId: 'b1', peerId: 'peer_1' })   // amends never count
+        assert.strictEqual(check({ price: 1, quantity: 1 }), null)
+    })
+
+    test('open order counts follow fills, cancels and triggered stops', () => {
+        const { markets } = setup()
+        const btc = markets.get(PAIR)
+        btc.addOrder({ id: 's1', side: OrderSide.SELL, price: 10, quantity: 2, peerId: 'peer_1', timestamp: 1 })
+        btc.addOrder({ id: 's2', side: OrderSide.SELL, price: 11, quantity: 1, peerId: 'peer_1', timestamp: 2 })
+        btc.addOrder({ id: 'st', side: OrderSide.BUY, type: OrderType.STOP_MARKET, stopPrice: 10, quantity: 1, peerId: 'peer_1', timestamp: 3 })
+        assert.strictEqual(markets.openOrderCount('peer_1'), 3)
+
+        btc.addOrder({ id: 't1', side: OrderSide.BUY, price: 10, quantity: 1, peerId: 'peer_2', timestamp: 4 })
+        assert.strictEqual(markets.openOrderCount('peer_1'), 1, 'the stop fired and took the rest of s1 — only s2 rests')
+        assert.strictEqual(markets.openOrderCount('peer_2'), 0)
+
+        btc.cancelOrder('s2')
+        assert.strictEqual(markets.openOrderCount('peer_1'), 0)
+    })
+
+})
@@ -0,0 +1,220 @@
+'use strict'
+
+const { test, describe } = require('node:test')
+const assert = require('node:assert')
+const { Sequencer } = require('../src/core/Sequencer')
+const { OrderSide, CommandType } = require('../src/core/OrderBook')
+const { createCluster, seededRandom } = require('./helpers/cluster')
+
+// ─────────────────────────────────────────────
+describe('Sequencer — Leader', () => {
+
+    test('assign stamps consecutive sequence numbers', () => {
+        const seq = new Sequencer({ onDeliver: () => 'ok' })
+        const a = seq.assign({ type: 'X' })
+        const b = seq.assign({ type: 'X' })
+        assert.strictEqual(a.message.seq, 1)
+        assert.strictEqual(b.message.seq, 2)
+        assert.strictEqual(a.result, 'ok')
+        assert.strictEqual(seq.sequence, 2)
+    })
+
+    test('a command that throws does not consume a sequence number', () => {
+        const seq = new Sequencer({ onDeliver: m => { if (m.bad) throw new Error('rejected') } })
+        assert.throws(() => seq.assign({ bad: true }), /rejected/)
+        assert.strictEqual(seq.sequence, 0)
+        assert.strictEqual(seq.assign({}).message.seq, 1)
+    })
+
+    test('a command that throws after changing state keeps its sequence number', () => {
+        const committed = []
+        const seq = new Sequencer({
+            onDeliver: () => { throw Object.assign(new Error('half done'), { applied: true }) },
+            onCommit: m => committed.push(m.seq)
+        })
+        const { message, error } = seq.assign({ type: 'X' })
+        assert.strictEqual(message.seq, 1)
+        assert.match(error.message, /half done/)
+        assert.strictEqual(seq.sequence, 1)
+        assert.deepStrictEqual(committed, [1])
+    })
+
+    test('requires an onDeliver callback', () => {
+        assert.throws(() => new Sequencer({}), /onDeliver/)
+    })
+
+})
+
+// ─────────────────────────────────────────────
+describe('Sequencer — Follower', () => {
+
+    test('holds back out-of-order messages until the gap closes', () => {
+        const applied = []
+        const seq = new Sequencer({ onDeliver: m => applied.push(m.seq) })
+
+        assert.deepStrictEqual(seq.receive({ seq: 3 }), [])
+        assert.deepStrictEqual(seq.receive({ seq: 2 }), [])
+        assert.strictEqual(seq.pendingCount, 2)
+
+        const delivered = seq.receive({ seq: 1 })
+        assert.strictEqual(delivered.length, 3)
+        assert.deepStrictEqual(applied, [1, 2, 3])
+        assert.strictEqual(seq.pendingCount, 0)
+    })
+
+    test('ignores duplicates', () => {
+        const applied = []
+        const seq = new Sequencer({ onDeliver: m => applied.push(m.seq) })
+        seq.receive({ seq: 1 })
+        seq.receive({ seq: 1 })
+        seq.receive({ seq: 3 })
+        seq.receive({ seq: 3 })
+        assert.deepStrictEqual(applied, [1])
+        assert.strictEqual(seq.pendingCount, 1)
+    })
+
+    test('gap reports the missing range while messages are held back', () => {
+        const seq = new Sequencer({ onDeliver: () => {} })
+        assert.strictEqual(seq.gap, null)
+
+        seq.receive({ seq: 1 })
+        seq.receive({ seq: 5 })
+        seq.receive({ seq: 7 })
+        assert.deepStrictEqual(seq.gap, { from: 2, to: 4 })
+
+        seq.receive({ seq: 2 }); seq.receive({ seq: 3 }); seq.receive({ seq: 4 })
+        assert.deepStrictEqual(seq.gap, { from: 6, to: 6 })
+
+        seq.receive({ seq: 6 })
+        assert.strictEqual(seq.gap, null)
+    })
+
+    test('a failing command is reported but does not stall the stream', () => {
+        const seq = new Sequencer({ onDeliver: m => { if (m.seq === 1) throw new Error('boom') } })
+        seq.receive({ seq: 2 })
+        const delivered = seq.receive({ seq: 1 })
+        assert.match(delivered[0].error.message, /boom/)
+        assert.strictEqual(seq.sequence, 2)
+    })
+
+    test('reset jumps to a snapshot seq and drains what follows it', () => {
+        const applied = []
+        const seq = new Sequencer({ onDeliver: m => applied.push(m.seq) })
+        seq.receive({ seq: 4 })   // covered by the snapshot
+        seq.receive({ seq: 6 })
+        seq.receive({ seq: 7 })
+
+        const delivered = seq.reset(5)
+        assert.deepStrictEqual(delivered.map(d => d.message.seq), [6, 7])
+        assert.deepStrictEqual(applied, [6, 7])
+        assert.strictEqual(seq.sequence, 7)
+        assert.strictEqual(seq.pendingCount, 0)
+    })
+
+    test('reset refuses to go backwards', () => {
+        const seq = new Sequencer({ onDeliver: () => {}, sequence: 10 })
+        assert.throws(() => seq.reset(9), /Cannot rewind/)
+    })
+
+    test('rejects messages without a valid seq', () => {
+        const seq = new Sequencer({ onDeliver: () => {} })
+        assert.throws(() => seq.receive({ type: 'NEW_ORDER' }), /positive integer seq/)
+    })
+
+})
+
+// ─────────────────────────────────────────────
+describe('Sequencer — Multi-peer convergence', () => {
+
+    // A book with crossing interest from every peer — plenty of chances for
+    // two peers to "both fill the same ask" if ordering were left to the network
+    function randomOrders(count, peerIds, random) {
+        return Array.from({ length: count }, (_, i) => ({
+            id: `o${i}`,
+            side: random() < 0.5 ? OrderSide.BUY : OrderSide.SELL,
+            price: 95 + Math.floor(random() * 10),
+            quantity: 1 + Math.floor(random() * 5),
+            peerId: peerIds[Math.floor(random() * peerIds.length)],
+            timestamp: 1000 + i
+        }))
+    }
+
+    for (const seed of [1, 7, 42, 1337]) {
+        test(`shuffled delivery yields identical snapshots and trades (seed ${seed})`, () => {
+            const peerIds = ['peer_1', 'peer_2', 'peer_3', 'peer_4']
+            const cluster = createCluster(peerIds)
+
+            randomOrders(200, peerIds, seededRandom(seed))
+                .forEach(order => cluster.submit({ type: CommandType.NEW_ORDER, order }))
+            cluster.deliverShuffled(seed)
+
+            const [reference, ...others] = cluster.snapshots()
+            others.forEach(snap => assert.deepStrictEqual(snap, reference))
+
+            const referenceTrades = cluster.leader.book.getTrades()
+            assert.ok(referenceTrades.length > 0)
+            cluster.followers.forEach(p => assert.deepStrictEqual(p.book.getTrades(), referenceTrades))
+        })
+    }
+
+    test('partial delivery converges once the missing messages arrive', () => {
+        const cluster = createCluster(['peer_1', 'peer_2'])
+        const follower = cluster.followers[0]
+
+        cluster.submit({ type: CommandType.NEW_ORDER, order: { id: 'a1', side: OrderSide.SELL, price: 100, quantity: 1, timestamp: 1 } })
+        cluster.submit({ type: CommandType.NEW_ORDER, order: { id: 'b1', side: OrderSide.BUY, price: 100, quantity: 1, timestamp: 2 } })
+
+        // Buy arrives first — must not rest in the book on its own
+        follower.sequencer.receive(follower.inbox[1])
+        assert.strictEqual(follower.book.getBids().length, 0)
+
+        follower.sequencer.receive(follower.inbox[0])
+        assert.deepStrictEqual(follower.book.getSnapshot(), cluster.leader.book.getSnapshot())
+        assert.strictEqual(follower.book.getTrades().length, 1)
+    })
+
+    test('cancel and fill of the same order resolve the same way everywhere', () => {
+        const cluster = createCluster(['peer_1', 'peer_2', 'peer_3'])
+
+        cluster.submit({ type: CommandType.NEW_ORDER, order: { id: 'a1', side: OrderSide.SELL, price: 100, quantity: 1, peerId: 'peer_2', timestamp: 1 } })
+        cluster.submit({ type: CommandType.NEW_ORDER, order: { id: 'b1', side: OrderSide.BUY, price: 100, quantity: 1, peerId: 'peer_3', timestamp: 2 } })
+        // peer_2's cancel was sequenced after the fill — a no-op on every peer
+        const late = cluster.submit({ type: CommandType.CANCEL_ORDER, orderId: 'a1', peerId: 'peer_2' })
+        assert.strictEqual(late, null)
+
+        cluster.deliverShuffled(3)
+        cluster.peers.forEach(p => assert.strictEqual(p.book.getTrades().length, 1))
+
+        const [reference, ...others] = cluster.snapshots()
+        others.forEach(snap => assert.deepStrictEqual(snap, reference))
+    })
+
+    test('late joiner converges from a snapshot plus the messages buffered while fetching it', () => {
+        const cluster = createCluster(['peer_1', 'peer_2'])
+        const order = (id, side, price, ts) => ({
+            type: CommandType.NEW_ORDER,
+            order: { id, side, price, quantity: 1, peerId: 'peer_2', timestamp: ts }
+        })
+
+        cluster.submit(order('a1', OrderSide.SELL, 101, 1))
+        cluster.submit(order('a2', OrderSide.SELL, 102, 2))
+        cluster.deliverShuffled(5)
+
+        // peer_3 comes online — messages start reaching it before it has any state
+        const joiner = cluster.join('peer_3')
+        cluster.submit(order('b1', OrderSide.BUY, 101, 3))
+        const snapshot = { sequence: cluster.leader.sequencer.sequence, ...cluster.leader.book.getSnapshot() }
+        cluster.submit(order('b2', OrderSide.BUY, 102, 4))
+        cluster.submit(order('a3', OrderSide.SELL, 103, 5))
+
+        // Bootstrap: load snapshot, reset, replay the buffer (seq 3 is covered, 4–5 are not)
+        joiner.book.loadSnapshot(snapshot)
+        joiner.sequencer.reset(snapshot.sequence)
+        cluster.deliverShuffled(9)
+
+        assert.strictEqual(joiner.sequencer.sequence, 5)
+        const [reference, ...others] = cluster.snapshots()
+        others.forEach(snap => assert.deepStrictEqual(snap, reference))
+    })
+
+})
@@ -0,0 +1,250 @@
+'use strict'
+
+const { test, describe, beforeEach, afterEach } = require('node:test')
+const assert = require('node:assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { TradeStore } = require('../src/core/TradeStore')
+const { TradeArchive } = require('../src/storage/TradeArchive')
+const { OrderBook, OrderSide } = require('../src/core/OrderBook')
+const { MarketRegistry } = require('../src/core/MarketRegistry')
+
+let dir
+
+beforeEach(() => { dir = fs.mkdtempSync(path.join(os.tmpdir(), 'trades-test-')) })
+afterEach(() => { fs.rmSync(dir, { recursive: true, force: true }) })
+
+// Trade i: order b<i> of peer_<i % 2> buys from order s<i> of peer_2, at time 100 × i
+const trade = (i, extra = {}) => ({
+    id: `t${i}`, price: 100, quantity: 1,
+    buyOrderId: `b${i}`, sellOrderId: `s${i}`, buyPeerId: `peer_${i % 2}`, sellPeerId: 'peer_2',
+    timestamp: 100 * i, ...extra
+})
+
+function store(count, opts = {}) {
+    const s = new TradeStore(opts)
+    for (let i = 0; i < count; i++) s.record(trade(i))
+    return s
+}
+
+const ids = page => page.trades.map(t => t.id)
+
+// Every page of a query, one after another
+function allPages(s, opts) {
+    const pages = []
+    let cursor = null
+    do {
+        const page = s.query({ ...opts, cursor })
+        pages.push(ids(page))
+        cursor = page.cursor
+    } while (cursor)
+    return pages
+}
+
+// ─────────────────────────────────────────────
+describe('TradeStore — Retention', () => {
+
+    test('keeps only the newest `limit` trades in memory', () => {
+        const s = store(5, { limit: 3 })
+        assert.strictEqual(s.size, 3)
+        assert.strictEqual(s.total, 5)
+        assert.deepStrictEqual(s.all().map(t => t.id), ['t2', 't3', 't4'])
+        assert.deepStrictEqual(s.recent(2).map(t => t.id), ['t3', 't4'])
+    })
+
+    test('drops trades older than maxAge behind the newest', () => {
+        const s = store(5, { maxAge: 250 })   // newest at 400 — keeps 150 and later
+        assert.deepStrictEqual(s.all().map(t => t.id), ['t2', 't3', 't4'])
+    })
+
+    test('dropped trades leave the indexes too', () => {
+        const s = store(4, { limit: 2 })
+        assert.deepStrictEqual(ids(s.query({ orderId: 'b1' })), [])
+        assert.deepStrictEqual(ids(s.query({ peerId: 'peer_0' })), ['t2'])
+        assert.deepStrictEqual(ids(s.query({ since: 0 })), ['t2', 't3'])
+    })
+
+    test('bad options are refused', () => {
+        assert.throws(() => new TradeStore({ limit: 0 }), /limit must be a positive integer/)
+        assert.throws(() => new TradeStore({ maxAge: -1 }), /maxAge must be positive/)
+        assert.throws(() => new TradeStore({ scanLimit: 0 }), /scanLimit must be a positive integer/)
+    })
+
+})
+
+// ─────────────────────────────────────────────
+describe('TradeStore — Queries', () => {
+
+    test('by time range, order id and peer id', () => {
+        const s = store(10)
+        assert.deepStrictEqual(ids(s.query({ since: 300, until: 500 })), ['t3', 't4', 't5'])
+        assert.deepStrictEqual(ids(s.query({ orderId: 's7' })), ['t7'])
+        assert.deepStrictEqual(ids(s.query({ peerId: 'peer_1', since: 500 })), ['t5', 't7', 't9'])
+        assert.deepStrictEqual(ids(s.query({ peerId: 'peer_2', limit: 2 })), ['t0', 't1'])
+        assert.deepStrictEqual(ids(s.query({ orderId: 'nope' })), [])
+    })
+
+    test('a peer trading with itself is listed once', () => {
+        const s = new TradeStore()
+        s.record(trade(0, { buyPeerId: 'peer_2' }))
+        assert.deepStrictEqual(ids(s.query({ peerId: 'peer_2' })), ['t0'])
+    })
+
+    test('trades that arrive out of time order are still found by time', () => {
+        const s = new TradeStore()
+        s.record(trade(0, { timestamp: 300 }))
+        s.record(trade(1, { timestamp: 100 }))
+        s.record(trade(2, { timestamp: 200 }))
+        assert.deepStrictEqual(ids(s.query({ since: 150 })), ['t0', 't2'])   // pages stay in recording order
+    })
+
+    test('cursor pages cover everything exactly once, even at equal timestamps', () => {
+        const s = new TradeStore()
+        for (let i = 0; i < 7; i++) s.record(trade(i, { timestamp: 1000 }))
+        assert.deepStrictEqual(allPages(s, { since: 1000, limit: 3 }), [['t0', 't1', 't2'], ['t3', 't4', 't5'], ['t6']])
+
+        const last = s.query({ limit: 7 })
+        assert.strictEqual(last.cursor, null)   // no empty page at the end
+    })
+
+    test('bad queries are refused', () => {
+        const s = store(1)
+        assert.throws(() => s.query({ limit: 0 }), /limit must be between 1 and 1000/)
+        assert.throws(() => s.query({ limit: 1001 }), /limit must be between 1 and 1000/)
+        assert.throws(() => s.query({ since: NaN }), /since must be a timestamp/)
+        assert.throws(() => s.query({ cursor: 'abc' }), /Invalid trade cursor/)
+    })
+
+})
+
+// ─────────────────────────────────────────────
+describe('TradeStore — Archive', () => {
+
+    test('dropped trades spill to disk and queries read through to them', () => {
+        const archive = new TradeArchive({ dir, segmentSize: 4 })
+        const s = store(10, { limit: 3, archive })
+
+        assert.strictEqual(archive.lastPosition, -1)   // nothing written while recording
+        assert.strictEqual(s.pending, 7)
+        assert.deepStrictEqual(allPages(s, { limit: 4 }), [['t0', 't1', 't2', 't3'], ['t4', 't5', 't6', 't7'], ['t8', 't9']])
+
+        assert.strictEqual(s.flush(), 7)
+        assert.strictEqual(s.pending, 0)
+        assert.strictEqual(archive.lastPosition, 6)
+        assert.deepStrictEqual(fs.readdirSync(dir).sort(), ['trades-0-300.log', 'trades-4.log'])
+        assert.deepStrictEqual(allPages(s, { limit: 4 }), [['t0', 't1', 't2', 't3'], ['t4', 't5', 't6', 't7'], ['t8', 't9']])
+        assert.deepStrictEqual(ids(s.query({ orderId: 'b2' })), ['t2'])
+        assert.deepStrictEqual(ids(s.query({ since: 500, until: 800 })), ['t5', 't6', 't7', 't8'])
+    })
+
+    test('a failed write keeps the trades pending, and the next flush catches up', () => {
+        const archive = new TradeArchive({ dir, segmentSize: 4 })
+        let broken = true
+        const flaky = {
+            append: entries => {
+                archive.append(entries.slice(0, 2))
+                if (broken) throw new Error('ENOSPC')
+                archive.append(entries)
+            },
+            read: opts => archive.read(opts)
+        }
+        const s = store(6, { limit: 2, archive: flaky })
+
+        assert.throws(() => s.flush(), /ENOSPC/)
+        assert.strictEqual(s.pending, 4)
+        assert.deepStrictEqual(ids(s.query({ limit: 10 })), ['t0', 't1', 't2', 't3', 't4', 't5'])
+
+        broken = false
+        assert.strictEqual(s.flush(), 4)
+        assert.deepStrictEqual([...archive.read()].map(e => e.position), [0, 1, 2, 3])
+        assert.deepStrictEqual(ids(s.query({ limit: 10 })), ['t0', 't1', 't2', 't3', 't4', 't5'])
+    })
+
+    test('a query reads at most scanLimit archived trades, then hands back a cursor', () => {
+        const archive = new TradeArchive({ dir })
+        const s = store(10, { limit: 2, archive, scanLimit: 3 })
+        s.flush()
+
+        // Only t7 matches peer_1's b7 — the first pages scan through the archive and find nothing
+        const pages = allPages(s, { orderId: 'b7' })
+        assert.deepStrictEqual(pages, [[], [], ['t7']])
+        assert.deepStrictEqual(allPages(s, { limit: 2 }), [['t0', 't1'], ['t2', 't3'], ['t4', 't5'], ['t6', 't7'], ['t8', 't9']])   // dense pages never hit it
+    })
+
+    test('trades are written in one append per segment', t => {
+        const appends = t.mock.method(fs, 'appendFileSync')
+        const archive = new TradeArchive({ dir, segmentSize: 4 })
+        archive.append([0, 1, 2, 3, 4, 5].map(i => ({ position: i, trade: trade(i) })))
+
+        assert.deepStrictEqual(appends.mock.calls.map(call => path.basename(call.arguments[0])), ['trades-0.log', 'trades-4.log'])
+        assert.deepStrictEqual([...archive.read()].map(e => e.position), [0, 1, 2, 3, 4, 5])
+        assert.deepStrictEqual(fs.readdirSync(dir).sort(), ['trades-0-300.log', 'trades-4.log'])
+    })
+
+    test('read skips segments before the position or the time asked for', () => {
+        const archive = new TradeArchive({ dir, segmentSize: 2 })
+        archive.append([0, 1, 2, 3, 4].map(i => ({ position: i, trade: trade(i) })))
+        assert.deepStrictEqual([...archive.read({ from: 3 })].map(e => e.position), [3, 4])
+        assert.deepStrictEqual([...archive.read({ since: 250 })].map(e => e.position), [2, 3, 4])
+    })
+
+    test('a reopened archive continues where it left off and skips what it has', () => {
+        const first = new TradeArchive({ dir, segmentSize: 2 })
+        first.append([0, 1, 2].map(i => ({ position: i, trade: trade(i) })))
+
+        const archive = new TradeArchive({ dir, segmentSize: 2 })
+        assert.strictEqual(archive.lastPosition, 2)
+        archive.append([1, 2, 3].map(i => ({ position: i, trade: trade(i) })))
+        assert.deepStrictEqual([...archive.read()].map(e => e.position), [0, 1, 2, 3])
+    })
+
+    test('a torn last line is cut off', () => {
+        fs.writeFileSync(path.join(dir, 'trades-0.log'), JSON.stringify({ position: 0, trade: trade(0) }) + '\n{"position":1,"tr')
+        const archive = new TradeArchive({ dir })
+        assert.strictEqual(archive.lastPosition, 0)
+        archive.append([{ position: 1, trade: trade(1) }])
+        assert.deepStrictEqual([...archive.read()].map(e => e.trade.id), ['t0', 't1'])
+    })
+
+})
+
+// ─────────────────────────────────────────────
+describe('OrderBook — Trade history', () => {
+
+    function cross(ob, i) {
+        ob.addOrder({ id: `s${i}`, side: OrderSide.SELL, price: 100, quantity: 1, peerId: 'peer_2', timestamp: 100 * i })
+        ob.addOrder({ id: `b${i}`, side: OrderSide.BUY, price: 100, quantity: 1, peerId: 'peer_1', timestamp: 100 * i })
+    }
+
+    test('the book keeps its history in the store it is given', () => {
+        const ob = new OrderBook('BTC/USDT', { tradeStore: new TradeStore({ limit: 2 }) })
+        for (let i = 0; i < 4; i++) cross(ob, i)
+
+        assert.strictEqual(ob.getTrades().length, 2)
+        assert.deepStrictEqual(ob.getRecentTrades(1).map(t => t.buyOrderId), ['b3'])
+        assert.deepStrictEqual(ob.queryTrades({ orderId: 's3' }).trades.map(t => t.buyOrderId), ['b3'])
+        assert.strictEqual(ob.getSnapshot().tradeCount, 4)
+    })
+
+    test('snapshots keep positions, so cursors mean the same on every peer', () => {
+        const store = () => new TradeStore({ limit: 3 })
+        const registry = new MarketRegistry({ 'BTC/USDT': {} }, { tradeStore: store })
+        for (let i = 0; i < 5; i++) cross(registry.get('BTC/USDT'), i)
+        const { cursor } = registry.get('BTC/USDT').queryTrades({ limit: 1 })
+
+        // Restarted from disk: the trades it had, at the same positions
+        const disk = new MarketRegistry({ 'BTC/USDT': {} }, { tradeStore: store })
+        disk.loadSnapshot(JSON.parse(JSON.stringify(registry.getSnapshot({ includeTrades: true }))))
+        assert.deepStrictEqual(disk.get('BTC/USDT').queryTrades({ cursor }), registry.get('BTC/USDT').queryTrades({ cursor }))
+
+        // Joined from a peer: no history, but the next trade lines up
+        const joined = new MarketRegistry({ 'BTC/USDT': {} }, { tradeStore: store })
+        joined.loadSnapshot(registry.getSnapshot())
+        cross(registry.get('BTC/USDT'), 5)
+        cross(joined.get('BTC/USDT'), 5)
+        const next = book => book.queryTrades({ cursor: '4' })
+        assert.deepStrictEqual(next(joined.get('BTC/USDT')), next(registry.get('BTC/USDT')))
+    })
+
+})
@@ -0,0 +1,146 @@
+'use strict'
+
+const { test, describe } = require('node:test')
+const assert = require('node:assert')
+const { createAllocator, fifo, proRata, topOrder } = require('../src/core/allocation')
+const { OrderBook, OrderSide, OrderType, OrderStatus, SelfTradePrevention, AllocationStrategy } = require('../src/core/OrderBook')
+const { Accounts } = require('../src/core/Accounts')
+
+const units = (...values) => values.map(BigInt)
+
+// Three asks at 100 — sizes 1, 3 and 6 — in that time order, plus one at 101.
+// With accounts, they're all bob's.
+function level(allocation, options = {}) {
+    const trades = []
+    const ob = new OrderBook('BTC/USDT', { quantityPrecision: 0, allocation, ...options, hooks: { onTrade: t => trades.push(t) } })
+    const seller = options.accounts ? { accountId: 'bob' } : {}
+    ob.addOrder({ id: 'a1', side: OrderSide.SELL, price: 100, quantity: 1, timestamp: 1, ...seller })
+    ob.addOrder({ id: 'a2', side: OrderSide.SELL, price: 100, quantity: 3, timestamp: 2, ...seller })
+    ob.addOrder({ id: 'a3', side: OrderSide.SELL, price: 100, quantity: 6, timestamp: 3, ...seller })
+    ob.addOrder({ id: 'a4', side: OrderSide.SELL, price: 101, quantity: 5, timestamp: 4, ...seller })
+    return { ob, trades }
+}
+
+const fills = trades => trades.map(t => [t.sellOrderId, t.quantity])
+
+// ─────────────────────────────────────────────
+describe('allocation — strategies', () => {
+
+    test('fifo fills the oldest order first', () => {
+        assert.deepStrictEqual(fifo(5n, units(1, 3, 6)), units(1, 3, 1))
+    })
+
+    test('pro_rata shares by size, leftover lots in time priority', () => {
+        // 5 × 1/10, 3/10, 6/10 = 0.5, 1.5, 3 → 0, 1, 3 and one lot left over for the oldest
+        assert.deepStrictEqual(proRata(5n, units(1, 3, 6), 1n), units(1, 1, 3))
+        assert.deepStrictEqual(proRata(20n, units(1, 3, 6), 1n), units(1, 3, 6))   // enough for everyone
+    })
+
+    test('pro_rata rounds to the lot, not the unit', () => {
+        // lot of 10 units: 50 × 30/100 = 15 → 10, 50 × 70/100 = 35 → 30, 10 left over
+        assert.deepStrictEqual(proRata(50n, units(30, 70), 10n), units(20, 30))
+    })
+
+    test('pro_rata_min drops shares under the minimum into the leftover', () => {
+        // 8 × 1/10, 3/10, 6/10 = 0.8, 2.4, 4.8 → 0, 2, 4 — a 2 is under the minimum of 3
+        assert.deepStrictEqual(proRata(8n, units(1, 3, 6), 1n, 3n), units(1, 3, 4))
+        const { allocate } = createAllocator({ strategy: AllocationStrategy.PRO_RATA_MIN, minAllocation: 3 }, 0)
+        assert.deepStrictEqual(allocate(8n, units(1, 3, 6), 1n), units(1, 3, 4))
+    })
+
+    test('top_order fills the head first, up to its cap, then pro rata', () => {
+        assert.deepStrictEqual(topOrder(5n, units(4, 3, 6), 1n), units(4, 1, 0))   // the last lot goes to the next in line
+        assert.deepStrictEqual(topOrder(5n, units(4, 3, 6), 1n, 2n), units(2, 1, 2))
+        assert.deepStrictEqual(topOrder(9n, units(4, 3), 1n, 2n), units(4, 3))   // the cap gives way when the rest can't take it
+    })
+
+    test('createAllocator validates its config', () => {
+        assert.strictEqual(createAllocator(null, 8).strategy, AllocationStrategy.FIFO)
+        assert.strictEqual(createAllocator('pro_rata', 8).strategy, AllocationStrategy.PRO_RATA)
+        assert.throws(() => createAllocator('lottery', 8), /Allocation strategy must be one of/)
+        assert.throws(() => createAllocator({ strategy: 'pro_rata_min' }, 8), /needs a minAllocation/)
+        assert.throws(() => createAllocator({ strategy: 'top_order', topOrderMax: -1 }, 8), /topOrderMax must be a positive quantity/)
+    })
+
+})
+
+// ─────────────────────────────────────────────
+describe('OrderBook — Allocation', () => {
+
+    test('FIFO is the default and matches oldest first', () => {
+        const { ob, trades } = level()
+        assert.strictEqual(ob.allocation, AllocationStrategy.FIFO)
+        ob.addOrder({ id: 'b1', side: OrderSide.BUY, price: 100, quantity: 5, timestamp: 10 })
+        assert.deepStrictEqual(fills(trades), [['a1', '1'], ['a2', '3'], ['a3', '1']])
+    })
+
+    test('pro_rata shares the best level among every order on it', () => {
+        const { ob, trades } = level(AllocationStrategy.PRO_RATA)
+        const r = ob.addOrder({ id: 'b1', side: OrderSide.BUY, price: 100, quantity: 5, timestamp: 10 })
+        assert.deepStrictEqual(fills(trades), [['a1', '1'], ['a2', '1'], ['a3', '3']])
+        assert.strictEqual(r.status, OrderStatus.FILLED)
+        assert.deepStrictEqual(ob.getAsks().map(o => [o.id, o.quantity]), [['a2', '2'], ['a3', '3'], ['a4', '5']])   // queue order kept
+    })
+
+    test('a taker bigger than the level takes it all and moves on', () => {
+        const { ob, trades } = level(AllocationStrategy.PRO_RATA)
+        ob.addOrder({ id: 'b1', side: OrderSide.BUY, type: OrderType.MARKET, quantity: 12, timestamp: 10 })
+        assert.deepStrictEqual(fills(trades), [['a1', '1'], ['a2', '3'], ['a3', '6'], ['a4', '2']])
+    })
+
+    test('pro_rata_min and top_order are chosen per book', () => {
+        const min = level({ strategy: AllocationStrategy.PRO_RATA_MIN, minAllocation: 3 })
+        min.ob.addOrder({ id: 'b1', side: OrderSide.BUY, price: 100, quantity: 8, timestamp: 10 })
+        assert.deepStrictEqual(fills(min.trades), [['a1', '1'], ['a2', '3'], ['a3', '4']])
+
+        const top = level({ strategy: AllocationStrategy.TOP_ORDER, topOrderMax: 1 })
+        top.ob.addOrder({ id: 'b1', side: OrderSide.BUY, price: 100, quantity: 4, timestamp: 10 })
+        assert.deepStrictEqual(fills(top.trades), [['a1', '1'], ['a2', '1'], ['a3', '2']])
+    })
+
+    test('a custom strategy plugs in, and a bad allocation is refused before any trade', () => {
+        const lastFirst = { strategy: 'last_first', allocate: (wanted, sizes) => fifo(wanted, [...sizes].reverse()).reverse() }
+        const { ob, trades } = level(lastFirst)
+        assert.strictEqual(ob.allocation, 'last_first')
+        ob.addOrder({ id: 'b1', side: OrderSide.BUY, price: 100, quantity: 7, timestamp: 10 })
+        assert.deepStrictEqual(fills(trades), [['a2', '1'], ['a3', '6']])
+
+        const greedy = level({ allocate: (wanted, sizes) => sizes })
+        assert.throws(() => greedy.ob.addOrder({ id: 'b1', side: OrderSide.BUY, price: 100, quantity: 1, timestamp: 10 }), /invalid allocation/)
+        assert.strictEqual(greedy.trades.length, 0)
+    })
+
+    test('self-trades at the level are prevented before the rest is shared', () => {
+        const { ob, trades } = level(AllocationStrategy.PRO_RATA)
+        ob.addOrder({ id: 'mine', side: OrderSide.SELL, price: 100, quantity: 2, peerId: 'me', timestamp: 5 })
+        const r = ob.addOrder({
+            id: 'b1', side: OrderSide.BUY, price: 100, quantity: 5, peerId: 'me',
+            selfTradePrevention: SelfTradePrevention.CANCEL_OLDEST, timestamp: 10
+        })
+        assert.deepStrictEqual(r.selfTradeCancels.map(c => c.orderId), ['mine'])
+        assert.deepStrictEqual(fills(trades), [['a1', '1'], ['a2', '1'], ['a3', '3']])
+    })
+
+    test('icebergs share on their visible slice and refill at the back', () => {
+        const trades = []
+        const ob = new OrderBook('BTC/USDT', { quantityPrecision: 0, allocation: AllocationStrategy.PRO_RATA, hooks: { onTrade: t => trades.push(t) } })
+        ob.addOrder({ id: 'ice', side: OrderSide.SELL, price: 100, quantity: 10, displayQuantity: 2, timestamp: 1 })
+        ob.addOrder({ id: 'a2', side: OrderSide.SELL, price: 100, quantity: 2, timestamp: 2 })
+        ob.addOrder({ id: 'b1', side: OrderSide.BUY, price: 100, quantity: 2, timestamp: 10 })
+
+        assert.deepStrictEqual(fills(trades), [['ice', '1'], ['a2', '1']])
+        ob.addOrder({ id: 'b2', side: OrderSide.BUY, price: 100, quantity: 2, timestamp: 11 })
+        assert.deepStrictEqual(ob.getAsks().map(o => [o.id, o.quantity]), [['ice', '2']])   // slice used up and refilled
+    })
+
+    test('a market buy shares only what it can pay for', () => {
+        const accounts = new Accounts({ assets: ['BTC', 'USDT'] })
+        accounts.deposit('alice', 'USDT', 400)
+        accounts.deposit('bob', 'BTC', 15)
+        const { ob, trades } = level(AllocationStrategy.PRO_RATA, { accounts })
+        const buy = ob.addOrder({ id: 'b1', side: OrderSide.BUY, type: OrderType.MARKET, quantity: 10, accountId: 'alice', timestamp: 10 })
+        assert.strictEqual(trades.reduce((sum, t) => sum + BigInt(t.quantity), 0n), 4n)
+        assert.strictEqual(buy.status, OrderStatus.EXPIRED)
+    })
+
+})
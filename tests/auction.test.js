@@ -0,0 +1,430 @@
+'use strict'
+
+const { test, describe } = require('node:test')
+const assert = require('node:assert')
+const { uncrossingPrice } = require('../src/core/auction')
+const {
+    OrderBook, OrderSide, OrderType, TimeInForce, OrderStatus, RemovalReason, TradingPhase, HaltReason, AuctionType, CommandType
+} = require('../src/core/OrderBook')
+const { Accounts } = require('../src/core/Accounts')
+
+const level = (price, units) => ({ price: BigInt(price), units: BigInt(units) })
+
+// Asks at 100 and 112, a trade at 100 so the breaker has a reference
+function tradedBook(options = {}) {
+    const events = []
+    const ob = new OrderBook('BTC/USDT', {
+        circuitBreaker: { threshold: '0.1', window: 1000, haltDuration: 5000 },
+        ...options,
+        hooks: { onTradingStatus: status => events.push(status), ...options.hooks }
+    })
+    ob.addOrder({ id: 'a1', side: OrderSide.SELL, price: 100, quantity: 2, timestamp: 1 })
+    ob.addOrder({ id: 'a2', side: OrderSide.SELL, price: 112, quantity: 1, timestamp: 2 })
+    ob.addOrder({ id: 't1', side: OrderSide.BUY, price: 100, quantity: 1, timestamp: 10 })
+    return { ob, events }
+}
+
+// ─────────────────────────────────────────────
+describe('uncrossingPrice', () => {
+
+    test('picks the price that trades the most', () => {
+        // demand: 105→1, 103→1, 100→6, 95→6   supply: 95→5, 100→5, 103→6, 105→6
+        const found = uncrossingPrice([level(105, 1), level(100, 5)], [level(95, 5), level(103, 1)], 100n)
+        assert.deepStrictEqual(found, { price: 100n, volume: 5n, demand: 6n, supply: 5n })
+    })
+
+    test('equal volume goes to the smaller imbalance', () => {
+        // 100: demand 4, supply 3 — 101: demand 3, supply 3
+        const found = uncrossingPrice([level(101, 3), level(100, 1)], [level(99, 3)])
+        assert.strictEqual(found.price, 101n)
+    })
+
+    test('then to market pressure: the highest price if every tie has surplus demand, the lowest if surplus supply', () => {
+        // 100 and 104 both trade 2 with 1 left over
+        assert.strictEqual(uncrossingPrice([level(104, 3)], [level(100, 2)], 100n).price, 104n)
+        assert.strictEqual(uncrossingPrice([level(104, 2)], [level(100, 3)], 104n).price, 100n)
+    })
+
+    test('then to the price closest to the reference, then the lower one', () => {
+        const bids = [level(104, 2)]
+        const asks = [level(100, 2)]
+        assert.strictEqual(uncrossingPrice(bids, asks, 103n).price, 104n)
+        assert.strictEqual(uncrossingPrice(bids, asks, 101n).price, 100n)
+        assert.strictEqual(uncrossingPrice(bids, asks).price, 100n)
+    })
+
+    test('null when nothing crosses', () => {
+        assert.strictEqual(uncrossingPrice([level(99, 1)], [level(100, 1)]), null)
+        assert.strictEqual(uncrossingPrice([], [level(100, 1)]), null)
+    })
+
+})
+
+// ─────────────────────────────────────────────
+describe('OrderBook — Circuit breaker', () => {
+
+    test('halts before the trade that would move the price too far', () => {
+        const { ob, events } = tradedBook()
+        const r = ob.addOrder({ id: 'b1', side: OrderSide.BUY, price: 112, quantity: 2, timestamp: 20 })
+
+        assert.deepStrictEqual(r.trades.map(t => t.price), ['100'])   // 112 is 12% from 100
+        assert.strictEqual(r.status, OrderStatus.CANCELLED)
+        assert.strictEqual(ob.bestBid(), null)                      // the rest doesn't wait for the reopening
+        assert.strictEqual(ob.bestAsk().id, 'a2')
+
+        const status = ob.getTradingStatus()
+        assert.strictEqual(status.phase, TradingPhase.HALTED)
+        assert.strictEqual(status.reason, HaltReason.CIRCUIT_BREAKER)
+        assert.strictEqual(status.resumeAt, 20 + 5000)
+        assert.match(status.note, /Price 112 is more than 0\.1 away from 100/)
+        assert.deepStrictEqual(events.map(e => e.phase), [TradingPhase.HALTED])
+    })
+
+    test('the cancelled remainder is removed with a circuit breaker reason', () => {
+        const removed = []
+        const { ob } = tradedBook({ hooks: { onOrderRemoved: order => removed.push(order) } })
+        ob.addOrder({ id: 'b1', side: OrderSide.BUY, price: 112, quantity: 2, timestamp: 20 })
+        const cancelled = removed.find(o => o.id === 'b1')
+        assert.strictEqual(cancelled.reason, RemovalReason.CIRCUIT_BREAKER)
+        assert.strictEqual(cancelled.quantity, '1')
+    })
+
+    test('trades older than the window no longer count', () => {
+        const { ob } = tradedBook()
+        ob.addOrder({ id: 'b1', side: OrderSide.BUY, price: 100, quantity: 1, timestamp: 20 })
+        ob.addOrder({ id: 'a3', side: OrderSide.SELL, price: 109, quantity: 1, timestamp: 30 })
+        ob.addOrder({ id: 'b2', side: OrderSide.BUY, price: 109, quantity: 1, timestamp: 30 })   // 9% — fine
+
+        // By 1025 the trades at 100 have left the window; 112 is under 10% from 109
+        const r = ob.addOrder({ id: 'b3', side: OrderSide.BUY, price: 112, quantity: 1, timestamp: 1025 })
+        assert.strictEqual(r.status, OrderStatus.FILLED)
+        assert.strictEqual(ob.getTradingStatus().phase, TradingPhase.CONTINUOUS)
+    })
+
+    test('measures from the lowest and highest trade in the window, after a snapshot too', () => {
+        const options = { circuitBreaker: { threshold: '0.1', window: 1000 } }
+        const trade = (ob, price, timestamp) => {
+            ob.addOrder({ id: `s${timestamp}`, side: OrderSide.SELL, price, quantity: 1, timestamp })
+            return ob.addOrder({ id: `b${timestamp}`, side: OrderSide.BUY, price, quantity: 1, timestamp })
+        }
+        const ob = new OrderBook('BTC/USDT', options)
+        trade(ob, 100, 1)
+        trade(ob, 96, 2)
+        trade(ob, 104, 3)
+        trade(ob, 100, 4)
+        const copy = new OrderBook('BTC/USDT', options)
+        copy.loadSnapshot(JSON.parse(JSON.stringify(ob.getSnapshot())))
+
+        // 106 is 6% from 100 and 2% from 104, but 10.4% from 96
+        for (const book of [ob, copy]) {
+            assert.strictEqual(trade(book, 106, 5).status, OrderStatus.CANCELLED)
+            assert.match(book.getTradingStatus().note, /away from 96$/)
+        }
+    })
+
+    test('FOK counts only what it can trade before the breaker stops it', () => {
+        const { ob } = tradedBook()   // a1 has 1 left at 100, a2 1 at 112, last trade 100
+        const r = ob.addOrder({ id: 'f1', side: OrderSide.BUY, price: 112, quantity: 2, timeInForce: TimeInForce.FOK, timestamp: 20 })
+
+        assert.strictEqual(r.status, OrderStatus.EXPIRED)
+        assert.strictEqual(r.trades.length, 0)
+        assert.strictEqual(ob.getTradingStatus().phase, TradingPhase.CONTINUOUS)
+        assert.strictEqual(ob.bestAsk().id, 'a1')
+    })
+
+    test('FOK measures later levels from its own first trade', () => {
+        // 91 is 9% below the last trade and 101 1% above it, but 11% above 91
+        const ob = new OrderBook('BTC/USDT', { circuitBreaker: { threshold: '0.1', window: 1000 } })
+        ob.addOrder({ id: 'a0', side: OrderSide.SELL, price: 100, quantity: 1, timestamp: 1 })
+        ob.addOrder({ id: 'b0', side: OrderSide.BUY, price: 100, quantity: 1, timestamp: 2 })
+        ob.addOrder({ id: 'a1', side: OrderSide.SELL, price: 91, quantity: 1, timestamp: 3 })
+        ob.addOrder({ id: 'a2', side: OrderSide.SELL, price: 101, quantity: 1, timestamp: 4 })
+
+        const r = ob.addOrder({ id: 'f1', side: OrderSide.BUY, price: 101, quantity: 2, timeInForce: TimeInForce.FOK, timestamp: 5 })
+        assert.strictEqual(r.status, OrderStatus.EXPIRED)
+        assert.strictEqual(ob.getTradingStatus().phase, TradingPhase.CONTINUOUS)
+
+        const ok = ob.addOrder({ id: 'f2', side: OrderSide.BUY, price: 101, quantity: 1, timeInForce: TimeInForce.FOK, timestamp: 6 })
+        assert.strictEqual(ok.status, OrderStatus.FILLED)
+    })
+
+    test('invalid breaker settings are rejected', () => {
+        assert.throws(() => new OrderBook('BTC/USDT', { circuitBreaker: { threshold: 0, window: 1000 } }), /threshold must be a positive fraction/)
+        assert.throws(() => new OrderBook('BTC/USDT', { circuitBreaker: { threshold: '0.1' } }), /window must be positive/)
+    })
+
+})
+
+// ─────────────────────────────────────────────
+describe('OrderBook — Halts', () => {
+
+    test('a halted market only accepts cancels', () => {
+        const ob = new OrderBook('BTC/USDT')
+        ob.addOrder({ id: 'b1', side: OrderSide.BUY, price: 99, quantity: 1, timestamp: 1 })
+        ob.applyCommand({ type: CommandType.HALT, pair: 'BTC/USDT', note: 'maintenance', timestamp: 5 })
+
+        assert.throws(() => ob.addOrder({ id: 'b2', side: OrderSide.BUY, price: 99, quantity: 1 }), /halted — only cancels/)
+        assert.throws(() => ob.amendOrder('b1', { price: 98 }), /halted — only cancels/)
+        assert.strictEqual(ob.cancelOrder('b1').id, 'b1')
+
+        const status = ob.getTradingStatus()
+        assert.deepStrictEqual(status, {
+            phase: TradingPhase.HALTED, since: 5, reason: HaltReason.MANUAL, note: 'maintenance', resumeAt: null, auction: null, uncrossAt: null
+        })
+    })
+
+    test('halt and resume check the current phase', () => {
+        const ob = new OrderBook('BTC/USDT')
+        assert.throws(() => ob.resume(), /not halted/)
+        assert.throws(() => ob.uncross(), /not in an auction/)
+        ob.halt({ timestamp: 1 })
+        assert.throws(() => ob.halt({ timestamp: 2 }), /already halted/)
+    })
+
+    test('stops wait out the halt and the auction', () => {
+        const { ob } = tradedBook({ auctionDuration: 1000 })   // last trade at 100
+        ob.halt({ timestamp: 11 })
+        assert.throws(() => ob.addOrder({ id: 's1', side: OrderSide.SELL, type: OrderType.STOP_MARKET, stopPrice: 100, quantity: 1 }), /halted/)
+
+        ob.resume({ timestamp: 12 })
+        const r = ob.addOrder({ id: 's1', side: OrderSide.SELL, type: OrderType.STOP_MARKET, stopPrice: 100, quantity: 1, timestamp: 13 })
+        assert.strictEqual(r.status, OrderStatus.PENDING)   // would fire at once in continuous trading
+
+        const uncross = ob.uncross({ timestamp: 1012 })
+        assert.strictEqual(uncross.price, null)
+        assert.deepStrictEqual(uncross.triggered.map(t => [t.order.id, t.status]), [['s1', OrderStatus.EXPIRED]])   // no bids to sell into
+    })
+
+    test('the trading status survives a snapshot', () => {
+        const { ob } = tradedBook()
+        ob.addOrder({ id: 'b1', side: OrderSide.BUY, price: 112, quantity: 2, timestamp: 20 })
+        const copy = new OrderBook('BTC/USDT', { circuitBreaker: { threshold: '0.1', window: 1000, haltDuration: 5000 } })
+        copy.loadSnapshot(ob.getSnapshot())
+        assert.deepStrictEqual(copy.getTradingStatus(), ob.getTradingStatus())
+        assert.strictEqual(ob.getPublicSnapshot().trading.phase, TradingPhase.HALTED)
+    })
+
+})
+
+// ─────────────────────────────────────────────
+describe('OrderBook — Reopening auction', () => {
+
+    function auction() {
+        const events = []
+        const ob = new OrderBook('BTC/USDT', { auctionDuration: 1000, hooks: { onTradingStatus: status => events.push(status.phase) } })
+        ob.halt({ timestamp: 1 })
+        ob.resume({ timestamp: 2 })
+        return { ob, events }
+    }
+
+    test('orders collect without matching until the uncross', () => {
+        const { ob } = auction()
+        assert.deepStrictEqual(ob.getTradingStatus().uncrossAt, 1002)
+
+        ob.addOrder({ id: 'b1', side: OrderSide.BUY, price: 105, quantity: 1, timestamp: 10 })
+        const r = ob.addOrder({ id: 'a1', side: OrderSide.SELL, price: 95, quantity: 1, timestamp: 11 })
+        assert.strictEqual(r.status, OrderStatus.OPEN)
+        assert.strictEqual(r.trades.length, 0)
+        assert.strictEqual(ob.bestBid().price, '105')   // the book is crossed until the uncross
+        assert.strictEqual(ob.bestAsk().price, '95')
+    })
+
+    test('market, IOC, FOK and post-only orders are refused', () => {
+        const { ob } = auction()
+        assert.throws(() => ob.addOrder({ id: 'm', side: OrderSide.BUY, type: OrderType.MARKET, quantity: 1 }), /market orders are not accepted/)
+        assert.throws(() => ob.addOrder({ id: 'i', side: OrderSide.BUY, price: 1, quantity: 1, timeInForce: TimeInForce.IOC }), /IOC and FOK/)
+        assert.throws(() => ob.addOrder({ id: 'p', side: OrderSide.BUY, price: 1, quantity: 1, postOnly: true }), /post-only/)
+    })
+
+    test('everything that crosses trades at one price, then trading is continuous', () => {
+        const { ob, events } = auction()
+        ob.addOrder({ id: 'b1', side: OrderSide.BUY, price: 105, quantity: 1, timestamp: 10 })
+        ob.addOrder({ id: 'b2', side: OrderSide.BUY, price: 100, quantity: 5, timestamp: 11 })
+        ob.addOrder({ id: 'a1', side: OrderSide.SELL, price: 100, quantity: 5, timestamp: 12 })
+        ob.addOrder({ id: 'a2', side: OrderSide.SELL, price: 103, quantity: 1, timestamp: 13 })
+
+        const r = ob.applyCommand({ type: CommandType.UNCROSS, pair: 'BTC/USDT', timestamp: 1002 })
+        assert.strictEqual(r.price, '100')
+        assert.strictEqual(r.volume, '5')
+        assert.deepStrictEqual(r.trades.map(t => [t.buyOrderId, t.sellOrderId, t.price, t.quantity]), [
+            ['b1', 'a1', '100', '1'],
+            ['b2', 'a1', '100', '4']
+        ])
+        assert.strictEqual(r.trades[0].makerOrderId, 'b1')   // older than a1
+        assert.strictEqual(r.trades[0].timestamp, 1002)
+
+        assert.strictEqual(ob.bestBid().id, 'b2')
+        assert.strictEqual(ob.bestBid().quantity, '1')
+        assert.strictEqual(ob.bestAsk().id, 'a2')
+        assert.strictEqual(ob.lastPrice(), '100')
+        assert.deepStrictEqual(events, [TradingPhase.HALTED, TradingPhase.AUCTION, TradingPhase.CONTINUOUS])
+    })
+
+    test('hidden and iceberg quantity counts and trades', () => {
+        const { ob } = auction()
+        ob.addOrder({ id: 'b1', side: OrderSide.BUY, price: 100, quantity: 3, displayQuantity: 1, timestamp: 10 })
+        ob.addOrder({ id: 'a1', side: OrderSide.SELL, price: 100, quantity: 3, hidden: true, timestamp: 11 })
+
+        const r = ob.uncross({ timestamp: 1002 })
+        assert.strictEqual(r.volume, '3')
+        assert.strictEqual(ob.bestBid(), null)
+        assert.strictEqual(ob.bestAsk(), null)
+    })
+
+    test('with no auction duration, resume uncrosses straight away', () => {
+        const ob = new OrderBook('BTC/USDT')
+        ob.addOrder({ id: 'a1', side: OrderSide.SELL, price: 100, quantity: 1, timestamp: 1 })
+        ob.halt({ timestamp: 2 })
+        const r = ob.resume({ timestamp: 3 })
+        assert.strictEqual(r.trading.phase, TradingPhase.CONTINUOUS)
+        assert.strictEqual(r.uncross.price, null)
+        assert.strictEqual(ob.addOrder({ id: 'b1', side: OrderSide.BUY, price: 100, quantity: 1, timestamp: 4 }).status, OrderStatus.FILLED)
+    })
+
+    test('stops triggered by the uncross price fire once trading resumes', () => {
+        const { ob } = auction()
+        ob.addOrder({ id: 's1', side: OrderSide.BUY, type: OrderType.STOP_LIMIT, stopPrice: 100, price: 101, quantity: 1, timestamp: 10 })
+        ob.addOrder({ id: 'b1', side: OrderSide.BUY, price: 100, quantity: 1, timestamp: 11 })
+        ob.addOrder({ id: 'a1', side: OrderSide.SELL, price: 100, quantity: 1, timestamp: 12 })
+        ob.addOrder({ id: 'a2', side: OrderSide.SELL, price: 101, quantity: 1, timestamp: 13 })
+
+        const r = ob.uncross({ timestamp: 1002 })
+        assert.strictEqual(r.triggered.length, 1)
+        assert.strictEqual(r.triggered[0].status, OrderStatus.FILLED)
+        assert.strictEqual(ob.lastPrice(), '101')
+    })
+
+    test('a stop left crossed by a halt mid-chain waits if the uncross price falls back', () => {
+        const ob = new OrderBook('BTC/USDT', { circuitBreaker: { threshold: '0.1', window: 1000 }, auctionDuration: 1000 })
+        ob.addOrder({ id: 'a0', side: OrderSide.SELL, price: 99, quantity: 1, timestamp: 1 })
+        ob.addOrder({ id: 't0', side: OrderSide.BUY, price: 99, quantity: 1, timestamp: 2 })
+        ob.addOrder({ id: 'a1', side: OrderSide.SELL, price: 100, quantity: 1, timestamp: 3 })
+        ob.addOrder({ id: 'a2', side: OrderSide.SELL, price: 120, quantity: 5, timestamp: 4 })
+        ob.addOrder({ id: 's1', side: OrderSide.BUY, type: OrderType.STOP_MARKET, stopPrice: 100, quantity: 2, timestamp: 5 })
+        ob.addOrder({ id: 's2', side: OrderSide.BUY, type: OrderType.STOP_LIMIT, stopPrice: 100, price: 101, quantity: 1, timestamp: 6 })
+
+        // The trade at 100 crosses both; s1 sweeps into 120 and trips the breaker before s2's turn
+        const r = ob.addOrder({ id: 'b1', side: OrderSide.BUY, price: 100, quantity: 1, timestamp: 7 })
+        assert.deepStrictEqual(r.triggered.map(t => t.order.id), ['s1'])
+        assert.strictEqual(ob.getTradingStatus().phase, TradingPhase.HALTED)
+
+        ob.resume({ timestamp: 8 })
+        ob.addOrder({ id: 'b2', side: OrderSide.BUY, price: 95, quantity: 1, timestamp: 9 })
+        ob.addOrder({ id: 'a3', side: OrderSide.SELL, price: 95, quantity: 1, timestamp: 10 })
+        const uncross = ob.uncross({ timestamp: 1008 })
+        assert.strictEqual(uncross.price, '95')
+        assert.deepStrictEqual(uncross.triggered, [])
+        assert.deepStrictEqual(ob.getSnapshot().stops.map(o => o.id), ['s2'])
+
+        ob.addOrder({ id: 'a4', side: OrderSide.SELL, price: 100, quantity: 1, timestamp: 1009 })
+        const again = ob.addOrder({ id: 'b3', side: OrderSide.BUY, price: 100, quantity: 1, timestamp: 1010 })
+        assert.deepStrictEqual(again.triggered.map(t => t.order.id), ['s2'])
+    })
+
+    test('a buy filled below its limit gets the difference back', () => {
+        const accounts = new Accounts({ assets: ['BTC', 'USDT'] })
+        accounts.deposit('alice', 'USDT', 1000)
+        accounts.deposit('bob', 'BTC', 1)
+        const ob = new OrderBook('BTC/USDT', { accounts, auctionDuration: 1000 })
+        ob.halt({ timestamp: 1 })
+        ob.resume({ timestamp: 2 })
+        ob.addOrder({ id: 'b1', side: OrderSide.BUY, price: 110, quantity: 1, accountId: 'alice', timestamp: 10 })
+        ob.addOrder({ id: 'a1', side: OrderSide.SELL, price: 100, quantity: 1, accountId: 'bob', timestamp: 11 })
+
+        assert.strictEqual(ob.uncross({ timestamp: 1002 }).price, '100')   // no reference, so the lower price
+        assert.deepStrictEqual(accounts.getBalances('alice').USDT, { total: '900', reserved: '0', available: '900' })
+        assert.deepStrictEqual(accounts.getBalances('alice').BTC, { total: '1', reserved: '0', available: '1' })
+        assert.deepStrictEqual(accounts.getBalances('bob').USDT, { total: '100', reserved: '0', available: '100' })
+    })
+
+})
+
+// ─────────────────────────────────────────────
+describe('OrderBook — Call auctions', () => {
+
+    function opening(hooks = {}) {
+        const ob = new OrderBook('BTC/USDT', { hooks })
+        ob.applyCommand({ type: CommandType.START_AUCTION, pair: 'BTC/USDT', auction: AuctionType.OPENING, duration: 1000, timestamp: 100 })
+        return ob
+    }
+
+    test('starts from continuous trading and collects orders', () => {
+        const ob = opening()
+        const status = ob.getTradingStatus()
+        assert.strictEqual(status.phase, TradingPhase.AUCTION)
+        assert.strictEqual(status.auction, AuctionType.OPENING)
+        assert.strictEqual(status.uncrossAt, 1100)
+
+        ob.addOrder({ id: 'b1', side: OrderSide.BUY, price: 101, quantity: 1, timestamp: 200 })
+        assert.strictEqual(ob.addOrder({ id: 'a1', side: OrderSide.SELL, price: 99, quantity: 1, timestamp: 201 }).trades.length, 0)
+        assert.throws(() => ob.startAuction({ timestamp: 300 }), /an auction can only start from continuous trading/)
+    })
+
+    test('the indicative price and imbalance follow the book', () => {
+        const published = []
+        const ob = opening({ onIndicativeUncross: indicative => published.push(indicative) })
+        assert.deepStrictEqual(ob.getIndicativeUncross(), { price: null, volume: '0', imbalance: '0', imbalanceSide: null })
+
+        ob.addOrder({ id: 'b1', side: OrderSide.BUY, price: 101, quantity: 3, timestamp: 200 })
+        ob.addOrder({ id: 'a1', side: OrderSide.SELL, price: 100, quantity: 1, timestamp: 201 })
+        assert.deepStrictEqual(ob.getIndicativeUncross(), { price: '101', volume: '1', imbalance: '2', imbalanceSide: OrderSide.BUY })
+        assert.deepStrictEqual(ob.getPublicSnapshot().indicative, ob.getIndicativeUncross())
+
+        ob.addOrder({ id: 'a2', side: OrderSide.SELL, price: '101', quantity: 4, timestamp: 202 })
+        assert.deepStrictEqual(ob.getIndicativeUncross(), { price: '101', volume: '3', imbalance: '2', imbalanceSide: OrderSide.SELL })
+
+        ob.cancelOrder('a2')
+        assert.deepStrictEqual(published.map(p => p.volume), ['0', '0', '1', '3', '1'])   // start, then every change
+    })
+
+    test('the indicative price follows in-place amends, icebergs and a reloaded book', () => {
+        const ob = opening()
+        ob.addOrder({ id: 'b1', side: OrderSide.BUY, price: 101, quantity: 5, displayQuantity: 1, timestamp: 200 })
+        ob.addOrder({ id: 'a1', side: OrderSide.SELL, price: 100, quantity: 4, timestamp: 201 })
+        assert.deepStrictEqual(ob.getIndicativeUncross(), { price: '101', volume: '4', imbalance: '1', imbalanceSide: OrderSide.BUY })
+
+        // Smaller at the same price: amended in place, reserve included
+        ob.amendOrder('b1', { quantity: 2 })
+        assert.deepStrictEqual(ob.getIndicativeUncross(), { price: '100', volume: '2', imbalance: '2', imbalanceSide: OrderSide.SELL })
+
+        const copy = opening()
+        copy.loadSnapshot(ob.getSnapshot())
+        assert.deepStrictEqual(copy.getIndicativeUncross(), ob.getIndicativeUncross())
+    })
+
+    test('the uncross emits every trade at once at the single price', () => {
+        const trades = []
+        const ob = opening({ onTrade: trade => trades.push(trade) })
+        ob.addOrder({ id: 'b1', side: OrderSide.BUY, price: 102, quantity: 2, timestamp: 200 })
+        ob.addOrder({ id: 'b2', side: OrderSide.BUY, price: 101, quantity: 2, timestamp: 201 })
+        ob.addOrder({ id: 'a1', side: OrderSide.SELL, price: 100, quantity: 3, timestamp: 202 })
+        assert.strictEqual(trades.length, 0)
+
+        const r = ob.applyCommand({ type: CommandType.UNCROSS, pair: 'BTC/USDT', timestamp: 1100 })
+        assert.strictEqual(r.price, '101')
+        assert.deepStrictEqual(trades.map(t => [t.buyOrderId, t.quantity, t.price]), [['b1', '2', '101'], ['b2', '1', '101']])
+        assert.strictEqual(ob.getTradingStatus().phase, TradingPhase.CONTINUOUS)
+        assert.strictEqual(ob.getPublicSnapshot().indicative, null)
+    })
+
+    test('a closing auction leaves the market closed; resuming opens it with an opening auction', () => {
+        const ob = new OrderBook('BTC/USDT', { auctionDuration: 500 })
+        ob.addOrder({ id: 'a1', side: OrderSide.SELL, price: 100, quantity: 1, timestamp: 1 })
+        ob.startAuction({ type: AuctionType.CLOSING, timestamp: 10 })
+        assert.strictEqual(ob.getTradingStatus().uncrossAt, null)   // no duration — uncrossed by hand
+        ob.addOrder({ id: 'b1', side: OrderSide.BUY, price: 100, quantity: 1, timestamp: 20 })
+
+        assert.strictEqual(ob.uncross({ timestamp: 30 }).volume, '1')
+        assert.strictEqual(ob.getTradingStatus().phase, TradingPhase.HALTED)
+        assert.strictEqual(ob.getTradingStatus().reason, HaltReason.MARKET_CLOSED)
+
+        assert.strictEqual(ob.resume({ timestamp: 40 }).trading.auction, AuctionType.OPENING)
+    })
+
+    test('only opening and closing auctions can be started', () => {
+        const ob = new OrderBook('BTC/USDT')
+        assert.throws(() => ob.startAuction({ type: AuctionType.REOPENING }), /Auction type must be one of/)
+        assert.throws(() => ob.startAuction({ duration: 0 }), /duration must be positive/)
+    })
+
+})
@@ -0,0 +1,81 @@
+'use strict'
+
+const { test, describe } = require('node:test')
+const assert = require('node:assert')
+const { toUnits, fromUnits, compareDecimals, minUnits } = require('../src/core/decimal')
+
+describe('toUnits', () => {
+
+    test('parses numbers and strings exactly', () => {
+        assert.strictEqual(toUnits(0.3, 8), 30000000n)
+        assert.strictEqual(toUnits('0.30000001', 8), 30000001n)
+        assert.strictEqual(toUnits(50000, 2), 5000000n)
+        assert.strictEqual(toUnits('.5', 2), 50n)
+        assert.strictEqual(toUnits('-1.25', 2), -125n)
+    })
+
+    test('handles exponent notation', () => {
+        assert.strictEqual(toUnits(1e-7, 8), 10n)        // String(1e-7) === '1e-7'
+        assert.strictEqual(toUnits('1.5e3', 0), 1500n)
+    })
+
+    test('trailing zeros do not count as precision', () => {
+        assert.strictEqual(toUnits('1.500000', 1), 15n)
+    })
+
+    test('rejects values finer than the precision instead of rounding', () => {
+        assert.throws(() => toUnits(1.005, 2), /more than 2 decimals/)
+        assert.throws(() => toUnits(0.1 + 0.2, 8), /more than 8 decimals/)
+    })
+
+    test('rejects non-decimals', () => {
+        for (const bad of ['abc', '', '.', '1.2.3', NaN, Infinity]) {
+            assert.throws(() => toUnits(bad, 2), /Not a decimal/)
+        }
+    })
+
+})
+
+describe('fromUnits', () => {
+
+    test('gives back the exact decimal as a string, without trailing zeros', () => {
+        assert.strictEqual(fromUnits(30000000n, 8), '0.3')
+        assert.strictEqual(fromUnits(1n, 8), '0.00000001')
+        assert.strictEqual(fromUnits(-125n, 2), '-1.25')
+        assert.strictEqual(fromUnits(42n, 0), '42')
+        assert.strictEqual(fromUnits(0n, 8), '0')
+        assert.strictEqual(fromUnits(150000000n, 8), '1.5')
+    })
+
+    test('round-trips through toUnits', () => {
+        for (const value of ['0.1', '0.2', '0.3', '1.005', '12345.6789', '0.00000001', '21000000']) {
+            assert.strictEqual(fromUnits(toUnits(value, 8), 8), value)
+        }
+    })
+
+    test('keeps every digit past 2^53', () => {
+        assert.strictEqual(fromUnits(toUnits('100000000.00000001', 8), 8), '100000000.00000001')
+        assert.strictEqual(fromUnits(toUnits('100000000.00000001', 8) + 1n, 8), '100000000.00000002')
+    })
+
+    test('arithmetic in units has no float dust', () => {
+        const sum = toUnits(0.1, 8) + toUnits(0.2, 8)
+        assert.strictEqual(fromUnits(sum, 8), '0.3')
+        assert.strictEqual(fromUnits(toUnits(1, 8) - toUnits(0.9, 8), 8), '0.1')
+        assert.strictEqual(minUnits(3n, 2n), 2n)
+    })
+
+})
+
+describe('compareDecimals', () => {
+
+    test('orders by value, not by text', () => {
+        assert.strictEqual(compareDecimals('9', '10'), -1)
+        assert.strictEqual(compareDecimals('10', 9.5), 1)
+        assert.strictEqual(compareDecimals('1.50', 1.5), 0)
+        assert.strictEqual(compareDecimals('-1', '0.5'), -1)
+        assert.strictEqual(compareDecimals('1e3', '999.99999999'), 1)
+        assert.strictEqual(compareDecimals('100000000.00000002', '100000000.00000001'), 1)
+    })
+
+})
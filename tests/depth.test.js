@@ -0,0 +1,166 @@
+'use strict'
+
+const { test, describe } = require('node:test')
+const assert = require('node:assert')
+const { OrderBook, OrderSide, OrderType } = require('../src/core/OrderBook')
+const { diffDepth, isEmptyDiff, diffView, diffFields, isEmptyViewDiff } = require('../src/core/depth')
+
+describe('diffDepth', () => {
+
+    test('first view is sent in full', () => {
+        const next = { bids: [{ price: '99', quantity: '1', orders: 1 }], asks: [] }
+        assert.deepStrictEqual(diffDepth(null, next), next)
+    })
+
+    test('only changed levels are reported', () => {
+        const ob = new OrderBook('BTC/USDT')
+        ob.addOrder({ id: 'b1', side: OrderSide.BUY, price: 99, quantity: 1 })
+        ob.addOrder({ id: 'b2', side: OrderSide.BUY, price: 98, quantity: 1 })
+        ob.addOrder({ id: 'a1', side: OrderSide.SELL, price: 101, quantity: 1 })
+        const before = ob.getDepth()
+
+        ob.addOrder({ id: 'b3', side: OrderSide.BUY, price: 98, quantity: 2 })
+        const diff = diffDepth(before, ob.getDepth())
+
+        assert.deepStrictEqual(diff, { bids: [{ price: '98', quantity: '3', orders: 2 }], asks: [] })
+    })
+
+    test('removed levels come back with zero quantity', () => {
+        const ob = new OrderBook('BTC/USDT')
+        ob.addOrder({ id: 'a1', side: OrderSide.SELL, price: 101, quantity: 1 })
+        ob.addOrder({ id: 'a2', side: OrderSide.SELL, price: 102, quantity: 1 })
+        const before = ob.getDepth()
+
+        ob.addOrder({ id: 'b1', side: OrderSide.BUY, price: 101, quantity: 1 })
+        const diff = diffDepth(before, ob.getDepth())
+
+        assert.deepStrictEqual(diff.asks, [{ price: '101', quantity: '0', orders: 0 }])
+        assert.deepStrictEqual(diff.bids, [])
+    })
+
+    test('a level pushed out of the top N is removed, the one below it appears', () => {
+        const ob = new OrderBook('BTC/USDT')
+        ob.addOrder({ id: 'b1', side: OrderSide.BUY, price: 99, quantity: 1 })
+        ob.addOrder({ id: 'b2', side: OrderSide.BUY, price: 98, quantity: 1 })
+        const before = ob.getDepth({ levels: 1 })
+
+        ob.cancelOrder('b1')
+        const diff = diffDepth(before, ob.getDepth({ levels: 1 }))
+
+        assert.deepStrictEqual(diff.bids, [
+            { price: '99', quantity: '0', orders: 0 },
+            { price: '98', quantity: '1', orders: 1 }
+        ])
+    })
+
+    test('with the touched levels, only those are compared — and whatever moved in or out of the top', () => {
+        const ob = new OrderBook('BTC/USDT')
+        ob.addOrder({ id: 'b1', side: OrderSide.BUY, price: 99, quantity: 1 })
+        ob.addOrder({ id: 'b2', side: OrderSide.BUY, price: 98, quantity: 1 })
+        ob.addOrder({ id: 'b3', side: OrderSide.BUY, price: 97, quantity: 1 })
+        const before = ob.getDepth({ levels: 2 })
+        ob.takeChanges()
+
+        ob.cancelOrder('b1')
+        const touched = ob.getDepthChanges(ob.takeChanges())
+        assert.deepStrictEqual(touched, { bids: new Set(['99']), asks: new Set() })
+        assert.deepStrictEqual(diffDepth(before, ob.getDepth({ levels: 2 }), touched).bids, [
+            { price: '99', quantity: '0', orders: 0 },
+            { price: '97', quantity: '1', orders: 1 }
+        ])
+    })
+
+    test('touched prices are bucketed like the depth they are for', () => {
+        const ob = new OrderBook('BTC/USDT')
+        ob.takeChanges()
+        ob.addOrder({ id: 'b1', side: OrderSide.BUY, price: '99.4', quantity: 1 })
+        ob.addOrder({ id: 'a1', side: OrderSide.SELL, price: '100.2', quantity: 1 })
+        assert.deepStrictEqual(ob.getDepthChanges(ob.takeChanges(), { group: 1 }), { bids: new Set(['99']), asks: new Set(['101']) })
+    })
+
+    test('depth counts only what orders show', () => {
+        const ob = new OrderBook('BTC/USDT')
+        ob.addOrder({ id: 'a1', side: OrderSide.SELL, price: 101, quantity: 5, displayQuantity: 1 })
+        ob.addOrder({ id: 'a2', side: OrderSide.SELL, price: 101, quantity: 2, hidden: true })
+        ob.addOrder({ id: 'a3', side: OrderSide.SELL, price: 102, quantity: 2, hidden: true })
+        ob.addOrder({ id: 'a4', side: OrderSide.SELL, price: 103, quantity: 1 })
+        assert.deepStrictEqual(ob.getDepth({ levels: 2 }).asks, [
+            { price: '101', quantity: '1', orders: 1 },
+            { price: '103', quantity: '1', orders: 1 }
+        ])
+    })
+
+    test('unchanged book gives an empty diff', () => {
+        const ob = new OrderBook('BTC/USDT')
+        ob.addOrder({ id: 'b1', side: OrderSide.BUY, price: 99, quantity: 1 })
+        assert.ok(isEmptyDiff(diffDepth(ob.getDepth(), ob.getDepth())))
+    })
+
+})
+
+describe('diffView', () => {
+
+    const book = () => new OrderBook('BTC/USDT', { clock: () => 1000 })
+
+    test('only orders that changed are sent, and the fields that moved', () => {
+        const ob = book()
+        ob.addOrder({ id: 'b1', side: OrderSide.BUY, price: 99, quantity: 1, timestamp: 1 })
+        ob.addOrder({ id: 'a1', side: OrderSide.SELL, price: 101, quantity: 3, timestamp: 2 })
+        ob.addOrder({ id: 'a2', side: OrderSide.SELL, price: 102, quantity: 1, timestamp: 3 })
+        const before = ob.getPublicSnapshot()
+
+        ob.addOrder({ id: 'b2', side: OrderSide.BUY, price: 101, quantity: 1, timestamp: 4 })
+        const diff = diffView(before, ob.getPublicSnapshot())
+
+        assert.deepStrictEqual(diff.asks.set.map(o => [o.id, o.quantity]), [['a1', '2']])
+        assert.deepStrictEqual(diff.asks.removed, [])
+        assert.deepStrictEqual(diff.bids, { set: [], removed: [] }, 'b2 filled in full and never rested')
+        assert.deepStrictEqual(Object.keys(diff.fields).sort(), ['bestAsk', 'lastTrade'], 'a1 is still best — the spread did not move')
+    })
+
+    test('orders that left the book are listed by id', () => {
+        const ob = book()
+        ob.addOrder({ id: 'b1', side: OrderSide.BUY, price: 99, quantity: 1, timestamp: 1 })
+        ob.addOrder({ id: 'b2', side: OrderSide.BUY, price: 98, quantity: 1, timestamp: 2 })
+        const before = ob.getPublicSnapshot()
+
+        ob.cancelOrder('b1')
+        const diff = diffView(before, ob.getPublicSnapshot())
+
+        assert.deepStrictEqual(diff.bids, { set: [], removed: ['b1'] })
+        assert.strictEqual(diff.fields.bestBid.id, 'b2')
+    })
+
+    test('first view is sent in full, an unchanged one gives an empty diff', () => {
+        const ob = book()
+        ob.addOrder({ id: 'b1', side: OrderSide.BUY, price: 99, quantity: 1, timestamp: 1 })
+        const view = ob.getPublicSnapshot()
+
+        assert.deepStrictEqual(diffView(null, view).bids.set.map(o => o.id), ['b1'])
+        assert.strictEqual(diffView(null, view).fields.pair, 'BTC/USDT')
+        assert.ok(isEmptyViewDiff(diffView(view, ob.getPublicSnapshot())))
+    })
+
+    test('the book hands over just the orders it changed, and the fields as they are now', () => {
+        const ob = book()
+        assert.strictEqual(ob.getPublicChanges(ob.takeChanges()), null, 'nothing was noted yet')
+        ob.addOrder({ id: 'b1', side: OrderSide.BUY, price: 99, quantity: 1, timestamp: 1 })
+        ob.addOrder({ id: 'a1', side: OrderSide.SELL, price: 101, quantity: 3, timestamp: 2 })
+        ob.addOrder({ id: 'h1', side: OrderSide.SELL, price: 100, quantity: 1, hidden: true, timestamp: 3 })
+        ob.addOrder({ id: 's1', side: OrderSide.SELL, type: OrderType.STOP_MARKET, stopPrice: 90, quantity: 1, timestamp: 4 })
+        const before = ob.getPublicSnapshot()
+        ob.takeChanges()
+
+        ob.cancelOrder('b1')
+        ob.addOrder({ id: 'b2', side: OrderSide.BUY, price: 101, quantity: 2, timestamp: 5 })
+        ob.cancelOrder('s1')
+        const changes = ob.getPublicChanges(ob.takeChanges())
+
+        assert.deepStrictEqual(changes.bids, { set: [], removed: ['b1'] })
+        assert.deepStrictEqual(changes.asks.set.map(o => [o.id, o.quantity]), [['a1', '2']], 'h1 traded unseen')
+        assert.deepStrictEqual(changes.stops, { set: [], removed: ['s1'] })
+        assert.deepStrictEqual(changes.fields.bestAsk, ob.getPublicSnapshot().bestAsk)
+        assert.deepStrictEqual(Object.keys(diffFields(before, changes.fields)).sort(), ['bestAsk', 'bestBid', 'lastTrade', 'spread'])
+    })
+
+})
@@ -0,0 +1,201 @@
+'use strict'
+
+const { test, describe } = require('node:test')
+const assert = require('node:assert')
+const { OrderBook, OrderSide, OrderType } = require('../src/core/OrderBook')
+const { MarketRegistry } = require('../src/core/MarketRegistry')
+const { Accounts } = require('../src/core/Accounts')
+const { bookDigest, ledgerDigest, marketRoots, diffBookDigests, diffLedgerDigests, isEmptyBookDiff } = require('../src/core/digest')
+
+const clock = () => 1000
+
+function book(orders = []) {
+    const ob = new OrderBook('BTC/USDT', { clock })
+    orders.forEach(o => ob.addOrder({ timestamp: 1, ...o }))
+    return ob
+}
+
+const resting = [
+    { id: 'b1', side: OrderSide.BUY, price: 99, quantity: 1 },
+    { id: 'b2', side: OrderSide.BUY, price: 98, quantity: 2 },
+    { id: 'a1', side: OrderSide.SELL, price: 101, quantity: 1 },
+    { id: 'a2', side: OrderSide.SELL, price: 102, quantity: 3 }
+]
+
+/** A book settling in its own ledger, alice and bob funded */
+function fundedBook(orders = []) {
+    const accounts = new Accounts({ assets: ['BTC', 'USDT'] })
+    const ob = new OrderBook('BTC/USDT', { clock, accounts })
+    ;['alice', 'bob'].forEach(id => {
+        accounts.deposit(id, 'BTC', 10, { peerId: id })
+        accounts.deposit(id, 'USDT', 1000, { peerId: id })
+    })
+    orders.forEach(o => ob.addOrder({ timestamp: 1, ...o }))
+    return { ob, accounts }
+}
+
+/** Fetch what differs from `source` and patch it into `target`, as two peers would */
+function reconcile(target, source) {
+    const diff = diffBookDigests(bookDigest(target.getSnapshot()), bookDigest(source.getSnapshot()))
+    target.repairLevels(source.getLevels(diff))
+    return diff
+}
+
+describe('bookDigest', () => {
+
+    test('identical books have identical digests', () => {
+        assert.deepStrictEqual(bookDigest(book(resting).getSnapshot()), bookDigest(book(resting).getSnapshot()))
+    })
+
+    test('one level hash per price, best first', () => {
+        const digest = bookDigest(book(resting).getSnapshot())
+        assert.deepStrictEqual(digest.bids.map(([price]) => price), ['99', '98'])
+        assert.deepStrictEqual(digest.asks.map(([price]) => price), ['101', '102'])
+    })
+
+    test('a quantity change shows up in that level only', () => {
+        const a = bookDigest(book(resting).getSnapshot())
+        const b = bookDigest(book(resting.map(o => o.id === 'b2' ? { ...o, quantity: 5 } : o)).getSnapshot())
+
+        assert.notStrictEqual(a.root, b.root)
+        assert.deepStrictEqual(diffBookDigests(a, b), { bids: ['98'], asks: [], stops: false })
+    })
+
+    test('queue order within a level is part of the hash', () => {
+        const a = book([{ id: 'x', side: OrderSide.BUY, price: 99, quantity: 1, timestamp: 1 }, { id: 'y', side: OrderSide.BUY, price: 99, quantity: 1, timestamp: 2 }])
+        const b = book([{ id: 'y', side: OrderSide.BUY, price: 99, quantity: 1, timestamp: 1 }, { id: 'x', side: OrderSide.BUY, price: 99, quantity: 1, timestamp: 2 }])
+        assert.notStrictEqual(bookDigest(a.getSnapshot()).root, bookDigest(b.getSnapshot()).root)
+    })
+
+    test('a stop order only one side has shows up as a stops difference', () => {
+        const a = book(resting)
+        const b = book(resting)
+        b.addOrder({ id: 's1', side: OrderSide.SELL, type: OrderType.STOP_MARKET, stopPrice: 90, quantity: 1 })
+
+        const diff = diffBookDigests(bookDigest(a.getSnapshot()), bookDigest(b.getSnapshot()))
+        assert.deepStrictEqual(diff, { bids: [], asks: [], stops: true })
+    })
+
+    test('a level only one side has is listed for both', () => {
+        const a = book(resting)
+        const b = book(resting.filter(o => o.id !== 'a2'))
+        assert.deepStrictEqual(diffBookDigests(bookDigest(a.getSnapshot()), bookDigest(b.getSnapshot())).asks, ['102'])
+        assert.deepStrictEqual(diffBookDigests(bookDigest(b.getSnapshot()), bookDigest(a.getSnapshot())).asks, ['102'])
+    })
+
+})
+
+describe('marketRoots', () => {
+
+    test('the ledger has a root of its own, and is part of the overall root', () => {
+        const a = new MarketRegistry({ 'BTC/USDT': {} }, { clock, accounts: new Accounts({ assets: ['BTC', 'USDT'] }) })
+        const b = new MarketRegistry({ 'BTC/USDT': {} }, { clock, accounts: new Accounts({ assets: ['BTC', 'USDT'] }) })
+        a.accounts.deposit('alice', 'USDT', 100, { peerId: 'alice' })
+        b.accounts.deposit('alice', 'USDT', 101, { peerId: 'alice' })
+
+        const rootsA = marketRoots(a.getSnapshot())
+        const rootsB = marketRoots(b.getSnapshot())
+        assert.strictEqual(rootsA.markets['BTC/USDT'], rootsB.markets['BTC/USDT'])
+        assert.notStrictEqual(rootsA.ledger, rootsB.ledger)
+        assert.notStrictEqual(rootsA.root, rootsB.root)
+        assert.deepStrictEqual(diffLedgerDigests(ledgerDigest(a.accounts.getSnapshot()), ledgerDigest(b.accounts.getSnapshot())), ['alice'])
+    })
+
+    test('one root per market plus an overall root', () => {
+        const markets = { 'BTC/USDT': {}, 'ETH/USDT': {} }
+        const a = new MarketRegistry(markets, { clock })
+        const b = new MarketRegistry(markets, { clock })
+        b.get('ETH/USDT').addOrder({ id: 'e1', side: OrderSide.BUY, price: 10, quantity: 1, timestamp: 1 })
+
+        const rootsA = marketRoots(a.getSnapshot())
+        const rootsB = marketRoots(b.getSnapshot())
+        assert.notStrictEqual(rootsA.root, rootsB.root)
+        assert.strictEqual(rootsA.markets['BTC/USDT'], rootsB.markets['BTC/USDT'])
+        assert.notStrictEqual(rootsA.markets['ETH/USDT'], rootsB.markets['ETH/USDT'])
+    })
+
+})
+
+describe('Repairing a diverged book', () => {
+
+    test('missing, extra and changed orders are all fixed', () => {
+        const source = book(resting)
+        const target = book([
+            { id: 'b1', side: OrderSide.BUY, price: 99, quantity: 0.5 },   // changed
+            { id: 'b9', side: OrderSide.BUY, price: 97, quantity: 1 },     // extra
+            { id: 'a1', side: OrderSide.SELL, price: 101, quantity: 1 }    // a2 missing
+        ])
+
+        const diff = reconcile(target, source)
+        assert.deepStrictEqual(diff.bids.sort(), ['97', '98', '99'])
+        assert.deepStrictEqual(diff.asks, ['102'])
+
+        assert.strictEqual(bookDigest(target.getSnapshot()).root, bookDigest(source.getSnapshot()).root)
+        assert.deepStrictEqual(target.getBids(), source.getBids())
+        assert.deepStrictEqual(target.getAsks(), source.getAsks())
+    })
+
+    test('an order resting at the wrong price is moved', () => {
+        const source = book([{ id: 'b1', side: OrderSide.BUY, price: 99, quantity: 1 }])
+        const target = book([{ id: 'b1', side: OrderSide.BUY, price: 98, quantity: 1 }])
+
+        reconcile(target, source)
+        assert.deepStrictEqual(target.getBids().map(o => [o.id, o.price]), [['b1', '99']])
+    })
+
+    test('the trigger book is replaced as a whole', () => {
+        const source = book(resting)
+        source.addOrder({ id: 's1', side: OrderSide.SELL, type: OrderType.STOP_MARKET, stopPrice: 90, quantity: 1, timestamp: 1 })
+        const target = book(resting)
+        target.addOrder({ id: 's2', side: OrderSide.BUY, type: OrderType.STOP_MARKET, stopPrice: 120, quantity: 1, timestamp: 1 })
+
+        reconcile(target, source)
+        assert.deepStrictEqual(target.getSnapshot().stops.map(o => o.id), ['s1'])
+    })
+
+    test('repair fires no events', () => {
+        const events = []
+        const target = new OrderBook('BTC/USDT', {
+            clock,
+            hooks: { onOrderAdded: o => events.push(o), onOrderRemoved: o => events.push(o) }
+        })
+        reconcile(target, book(resting))
+        assert.strictEqual(events.length, 0)
+        assert.strictEqual(target.getBids().length, 2)
+    })
+
+    test('replaced orders release and reserve their funds', () => {
+        const order = { id: 'b1', side: OrderSide.BUY, price: 99, quantity: 1, accountId: 'alice' }
+        const source = fundedBook([{ ...order, id: 'b2', price: 98 }])
+        const target = fundedBook([order])   // b1 rests here instead of b2
+
+        assert.deepStrictEqual(reconcile(target.ob, source.ob).bids.sort(), ['98', '99'])
+        assert.strictEqual(target.accounts.reservedFor('b1'), 0n)
+        assert.deepStrictEqual(ledgerDigest(target.accounts.getSnapshot()), ledgerDigest(source.accounts.getSnapshot()))
+
+        // The repaired order trades like any other
+        target.ob.addOrder({ id: 'a1', side: OrderSide.SELL, price: 98, quantity: 1, accountId: 'bob', timestamp: 2 })
+        assert.strictEqual(target.accounts.getBalances('alice').BTC.total, '11')
+    })
+
+    test('an order its account cannot cover here waits for that account to be repaired', () => {
+        const source = fundedBook([{ id: 'b1', side: OrderSide.BUY, price: 99, quantity: 5, accountId: 'alice' }])
+        const target = fundedBook()
+        target.accounts.withdraw('alice', 'USDT', 900, { peerId: 'alice' })   // a withdrawal only this replica applied
+
+        const { unfunded } = target.ob.repairLevels(source.ob.getLevels(diffBookDigests(bookDigest(target.ob.getSnapshot()), bookDigest(source.ob.getSnapshot()))))
+        assert.deepStrictEqual(unfunded, ['b1'])
+
+        const ids = diffLedgerDigests(ledgerDigest(target.accounts.getSnapshot()), ledgerDigest(source.accounts.getSnapshot()))
+        assert.deepStrictEqual(ids, ['alice'])
+        target.accounts.repairAccounts(ids, source.accounts.getAccounts(ids))
+        assert.deepStrictEqual(ledgerDigest(target.accounts.getSnapshot()), ledgerDigest(source.accounts.getSnapshot()))
+        assert.strictEqual(target.accounts.reservedFor('b1'), source.accounts.reservedFor('b1'))
+    })
+
+    test('nothing to repair between identical books', () => {
+        const diff = reconcile(book(resting), book(resting))
+        assert.ok(isEmptyBookDiff(diff))
+    })
+
+})
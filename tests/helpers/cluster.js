@@ -0,0 +1,82 @@
+'use strict'
+
+const { OrderBook } = require('../../src/core/OrderBook')
+const { Sequencer } = require('../../src/core/Sequencer')
+
+/**
+ * In-memory multi-peer harness.
+ *
+ * Wires N (OrderBook + Sequencer) replicas together the way Peer does,
+ * but replaces Grenache with per-peer inboxes we can deliver in any order.
+ * The first peer is the sequencer.
+ */
+
+/** Small seeded PRNG (mulberry32) — shuffles must be reproducible */
+function seededRandom(seed) {
+    return () => {
+        seed |= 0
+        seed = seed + 0x6D2B79F5 | 0
+        let t = Math.imul(seed ^ seed >>> 15, 1 | seed)
+        t = t + Math.imul(t ^ t >>> 7, 61 | t) ^ t
+        return ((t ^ t >>> 14) >>> 0) / 4294967296
+    }
+}
+
+function shuffle(items, random) {
+    const out = [...items]
+    for (let i = out.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1))
+        ;[out[i], out[j]] = [out[j], out[i]]
+    }
+    return out
+}
+
+function createCluster(peerIds, { pair = 'BTC/USDT' } = {}) {
+    // Fixed clock — snapshots from different replicas must be byte-identical
+    const clock = () => 1_700_000_000_000
+
+    const createPeer = peerId => {
+        const book = new OrderBook(pair, { clock })
+        const sequencer = new Sequencer({ onDeliver: message => book.applyCommand(message) })
+        return { peerId, book, sequencer, inbox: [] }
+    }
+
+    const peers = peerIds.map(createPeer)
+    const [leader, ...followers] = peers
+
+    return {
+        peers,
+        leader,
+        followers,
+
+        /** A late joiner — starts empty and only sees messages submitted from now on */
+        join(peerId) {
+            const peer = createPeer(peerId)
+            peers.push(peer)
+            followers.push(peer)
+            return peer
+        },
+
+        /** Submit a command through the leader; fan the result out to follower inboxes */
+        submit(command) {
+            const { message, result } = leader.sequencer.assign(command)
+            followers.forEach(p => p.inbox.push(message))
+            return result
+        },
+
+        /** Deliver every queued message, each follower in its own random order */
+        deliverShuffled(seed) {
+            const random = seededRandom(seed)
+            followers.forEach(p => {
+                shuffle(p.inbox, random).forEach(m => p.sequencer.receive(m))
+                p.inbox = []
+            })
+        },
+
+        snapshots() {
+            return peers.map(p => p.book.getSnapshot())
+        }
+    }
+}
+
+module.exports = { createCluster, seededRandom, shuffle }
@@ -0,0 +1,13 @@
+'use strict'
+
+const { OrderSide } = require('../../src/core/OrderBook')
+
+/**
+ * Limit order factories for the ledger and fee tests — alice buys and bob
+ * sells, unless `extra` says otherwise.
+ */
+
+const buy = (id, price, quantity, extra = {}) => ({ id, side: OrderSide.BUY, price, quantity, accountId: 'alice', timestamp: 1, ...extra })
+const sell = (id, price, quantity, extra = {}) => ({ id, side: OrderSide.SELL, price, quantity, accountId: 'bob', timestamp: 1, ...extra })
+
+module.exports = { buy, sell }